@@ -2,7 +2,7 @@
 
 """
  * @file dbClean.py
- * Used in CS498RK MP4 to empty database of all users and tasks.
+ * Used in CS498RK MP4 to empty database of all users, tasks and projects.
  *
  * @author Aswin Sivaraman
  * @date Created: Spring 2015
@@ -17,23 +17,32 @@ import urllib
 import json
 
 def usage():
-    print('dbClean.py -u <baseurl> -p <port>')
+    print('dbClean.py -u <baseurl> -p <port> -k <admin token>')
 
-def getUsers(conn):
+def getCurrentUser(conn, headers):
+    # Retrieve the id of the admin whose token is used, so it is not deleted
+    conn.request("GET","/api/auth/me",headers=headers)
+    response = conn.getresponse()
+    data = response.read()
+    d = json.loads(data)
+
+    return str(d['data']['_id'])
+
+def getUsers(conn, headers, adminID):
     # Retrieve the list of users
-    conn.request("GET","""/api/users?filter={"_id":1}""")
+    conn.request("GET","""/api/users?filter={"_id":1}""",headers=headers)
     response = conn.getresponse()
     data = response.read()
     d = json.loads(data)
 
     # Array of user IDs
-    users = [str(d['data'][x]['_id']) for x in range(len(d['data']))]
+    users = [str(d['data'][x]['_id']) for x in range(len(d['data'])) if str(d['data'][x]['_id']) != adminID]
 
     return users
 
-def getTasks(conn):
+def getTasks(conn, headers):
     # Retrieve the list of tasks
-    conn.request("GET","""/api/tasks?filter={"_id":1}""")
+    conn.request("GET","""/api/tasks?filter={"_id":1}""",headers=headers)
     response = conn.getresponse()
     data = response.read()
     d = json.loads(data)
@@ -43,14 +52,38 @@ def getTasks(conn):
 
     return tasks
 
+def getProjects(conn, headers):
+    # Retrieve the list of projects
+    conn.request("GET","""/api/projects?filter={"_id":1}""",headers=headers)
+    response = conn.getresponse()
+    data = response.read()
+    d = json.loads(data)
+
+    # Array of project IDs
+    projects = [str(d['data'][x]['_id']) for x in range(len(d['data']))]
+
+    return projects
+
+def deleteBatch(conn, headers, resource, ids):
+    # DELETE each id through POST /api/batch; ids that fail are left for the next round
+    operations = [{'method': 'DELETE', 'path': resource + '/' + id} for id in ids[:1000]]
+    batchHeaders = dict(headers)
+    batchHeaders["Content-type"] = "application/json"
+    conn.request("POST","/api/batch",json.dumps({'mode': 'continue', 'operations': operations}),batchHeaders)
+    response = conn.getresponse()
+    data = response.read()
+
 def main(argv):
 
     # Server Base URL and port
     baseurl = "localhost"
     port = 4000
 
+    # Bearer token of an admin user (see POST /api/auth/login)
+    token = ""
+
     try:
-        opts, args = getopt.getopt(argv,"hu:p:",["url=","port="])
+        opts, args = getopt.getopt(argv,"hu:p:k:",["url=","port=","token="])
     except getopt.GetoptError:
         usage()
         sys.exit(2)
@@ -62,43 +95,60 @@ def main(argv):
              baseurl = str(arg)
         elif opt in ("-p", "--port"):
              port = int(arg)
+        elif opt in ("-k", "--token"):
+             token = str(arg)
 
     # Server to connect to (1: url, 2: port number)
     conn = http.client.HTTPConnection(baseurl, port)
 
+    # HTTP Headers
+    headers = {"Authorization": "Bearer " + token}
+
+    # The admin running the script is kept so its token stays valid
+    adminID = getCurrentUser(conn, headers)
+
     # Fetch a list of users
-    users = getUsers(conn)
+    users = getUsers(conn, headers, adminID)
 
     # Loop for as long as the database still returns users
     while len(users):
 
-        # Delete each individual user
-        for user in users:
-            conn.request("DELETE","/api/users/"+user)
-            response = conn.getresponse()
-            data = response.read()
+        # Delete the users in one batch
+        deleteBatch(conn, headers, "users", users)
 
         # Fetch a list of users
-        users = getUsers(conn)
+        users = getUsers(conn, headers, adminID)
 
     # Fetch a list of tasks
-    tasks = getTasks(conn)
+    tasks = getTasks(conn, headers)
 
     # Loop for as long as the database still returns tasks
     while len(tasks):
 
-        # Delete each individual task
-        for task in tasks:
-            conn.request("DELETE","/api/tasks/"+task)
+        # Delete the tasks in one batch
+        deleteBatch(conn, headers, "tasks", tasks)
+
+        # Fetch a list of tasks
+        tasks = getTasks(conn, headers)
+
+    # Fetch a list of projects
+    projects = getProjects(conn, headers)
+
+    # Loop for as long as the database still returns projects
+    while len(projects):
+
+        # Delete each individual project
+        for project in projects:
+            conn.request("DELETE","/api/projects/"+project,headers=headers)
             response = conn.getresponse()
             data = response.read()
 
-        # Fetch a list of tasks
-        tasks = getTasks(conn)
+        # Fetch a list of projects
+        projects = getProjects(conn, headers)
 
     # Exit gracefully
     conn.close()
-    print("All users and tasks removed at "+baseurl+":"+str(port))
+    print("All users, tasks and projects removed at "+baseurl+":"+str(port))
 
 
 if __name__ == "__main__":
@@ -13,7 +13,6 @@
 import sys
 import getopt
 import http.client
-import urllib
 import json
 from random import randint
 from random import choice
@@ -21,11 +20,11 @@ from datetime import date
 from time import mktime
 
 def usage():
-    print('dbFill.py -u <baseurl> -p <port> -n <numUsers> -t <numTasks>')
+    print('dbFill.py -u <baseurl> -p <port> -n <numUsers> -t <numTasks> -k <admin token>')
 
-def getUsers(conn):
+def getUsers(conn, headers):
     # Retrieve the list of users
-    conn.request("GET","""/api/users?filter={"_id":1}""")
+    conn.request("GET","""/api/users?filter={"_id":1}""",headers=headers)
     response = conn.getresponse()
     data = response.read()
     d = json.loads(data)
@@ -35,6 +34,24 @@ def getUsers(conn):
 
     return users
 
+def runBatch(conn, headers, operations):
+    # Run the operations through POST /api/batch, at most 1000 per request.
+    # Operations that fail (e.g. a generated email that is already taken) are skipped.
+    documents = []
+    for start in range(0, len(operations), 1000):
+        conn.request("POST", "/api/batch", json.dumps({'mode': 'continue', 'operations': operations[start:start+1000]}), headers)
+        response = conn.getresponse()
+        data = response.read()
+        d = json.loads(data)
+
+        if response.status != 200 or not isinstance(d.get('data'), list):
+            print(f"Error running batch: {d.get('message', 'Unknown error')}")
+            sys.exit(1)
+
+        documents.extend([result['data'] for result in d['data'] if result['status'] < 300])
+
+    return documents
+
 def main(argv):
 
     # Server Base URL and port
@@ -45,8 +62,11 @@ def main(argv):
     userCount = 50
     taskCount = 200
 
+    # Bearer token of an admin user (see POST /api/auth/login)
+    token = ""
+
     try:
-        opts, args = getopt.getopt(argv,"hu:p:n:t:",["url=","port=","users=","tasks="])
+        opts, args = getopt.getopt(argv,"hu:p:n:t:k:",["url=","port=","users=","tasks=","token="])
     except getopt.GetoptError:
         usage()
         sys.exit(2)
@@ -62,6 +82,8 @@ def main(argv):
              userCount = int(arg)
         elif opt in ("-t", "--tasks"):
              taskCount = int(arg)
+        elif opt in ("-k", "--token"):
+             token = str(arg)
 
     # Python array containing common first names and last names
     firstNames = ["james","john","robert","michael","william","david","richard","charles","joseph","thomas","christopher","daniel","paul","mark","donald","george","kenneth","steven","edward","brian","ronald","anthony","kevin","jason","matthew","gary","timothy","jose","larry","jeffrey","frank","scott","eric","stephen","andrew","raymond","gregory","joshua","jerry","dennis","walter","patrick","peter","harold","douglas","henry","carl","arthur","ryan","roger","joe","juan","jack","albert","jonathan","justin","terry","gerald","keith","samuel","willie","ralph","lawrence","nicholas","roy","benjamin","bruce","brandon","adam","harry","fred","wayne","billy","steve","louis","jeremy","aaron","randy","howard","eugene","carlos","russell","bobby","victor","martin","ernest","phillip","todd","jesse","craig","alan","shawn","clarence","sean","philip","chris","johnny","earl","jimmy","antonio","danny","bryan","tony","luis","mike","stanley","leonard","nathan","dale","manuel","rodney","curtis","norman","allen","marvin","vincent","glenn","jeffery","travis","jeff","chad","jacob","lee","melvin","alfred","kyle","francis","bradley","jesus","herbert","frederick","ray","joel","edwin","don","eddie","ricky","troy","randall","barry","alexander","bernard","mario","leroy","francisco","marcus","micheal","theodore","clifford","miguel","oscar","jay","jim","tom","calvin","alex","jon","ronnie","bill","lloyd","tommy","leon","derek","warren","darrell","jerome","floyd","leo","alvin","tim","wesley","gordon","dean","greg","jorge","dustin","pedro","derrick","dan","lewis","zachary","corey","herman","maurice","vernon","roberto","clyde","glen","hector","shane","ricardo","sam","rick","lester","brent","ramon","charlie","tyler","gilbert","gene"]
@@ -71,12 +93,10 @@ def main(argv):
     conn = http.client.HTTPConnection(baseurl, port)
 
     # HTTP Headers
-    headers = {"Content-type": "application/x-www-form-urlencoded","Accept": "text/plain"}
+    headers = {"Content-type": "application/json","Accept": "application/json","Authorization": "Bearer " + token}
 
-    # Array of user IDs
-    userIDs = []
-    userNames = []
-    userEmails = []
+    # One POST per user
+    userOperations = []
 
     # Loop 'userCount' number of times
     for i in range(userCount):
@@ -84,18 +104,11 @@ def main(argv):
         # Pick a random first name and last name
         x = randint(0,99)
         y = randint(0,99)
-        params = urllib.parse.urlencode({'name': firstNames[x] + " " + lastNames[y], 'email': firstNames[x] + "@" + lastNames[y] + ".com"})
+        userOperations.append({'method': 'POST', 'path': 'users', 'body': {'name': firstNames[x] + " " + lastNames[y], 'email': firstNames[x] + "@" + lastNames[y] + ".com"}})
 
-        # POST the user
-        conn.request("POST", "/api/users", params, headers)
-        response = conn.getresponse()
-        data = response.read()
-        d = json.loads(data)
-
-        # Store the users id
-        userIDs.append(str(d['data']['_id']))
-        userNames.append(str(d['data']['name']))
-        userEmails.append(str(d['data']['email']))
+    # POST the users and store their ids
+    users = runBatch(conn, headers, userOperations)
+    userIDs = [str(user['_id']) for user in users]
 
     # Open 'tasks.txt' for sample task names
     import os
@@ -104,57 +117,22 @@ def main(argv):
     f = open(tasks_file, 'r')
     taskNames = f.read().splitlines()
 
+    # One POST per task
+    taskOperations = []
+
     # Loop 'taskCount' number of times
     for i in range(taskCount):
 
         # Randomly generate task parameters
         assigned = (randint(0,10) > 4)
-        assignedUser = randint(0,len(userIDs)-1) if assigned else -1
-        assignedUserID = userIDs[assignedUser] if assigned else ''
-        assignedUserName = userNames[assignedUser] if assigned else 'unassigned'
-        assignedUserEmail = userEmails[assignedUser] if assigned else 'unassigned'
+        assignedUserID = userIDs[randint(0,len(userIDs)-1)] if assigned and len(userIDs) else ''
         completed = (randint(0,10) > 5)
         deadline = (mktime(date.today().timetuple()) + randint(86400,864000)) * 1000
         description = "It is a long established fact that a reader will be distracted by the readable content of a page when looking at its layout. The point of using Lorem Ipsum is that it has a more-or-less normal distribution of letters, as opposed to using 'Content here, content here', making it look like readable English."
-        params = urllib.parse.urlencode({'name': choice(taskNames), 'deadline': deadline, 'assignedUserName': assignedUserName, 'assignedUser': assignedUserID, 'completed': str(completed).lower(), 'description': description})
-
-        # POST the task
-        conn.request("POST", "/api/tasks", params, headers)
-        response = conn.getresponse()
-        data = response.read()
-        d = json.loads(data)
-        
-        if 'data' not in d or '_id' not in d['data']:
-            print(f"Error creating task: {d.get('message', 'Unknown error')}")
-            print(f"Response: {d}")
-            sys.exit(1)
+        taskOperations.append({'method': 'POST', 'path': 'tasks', 'body': {'name': choice(taskNames), 'deadline': deadline, 'assignedUser': assignedUserID, 'completed': completed, 'description': description}})
 
-        taskID = str(d['data']['_id'])
-
-        # Make sure the task is added to the pending list of the user
-        if assigned and not completed:
-            # GET the correct user
-            conn.request("GET","""/api/users?where={"_id":\""""+assignedUserID+"""\"}""")
-            response = conn.getresponse()
-            data = response.read()
-            d = json.loads(data)
-
-            # Store all the user properties
-            assignedUserName = str(d['data'][0]['name'])
-            assignedUserEmail = str(d['data'][0]['email'])
-            assignedUserDate = str(d['data'][0]['dateCreated'])
-
-            # Append the new taskID to pending tasks
-            assignedUserTasks = d['data'][0]['pendingTasks']
-            assignedUserTasks = [str(x).replace('[','').replace(']','').replace("'",'').replace('"','') for x in assignedUserTasks]
-            assignedUserTasks.append(taskID)
-
-            # PUT in the user
-            params = urllib.parse.urlencode({'_id': assignedUserID, 'name': assignedUserName, 'email': assignedUserEmail, 'dateCreated': assignedUserDate, 'pendingTasks': assignedUserTasks}, True)
-            conn.request("PUT", "/api/users/"+assignedUserID, params, headers)
-            response = conn.getresponse()
-            data = response.read()
-            d = json.loads(data)
+    # POST the tasks; the server adds open assigned tasks to the pending list of their user
+    runBatch(conn, headers, taskOperations)
 
     # Exit gracefully
     conn.close()
@@ -0,0 +1,83 @@
+#!/usr/bin/env python
+
+"""
+ * @file webhookReceiver.py
+ * Local HTTP server that receives webhook deliveries, checks their
+ * signature and prints them. Register it with POST /api/webhooks using
+ * the url http://localhost:<port>/ and pass the returned secret with -s.
+"""
+
+import sys
+import getopt
+import hmac
+import hashlib
+import json
+from http.server import BaseHTTPRequestHandler, HTTPServer
+
+def usage():
+    print('webhookReceiver.py -p <port> -s <webhook secret> [-f <status code to answer with>]')
+
+def makeHandler(secret, status):
+
+    class WebhookHandler(BaseHTTPRequestHandler):
+
+        def do_POST(self):
+            length = int(self.headers.get('Content-Length', 0))
+            body = self.rfile.read(length)
+
+            # Signature is HMAC-SHA256 over "<timestamp>.<raw body>"
+            timestamp = self.headers.get('X-Webhook-Timestamp', '')
+            signature = self.headers.get('X-Webhook-Signature', '')
+            expected = 'sha256=' + hmac.new(secret.encode(), timestamp.encode() + b'.' + body, hashlib.sha256).hexdigest()
+            valid = hmac.compare_digest(expected, signature)
+
+            print('--- ' + self.headers.get('X-Webhook-Event', '') + ' (delivery ' + self.headers.get('X-Webhook-Delivery', '') + ')')
+            print('Signature ' + ('valid' if valid else 'INVALID'))
+            print(json.dumps(json.loads(body), indent=2))
+
+            self.send_response(status if valid else 401)
+            self.end_headers()
+
+        def log_message(self, format, *args):
+            return
+
+    return WebhookHandler
+
+def main(argv):
+
+    # Port to listen on
+    port = 5000
+
+    # Secret returned when the webhook was created
+    secret = ""
+
+    # Answer with a non-2xx status to exercise retries
+    status = 200
+
+    try:
+        opts, args = getopt.getopt(argv,"hp:s:f:",["port=","secret=","status="])
+    except getopt.GetoptError:
+        usage()
+        sys.exit(2)
+    for opt, arg in opts:
+        if opt == '-h':
+             usage()
+             sys.exit()
+        elif opt in ("-p", "--port"):
+             port = int(arg)
+        elif opt in ("-s", "--secret"):
+             secret = str(arg)
+        elif opt in ("-f", "--status"):
+             status = int(arg)
+
+    server = HTTPServer(('', port), makeHandler(secret, status))
+    print("Listening for webhook deliveries on port "+str(port))
+    try:
+        server.serve_forever()
+    except KeyboardInterrupt:
+        pass
+    server.server_close()
+
+
+if __name__ == "__main__":
+     main(sys.argv[1:])
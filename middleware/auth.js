@@ -0,0 +1,194 @@
+var crypto = require('crypto');
+var jwt = require('jsonwebtoken');
+var mongoose = require('mongoose');
+var repositories = require('../repositories');
+var httpUtils = require('../utils/http');
+var apiKeys = require('../utils/apiKeys');
+var assignees = require('../utils/assignees');
+
+var createError = httpUtils.createError;
+var handleError = httpUtils.handleError;
+
+var TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1d';
+
+var tokenSecret = process.env.JWT_SECRET;
+if (!tokenSecret) {
+    console.warn('Warning: JWT_SECRET is not set. Using a random secret; issued tokens will stop working when the server restarts.');
+    tokenSecret = crypto.randomBytes(32).toString('hex');
+}
+
+function isAdmin(user) {
+    return Boolean(user) && user.role === 'admin';
+}
+
+function signToken(userDoc) {
+    return jwt.sign({ role: userDoc.role }, tokenSecret, {
+        subject: userDoc._id.toString(),
+        expiresIn: TOKEN_EXPIRES_IN
+    });
+}
+
+function readBearerToken(req) {
+    var header = req.headers.authorization;
+    if (!header) {
+        return null;
+    }
+    var match = /^Bearer\s+(\S+)$/i.exec(header);
+    if (!match) {
+        throw createError(401, 'Authorization header must use the Bearer scheme');
+    }
+    return match[1];
+}
+
+async function userForToken(token) {
+    var payload;
+    try {
+        payload = jwt.verify(token, tokenSecret);
+    } catch (err) {
+        throw createError(401, err.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token');
+    }
+    var user = mongoose.Types.ObjectId.isValid(payload.sub) ? await repositories.users.findById(payload.sub) : null;
+    if (!user) {
+        throw createError(401, 'Invalid token');
+    }
+    return user;
+}
+
+// Resolves an X-API-Key header to its key (req.apiKey) and the user it acts as
+async function authenticateApiKey(req, key) {
+    var apiKey = await apiKeys.findKey(key);
+    if (!apiKey) {
+        throw createError(401, 'Invalid API key');
+    }
+    if (apiKey.revokedAt) {
+        throw createError(401, 'API key has been revoked');
+    }
+    var user = await repositories.users.findById(apiKey.user);
+    if (!user) {
+        throw createError(401, 'The user of this API key no longer exists');
+    }
+    req.apiKey = apiKey;
+    req.user = user;
+}
+
+// Resolves the API key or bearer token (if any) to req.user. Requests without
+// either pass through anonymously; requireAuth decides whether that is
+// acceptable.
+async function authenticate(req, res, next) {
+    try {
+        var key = req.get('X-API-Key');
+        if (key) {
+            await authenticateApiKey(req, key);
+            return next();
+        }
+        var token = readBearerToken(req);
+        if (!token) {
+            return next();
+        }
+        req.user = await userForToken(token);
+        return next();
+    } catch (error) {
+        return handleError(res, error);
+    }
+}
+
+// Lets clients that cannot set headers, such as EventSource or calendar apps,
+// pass the token as ?access_token= on the routes that use this middleware.
+async function acceptQueryToken(req, res, next) {
+    try {
+        if (!req.user && typeof req.query.access_token === 'string' && req.query.access_token) {
+            req.user = await userForToken(req.query.access_token);
+        }
+        return next();
+    } catch (error) {
+        return handleError(res, error);
+    }
+}
+
+function requireAuth(req, res, next) {
+    if (!req.user) {
+        return handleError(res, createError(401, 'Authentication required'));
+    }
+    return next();
+}
+
+function requireRole(role) {
+    return function (req, res, next) {
+        if (!req.user) {
+            return handleError(res, createError(401, 'Authentication required'));
+        }
+        if (req.user.role !== role) {
+            return handleError(res, createError(403, 'You do not have permission to perform this action'));
+        }
+        return next();
+    };
+}
+
+// Regular users may only act on their own profile (/users/:id).
+function requireSelfOrAdmin(req, res, next) {
+    if (!req.user) {
+        return handleError(res, createError(401, 'Authentication required'));
+    }
+    if (!isAdmin(req.user) && req.user._id.toString() !== req.params.id) {
+        return handleError(res, createError(403, 'You can only modify your own profile'));
+    }
+    return next();
+}
+
+function ownsTask(user, taskDoc) {
+    var userId = user._id.toString();
+    return assignees.isAssignee(taskDoc, userId) || taskDoc.createdBy === userId;
+}
+
+// Regular users may only act on tasks they created or are one of the assignees
+// of (/tasks/:id). Unknown ids fall through so the handler can answer 404.
+async function requireTaskOwnerOrAdmin(req, res, next) {
+    try {
+        if (!req.user) {
+            throw createError(401, 'Authentication required');
+        }
+        if (isAdmin(req.user) || !mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return next();
+        }
+        var task = await repositories.tasks.findById(req.params.id, { select: { assignedUser: 1, assignees: 1, createdBy: 1 }, lean: true });
+        if (task && !ownsTask(req.user, task)) {
+            throw createError(403, 'You can only modify your own tasks');
+        }
+        return next();
+    } catch (error) {
+        return handleError(res, error);
+    }
+}
+
+// Only the owner of a project (or an admin) may change or delete it
+// (/projects/:id). Unknown ids fall through so the handler can answer 404.
+async function requireProjectOwnerOrAdmin(req, res, next) {
+    try {
+        if (!req.user) {
+            throw createError(401, 'Authentication required');
+        }
+        if (isAdmin(req.user) || !mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return next();
+        }
+        var project = await repositories.projects.findById(req.params.id, { select: { owner: 1 }, lean: true });
+        if (project && project.owner !== req.user._id.toString()) {
+            throw createError(403, 'You can only modify projects you own');
+        }
+        return next();
+    } catch (error) {
+        return handleError(res, error);
+    }
+}
+
+module.exports = {
+    isAdmin: isAdmin,
+    ownsTask: ownsTask,
+    signToken: signToken,
+    authenticate: authenticate,
+    acceptQueryToken: acceptQueryToken,
+    requireAuth: requireAuth,
+    requireRole: requireRole,
+    requireSelfOrAdmin: requireSelfOrAdmin,
+    requireTaskOwnerOrAdmin: requireTaskOwnerOrAdmin,
+    requireProjectOwnerOrAdmin: requireProjectOwnerOrAdmin
+};
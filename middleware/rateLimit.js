@@ -0,0 +1,44 @@
+var httpUtils = require('../utils/http');
+var rateLimit = require('../utils/rateLimit');
+
+var createError = httpUtils.createError;
+var handleError = httpUtils.handleError;
+
+// Applies the rate limit and daily quota of the API key a request was made
+// with (requests authenticated with a user token are not limited). If the
+// store fails the request is let through rather than taking the API down.
+async function limitApiKeys(req, res, next) {
+    if (!req.apiKey) {
+        return next();
+    }
+    var result;
+    try {
+        result = await rateLimit.consume(req.apiKey, new Date());
+    } catch (error) {
+        console.error('Rate limit check failed; allowing the request:', error.message);
+        return next();
+    }
+    res.set({
+        'X-RateLimit-Limit': String(result.limit),
+        'X-RateLimit-Remaining': String(result.remaining),
+        'X-RateLimit-Reset': String(result.reset)
+    });
+    if (result.dailyLimit) {
+        res.set({
+            'X-RateLimit-Daily-Limit': String(result.dailyLimit),
+            'X-RateLimit-Daily-Remaining': String(result.dailyRemaining),
+            'X-RateLimit-Daily-Reset': String(result.dailyReset)
+        });
+    }
+    if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfter));
+        return handleError(res, createError(429, result.quotaExceeded ? 'Daily quota exceeded' : 'Rate limit exceeded', {
+            retryAfter: result.retryAfter
+        }));
+    }
+    return next();
+}
+
+module.exports = {
+    limitApiKeys: limitApiKeys
+};
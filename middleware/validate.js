@@ -0,0 +1,95 @@
+var auth = require('./auth');
+var httpUtils = require('../utils/http');
+var openapi = require('../utils/openapi');
+var jsonSchema = require('../utils/jsonSchema');
+
+var createError = httpUtils.createError;
+var handleError = httpUtils.handleError;
+
+function queryErrors(req, parameters) {
+    var errors = [];
+    Object.keys(parameters || {}).forEach(function (name) {
+        var definition = parameters[name];
+        var value = req.query[name];
+        if (value === undefined) {
+            if (definition.required) {
+                errors.push({ field: name, message: 'is required' });
+            }
+            return;
+        }
+        if (typeof value !== 'string') {
+            errors.push({ field: name, message: 'must be given once, as a plain value' });
+            return;
+        }
+        if (definition.json) {
+            try {
+                value = JSON.parse(value);
+            } catch (err) {
+                errors.push({ field: name, message: 'must be valid JSON' });
+                return;
+            }
+        }
+        errors = errors.concat(jsonSchema.validate(definition.schema, value, name, { coerce: !definition.json }));
+    });
+    return errors;
+}
+
+function bodyErrors(req, operation) {
+    if (!operation.body || req.is('text/csv')) {
+        return [];
+    }
+    return jsonSchema.validate(operation.body, req.body, '', {
+        coerce: Boolean(req.is('application/x-www-form-urlencoded'))
+    });
+}
+
+// Checks the query parameters and body of every request against the OpenAPI
+// operation it matches and answers 400 with the list of field errors before
+// the handler runs. Unauthenticated or unauthorized requests are passed on
+// unchecked so they get their 401 or 403 from the route.
+function validateRequest(req, res, next) {
+    var operation = openapi.findOperation(req.method, req.path);
+    if (!operation) {
+        return next();
+    }
+    if ((operation.auth !== 'public' && !req.user) || (operation.auth === 'admin' && !auth.isAdmin(req.user))) {
+        return next();
+    }
+    var errors = queryErrors(req, operation.query).map(function (error) {
+        return Object.assign({ in: 'query' }, error);
+    }).concat(bodyErrors(req, operation).map(function (error) {
+        return Object.assign({ in: 'body' }, error);
+    }));
+    if (!errors.length) {
+        return next();
+    }
+    return handleError(res, invalidRequestError(errors));
+}
+
+function invalidRequestError(errors) {
+    var first = errors[0];
+    var message = (first.field ? '"' + first.field + '" ' : 'Request body ') + first.message;
+    if (errors.length > 1) {
+        message += ' (and ' + (errors.length - 1) + ' more)';
+    }
+    return createError(400, 'Invalid request: ' + message, { errors: errors });
+}
+
+// Throws the same 400 error as validateRequest when a JSON body does not match
+// the body schema of operation, for requests that carry other requests' bodies
+function assertValidBody(operation, body) {
+    if (!operation || !operation.body) {
+        return;
+    }
+    var errors = jsonSchema.validate(operation.body, body, '', {}).map(function (error) {
+        return Object.assign({ in: 'body' }, error);
+    });
+    if (errors.length) {
+        throw invalidRequestError(errors);
+    }
+}
+
+module.exports = {
+    validateRequest: validateRequest,
+    assertValidBody: assertValidBody
+};
@@ -0,0 +1,72 @@
+var mongoose = require('mongoose');
+
+// Keys for services that call the API. Only a hash of the key is stored; the
+// key itself is returned once, when it is issued. Requests made with a key act
+// as its user and are limited by its rate limit and daily quota.
+var ApiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'API key name is required'],
+        trim: true
+    },
+    // The user the key's requests act as
+    user: {
+        type: String,
+        required: [true, 'API key user is required']
+    },
+    // First characters of the key, to tell keys apart in listings
+    prefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    // Token bucket: up to `burst` requests at once, refilled at requestsPerMinute
+    requestsPerMinute: {
+        type: Number,
+        min: [1, 'requestsPerMinute must be at least 1'],
+        default: 60
+    },
+    burst: {
+        type: Number,
+        min: [1, 'burst must be at least 1'],
+        default: 60
+    },
+    // Requests per UTC day; 0 means unlimited
+    dailyQuota: {
+        type: Number,
+        min: [0, 'dailyQuota must not be negative'],
+        default: 10000
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    owner: {
+        type: String,
+        default: ''
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    versionKey: false
+});
+
+ApiKeySchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.keyHash;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
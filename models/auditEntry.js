@@ -0,0 +1,63 @@
+var mongoose = require('mongoose');
+
+var ChangeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    }
+}, {
+    _id: false
+});
+
+// One entry per mutation of a user, task or project, including the indirect
+// changes the assignment sync makes to the other side of a reference.
+var AuditEntrySchema = new mongoose.Schema({
+    entityType: {
+        type: String,
+        enum: ['User', 'Task', 'Project'],
+        required: [true, 'Audit entity type is required']
+    },
+    entityId: {
+        type: String,
+        required: [true, 'Audit entity id is required']
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'restore'],
+        required: [true, 'Audit action is required']
+    },
+    changes: {
+        type: [ChangeSchema],
+        default: []
+    },
+    actor: {
+        type: String,
+        default: ''
+    },
+    actorName: {
+        type: String,
+        default: 'anonymous'
+    },
+    route: {
+        type: String,
+        default: ''
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    versionKey: false
+});
+
+AuditEntrySchema.index({ entityType: 1, entityId: 1, timestamp: 1 });
+
+module.exports = mongoose.model('AuditEntry', AuditEntrySchema);
@@ -0,0 +1,78 @@
+var mongoose = require('mongoose');
+
+// Outbox of deadline reminders. The scheduler stores every reminder here
+// before it is sent, so a reminder survives restarts and is retried until it
+// is sent or runs out of attempts. dedupKey makes sure each reminder is
+// created only once, even with several server processes.
+var NotificationSchema = new mongoose.Schema({
+    user: {
+        type: String,
+        required: true
+    },
+    task: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['due_soon', 'overdue'],
+        required: true
+    },
+    dedupKey: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    // The task deadline the reminder is about
+    deadline: {
+        type: Date,
+        required: true
+    },
+    to: {
+        type: String,
+        default: ''
+    },
+    subject: {
+        type: String,
+        default: ''
+    },
+    text: {
+        type: String,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedUntil: {
+        type: Date
+    },
+    lastError: {
+        type: String,
+        default: ''
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    },
+    sentAt: {
+        type: Date
+    }
+}, {
+    versionKey: false
+});
+
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationSchema.index({ user: 1, dateCreated: -1 });
+
+module.exports = mongoose.model('Notification', NotificationSchema);
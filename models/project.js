@@ -0,0 +1,31 @@
+var mongoose = require('mongoose');
+
+var ProjectSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Project name is required'],
+        trim: true
+    },
+    description: {
+        type: String,
+        default: '',
+        trim: true
+    },
+    // Ids of the users who may be assigned the project's tasks
+    members: {
+        type: [String],
+        default: []
+    },
+    owner: {
+        type: String,
+        default: ''
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    versionKey: false
+});
+
+module.exports = mongoose.model('Project', ProjectSchema);
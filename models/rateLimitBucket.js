@@ -0,0 +1,32 @@
+var mongoose = require('mongoose');
+
+// State of one rate limit bucket for the MongoDB rate limit store, shared by
+// every server instance. _id is the limited key's id.
+var RateLimitBucketSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    tokens: {
+        type: Number
+    },
+    // UTC day ("YYYY-MM-DD") that dayCount counts requests for
+    day: {
+        type: String
+    },
+    dayCount: {
+        type: Number
+    },
+    allowed: {
+        type: Boolean
+    },
+    updatedAt: {
+        type: Date
+    }
+}, {
+    versionKey: false
+});
+
+// Buckets of keys that have not been used for two days are dropped
+RateLimitBucketSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 2 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('RateLimitBucket', RateLimitBucketSchema);
@@ -1,4 +1,47 @@
 var mongoose = require('mongoose');
+var softDelete = require('../utils/softDelete');
+var assignees = require('../utils/assignees');
+var workflow = require('../utils/workflow');
+
+var PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+var MAX_TAGS = 20;
+var MAX_TAG_LENGTH = 32;
+var MAX_ASSIGNEES = 50;
+
+// One user's share of a task
+var AssigneeSchema = new mongoose.Schema({
+    user: {
+        type: String,
+        required: [true, 'Assignee user is required']
+    },
+    name: {
+        type: String,
+        default: '',
+        trim: true
+    },
+    completed: {
+        type: Boolean,
+        default: false
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+// Tags are compared case-insensitively, so they are stored trimmed, lowercase
+// and without duplicates
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) {
+        return tags;
+    }
+    var normalized = tags.map(function (tag) {
+        return typeof tag === 'string' ? tag.trim().toLowerCase() : tag;
+    });
+    return normalized.filter(function (tag, index) {
+        return normalized.indexOf(tag) === index;
+    });
+}
 
 var TaskSchema = new mongoose.Schema({
     name: {
@@ -15,10 +58,32 @@ var TaskSchema = new mongoose.Schema({
         type: Date,
         required: [true, 'Task deadline is required']
     },
+    // Derived from status (see utils/workflow)
     completed: {
         type: Boolean,
         default: false
     },
+    // Set by the server when the task is marked completed, cleared when reopened
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    // Tasks saved before statuses existed are read as completed or initial
+    status: {
+        type: String,
+        default: function () {
+            return workflow.statusForCompleted(this.completed);
+        },
+        validate: {
+            validator: function (status) {
+                return workflow.statuses().indexOf(status) !== -1;
+            },
+            message: function () {
+                return 'Status must be one of "' + workflow.statuses().join('", "') + '"';
+            }
+        }
+    },
+    // Mirrors the first entry of assignees (see utils/assignees)
     assignedUser: {
         type: String,
         default: ''
@@ -28,13 +93,120 @@ var TaskSchema = new mongoose.Schema({
         default: 'unassigned',
         trim: true
     },
+    assignees: {
+        type: [AssigneeSchema],
+        default: [],
+        validate: [{
+            validator: function (list) {
+                return list.length <= MAX_ASSIGNEES;
+            },
+            message: 'A task can have at most ' + MAX_ASSIGNEES + ' assignees'
+        }, {
+            validator: function (list) {
+                return list.every(function (assignee, index) {
+                    return list.findIndex(function (other) {
+                        return other.user === assignee.user;
+                    }) === index;
+                });
+            },
+            message: 'A user can only be assigned to a task once'
+        }]
+    },
+    completionRule: {
+        type: String,
+        enum: {
+            values: assignees.COMPLETION_RULES,
+            message: 'Completion rule must be one of "' + assignees.COMPLETION_RULES.join('", "') + '"'
+        },
+        default: 'all'
+    },
+    priority: {
+        type: String,
+        enum: {
+            values: PRIORITIES,
+            message: 'Priority must be one of "' + PRIORITIES.join('", "') + '"'
+        },
+        default: 'normal'
+    },
+    tags: {
+        type: [String],
+        default: [],
+        set: normalizeTags,
+        validate: [{
+            validator: function (tags) {
+                return tags.length <= MAX_TAGS;
+            },
+            message: 'A task can have at most ' + MAX_TAGS + ' tags'
+        }, {
+            validator: function (tags) {
+                return tags.every(function (tag) {
+                    return tag.length > 0 && tag.length <= MAX_TAG_LENGTH && /^[a-z0-9][a-z0-9 _.-]*$/.test(tag);
+                });
+            },
+            message: 'Tags must be 1 to ' + MAX_TAG_LENGTH + ' characters of letters, digits, spaces, "_", "." or "-"'
+        }]
+    },
+    project: {
+        type: String,
+        default: ''
+    },
+    parentTask: {
+        type: String,
+        default: ''
+    },
+    blockedBy: {
+        type: [String],
+        default: []
+    },
+    recurrence: {
+        rule: {
+            type: String,
+            default: ''
+        },
+        start: {
+            type: Date
+        },
+        exceptions: {
+            type: [Date],
+            default: []
+        }
+    },
+    seriesId: {
+        type: String,
+        default: ''
+    },
+    createdBy: {
+        type: String,
+        default: ''
+    },
     dateCreated: {
         type: Date,
         default: Date.now
     }
 }, {
-    versionKey: false
+    // Bumped on every change; served as the ETag for conditional requests
+    versionKey: 'version',
+    optimisticConcurrency: true
+});
+
+// Used by GET /tasks/search; matches in the name count three times as much
+TaskSchema.index({ name: 'text', description: 'text' }, {
+    name: 'TaskTextIndex',
+    weights: { name: 3, description: 1 }
+});
+
+// Tasks saved before assignees existed get their assignedUser as the only
+// assignee when loaded, so the list is written on their next save
+TaskSchema.post('init', function (doc) {
+    if (doc.isSelected('assignees') && doc.isSelected('assignedUser') && !doc.assignees.length && doc.assignedUser) {
+        doc.assignees = assignees.assigneesOf(doc);
+    }
 });
 
+TaskSchema.statics.PRIORITIES = PRIORITIES;
+TaskSchema.statics.MAX_ASSIGNEES = MAX_ASSIGNEES;
+
+TaskSchema.plugin(softDelete);
+
 module.exports = mongoose.model('Task', TaskSchema);
 
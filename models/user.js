@@ -1,5 +1,11 @@
 // Load required packages
 var mongoose = require('mongoose');
+var bcrypt = require('bcryptjs');
+var softDelete = require('../utils/softDelete');
+
+var PASSWORD_SALT_ROUNDS = 10;
+var MIN_PASSWORD_LENGTH = 8;
+var MAX_LEAD_HOURS = 7 * 24;
 
 // Define our user schema
 var UserSchema = new mongoose.Schema({
@@ -15,17 +21,79 @@ var UserSchema = new mongoose.Schema({
         trim: true,
         lowercase: true
     },
+    password: {
+        type: String,
+        select: false
+    },
+    role: {
+        type: String,
+        enum: {
+            values: ['user', 'admin'],
+            message: 'Role must be either "user" or "admin"'
+        },
+        default: 'user'
+    },
     pendingTasks: {
         type: [String],
         default: []
     },
+    // Which deadline reminders the user receives (see utils/reminders.js)
+    notifications: {
+        dueSoon: {
+            type: Boolean,
+            default: true
+        },
+        overdue: {
+            type: Boolean,
+            default: true
+        },
+        leadHours: {
+            type: Number,
+            default: 24,
+            min: [1, 'Reminder lead time must be at least 1 hour'],
+            max: [MAX_LEAD_HOURS, 'Reminder lead time must be at most ' + MAX_LEAD_HOURS + ' hours']
+        }
+    },
     dateCreated: {
         type: Date,
         default: Date.now
     }
 }, {
-    versionKey: false
+    // Bumped on every change; served as the ETag for conditional requests
+    versionKey: 'version',
+    optimisticConcurrency: true
 });
 
+// Never send the password hash to clients, even when it was selected explicitly
+UserSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.password;
+        return ret;
+    }
+});
+
+UserSchema.methods.setPassword = async function (password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        var error = new mongoose.Error.ValidationError(this);
+        error.addError('password', new mongoose.Error.ValidatorError({
+            path: 'password',
+            message: 'Password must be at least ' + MIN_PASSWORD_LENGTH + ' characters long'
+        }));
+        throw error;
+    }
+    this.password = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+};
+
+UserSchema.methods.checkPassword = async function (password) {
+    if (!this.password || typeof password !== 'string') {
+        return false;
+    }
+    return bcrypt.compare(password, this.password);
+};
+
+UserSchema.statics.MAX_LEAD_HOURS = MAX_LEAD_HOURS;
+
 // Export the Mongoose model
+UserSchema.plugin(softDelete);
+
 module.exports = mongoose.model('User', UserSchema);
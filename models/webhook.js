@@ -0,0 +1,48 @@
+var mongoose = require('mongoose');
+
+var WebhookSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: [true, 'Webhook url is required'],
+        trim: true,
+        validate: {
+            validator: function (value) {
+                return /^https?:\/\/[^\s/]+/i.test(value);
+            },
+            message: 'Webhook url must be an http or https URL'
+        }
+    },
+    events: {
+        type: [String],
+        default: ['*']
+    },
+    // Used to sign deliveries; only returned when the webhook is created
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    owner: {
+        type: String,
+        default: ''
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    versionKey: false
+});
+
+WebhookSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.secret;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
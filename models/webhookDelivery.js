@@ -0,0 +1,59 @@
+var mongoose = require('mongoose');
+
+// Persistent log of webhook deliveries. Pending deliveries are retried with
+// exponential backoff until they succeed or run out of attempts.
+var WebhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: String,
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedUntil: {
+        type: Date
+    },
+    responseStatus: {
+        type: Number
+    },
+    lastError: {
+        type: String,
+        default: ''
+    },
+    replayOf: {
+        type: String,
+        default: ''
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    },
+    deliveredAt: {
+        type: Date
+    }
+}, {
+    versionKey: false
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, dateCreated: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,61 @@
+// Storage for the API. Handlers read and write users, tasks and projects
+// through the repositories of the configured backend instead of the Mongoose
+// models (forModel() gives the repository of any other model):
+//
+//   repositories.users.find(filter, { select, sort, skip, limit, lean, session, withDeleted })
+//
+// Every repository has findById, findOne, find, count, exists, create, save,
+// updateOne, updateMany, findOneAndUpdate, deleteOne, deleteMany and
+// aggregate, and its Mongoose model as `model`. runTransaction(fn) calls
+// fn(session) so that the writes made with that session apply together.
+//
+// STORAGE_BACKEND selects "mongo" or "memory"; without it the API uses
+// MongoDB when MONGODB_URI is set and memory otherwise.
+
+var mongo = require('./mongo');
+var memory = require('./memory');
+var User = require('../models/user');
+var Task = require('../models/task');
+var Project = require('../models/project');
+
+var BACKENDS = {
+    mongo: mongo.createBackend,
+    memory: memory.createBackend
+};
+
+var backend = null;
+
+function backendName() {
+    var name = process.env.STORAGE_BACKEND || (process.env.MONGODB_URI ? 'mongo' : 'memory');
+    if (!BACKENDS[name]) {
+        throw new Error('Unknown STORAGE_BACKEND "' + name + '"; use "mongo" or "memory"');
+    }
+    return name;
+}
+
+// Switches every repository to newBackend, e.g. a fresh memory backend per test
+function setBackend(newBackend) {
+    backend = newBackend;
+    module.exports.name = backend.name;
+    module.exports.users = backend.repository(User);
+    module.exports.tasks = backend.repository(Task);
+    module.exports.projects = backend.repository(Project);
+}
+
+function forModel(Model) {
+    return backend.repository(Model);
+}
+
+function runTransaction(fn) {
+    return backend.runTransaction(fn);
+}
+
+module.exports = {
+    createMongoBackend: mongo.createBackend,
+    createMemoryBackend: memory.createBackend,
+    setBackend: setBackend,
+    forModel: forModel,
+    runTransaction: runTransaction
+};
+
+setBackend(BACKENDS[backendName()]());
@@ -0,0 +1,454 @@
+// The in-memory backend, for demos and tests without a database. Documents
+// are kept as plain objects per model and handed out as Mongoose documents,
+// so validation, defaults, casting and toJSON() behave as with MongoDB.
+// Filters are evaluated with utils/matcher after being cast by the model, and
+// sort, select, skip and limit follow MongoDB's rules for the values the API
+// stores. Aggregations run through utils/pipeline, and $text searches are
+// scored by utils/search against the fields of the model's text index.
+//
+// Transactions run one at a time; a transaction that fails undoes the writes
+// made with its session and leaves every other write in place. Nothing is
+// persisted.
+
+var mongoose = require('mongoose');
+var matcher = require('../utils/matcher');
+var pipeline = require('../utils/pipeline');
+var search = require('../utils/search');
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+}
+
+function clone(value) {
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (isPlainObject(value)) {
+        var copy = {};
+        Object.keys(value).forEach(function (key) {
+            copy[key] = clone(value[key]);
+        });
+        return copy;
+    }
+    return value;
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce(function (value, key) {
+        return value !== null && value !== undefined ? value[key] : undefined;
+    }, object);
+}
+
+function setPath(object, path, value) {
+    var parts = path.split('.');
+    var target = object;
+    parts.slice(0, -1).forEach(function (part) {
+        if (!isPlainObject(target[part])) {
+            target[part] = {};
+        }
+        target = target[part];
+    });
+    if (value === undefined) {
+        delete target[parts[parts.length - 1]];
+    } else {
+        target[parts[parts.length - 1]] = value;
+    }
+}
+
+function idOf(value) {
+    return String(value && value._id !== undefined ? value._id : value);
+}
+
+// Turns a select object or string ("name -email +password") into the paths
+// it includes, excludes and adds to the default selection
+function parseSelect(select) {
+    var parsed = { include: [], exclude: [], force: [] };
+    if (typeof select === 'string') {
+        select.split(/\s+/).filter(Boolean).forEach(function (token) {
+            if (token.charAt(0) === '+') {
+                parsed.force.push(token.slice(1));
+            } else if (token.charAt(0) === '-') {
+                parsed.exclude.push(token.slice(1));
+            } else {
+                parsed.include.push(token);
+            }
+        });
+    } else if (select) {
+        Object.keys(select).forEach(function (path) {
+            var include = [1, '1', true].indexOf(select[path]) !== -1;
+            parsed[include ? 'include' : 'exclude'].push(path);
+        });
+    }
+    return parsed;
+}
+
+function hiddenPaths(schema) {
+    var paths = [];
+    schema.eachPath(function (path, schemaType) {
+        if (schemaType.options && schemaType.options.select === false) {
+            paths.push(path);
+        }
+    });
+    return paths;
+}
+
+// Returns the projected copy of object and the fields to hydrate it with, so
+// that Mongoose does not fill in defaults for paths that were left out
+function project(schema, object, select) {
+    var parsed = parseSelect(select);
+    var inclusive = parsed.include.some(function (path) {
+        return path !== '_id';
+    });
+    var result;
+    var fields;
+    if (inclusive) {
+        result = {};
+        fields = {};
+        parsed.include.concat(parsed.force).forEach(function (path) {
+            setPath(result, path, clone(getPath(object, path)));
+            fields[path] = 1;
+        });
+        if (parsed.exclude.indexOf('_id') === -1) {
+            result._id = object._id;
+        }
+        return { object: result, fields: fields };
+    }
+    result = clone(object);
+    fields = {};
+    hiddenPaths(schema).forEach(function (path) {
+        if (parsed.force.indexOf(path) === -1) {
+            setPath(result, path, undefined);
+            fields[path] = 0;
+        }
+    });
+    parsed.exclude.forEach(function (path) {
+        setPath(result, path, undefined);
+        fields[path] = 0;
+    });
+    return { object: result, fields: Object.keys(fields).length ? fields : undefined };
+}
+
+function duplicateKeyError(modelName, path, value) {
+    var error = new Error('E11000 duplicate key error collection: ' + modelName + ' index: ' + path + ' dup key: { ' + path + ': ' + JSON.stringify(value) + ' }');
+    error.name = 'MongoError';
+    error.code = 11000;
+    return error;
+}
+
+// Takes the $text condition out of a filter; MongoDB only allows it at the
+// top level or in a top-level $and
+function splitTextSearch(filter) {
+    var text = null;
+    var rest = {};
+    Object.keys(filter).forEach(function (key) {
+        if (key === '$text') {
+            text = filter.$text.$search;
+        } else if (key === '$and') {
+            rest.$and = filter.$and.map(function (clause) {
+                var split = splitTextSearch(clause);
+                text = text || split.text;
+                return split.filter;
+            });
+        } else {
+            rest[key] = filter[key];
+        }
+    });
+    return { filter: rest, text: text };
+}
+
+function applyUpdate(object, update) {
+    Object.keys(update).forEach(function (operator) {
+        var fields = update[operator];
+        if (operator.charAt(0) !== '$') {
+            setPath(object, operator, clone(fields));
+            return;
+        }
+        Object.keys(fields).forEach(function (path) {
+            var value = fields[path];
+            var current = getPath(object, path);
+            switch (operator) {
+            case '$set':
+                setPath(object, path, clone(value));
+                break;
+            case '$unset':
+                setPath(object, path, undefined);
+                break;
+            case '$inc':
+                setPath(object, path, (current || 0) + value);
+                break;
+            case '$push':
+                setPath(object, path, (current || []).concat([clone(value)]));
+                break;
+            case '$addToSet':
+                if (!(current || []).some(function (item) { return matcher.matches({ item: item }, { item: value }); })) {
+                    setPath(object, path, (current || []).concat([clone(value)]));
+                }
+                break;
+            case '$pull':
+                setPath(object, path, (current || []).filter(function (item) {
+                    return !matcher.matches({ item: item }, { item: value });
+                }));
+                break;
+            default:
+                throw new Error('Update operator ' + operator + ' is not supported by the in-memory backend');
+            }
+        });
+    });
+}
+
+function createRepository(Model, collection) {
+    var schema = Model.schema;
+    var versionKey = schema.options.versionKey;
+    var optimistic = Boolean(versionKey && schema.options.optimisticConcurrency);
+    var softDeletes = Boolean(schema.path('deletedAt'));
+    var textWeights = search.textIndexWeights(Model);
+    var uniquePaths = [];
+    schema.eachPath(function (path, schemaType) {
+        if (schemaType.options && schemaType.options.unique) {
+            uniquePaths.push(path);
+        }
+    });
+
+    // Casts filter like a Mongoose query would, e.g. id strings to ObjectIds
+    // and date strings to Dates, without changing the caller's object
+    function castFilter(filter) {
+        return Model.find().cast(Model, clone(filter || {}));
+    }
+
+    // False when object does not match the (cast) filter; its text score
+    // when the filter has a text search
+    function matchObject(object, filter) {
+        var split = splitTextSearch(filter);
+        if (!matcher.matches(object, split.filter)) {
+            return false;
+        }
+        return split.text === null ? true : search.textSearchScore(object, split.text, textWeights) || false;
+    }
+
+    function matching(filter, options) {
+        var cast = castFilter(filter);
+        if (softDeletes && !(options && options.withDeleted)) {
+            cast = { $and: [cast, { deletedAt: null }] };
+        }
+        var objects = [];
+        collection.documents.forEach(function (object) {
+            if (matchObject(object, cast)) {
+                objects.push(object);
+            }
+        });
+        return objects;
+    }
+
+    function output(object, options) {
+        var projected = project(schema, object, options && options.select);
+        return options && options.lean ? projected.object : Model.hydrate(projected.object, projected.fields);
+    }
+
+    function select(filter, options) {
+        options = options || {};
+        var objects = pipeline.sortObjects(matching(filter, options), options.sort);
+        var start = options.skip || 0;
+        objects = objects.slice(start, options.limit ? start + options.limit : undefined);
+        return objects.map(function (object) {
+            return output(object, options);
+        });
+    }
+
+    function assertUnique(object) {
+        uniquePaths.forEach(function (path) {
+            var value = getPath(object, path);
+            if (value === undefined || value === null) {
+                return;
+            }
+            var filter = {};
+            filter[path] = value;
+            collection.documents.forEach(function (other) {
+                if (idOf(other) !== idOf(object) && matcher.matches(other, filter)) {
+                    throw duplicateKeyError(Model.modelName, path, value);
+                }
+            });
+        });
+    }
+
+    // Remembers what was stored under id before a write made in a transaction,
+    // so that the transaction can put it back if it fails
+    function track(options, id) {
+        var session = options && options.session;
+        if (session) {
+            session.undo.push({ documents: collection.documents, id: id, object: collection.documents.get(id) });
+        }
+    }
+
+    // Stores a new document whole and only the changed paths of an existing
+    // one, like MongoDB's save() does
+    async function save(doc, options) {
+        var id = idOf(doc);
+        await doc.validate();
+        var stored;
+        if (doc.isNew) {
+            if (collection.documents.has(id)) {
+                throw duplicateKeyError(Model.modelName, '_id', id);
+            }
+            stored = doc.toObject({ depopulate: true, transform: false, virtuals: false, getters: false });
+            if (versionKey && stored[versionKey] === undefined) {
+                stored[versionKey] = 0;
+            }
+        } else {
+            var current = collection.documents.get(id);
+            if (!current || (optimistic && current[versionKey] !== doc.get(versionKey))) {
+                throw new mongoose.Error.VersionError(doc, doc.get(versionKey), doc.modifiedPaths());
+            }
+            var changed = doc.directModifiedPaths();
+            if (!changed.length) {
+                return doc;
+            }
+            stored = clone(current);
+            changed.forEach(function (path) {
+                var value = doc.get(path);
+                setPath(stored, path, value && typeof value.toObject === 'function'
+                    ? value.toObject({ depopulate: true, transform: false, virtuals: false })
+                    : clone(value));
+            });
+            if (optimistic) {
+                stored[versionKey] = current[versionKey] + 1;
+            }
+        }
+        stored = clone(stored);
+        assertUnique(stored);
+        track(options, id);
+        collection.documents.set(id, stored);
+        if (versionKey) {
+            doc.set(versionKey, stored[versionKey]);
+        }
+        doc.isNew = false;
+        doc.$__reset();
+        return doc;
+    }
+
+    function updateObjects(objects, update, options) {
+        objects.forEach(function (object) {
+            var updated = clone(object);
+            applyUpdate(updated, update);
+            assertUnique(updated);
+            track(options, idOf(object));
+            collection.documents.set(idOf(object), updated);
+        });
+        return { n: objects.length, nModified: objects.length, ok: 1 };
+    }
+
+    function remove(objects, options) {
+        objects.forEach(function (object) {
+            track(options, idOf(object));
+            collection.documents.delete(idOf(object));
+        });
+        return { n: objects.length, deletedCount: objects.length, ok: 1 };
+    }
+
+    return {
+        model: Model,
+        findById: async function (id, options) {
+            return select({ _id: id }, Object.assign({}, options, { limit: 1 }))[0] || null;
+        },
+        findOne: async function (filter, options) {
+            return select(filter, Object.assign({}, options, { limit: 1 }))[0] || null;
+        },
+        find: async function (filter, options) {
+            return select(filter, options);
+        },
+        count: async function (filter, options) {
+            return matching(filter, options).length;
+        },
+        exists: async function (filter, options) {
+            return matching(filter, options).length > 0;
+        },
+        create: async function (data, options) {
+            var docs = (Array.isArray(data) ? data : [data]).map(function (item) {
+                return new Model(item);
+            });
+            for (var i = 0; i < docs.length; i += 1) {
+                await save(docs[i], options);
+            }
+            return Array.isArray(data) ? docs : docs[0];
+        },
+        save: save,
+        updateOne: async function (filter, update, options) {
+            return updateObjects(matching(filter, options).slice(0, 1), update, options);
+        },
+        updateMany: async function (filter, update, options) {
+            return updateObjects(matching(filter, options), update, options);
+        },
+        findOneAndUpdate: async function (filter, update, options) {
+            var object = matching(filter, options)[0];
+            if (!object) {
+                return null;
+            }
+            updateObjects([object], update, options);
+            return output(options && options.new ? collection.documents.get(idOf(object)) : object, options);
+        },
+        // Like MongoDB's, deletes also remove documents that are in the trash
+        deleteOne: async function (filter, options) {
+            return remove(matching(filter, { withDeleted: true }).slice(0, 1), options);
+        },
+        deleteMany: async function (filter, options) {
+            return remove(matching(filter, { withDeleted: true }), options);
+        },
+        // Like the soft delete plugin's hook, leaves out documents in the trash
+        aggregate: async function (stages) {
+            return pipeline.run(matching({}), stages, { match: matchObject }).map(clone);
+        }
+    };
+}
+
+function createBackend() {
+    var collections = new Map();
+    var repositories = new Map();
+    var queue = Promise.resolve();
+
+    function collectionFor(modelName) {
+        if (!collections.has(modelName)) {
+            collections.set(modelName, { documents: new Map() });
+        }
+        return collections.get(modelName);
+    }
+
+    // Runs fn(session) after every earlier transaction has finished and, if
+    // it fails, undoes the writes made with that session, latest first
+    function runTransaction(fn) {
+        var run = queue.then(async function () {
+            var session = { undo: [] };
+            try {
+                return await fn(session);
+            } catch (error) {
+                session.undo.reverse().forEach(function (entry) {
+                    if (entry.object === undefined) {
+                        entry.documents.delete(entry.id);
+                    } else {
+                        entry.documents.set(entry.id, entry.object);
+                    }
+                });
+                throw error;
+            }
+        });
+        queue = run.catch(function () {});
+        return run;
+    }
+
+    return {
+        name: 'memory',
+        repository: function (Model) {
+            if (!repositories.has(Model.modelName)) {
+                repositories.set(Model.modelName, createRepository(Model, collectionFor(Model.modelName)));
+            }
+            return repositories.get(Model.modelName);
+        },
+        runTransaction: runTransaction
+    };
+}
+
+module.exports = {
+    createBackend: createBackend
+};
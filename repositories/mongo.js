@@ -0,0 +1,125 @@
+// The MongoDB backend: repositories that run every call as a Mongoose query.
+
+var mongoose = require('mongoose');
+
+var TRANSACTION_UNSUPPORTED_CODE = 20;
+
+// Applies the options shared by the repository methods to a Mongoose query
+function applyOptions(query, options) {
+    options = options || {};
+    if (options.withDeleted) {
+        query = query.withDeleted();
+    }
+    if (options.select) {
+        query = query.select(options.select);
+    }
+    if (options.sort) {
+        query = query.sort(options.sort);
+    }
+    if (options.skip !== undefined) {
+        query = query.skip(options.skip);
+    }
+    if (options.limit !== undefined) {
+        query = query.limit(options.limit);
+    }
+    if (options.lean) {
+        query = query.lean();
+    }
+    return query.session(options.session || null);
+}
+
+function createRepository(Model) {
+    return {
+        model: Model,
+        findById: function (id, options) {
+            return applyOptions(Model.findById(id), options).exec();
+        },
+        findOne: function (filter, options) {
+            return applyOptions(Model.findOne(filter), options).exec();
+        },
+        find: function (filter, options) {
+            return applyOptions(Model.find(filter), options).exec();
+        },
+        count: function (filter, options) {
+            return applyOptions(Model.countDocuments(filter), options).exec();
+        },
+        exists: async function (filter, options) {
+            var found = await applyOptions(Model.findOne(filter), Object.assign({}, options, { select: { _id: 1 }, lean: true })).exec();
+            return Boolean(found);
+        },
+        create: function (data, options) {
+            return Model.create(data, { session: (options && options.session) || null });
+        },
+        save: function (doc, options) {
+            return doc.save({ session: (options && options.session) || null });
+        },
+        updateOne: function (filter, update, options) {
+            return applyOptions(Model.updateOne(filter, update), options).exec();
+        },
+        updateMany: function (filter, update, options) {
+            return applyOptions(Model.updateMany(filter, update), options).exec();
+        },
+        // options.new resolves to the updated document instead of the original
+        findOneAndUpdate: function (filter, update, options) {
+            return applyOptions(Model.findOneAndUpdate(filter, update, { new: Boolean(options && options.new) }), options).exec();
+        },
+        deleteOne: function (filter, options) {
+            return Model.deleteOne(filter, { session: (options && options.session) || null });
+        },
+        deleteMany: function (filter, options) {
+            return Model.deleteMany(filter, { session: (options && options.session) || null });
+        },
+        aggregate: function (pipeline) {
+            return Model.aggregate(pipeline).exec();
+        }
+    };
+}
+
+function isTransactionUnsupportedError(error) {
+    return error && (error.code === TRANSACTION_UNSUPPORTED_CODE || /Transaction numbers are only allowed/.test(error.message || ''));
+}
+
+function createBackend() {
+    var repositories = new Map();
+    var transactionsSupported = true;
+
+    // Runs fn(session) in a transaction. Standalone servers cannot run
+    // transactions; there fn runs without a session after a warning.
+    async function runTransaction(fn) {
+        if (!transactionsSupported) {
+            return fn(null);
+        }
+        var session = await mongoose.startSession();
+        var result;
+        try {
+            await session.withTransaction(async function () {
+                result = await fn(session);
+            });
+        } catch (error) {
+            if (!isTransactionUnsupportedError(error)) {
+                throw error;
+            }
+            transactionsSupported = false;
+            console.warn('Warning: MongoDB transactions are not supported by this server; running without them.');
+            return fn(null);
+        } finally {
+            session.endSession();
+        }
+        return result;
+    }
+
+    return {
+        name: 'mongo',
+        repository: function (Model) {
+            if (!repositories.has(Model.modelName)) {
+                repositories.set(Model.modelName, createRepository(Model));
+            }
+            return repositories.get(Model.modelName);
+        },
+        runTransaction: runTransaction
+    };
+}
+
+module.exports = {
+    createBackend: createBackend
+};
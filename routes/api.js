@@ -1,149 +1,360 @@
 var mongoose = require('mongoose');
 var User = require('../models/user');
 var Task = require('../models/task');
+var Project = require('../models/project');
+var httpUtils = require('../utils/http');
+var auth = require('../middleware/auth');
+var listing = require('../utils/listing');
+var pagination = require('../utils/pagination');
+var expand = require('../utils/expand');
+var queryValidator = require('../utils/queryValidator');
+var audit = require('../utils/audit');
+var taskGraph = require('../utils/taskGraph');
+var assignees = require('../utils/assignees');
+var workflow = require('../utils/workflow');
+var recurrence = require('../utils/recurrence');
+var events = require('../utils/events');
+var search = require('../utils/search');
+var csv = require('../utils/csv');
+var ical = require('../utils/ical');
+var trash = require('../utils/trash');
+var repositories = require('../repositories');
+var AuditEntry = require('../models/auditEntry');
+var validate = require('../middleware/validate');
+var openapi = require('../utils/openapi');
 
-function createError(status, message, data) {
-    var error = new Error(message);
-    error.status = status;
-    error.data = data || {};
-    return error;
-}
+var createError = httpUtils.createError;
+var sendResponse = httpUtils.sendResponse;
+var sendDocument = httpUtils.sendDocument;
+var assertIfMatch = httpUtils.assertIfMatch;
+var handleError = httpUtils.handleError;
+var parseJSONParam = listing.parseJSONParam;
+var parseNumberParam = listing.parseNumberParam;
+var parseBoolean = listing.parseBoolean;
+var parseDateValue = listing.parseDateValue;
+var buildQueryOptions = listing.buildQueryOptions;
+var sendList = listing.sendList;
 
-function sendResponse(res, status, message, data) {
-    res.status(status).json({
-        message: message,
-        data: data
-    });
+// Fields and operators clients may use in where/sort/select, per model
+var userQueryPolicy = queryValidator.createQueryPolicy(User);
+var taskQueryPolicy = queryValidator.createQueryPolicy(Task);
+var projectQueryPolicy = queryValidator.createQueryPolicy(Project);
+var auditQueryPolicy = queryValidator.createQueryPolicy(AuditEntry);
+
+// Lists the audit entries of one user or task, oldest first unless the client
+// sorts otherwise. Accepts the same parameters as the list endpoints.
+async function sendHistory(req, res, entityType) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        throw createError(404, entityType + ' not found');
+    }
+    var queryOptions = buildQueryOptions(req, { defaultLimit: 100, policy: auditQueryPolicy });
+    queryOptions.filter = {
+        $and: [queryOptions.filter, { entityType: entityType, entityId: req.params.id }]
+    };
+    queryOptions.sort = queryOptions.sort || { timestamp: 1 };
+    return sendList(req, res, repositories.forModel(AuditEntry), queryOptions);
 }
 
-function handleError(res, error) {
-    if (error.status) {
-        return sendResponse(res, error.status, error.message, error.data || {});
+// Accepts a list of tags or a single comma-separated string
+function normalizeTagList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
     }
-    if (error.name === 'ValidationError') {
-        return sendResponse(res, 400, error.message, {});
+    if (typeof value === 'string') {
+        return value.split(',').filter(function (tag) {
+            return tag.trim();
+        });
     }
-    if (error.name === 'CastError') {
-        return sendResponse(res, 400, 'Invalid value for field "' + error.path + '"', {});
+    if (!Array.isArray(value)) {
+        throw createError(400, 'Tags must be an array of strings');
     }
-    console.error(error);
-    return sendResponse(res, 500, 'Internal server error', {});
+    return value;
 }
 
-function parseJSONParam(value, paramName) {
-    if (value === undefined) {
-        return undefined;
-    }
-    try {
-        return JSON.parse(value);
-    } catch (err) {
-        throw createError(400, 'Invalid JSON in "' + paramName + '" parameter');
+// Counts the tasks matching filter per tag, priority, status, completion state
+// and assignee in a single aggregation. A task with several assignees counts
+// once for each. Tags and assignees are limited to the bucketLimit most
+// frequent values; every priority, status and completion state is listed.
+async function countTaskFacets(filter, bucketLimit) {
+    var result = await repositories.tasks.aggregate([
+        { $match: Task.find().cast(Task, filter) },
+        {
+            $facet: {
+                total: [{ $count: 'count' }],
+                tags: [
+                    { $unwind: '$tags' },
+                    { $group: { _id: '$tags', count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: bucketLimit }
+                ],
+                // Tasks saved before priorities existed count as "normal"
+                priority: [{ $group: { _id: { $ifNull: ['$priority', 'normal'] }, count: { $sum: 1 } } }],
+                status: [{ $group: { _id: workflow.statusExpression(), count: { $sum: 1 } } }],
+                completed: [{ $group: { _id: '$completed', count: { $sum: 1 } } }],
+                assignedUser: [
+                    { $project: { assignees: assignees.ASSIGNEES_EXPRESSION } },
+                    { $unwind: { path: '$assignees', preserveNullAndEmptyArrays: true } },
+                    { $group: { _id: { $ifNull: ['$assignees.user', ''] }, name: { $first: '$assignees.name' }, count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: bucketLimit }
+                ]
+            }
+        }
+    ]);
+    var facets = result[0];
+
+    function countOf(buckets, value) {
+        var bucket = buckets.find(function (item) {
+            return item._id === value;
+        });
+        return bucket ? bucket.count : 0;
     }
+
+    return {
+        total: facets.total.length ? facets.total[0].count : 0,
+        tags: facets.tags.map(function (bucket) {
+            return { value: bucket._id, count: bucket.count };
+        }),
+        priority: Task.PRIORITIES.map(function (priority) {
+            return { value: priority, count: countOf(facets.priority, priority) };
+        }),
+        status: workflow.statuses().map(function (status) {
+            return { value: status, count: countOf(facets.status, status) };
+        }),
+        completed: [true, false].map(function (value) {
+            return { value: value, count: countOf(facets.completed, value) };
+        }),
+        assignedUser: facets.assignedUser.map(function (bucket) {
+            return {
+                value: bucket._id || '',
+                name: bucket._id ? bucket.name : 'unassigned',
+                count: bucket.count
+            };
+        })
+    };
 }
 
-function parseNumberParam(value, paramName) {
-    if (value === undefined) {
-        return undefined;
-    }
-    var parsed = Number(value);
-    if (!Number.isInteger(parsed) || parsed < 0) {
-        throw createError(400, 'Parameter "' + paramName + '" must be a non-negative integer');
-    }
-    return parsed;
+var EXPORT_FORMATS = ['json', 'csv', 'ics'];
+var EXPORT_COLUMNS = [
+    '_id', 'name', 'description', 'deadline', 'status', 'completed', 'completedAt', 'priority', 'tags',
+    'assignedUser', 'assignedUserName', 'assignedUserEmail', 'assigneeEmails', 'completionRule', 'project', 'dateCreated'
+];
+var MAX_EXPORT_TASKS = 10000;
+var MAX_IMPORT_ROWS = 1000;
+
+// Plain rows for export. The assignees' emails are included so that imports
+// into another environment can resolve the assignments.
+async function exportRows(tasks) {
+    var userIds = [];
+    tasks.forEach(function (task) {
+        assignees.assigneeIds(task).forEach(function (userId) {
+            if (mongoose.Types.ObjectId.isValid(userId) && userIds.indexOf(userId) === -1) {
+                userIds.push(userId);
+            }
+        });
+    });
+    var users = await repositories.users.find({ _id: { $in: userIds } }, { select: { email: 1 }, lean: true });
+    var emails = {};
+    users.forEach(function (user) {
+        emails[user._id.toString()] = user.email;
+    });
+    return tasks.map(function (task) {
+        return {
+            _id: task._id.toString(),
+            name: task.name,
+            description: task.description,
+            deadline: task.deadline,
+            status: workflow.statusOf(task),
+            completed: task.completed,
+            completedAt: task.completedAt || null,
+            priority: task.priority || 'normal',
+            tags: task.tags || [],
+            assignedUser: task.assignedUser,
+            assignedUserName: task.assignedUserName,
+            assignedUserEmail: emails[task.assignedUser] || '',
+            assigneeEmails: assignees.assigneeIds(task).map(function (userId) {
+                return emails[userId] || '';
+            }).filter(Boolean),
+            completionRule: task.completionRule || 'all',
+            project: task.project || '',
+            dateCreated: task.dateCreated
+        };
+    });
 }
 
-function parseCountParam(value) {
-    if (value === undefined) {
-        return false;
+// Reads the rows of an import body: CSV text or a JSON array of tasks, which
+// may also be wrapped as {"data": [...]} like the list responses.
+function importRows(req) {
+    var rows;
+    if (req.is('text/csv')) {
+        rows = csv.parse(req.body);
+    } else if (Array.isArray(req.body)) {
+        rows = req.body;
+    } else if (req.body && Array.isArray(req.body.data)) {
+        rows = req.body.data;
+    } else {
+        throw createError(400, 'Import body must be CSV (text/csv) or a JSON array of tasks');
     }
-    if (typeof value === 'boolean') {
-        return value;
+    if (!rows.length) {
+        throw createError(400, 'Import contains no tasks');
     }
-    if (typeof value === 'string') {
-        return value.toLowerCase() === 'true';
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw createError(400, 'Import may contain at most ' + MAX_IMPORT_ROWS + ' tasks');
     }
-    return false;
+    return rows;
 }
 
-function parseBoolean(value, defaultValue) {
-    if (value === undefined || value === null) {
-        return defaultValue;
-    }
-    if (typeof value === 'boolean') {
-        return value;
+function rowError(field, error) {
+    return { field: field, message: error.message };
+}
+
+// The assigneeEmails of an import row: a list or a comma-separated string
+function importEmails(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
     }
-    if (typeof value === 'string') {
-        var lower = value.toLowerCase();
-        if (lower === 'true') {
-            return true;
-        }
-        if (lower === 'false') {
-            return false;
-        }
+    var list = typeof value === 'string' ? value.split(',') : value;
+    if (!Array.isArray(list)) {
+        return [];
     }
-    return Boolean(value);
+    return list.map(function (email) {
+        return typeof email === 'string' ? email.trim().toLowerCase() : '';
+    }).filter(function (email, index, all) {
+        return email && all.indexOf(email) === index;
+    });
 }
 
-function parseDateValue(value, fieldName) {
-    if (value === undefined || value === null || value === '') {
-        return undefined;
+// Builds an unsaved task from an import row, collecting every problem with the
+// row instead of stopping at the first. lookups holds the users the rows refer
+// to (see importLookups).
+async function prepareImportRow(row, lookups, actor) {
+    var errors = [];
+    if (!isPlainObject(row)) {
+        return { errors: [{ field: '', message: 'Row must be an object' }] };
     }
-    // Accept both ISO strings and millisecond timestamps (number or numeric string)
-    var date;
-    if (typeof value === 'number') {
-        date = new Date(value);
-    } else if (typeof value === 'string') {
-        // Try parsing as numeric timestamp first (including floats and scientific notation)
-        var numValue = Number(value);
-        if (!isNaN(numValue) && isFinite(numValue)) {
-            date = new Date(numValue);
+
+    var userDocs = [];
+    var assigneeEmails = importEmails(row.assigneeEmails);
+    var email = typeof row.assignedUserEmail === 'string' ? row.assignedUserEmail.trim().toLowerCase() : '';
+    var assignedUserId = row.assignedUser ? String(row.assignedUser) : '';
+    if (assigneeEmails.length) {
+        assigneeEmails.forEach(function (assigneeEmail) {
+            if (lookups.usersByEmail[assigneeEmail]) {
+                userDocs.push(lookups.usersByEmail[assigneeEmail]);
+            } else {
+                errors.push({ field: 'assigneeEmails', message: 'No user has the email "' + assigneeEmail + '"' });
+            }
+        });
+    } else if (email) {
+        if (lookups.usersByEmail[email]) {
+            userDocs.push(lookups.usersByEmail[email]);
         } else {
-            // Try parsing as ISO date string
-            date = new Date(value);
+            errors.push({ field: 'assignedUserEmail', message: 'No user has the email "' + email + '"' });
+        }
+    } else if (assignedUserId) {
+        if (lookups.usersById[assignedUserId]) {
+            userDocs.push(lookups.usersById[assignedUserId]);
+        } else {
+            errors.push({ field: 'assignedUser', message: 'Assigned user does not exist' });
         }
-    } else {
-        date = new Date(value);
-    }
-    if (Number.isNaN(date.getTime())) {
-        throw createError(400, 'Invalid date supplied for "' + fieldName + '"');
     }
-    return date;
-}
+    userDocs.forEach(function (userDoc) {
+        try {
+            assertCanAssign(actor, userDoc._id.toString());
+        } catch (error) {
+            errors.push(rowError('assignedUser', error));
+        }
+    });
 
-function buildQueryOptions(req, options) {
-    options = options || {};
-    var filter = parseJSONParam(req.query.where, 'where') || {};
-    var sort = parseJSONParam(req.query.sort, 'sort');
-    var selectParamName = req.query.select !== undefined ? 'select' : (req.query.filter !== undefined ? 'filter' : 'select');
-    var selectValue = req.query.select !== undefined ? req.query.select : req.query.filter;
-    var select = parseJSONParam(selectValue, selectParamName);
-    var skip = parseNumberParam(req.query.skip, 'skip');
-    var limit = parseNumberParam(req.query.limit, 'limit');
-    var count = parseCountParam(req.query.count);
+    var project = null;
+    try {
+        project = await resolveTaskProject(row.project, '', actor, null);
+        userDocs.forEach(function (userDoc) {
+            assertProjectMember(project, userDoc._id.toString());
+        });
+    } catch (error) {
+        errors.push(rowError('project', error));
+    }
 
-    if (count && select) {
-        throw createError(400, 'Cannot use "select" parameter when "count" is true');
+    var deadline;
+    try {
+        deadline = parseDateValue(row.deadline, 'deadline');
+    } catch (error) {
+        errors.push(rowError('deadline', error));
+    }
+    var tags;
+    try {
+        tags = normalizeTagList(row.tags);
+    } catch (error) {
+        errors.push(rowError('tags', error));
     }
 
-    if (!count) {
-        if (limit === undefined && options.defaultLimit !== undefined) {
-            limit = options.defaultLimit;
+    // A status takes precedence over the completed column
+    var status;
+    if (row.status !== undefined && row.status !== '') {
+        try {
+            workflow.assertKnownStatus(row.status);
+            status = row.status;
+        } catch (error) {
+            errors.push(rowError('status', error));
         }
-    } else {
-        limit = undefined;
     }
+    var completed = status
+        ? workflow.isCompleted(status)
+        : parseBoolean(row.completed === '' ? undefined : row.completed, false);
+    var task = new Task({
+        name: row.name,
+        description: row.description === undefined ? '' : row.description,
+        deadline: deadline,
+        status: status || workflow.statusForCompleted(completed),
+        completed: completed,
+        completionRule: row.completionRule === '' ? undefined : row.completionRule,
+        priority: row.priority === '' ? undefined : row.priority,
+        tags: tags,
+        project: project ? project._id.toString() : '',
+        createdBy: actor._id.toString()
+    });
+    task.completedAt = completed ? task.dateCreated : null;
+    assignees.setAssignees(task, userDocs.map(function (userDoc) {
+        return { user: userDoc._id.toString(), name: userDoc.name, completed: completed, completedAt: task.completedAt };
+    }));
+    var validation = task.validateSync();
+    if (validation) {
+        Object.keys(validation.errors).forEach(function (path) {
+            // Date problems were already reported by parseDateValue
+            if (path !== 'deadline' || deadline !== undefined) {
+                errors.push(rowError(path, validation.errors[path]));
+            }
+        });
+    }
+    return { task: task, errors: errors };
+}
 
-    return {
-        filter: filter,
-        sort: sort,
-        select: select,
-        skip: skip,
-        limit: limit,
-        count: count
-    };
+async function importLookups(rows) {
+    var emails = [];
+    var userIds = [];
+    rows.forEach(function (row) {
+        if (!isPlainObject(row)) {
+            return;
+        }
+        emails = emails.concat(importEmails(row.assigneeEmails));
+        if (typeof row.assignedUserEmail === 'string' && row.assignedUserEmail.trim()) {
+            emails.push(row.assignedUserEmail.trim().toLowerCase());
+        } else if (row.assignedUser && mongoose.Types.ObjectId.isValid(String(row.assignedUser))) {
+            userIds.push(String(row.assignedUser));
+        }
+    });
+    var users = await repositories.users.find({ $or: [{ email: { $in: emails } }, { _id: { $in: userIds } }] });
+    var lookups = { usersByEmail: {}, usersById: {} };
+    users.forEach(function (user) {
+        lookups.usersByEmail[user.email] = user;
+        lookups.usersById[user._id.toString()] = user;
+    });
+    return lookups;
 }
 
-function normalizeIdArray(values, fieldName) {
+// kind names the referenced model in errors ("task" unless given)
+function normalizeIdArray(values, fieldName, kind) {
     if (values === undefined || values === null) {
         return [];
     }
@@ -156,312 +367,1992 @@ function normalizeIdArray(values, fieldName) {
     var unique = Array.from(new Set(cleaned));
     unique.forEach(function (id) {
         if (!mongoose.Types.ObjectId.isValid(id)) {
-            throw createError(400, 'Invalid task id in "' + fieldName + '" array');
+            throw createError(400, 'Invalid ' + (kind || 'task') + ' id in "' + fieldName + '" array');
         }
     });
     return unique;
 }
 
-async function ensureTasksExist(taskIds) {
+var DEFAULT_FACET_LIMIT = 50;
+var MAX_FACET_LIMIT = 500;
+var DEFAULT_GRAPH_DEPTH = 10;
+var MAX_GRAPH_DEPTH = 25;
+var MAX_GRAPH_NODES = 1000;
+var DEFAULT_OCCURRENCE_LIMIT = 10;
+var MAX_OCCURRENCE_LIMIT = 100;
+var MAX_OCCURRENCE_AFTER_MS = 10 * 365 * 24 * 60 * 60 * 1000;
+var BATCH_MODES = ['atomic', 'continue'];
+var MAX_BATCH_OPERATIONS = 1000;
+var BATCH_REF_PREFIX = '$ref:';
+var BATCH_REF_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+var BATCH_PATH_PATTERN = /^\/?(users|tasks)(?:\/([^/]+))?\/?$/;
+
+// Per-request state threaded through the sync helpers: the transaction session
+// and, for the audit log, who is making the change and through which route.
+function mutationContext(req, session) {
+    return {
+        session: session || null,
+        actor: req.user || null,
+        route: req.method + ' ' + req.baseUrl + (req.route ? req.route.path : req.path),
+        events: []
+    };
+}
+
+// Runs fn(ctx) inside a storage transaction so multi-document updates to
+// users and tasks either all apply or none do; ctx is the mutation context of
+// req. The callback may be retried on transient errors, so it must load the
+// documents it modifies itself. Change events queued on ctx are published
+// after the commit.
+async function runInTransaction(req, fn) {
+    var ctx;
+    var result = await repositories.runTransaction(function (session) {
+        ctx = mutationContext(req, session);
+        return fn(ctx);
+    });
+    events.publish(ctx.events);
+    return result;
+}
+
+async function ensureTasksExist(taskIds, session) {
     if (!taskIds.length) {
         return [];
     }
-    var tasks = await Task.find({ _id: { $in: taskIds } });
+    var tasks = await repositories.tasks.find({ _id: { $in: taskIds } }, { session: session });
     if (tasks.length !== taskIds.length) {
         throw createError(400, 'One or more tasks in pendingTasks do not exist');
     }
     return tasks;
 }
 
-async function removeTaskFromUser(taskId, userId) {
+async function ensureUsersExist(userIds, session) {
+    if (!userIds.length) {
+        return [];
+    }
+    var users = await repositories.users.find({ _id: { $in: userIds } }, { session: session });
+    if (users.length !== userIds.length) {
+        throw createError(400, 'One or more users in members do not exist');
+    }
+    return users;
+}
+
+// Tasks that belong to a project may only be assigned to its members
+function assertProjectMember(project, userId) {
+    if (project && userId && project.members.indexOf(userId) === -1) {
+        throw createError(400, 'Assigned user is not a member of the task\'s project');
+    }
+}
+
+// Checks that userId may take the given tasks into pendingTasks
+async function assertMemberOfTaskProjects(tasks, userId, session) {
+    var projectIds = tasks.map(function (task) {
+        return task.project;
+    }).filter(Boolean);
+    if (!projectIds.length) {
+        return;
+    }
+    var projects = await repositories.projects.find({ _id: { $in: projectIds } }, { session: session });
+    projects.forEach(function (project) {
+        if (project.members.indexOf(userId) === -1) {
+            throw createError(400, 'User is not a member of project "' + project.name + '"');
+        }
+    });
+}
+
+// Resolves the project a task belongs to after an update; value undefined keeps
+// the current one. Moving a task into a project requires the actor to be a
+// member of it, unless they are an admin.
+async function resolveTaskProject(value, currentProjectId, actor, session) {
+    var projectId = value === undefined ? currentProjectId : (value ? String(value) : '');
+    if (!projectId) {
+        return null;
+    }
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+        throw createError(400, 'Invalid project id in project');
+    }
+    var project = await repositories.projects.findById(projectId, { session: session });
+    if (!project) {
+        throw createError(400, 'Project does not exist');
+    }
+    if (projectId !== currentProjectId && actor && !auth.isAdmin(actor) &&
+        project.members.indexOf(actor._id.toString()) === -1) {
+        throw createError(403, 'You can only add tasks to projects you are a member of');
+    }
+    return project;
+}
+
+// Applies a $pull/$addToSet of taskId to the user's pendingTasks. The user is
+// only updated (and their version bumped) when the list actually changes.
+async function updateUserPendingTasks(userId, update, taskId, ctx) {
+    var filter = { _id: userId, pendingTasks: update.$addToSet ? { $ne: taskId } : taskId };
+    var previous = await repositories.users.findOneAndUpdate(filter, Object.assign({ $inc: { version: 1 } }, update), {
+        session: ctx.session
+    });
+    if (!previous) {
+        return;
+    }
+    var before = audit.snapshot(previous);
+    var pending = before.pendingTasks.filter(function (id) { return id !== taskId; });
+    if (update.$addToSet) {
+        pending = before.pendingTasks.indexOf(taskId) === -1 ? before.pendingTasks.concat([taskId]) : before.pendingTasks;
+    }
+    await audit.record(ctx, 'User', userId, before, Object.assign({}, before, { pendingTasks: pending }));
+}
+
+async function removeTaskFromUser(taskId, userId, ctx) {
     if (!userId) {
         return;
     }
-    await User.updateOne({ _id: userId }, { $pull: { pendingTasks: taskId } });
+    await updateUserPendingTasks(userId, { $pull: { pendingTasks: taskId } }, taskId, ctx);
 }
 
-async function addTaskToUser(taskId, userId) {
+async function addTaskToUser(taskId, userId, ctx) {
     if (!userId) {
         return;
     }
-    await User.updateOne({ _id: userId }, { $addToSet: { pendingTasks: taskId } });
+    await updateUserPendingTasks(userId, { $addToSet: { pendingTasks: taskId } }, taskId, ctx);
+}
+
+// Adds the task to the pendingTasks of the assignees with an open share and
+// removes it from everyone else's, including the users in previousUserIds who
+// are no longer assigned
+async function syncAssigneePendingTasks(task, previousUserIds, ctx) {
+    var taskId = task._id.toString();
+    var openUserIds = assignees.openAssigneeIds(task);
+    var userIds = (previousUserIds || []).concat(assignees.assigneeIds(task)).filter(function (userId, index, all) {
+        return all.indexOf(userId) === index;
+    });
+    for (var i = 0; i < userIds.length; i += 1) {
+        if (openUserIds.indexOf(userIds[i]) !== -1) {
+            await addTaskToUser(taskId, userIds[i], ctx);
+        } else {
+            await removeTaskFromUser(taskId, userIds[i], ctx);
+        }
+    }
+}
+
+// Removes userId from the assignees of every task matching filter, records one
+// audit entry per task and resolves to the tasks. Their pendingTasks are left
+// to the caller.
+async function unassignTasks(filter, userId, ctx) {
+    var tasks = await repositories.tasks.find({ $and: [filter, assignees.assignedToFilter(userId)] }, { session: ctx.session });
+    for (var i = 0; i < tasks.length; i += 1) {
+        var before = audit.snapshot(tasks[i]);
+        assignees.setAssignees(tasks[i], assignees.assigneesOf(tasks[i]).filter(function (assignee) {
+            return assignee.user !== userId;
+        }));
+        await repositories.tasks.save(tasks[i], { session: ctx.session });
+        await audit.record(ctx, 'Task', tasks[i]._id, before, audit.snapshot(tasks[i]));
+    }
+    return tasks;
+}
+
+// Unassigns a former member from the tasks of a project
+async function unassignProjectTasks(projectId, userId, ctx) {
+    var tasks = await unassignTasks({ project: projectId }, userId, ctx);
+    for (var i = 0; i < tasks.length; i += 1) {
+        await removeTaskFromUser(tasks[i]._id.toString(), userId, ctx);
+    }
+}
+
+// Moves the tasks of a deleted project out of it
+async function detachProjectTasks(projectId, ctx) {
+    var tasks = await repositories.tasks.find({ project: projectId }, { session: ctx.session });
+    if (!tasks.length) {
+        return;
+    }
+    await repositories.tasks.updateMany({ project: projectId }, {
+        $set: { project: '' },
+        $inc: { version: 1 }
+    }, { session: ctx.session });
+    for (var i = 0; i < tasks.length; i += 1) {
+        var before = audit.snapshot(tasks[i]);
+        await audit.record(ctx, 'Task', tasks[i]._id, before, Object.assign({}, before, { project: '' }));
+    }
+}
+
+// Removes a deleted user from the members (and ownership) of every project
+async function removeUserFromProjects(userId, ctx) {
+    var projects = await repositories.projects.find({ $or: [{ members: userId }, { owner: userId }] }, { session: ctx.session });
+    for (var i = 0; i < projects.length; i += 1) {
+        var project = projects[i];
+        var before = audit.snapshot(project);
+        project.members = project.members.filter(function (memberId) {
+            return memberId !== userId;
+        });
+        if (project.owner === userId) {
+            project.owner = '';
+        }
+        await repositories.projects.save(project, { session: ctx.session });
+        await audit.record(ctx, 'Project', project._id, before, audit.snapshot(project));
+    }
+}
+
+var TRASH_FIELDS = '+deletedAt +deletedBy +trashLinks';
+var DEFAULT_TRASH_LIMIT = 100;
+var MAX_TRASH_LIMIT = 1000;
+
+async function findTrashedOr404(repository, id, message, session) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw createError(404, message);
+    }
+    var doc = await repository.findOne({ _id: id, deletedAt: { $ne: null } }, {
+        withDeleted: true,
+        select: TRASH_FIELDS,
+        session: session
+    });
+    if (!doc) {
+        throw createError(404, message);
+    }
+    return doc;
+}
+
+// Moves a user to the trash. Their tasks are unassigned and they leave their
+// projects as on a hard delete; what they had is kept in trashLinks so a
+// restore can give it back.
+async function trashUser(user, ctx) {
+    var userId = user._id.toString();
+    var projects = await repositories.projects.find({ $or: [{ members: userId }, { owner: userId }] }, {
+        select: { members: 1, owner: 1 },
+        session: ctx.session,
+        lean: true
+    });
+    var before = audit.snapshot(user);
+
+    var tasks = await unassignTasks({}, userId, ctx);
+    await removeUserFromProjects(userId, ctx);
+
+    user.pendingTasks = [];
+    user.markDeleted(ctx.actor, {
+        tasks: tasks.map(function (task) { return task._id.toString(); }),
+        projects: projects.filter(function (project) {
+            return project.members.indexOf(userId) !== -1;
+        }).map(function (project) { return project._id.toString(); }),
+        ownedProjects: projects.filter(function (project) {
+            return project.owner === userId;
+        }).map(function (project) { return project._id.toString(); })
+    });
+    await repositories.users.save(user, { session: ctx.session });
+    await audit.record(ctx, 'User', userId, before, null);
+}
+
+// Brings a user back from the trash with the project memberships and task
+// assignments they had, as far as nobody else has taken their place as
+// project owner. Returns what could not be restored.
+async function restoreUser(user, ctx) {
+    var userId = user._id.toString();
+    var links = user.trashLinks || {};
+    var skipped = [];
+    user.markRestored();
+    await repositories.users.save(user, { session: ctx.session });
+    await audit.record(ctx, 'User', userId, audit.snapshot(user), audit.snapshot(user), 'restore');
+
+    var projectIds = (links.projects || []).concat(links.ownedProjects || []);
+    var projects = await repositories.projects.find({ _id: { $in: projectIds } }, { session: ctx.session });
+    var projectsById = new Map();
+    projects.forEach(function (project) {
+        projectsById.set(project._id.toString(), project);
+    });
+    for (var i = 0; i < projectIds.length; i += 1) {
+        var project = projectsById.get(projectIds[i]);
+        if (!project) {
+            skipped.push({ type: 'project', id: projectIds[i], reason: 'Project no longer exists' });
+            continue;
+        }
+        var before = audit.snapshot(project);
+        if ((links.projects || []).indexOf(projectIds[i]) !== -1 && project.members.indexOf(userId) === -1) {
+            project.members = project.members.concat([userId]);
+        }
+        if ((links.ownedProjects || []).indexOf(projectIds[i]) !== -1) {
+            if (project.owner && project.owner !== userId) {
+                skipped.push({ type: 'project', id: projectIds[i], reason: 'Project has a new owner' });
+            } else {
+                project.owner = userId;
+            }
+        }
+        await repositories.projects.save(project, { session: ctx.session });
+        await audit.record(ctx, 'Project', project._id, before, audit.snapshot(project));
+    }
+
+    var taskIds = links.tasks || [];
+    var tasks = await repositories.tasks.find({ _id: { $in: taskIds } }, { session: ctx.session });
+    var tasksById = new Map();
+    tasks.forEach(function (task) {
+        tasksById.set(task._id.toString(), task);
+    });
+    for (var j = 0; j < taskIds.length; j += 1) {
+        var task = tasksById.get(taskIds[j]);
+        var reason = null;
+        if (!task) {
+            reason = 'Task no longer exists';
+        } else if (!assignees.isAssignee(task, userId) && assignees.assigneesOf(task).length >= Task.MAX_ASSIGNEES) {
+            reason = 'Task has the maximum number of assignees';
+        } else if (task.project && (!projectsById.has(task.project) || projectsById.get(task.project).members.indexOf(userId) === -1)) {
+            reason = 'User is no longer a member of the task\'s project';
+        }
+        if (reason) {
+            skipped.push({ type: 'task', id: taskIds[j], reason: reason });
+            continue;
+        }
+        var taskBefore = audit.snapshot(task);
+        // Their share counts as done on a task that was completed meanwhile
+        var list = assignees.assigneesOf(task).filter(function (assignee) {
+            return assignee.user !== userId;
+        });
+        assignees.setAssignees(task, list.concat([{
+            user: userId,
+            name: user.name,
+            completed: task.completed,
+            completedAt: task.completed ? task.completedAt : null
+        }]));
+        await repositories.tasks.save(task, { session: ctx.session });
+        await audit.record(ctx, 'Task', task._id, taskBefore, audit.snapshot(task));
+        await syncAssigneePendingTasks(task, [], ctx);
+    }
+    return skipped;
+}
+
+// Moves a task to the trash. It keeps its assignee, project and links of its
+// own; the links other tasks had to it are removed and kept in trashLinks.
+async function trashTask(task, ctx) {
+    var taskId = task._id.toString();
+    var before = audit.snapshot(task);
+    var links = await taskGraph.clearTaskLinks(taskId, ctx);
+    task.markDeleted(ctx.actor, links);
+    await repositories.tasks.save(task, { session: ctx.session });
+    await audit.record(ctx, 'Task', taskId, before, null);
+    var userIds = assignees.assigneeIds(task);
+    for (var i = 0; i < userIds.length; i += 1) {
+        await removeTaskFromUser(taskId, userIds[i], ctx);
+    }
 }
 
-async function syncUserPendingTasks(userDoc, previousPending) {
+// Brings a task back from the trash. Assignees who are gone or no longer in its
+// project are removed from it, and it is moved out of a project that is gone.
+// Returns what could not be restored.
+async function restoreTask(task, ctx) {
+    var taskId = task._id.toString();
+    var links = task.trashLinks || {};
+    var skipped = [];
+    var before = audit.snapshot(task);
+    task.markRestored();
+
+    var project = task.project ? await repositories.projects.findById(task.project, { session: ctx.session }) : null;
+    if (task.project && !project) {
+        skipped.push({ type: 'project', id: task.project, reason: 'Project no longer exists' });
+        task.project = '';
+    }
+    var users = await repositories.users.find({ _id: { $in: assignees.assigneeIds(task) } }, { session: ctx.session });
+    var usersById = new Map();
+    users.forEach(function (user) {
+        usersById.set(user._id.toString(), user);
+    });
+    var kept = [];
+    assignees.assigneesOf(task).forEach(function (assignee) {
+        var user = usersById.get(assignee.user);
+        if (!user || (project && project.members.indexOf(assignee.user) === -1)) {
+            skipped.push({
+                type: 'user',
+                id: assignee.user,
+                reason: user ? 'User is no longer a member of the task\'s project' : 'User no longer exists'
+            });
+            return;
+        }
+        kept.push({ user: assignee.user, name: user.name, completed: assignee.completed, completedAt: assignee.completedAt });
+    });
+    assignees.setAssignees(task, kept);
+    var linkSkips = await taskGraph.restoreTaskLinks(task, links, ctx);
+    skipped = skipped.concat(linkSkips.map(function (link) {
+        return { type: 'task', id: link.taskId, relation: link.relation, reason: link.reason };
+    }));
+    await audit.record(ctx, 'Task', taskId, before, audit.snapshot(task), 'restore');
+    await syncAssigneePendingTasks(task, [], ctx);
+    return skipped;
+}
+
+// Makes the tasks match a user's new pendingTasks: the user is unassigned from
+// the tasks they dropped and gets an open share in the ones they listed, and
+// the task moves back to the initial status if it was in a terminal one. As
+// before tasks could be shared, listing a task that has a single other
+// assignee moves it to the user; a task that is already shared gains the user
+// as one more assignee.
+async function syncUserPendingTasks(userDoc, previousPending, ctx) {
     var userId = userDoc._id.toString();
     var previousIds = (previousPending || []).map(String);
     var currentIds = (userDoc.pendingTasks || []).map(String);
 
     var currentSet = new Set(currentIds);
-    var previousSet = new Set(previousIds);
 
     var removed = previousIds.filter(function (id) { return !currentSet.has(id); });
     var toEnsure = currentIds;
 
     if (removed.length) {
-        await Task.updateMany({
-            _id: { $in: removed },
-            assignedUser: userId
-        }, {
-            $set: {
-                assignedUser: '',
-                assignedUserName: 'unassigned'
+        await unassignTasks({ _id: { $in: removed } }, userId, ctx);
+    }
+
+    if (toEnsure.length) {
+        var tasks = await repositories.tasks.find({ _id: { $in: toEnsure } }, { session: ctx.session });
+        for (var i = 0; i < tasks.length; i += 1) {
+            var task = tasks[i];
+            var current = assignees.assigneesOf(task).find(function (assignee) {
+                return assignee.user === userId;
+            });
+            if (current && current.name === userDoc.name && assignees.openAssigneeIds(task).indexOf(userId) !== -1) {
+                continue;
+            }
+            var before = audit.snapshot(task);
+            var previousUserIds = assignees.assigneeIds(task);
+            var share = { user: userId, name: userDoc.name, completed: false, completedAt: null };
+            var list = assignees.assigneesOf(task).map(function (assignee) {
+                return assignee.user === userId ? share : assignee;
+            });
+            if (list.indexOf(share) === -1) {
+                list = list.length > 1 ? list.concat([share]) : [share];
+            }
+            assignees.setAssignees(task, list);
+            if (workflow.isTerminal(task.status)) {
+                workflow.assertTransition(task.status, workflow.getWorkflow().initial);
+                task.status = workflow.getWorkflow().initial;
+                task.completed = false;
+                task.completedAt = null;
+            }
+            await repositories.tasks.save(task, { session: ctx.session });
+            await audit.record(ctx, 'Task', task._id, before, audit.snapshot(task));
+            await syncAssigneePendingTasks(task, previousUserIds, ctx);
+        }
+    }
+}
+
+// Reads the "assignees" of a task body, a list of user ids or of
+// {"user", "completed"} objects, as [{ user, completed }] where completed is
+// undefined unless the body sets it
+function parseAssigneeList(value) {
+    if (!Array.isArray(value)) {
+        throw createError(400, 'assignees must be an array');
+    }
+    var list = value.map(function (item) {
+        var entry = isPlainObject(item) ? item : { user: item };
+        var userId = entry.user ? String(entry.user) : '';
+        if (!mongoose.Types.ObjectId.isValid(userId)) {
+            throw createError(400, 'Invalid user id in assignees');
+        }
+        return {
+            user: userId,
+            completed: entry.completed === undefined ? undefined : parseBoolean(entry.completed, false)
+        };
+    });
+    list.forEach(function (item, index) {
+        if (list.findIndex(function (other) { return other.user === item.user; }) !== index) {
+            throw createError(400, 'A user can only be assigned to a task once');
+        }
+    });
+    return list;
+}
+
+function sameAssignees(list, current) {
+    return list.length === current.length && list.every(function (item, index) {
+        return item.user === current[index].user &&
+            (item.completed === undefined || item.completed === Boolean(current[index].completed));
+    });
+}
+
+// The assignees a task body asks for. "assignees" is used when it changes the
+// list; otherwise a changed assignedUser makes that user the only assignee, so
+// that clients which only know assignedUser can still reassign a task. A body
+// with neither unassigns the task.
+function requestedAssignees(current, body) {
+    if (body.assignees !== undefined && body.assignees !== null) {
+        var list = parseAssigneeList(body.assignees);
+        if (body.assignedUser === undefined || !sameAssignees(list, current)) {
+            return list;
+        }
+    }
+    if (body.assignedUser === undefined) {
+        return [];
+    }
+    var assignedUserId = body.assignedUser ? String(body.assignedUser) : '';
+    if (assignedUserId === (current.length ? current[0].user : '')) {
+        return current.map(function (assignee) {
+            return { user: assignee.user };
+        });
+    }
+    if (assignedUserId && !mongoose.Types.ObjectId.isValid(assignedUserId)) {
+        throw createError(400, 'Invalid user id in assignedUser');
+    }
+    return assignedUserId ? [{ user: assignedUserId }] : [];
+}
+
+// The status a task body moves the task to, or undefined when it leaves the
+// status alone. A changed "status" wins; otherwise a changed "completed" moves
+// the task to the completed status or back to the initial one, so clients
+// that predate statuses keep working. A body that sends the current status
+// without "completed" keeps it.
+function requestedStatus(task, body) {
+    if (body.status !== undefined && body.status !== task.status) {
+        workflow.assertKnownStatus(body.status);
+        return body.status;
+    }
+    if (body.status !== undefined && body.completed === undefined) {
+        return undefined;
+    }
+    var completed = parseBoolean(body.completed, false);
+    return completed === task.completed ? undefined : workflow.statusForCompleted(completed);
+}
+
+// Works out the assignees and status a POST, PUT or PATCH body gives task,
+// without changing it. New assignees must be assignable by the actor and every
+// assignee must be a member of project. Shares keep their state unless the
+// body sets it. Moving the task in or out of the completed status completes
+// or reopens every share; otherwise the task moves there (or back) when the
+// shares say so under rule.
+async function planAssignment(task, body, rule, project, ctx) {
+    var current = assignees.assigneesOf(task);
+    var requested = requestedAssignees(current, body);
+    var users = await repositories.users.find({ _id: { $in: requested.map(function (item) { return item.user; }) } }, {
+        session: ctx.session
+    });
+    var usersById = new Map();
+    users.forEach(function (user) {
+        usersById.set(user._id.toString(), user);
+    });
+    var now = new Date();
+    var list = requested.map(function (item) {
+        var user = usersById.get(item.user);
+        if (!user) {
+            throw createError(400, 'Assigned user does not exist');
+        }
+        var share = current.find(function (assignee) {
+            return assignee.user === item.user;
+        });
+        if (!share) {
+            assertCanAssign(ctx.actor, item.user);
+        }
+        assertProjectMember(project, item.user);
+        var completed = item.completed === undefined ? Boolean(share && share.completed) : item.completed;
+        return {
+            user: item.user,
+            name: user.name,
+            completed: completed,
+            completedAt: completed ? (share && share.completed && share.completedAt) || now : null
+        };
+    });
+
+    var status = requestedStatus(task, body);
+    if (status !== undefined) {
+        var completed = workflow.isCompleted(status);
+        if (completed !== task.completed) {
+            list.forEach(function (assignee) {
+                assignee.completedAt = completed ? (assignee.completed && assignee.completedAt) || now : null;
+                assignee.completed = completed;
+            });
+        }
+    } else {
+        var done = assignees.sharesComplete(list, rule);
+        status = done === null || done === task.completed ? task.status : workflow.statusForCompleted(done);
+    }
+    return { list: list, status: status };
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function cloneValue(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// RFC 7396 JSON Merge Patch: null removes a member, objects merge recursively,
+// everything else (including arrays) replaces the target value.
+function applyMergePatch(target, patch) {
+    if (!isPlainObject(patch)) {
+        return cloneValue(patch);
+    }
+    var result = isPlainObject(target) ? Object.assign({}, target) : {};
+    Object.keys(patch).forEach(function (key) {
+        if (patch[key] === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], patch[key]);
+        }
+    });
+    return result;
+}
+
+function parsePointer(pointer) {
+    if (typeof pointer !== 'string' || (pointer !== '' && pointer.charAt(0) !== '/')) {
+        throw createError(400, 'Invalid JSON Pointer "' + pointer + '"');
+    }
+    if (pointer === '') {
+        return [];
+    }
+    return pointer.substring(1).split('/').map(function (token) {
+        return token.replace(/~1/g, '/').replace(/~0/g, '~');
+    });
+}
+
+function resolveParent(document, tokens, pointer) {
+    var parent = document;
+    for (var i = 0; i < tokens.length - 1; i += 1) {
+        var token = tokens[i];
+        if (parent === null || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, token)) {
+            throw createError(400, 'Path "' + pointer + '" does not exist');
+        }
+        parent = parent[token];
+    }
+    if (parent === null || typeof parent !== 'object') {
+        throw createError(400, 'Path "' + pointer + '" does not exist');
+    }
+    return parent;
+}
+
+function parseArrayIndex(token, length, allowEnd, pointer) {
+    if (allowEnd && token === '-') {
+        return length;
+    }
+    if (!/^(0|[1-9][0-9]*)$/.test(token)) {
+        throw createError(400, 'Invalid array index in path "' + pointer + '"');
+    }
+    var index = Number(token);
+    if (index > (allowEnd ? length : length - 1)) {
+        throw createError(400, 'Array index out of bounds in path "' + pointer + '"');
+    }
+    return index;
+}
+
+function getPointerValue(document, pointer) {
+    var tokens = parsePointer(pointer);
+    if (!tokens.length) {
+        return document;
+    }
+    var parent = resolveParent(document, tokens, pointer);
+    var last = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        return parent[parseArrayIndex(last, parent.length, false, pointer)];
+    }
+    if (!Object.prototype.hasOwnProperty.call(parent, last)) {
+        throw createError(400, 'Path "' + pointer + '" does not exist');
+    }
+    return parent[last];
+}
+
+function addPointerValue(document, pointer, value) {
+    var tokens = parsePointer(pointer);
+    if (!tokens.length) {
+        return value;
+    }
+    var parent = resolveParent(document, tokens, pointer);
+    var last = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(parseArrayIndex(last, parent.length, true, pointer), 0, value);
+    } else {
+        parent[last] = value;
+    }
+    return document;
+}
+
+function removePointerValue(document, pointer) {
+    var tokens = parsePointer(pointer);
+    if (!tokens.length) {
+        throw createError(400, 'Cannot remove the whole document');
+    }
+    var parent = resolveParent(document, tokens, pointer);
+    var last = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(parseArrayIndex(last, parent.length, false, pointer), 1);
+    } else {
+        if (!Object.prototype.hasOwnProperty.call(parent, last)) {
+            throw createError(400, 'Path "' + pointer + '" does not exist');
+        }
+        delete parent[last];
+    }
+    return document;
+}
+
+// RFC 6902 JSON Patch. Operations are applied in order to a copy of the
+// document; a failing "test" aborts the whole patch with 409.
+function applyJsonPatch(target, operations) {
+    var document = cloneValue(target);
+    operations.forEach(function (operation, index) {
+        if (!isPlainObject(operation) || typeof operation.op !== 'string') {
+            throw createError(400, 'Invalid JSON Patch operation at index ' + index);
+        }
+        var path = operation.path;
+        switch (operation.op) {
+            case 'add':
+                document = addPointerValue(document, path, cloneValue(operation.value));
+                break;
+            case 'remove':
+                document = removePointerValue(document, path);
+                break;
+            case 'replace':
+                getPointerValue(document, path);
+                document = addPointerValue(removePointerValue(document, path), path, cloneValue(operation.value));
+                break;
+            case 'move':
+                var moved = getPointerValue(document, operation.from);
+                document = addPointerValue(removePointerValue(document, operation.from), path, moved);
+                break;
+            case 'copy':
+                document = addPointerValue(document, path, cloneValue(getPointerValue(document, operation.from)));
+                break;
+            case 'test':
+                if (JSON.stringify(getPointerValue(document, path)) !== JSON.stringify(operation.value)) {
+                    throw createError(409, 'JSON Patch test failed at path "' + path + '"');
+                }
+                break;
+            default:
+                throw createError(400, 'Unsupported JSON Patch operation "' + operation.op + '"');
+        }
+    });
+    return document;
+}
+
+// Applies either a JSON Patch (array body or application/json-patch+json) or a
+// JSON Merge Patch to the editable representation of a document.
+function applyPatchBody(req, current) {
+    if (req.is('application/json-patch+json') || Array.isArray(req.body)) {
+        if (!Array.isArray(req.body)) {
+            throw createError(400, 'JSON Patch body must be an array of operations');
+        }
+        return applyJsonPatch(current, req.body);
+    }
+    if (!isPlainObject(req.body)) {
+        throw createError(400, 'Merge patch body must be a JSON object');
+    }
+    return applyMergePatch(current, req.body);
+}
+
+function userPatchTarget(userDoc) {
+    return {
+        name: userDoc.name,
+        email: userDoc.email,
+        role: userDoc.role,
+        pendingTasks: (userDoc.pendingTasks || []).map(String),
+        notifications: {
+            dueSoon: userDoc.notifications.dueSoon,
+            overdue: userDoc.notifications.overdue,
+            leadHours: userDoc.notifications.leadHours
+        }
+    };
+}
+
+function taskPatchTarget(taskDoc) {
+    var target = {
+        name: taskDoc.name,
+        description: taskDoc.description,
+        deadline: taskDoc.deadline ? taskDoc.deadline.toISOString() : taskDoc.deadline,
+        completed: taskDoc.completed,
+        status: taskDoc.status,
+        assignedUser: taskDoc.assignedUser,
+        assignedUserName: taskDoc.assignedUserName,
+        assignees: assignees.assigneesOf(taskDoc).map(function (assignee) {
+            return { user: assignee.user, completed: assignee.completed };
+        }),
+        completionRule: taskDoc.completionRule,
+        project: taskDoc.project,
+        priority: taskDoc.priority,
+        tags: (taskDoc.tags || []).slice()
+    };
+    if (recurrence.isRecurring(taskDoc)) {
+        target.recurrence = {
+            rule: taskDoc.recurrence.rule,
+            exceptions: taskDoc.recurrence.exceptions.map(function (date) {
+                return date.toISOString();
+            })
+        };
+    }
+    return target;
+}
+
+function projectPatchTarget(projectDoc) {
+    return {
+        name: projectDoc.name,
+        description: projectDoc.description,
+        members: (projectDoc.members || []).map(String)
+    };
+}
+
+// The version is loaded for the ETag even when the client did not select it
+function versionedProjection(select) {
+    return pagination.extendProjection(select, [['version']]);
+}
+
+// Strips the paths versionedProjection added from a selected document
+function selectedData(doc, hidden) {
+    if (!hidden.length) {
+        return undefined;
+    }
+    var data = doc.toJSON();
+    hidden.forEach(function (path) {
+        pagination.stripPath(data, path);
+    });
+    return data;
+}
+
+async function findUserOr404(userId, session) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+        throw createError(404, 'User not found');
+    }
+    var user = await repositories.users.findById(userId, { session: session });
+    if (!user) {
+        throw createError(404, 'User not found');
+    }
+    return user;
+}
+
+async function findTaskOr404(taskId, session) {
+    if (!mongoose.Types.ObjectId.isValid(taskId)) {
+        throw createError(404, 'Task not found');
+    }
+    var task = await repositories.tasks.findById(taskId, { session: session });
+    if (!task) {
+        throw createError(404, 'Task not found');
+    }
+    return task;
+}
+
+async function findProjectOr404(projectId, session) {
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+        throw createError(404, 'Project not found');
+    }
+    var project = await repositories.projects.findById(projectId, { session: session });
+    if (!project) {
+        throw createError(404, 'Project not found');
+    }
+    return project;
+}
+
+// Regular users may only put tasks in their own pendingTasks when the task is
+// unassigned or already theirs; otherwise they could join other users' work.
+function assertCanClaimTasks(actor, userId, tasks) {
+    if (!actor || auth.isAdmin(actor)) {
+        return;
+    }
+    tasks.forEach(function (task) {
+        var userIds = assignees.assigneeIds(task);
+        if (userIds.length && userIds.indexOf(userId) === -1) {
+            throw createError(403, 'You can only add unassigned tasks or your own tasks to pendingTasks');
+        }
+    });
+}
+
+function assertCanAssign(actor, assignedUserId) {
+    if (!actor || auth.isAdmin(actor) || !assignedUserId) {
+        return;
+    }
+    if (assignedUserId !== actor._id.toString()) {
+        throw createError(403, 'You can only assign tasks to yourself');
+    }
+}
+
+// Linking a subtask changes the child task too, so regular users must own it
+function assertCanLinkSubtask(actor, childTask) {
+    if (actor && !auth.isAdmin(actor) && !auth.ownsTask(actor, childTask)) {
+        throw createError(403, 'You can only link your own tasks as subtasks');
+    }
+}
+
+// Applies the optional password and role fields of a user body. Only admins
+// may change roles; omitting either field keeps the current value.
+async function applyCredentials(user, body, actor) {
+    if (body.role !== undefined && body.role !== user.role) {
+        if (actor && !auth.isAdmin(actor)) {
+            throw createError(403, 'Only admins can change user roles');
+        }
+        user.role = body.role;
+    }
+    if (body.password !== undefined) {
+        await user.setPassword(body.password);
+    }
+}
+
+// Reminder preferences that are not mentioned keep their current values
+function applyNotificationPreferences(user, preferences) {
+    if (preferences === undefined) {
+        return;
+    }
+    if (!isPlainObject(preferences)) {
+        throw createError(400, 'notifications must be an object');
+    }
+    ['dueSoon', 'overdue', 'leadHours'].forEach(function (name) {
+        if (preferences[name] !== undefined) {
+            user.set('notifications.' + name, preferences[name]);
+        }
+    });
+}
+
+// Replaces the editable fields of a user with those in body and keeps the
+// assigned tasks in sync. Shared by PUT (full body) and PATCH (patched body).
+async function replaceUser(user, body, ctx) {
+    var userId = user._id.toString();
+    var before = audit.snapshot(user);
+    var previousPending = (user.pendingTasks || []).slice();
+    var pendingTaskIds = normalizeIdArray(body.pendingTasks || [], 'pendingTasks');
+    var tasks = await ensureTasksExist(pendingTaskIds, ctx.session);
+    assertCanClaimTasks(ctx.actor, userId, tasks);
+    await assertMemberOfTaskProjects(tasks, userId, ctx.session);
+
+    user.name = body.name;
+    user.email = body.email;
+    user.pendingTasks = pendingTaskIds;
+    applyNotificationPreferences(user, body.notifications);
+    await applyCredentials(user, body, ctx.actor);
+
+    await repositories.users.save(user, { session: ctx.session });
+    await audit.record(ctx, 'User', userId, before, audit.snapshot(user));
+    await syncUserPendingTasks(user, previousPending, ctx);
+}
+
+// Replaces the editable fields of a project with those in body. Members that
+// are removed lose their assignments to the project's tasks.
+async function replaceProject(project, body, ctx) {
+    var projectId = project._id.toString();
+    var before = audit.snapshot(project);
+    var memberIds = normalizeIdArray(body.members || [], 'members', 'user');
+    await ensureUsersExist(memberIds, ctx.session);
+    if (project.owner && memberIds.indexOf(project.owner) === -1) {
+        throw createError(400, 'The project owner must remain a member');
+    }
+    var removed = project.members.filter(function (memberId) {
+        return memberIds.indexOf(memberId) === -1;
+    });
+
+    project.name = body.name;
+    project.description = body.description === undefined ? '' : body.description;
+    project.members = memberIds;
+
+    await repositories.projects.save(project, { session: ctx.session });
+    await audit.record(ctx, 'Project', projectId, before, audit.snapshot(project));
+    for (var i = 0; i < removed.length; i += 1) {
+        await unassignProjectTasks(projectId, removed[i], ctx);
+    }
+}
+
+// Replaces the editable fields of a task with those in body and keeps the
+// assignees' pendingTasks in sync. Shared by PUT, PATCH and the status
+// transitions; status changes must be allowed by the workflow.
+async function replaceTask(task, body, ctx) {
+    var taskId = task._id.toString();
+    var before = audit.snapshot(task);
+    var previousUserIds = assignees.assigneeIds(task);
+    var deadlineValue = parseDateValue(body.deadline, 'deadline');
+    var project = await resolveTaskProject(body.project, task.project, ctx.actor, ctx.session);
+    // Omitting the rule keeps it, like the triage fields below
+    var rule = body.completionRule === undefined ? task.completionRule : body.completionRule;
+    var assignment = await planAssignment(task, body, rule, project, ctx);
+    var completed = workflow.isCompleted(assignment.status);
+    if (assignment.status !== task.status) {
+        workflow.assertTransition(task.status, assignment.status);
+    }
+
+    if (completed && !task.completed) {
+        await taskGraph.assertCanComplete(task, ctx.session);
+    }
+
+    var wasCompleted = task.completed;
+    task.name = body.name;
+    task.description = body.description === undefined ? '' : body.description;
+    task.deadline = deadlineValue;
+    if (completed !== wasCompleted) {
+        task.completedAt = completed ? new Date() : null;
+    }
+    task.status = assignment.status;
+    task.completed = completed;
+    task.completionRule = rule;
+    assignees.setAssignees(task, assignment.list);
+    task.project = project ? project._id.toString() : '';
+    // Like project and recurrence, omitted triage fields keep their values
+    if (body.priority !== undefined) {
+        task.priority = body.priority;
+    }
+    if (body.tags !== undefined) {
+        task.tags = normalizeTagList(body.tags);
+    }
+    // Clients that predate recurrence omit the field; that keeps the schedule
+    if (body.recurrence !== undefined) {
+        applyRecurrence(task, body.recurrence);
+    }
+
+    await repositories.tasks.save(task, { session: ctx.session });
+    await audit.record(ctx, 'Task', taskId, before, audit.snapshot(task));
+    await syncAssigneePendingTasks(task, previousUserIds, ctx);
+
+    if (task.completed && !wasCompleted && recurrence.isRecurring(task)) {
+        await createNextOccurrence(task, ctx);
+    }
+}
+
+function applyRecurrence(task, value) {
+    var parsed = recurrence.parseRecurrence(value, task.deadline, task.recurrence);
+    task.recurrence = parsed;
+    task.seriesId = parsed.rule ? (task.seriesId || task._id.toString()) : '';
+}
+
+// Creates the next instance of a recurring task after it was completed, with
+// the same assignees, whose shares start open. Does nothing when the series
+// has ended or the instance already exists (e.g. the task was reopened and
+// completed again).
+async function createNextOccurrence(task, ctx) {
+    var deadline = recurrence.nextOccurrence(task.recurrence, task.deadline);
+    if (!deadline) {
+        return null;
+    }
+    var existing = await repositories.tasks.findOne({ seriesId: task.seriesId, deadline: deadline }, { session: ctx.session });
+    if (existing) {
+        return null;
+    }
+    var nextTask = new Task({
+        name: task.name,
+        description: task.description,
+        deadline: deadline,
+        completed: false,
+        completionRule: task.completionRule,
+        recurrence: {
+            rule: task.recurrence.rule,
+            start: task.recurrence.start,
+            exceptions: task.recurrence.exceptions
+        },
+        project: task.project,
+        priority: task.priority,
+        tags: task.tags,
+        seriesId: task.seriesId,
+        createdBy: task.createdBy
+    });
+    assignees.setAssignees(nextTask, assignees.assigneesOf(task).map(function (assignee) {
+        return { user: assignee.user, name: assignee.name, completed: false, completedAt: null };
+    }));
+    await repositories.tasks.save(nextTask, { session: ctx.session });
+    await audit.record(ctx, 'Task', nextTask._id, null, audit.snapshot(nextTask));
+    await syncAssigneePendingTasks(nextTask, [], ctx);
+    return nextTask;
+}
+
+function addIssue(issues, type, userId, taskId, detail) {
+    issues.push({
+        type: type,
+        userId: userId,
+        taskId: taskId,
+        detail: detail
+    });
+}
+
+// Compares User.pendingTasks with the assignees of every task. The tasks are
+// treated as the source of truth: a user's pendingTasks should list exactly
+// the tasks in which they have an open share (see utils/assignees).
+async function findAssignmentIssues(session) {
+    var users = await repositories.users.find({}, { select: { name: 1, pendingTasks: 1 }, lean: true, session: session });
+    var tasks = await repositories.tasks.find({}, {
+        select: { status: 1, completed: 1, completedAt: 1, assignedUser: 1, assignedUserName: 1, assignees: 1 },
+        lean: true,
+        session: session
+    });
+
+    var usersById = new Map();
+    users.forEach(function (user) {
+        usersById.set(user._id.toString(), user);
+    });
+    var tasksById = new Map();
+    tasks.forEach(function (task) {
+        tasksById.set(task._id.toString(), task);
+    });
+
+    var issues = [];
+
+    users.forEach(function (user) {
+        var userId = user._id.toString();
+        var occurrences = new Map();
+        (user.pendingTasks || []).map(String).forEach(function (taskId) {
+            occurrences.set(taskId, (occurrences.get(taskId) || 0) + 1);
+        });
+        occurrences.forEach(function (count, taskId) {
+            var task = tasksById.get(taskId);
+            if (!task) {
+                addIssue(issues, 'dangling_pending_task', userId, taskId, 'pendingTasks references a task that does not exist');
+            } else if (!assignees.isAssignee(task, userId)) {
+                addIssue(issues, 'pending_task_not_assigned', userId, taskId, 'Task is assigned to "' + assignees.assigneeIds(task).join('", "') + '" instead');
+            } else if (assignees.openAssigneeIds(task).indexOf(userId) === -1) {
+                addIssue(issues, 'completed_task_pending', userId, taskId, workflow.isTerminal(workflow.statusOf(task))
+                    ? 'Task is "' + workflow.statusOf(task) + '" and still listed in pendingTasks'
+                    : 'The user\'s completed share of the task is still listed in pendingTasks');
+            } else if (count > 1) {
+                addIssue(issues, 'duplicate_pending_task', userId, taskId, 'Task is listed ' + count + ' times in pendingTasks');
+            }
+        });
+    });
+
+    tasks.forEach(function (task) {
+        var taskId = task._id.toString();
+        var list = assignees.assigneesOf(task);
+        if (!list.length) {
+            if (task.assignedUserName !== 'unassigned') {
+                addIssue(issues, 'wrong_assigned_user_name', '', taskId, 'Unassigned task has assignedUserName "' + task.assignedUserName + '"');
+            }
+            return;
+        }
+        if (task.assignedUser !== list[0].user || task.assignedUserName !== list[0].name) {
+            addIssue(issues, 'assigned_user_mismatch', list[0].user, taskId, 'assignedUser is "' + (task.assignedUser || '') + '" but the first assignee is "' + list[0].user + '"');
+        }
+        var openUserIds = assignees.openAssigneeIds(task);
+        list.forEach(function (assignee) {
+            var user = usersById.get(assignee.user);
+            if (!user) {
+                addIssue(issues, 'dangling_assigned_user', assignee.user, taskId, 'assignees references a user that does not exist');
+                return;
+            }
+            if (assignee.name !== user.name) {
+                addIssue(issues, 'wrong_assigned_user_name', assignee.user, taskId, 'Assignee name is "' + assignee.name + '" but the user is named "' + user.name + '"');
+            }
+            if (openUserIds.indexOf(assignee.user) !== -1 && (user.pendingTasks || []).map(String).indexOf(taskId) === -1) {
+                addIssue(issues, 'missing_pending_task', assignee.user, taskId, 'Open task is missing from the assignee\'s pendingTasks');
+            }
+        });
+    });
+
+    return { issues: issues, usersById: usersById };
+}
+
+async function repairAssignmentIssue(issue, usersById, ctx) {
+    switch (issue.type) {
+        case 'duplicate_pending_task':
+            // $pull removes every copy, so add one back afterwards
+            await removeTaskFromUser(issue.taskId, issue.userId, ctx);
+            await addTaskToUser(issue.taskId, issue.userId, ctx);
+            break;
+        case 'dangling_pending_task':
+        case 'pending_task_not_assigned':
+        case 'completed_task_pending':
+            await removeTaskFromUser(issue.taskId, issue.userId, ctx);
+            break;
+        case 'dangling_assigned_user':
+            await unassignTasks({ _id: issue.taskId }, issue.userId, ctx);
+            break;
+        case 'wrong_assigned_user_name':
+        case 'assigned_user_mismatch':
+            var task = await repositories.tasks.findById(issue.taskId, { session: ctx.session });
+            var before = audit.snapshot(task);
+            // Rewriting the list updates the names and the mirrored fields
+            assignees.setAssignees(task, assignees.assigneesOf(task).map(function (assignee) {
+                var user = usersById.get(assignee.user);
+                return {
+                    user: assignee.user,
+                    name: user ? user.name : assignee.name,
+                    completed: assignee.completed,
+                    completedAt: assignee.completedAt
+                };
+            }));
+            await repositories.tasks.save(task, { session: ctx.session });
+            await audit.record(ctx, 'Task', issue.taskId, before, audit.snapshot(task));
+            break;
+        case 'missing_pending_task':
+            await addTaskToUser(issue.taskId, issue.userId, ctx);
+            break;
+        default:
+            break;
+    }
+}
+
+// The writes behind POST /users, PUT, PATCH and DELETE /users/:id and the same
+// on tasks. req supplies the body, method and If-Match header; for a batch it
+// is the operation being run. Each resolves to the document it wrote.
+async function createUser(req, ctx) {
+    var pendingTaskIds = normalizeIdArray(req.body.pendingTasks || [], 'pendingTasks');
+    var tasks = await ensureTasksExist(pendingTaskIds, ctx.session);
+
+    var newUser = new User({
+        name: req.body.name,
+        email: req.body.email,
+        pendingTasks: pendingTaskIds
+    });
+    await assertMemberOfTaskProjects(tasks, newUser._id.toString(), ctx.session);
+    applyNotificationPreferences(newUser, req.body.notifications);
+    await applyCredentials(newUser, req.body, req.user);
+
+    await repositories.users.save(newUser, { session: ctx.session });
+    await audit.record(ctx, 'User', newUser._id, null, audit.snapshot(newUser));
+    await syncUserPendingTasks(newUser, [], ctx);
+    return newUser;
+}
+
+// PUT replaces the user with the body, PATCH with the patched user
+async function updateUser(req, userId, ctx) {
+    var user = await findUserOr404(userId, ctx.session);
+    assertIfMatch(req, user);
+    var body = req.body;
+    if (req.method === 'PATCH') {
+        body = applyPatchBody(req, userPatchTarget(user));
+        if (!isPlainObject(body)) {
+            throw createError(400, 'Patched user must be a JSON object');
+        }
+    }
+    await replaceUser(user, body, ctx);
+    return user;
+}
+
+async function deleteUser(req, userId, ctx) {
+    var user = await findUserOr404(userId, ctx.session);
+    assertIfMatch(req, user);
+    await trashUser(user, ctx);
+    return user;
+}
+
+async function createTask(req, ctx) {
+    var deadlineValue = parseDateValue(req.body.deadline, 'deadline');
+    var project = await resolveTaskProject(req.body.project, '', req.user, ctx.session);
+
+    var newTask = new Task({
+        name: req.body.name,
+        description: req.body.description === undefined ? '' : req.body.description,
+        deadline: deadlineValue,
+        completionRule: req.body.completionRule,
+        project: project ? project._id.toString() : '',
+        priority: req.body.priority,
+        tags: normalizeTagList(req.body.tags),
+        createdBy: req.user._id.toString()
+    });
+    // A new task may start in any status
+    var assignment = await planAssignment(newTask, req.body, newTask.completionRule, project, ctx);
+    newTask.status = assignment.status;
+    newTask.completed = workflow.isCompleted(assignment.status);
+    newTask.completedAt = newTask.completed ? new Date() : null;
+    assignees.setAssignees(newTask, assignment.list);
+
+    if (req.body.recurrence !== undefined) {
+        applyRecurrence(newTask, req.body.recurrence);
+    }
+
+    await repositories.tasks.save(newTask, { session: ctx.session });
+    await audit.record(ctx, 'Task', newTask._id, null, audit.snapshot(newTask));
+    await syncAssigneePendingTasks(newTask, [], ctx);
+    return newTask;
+}
+
+// PUT replaces the task with the body, PATCH with the patched task
+async function updateTask(req, taskId, ctx) {
+    var task = await findTaskOr404(taskId, ctx.session);
+    assertIfMatch(req, task);
+    var body = req.body;
+    if (req.method === 'PATCH') {
+        body = applyPatchBody(req, taskPatchTarget(task));
+        if (!isPlainObject(body)) {
+            throw createError(400, 'Patched task must be a JSON object');
+        }
+    }
+    await replaceTask(task, body, ctx);
+    return task;
+}
+
+async function deleteTask(req, taskId, ctx) {
+    var task = await findTaskOr404(taskId, ctx.session);
+    assertIfMatch(req, task);
+    await trashTask(task, ctx);
+    return task;
+}
+
+// Moves a task to the status in the body, with the same effects as changing
+// the status in a PATCH
+async function transitionTask(req, taskId, ctx) {
+    var task = await findTaskOr404(taskId, ctx.session);
+    assertIfMatch(req, task);
+    workflow.assertTransition(task.status, req.body.status);
+    await replaceTask(task, Object.assign(taskPatchTarget(task), { status: req.body.status }), ctx);
+    return task;
+}
+
+// The writes a batch operation can make on each resource and the messages
+// of the matching single requests
+var BATCH_RESOURCES = {
+    users: {
+        create: createUser,
+        update: updateUser,
+        remove: deleteUser,
+        repository: function () { return repositories.users; },
+        messages: { POST: 'User created', PUT: 'User updated', PATCH: 'User updated', DELETE: 'User deleted' }
+    },
+    tasks: {
+        create: createTask,
+        update: updateTask,
+        remove: deleteTask,
+        repository: function () { return repositories.tasks; },
+        messages: { POST: 'Task created', PUT: 'Task updated', PATCH: 'Task updated', DELETE: 'Task deleted' }
+    }
+};
+
+function assertBatchOperations(operations) {
+    if (!Array.isArray(operations) || !operations.length) {
+        throw createError(400, '"operations" must be a non-empty array');
+    }
+    if (operations.length > MAX_BATCH_OPERATIONS) {
+        throw createError(400, 'A batch can have at most ' + MAX_BATCH_OPERATIONS + ' operations');
+    }
+    var refs = new Set();
+    operations.forEach(function (operation, index) {
+        if (!isPlainObject(operation) || typeof operation.method !== 'string' || typeof operation.path !== 'string') {
+            throw createError(400, 'Operation ' + index + ' must be an object with a "method" and a "path"');
+        }
+        if (operation.ref === undefined) {
+            return;
+        }
+        if (typeof operation.ref !== 'string' || !BATCH_REF_PATTERN.test(operation.ref)) {
+            throw createError(400, 'Operation ' + index + ' has an invalid "ref"; use up to 64 letters, digits, "_" or "-"');
+        }
+        if (refs.has(operation.ref)) {
+            throw createError(400, 'Operation ' + index + ' repeats the ref "' + operation.ref + '"');
+        }
+        refs.add(operation.ref);
+    });
+}
+
+// Replaces every "$ref:<name>" string in value with the id of the document
+// written by the earlier operation with that ref. refs maps each ref seen so
+// far to that id, or to null when its operation failed.
+function resolveReferences(value, refs) {
+    if (typeof value === 'string') {
+        if (value.indexOf(BATCH_REF_PREFIX) !== 0) {
+            return value;
+        }
+        var name = value.slice(BATCH_REF_PREFIX.length);
+        if (!refs.has(name)) {
+            throw createError(400, 'Unknown reference "' + value + '"; it must name the ref of an earlier operation');
+        }
+        if (refs.get(name) === null) {
+            throw createError(424, 'Reference "' + value + '" names an operation that failed');
+        }
+        return refs.get(name);
+    }
+    if (Array.isArray(value)) {
+        return value.map(function (item) {
+            return resolveReferences(item, refs);
+        });
+    }
+    if (isPlainObject(value)) {
+        var resolved = {};
+        Object.keys(value).forEach(function (key) {
+            resolved[key] = resolveReferences(value[key], refs);
+        });
+        return resolved;
+    }
+    return value;
+}
+
+// The checks the auth middleware makes on the matching single requests
+async function assertBatchPermission(actor, resourceName, id, session) {
+    if (auth.isAdmin(actor)) {
+        return;
+    }
+    if (resourceName === 'users') {
+        if (!id) {
+            throw createError(403, 'You do not have permission to perform this action');
+        }
+        if (actor._id.toString() !== id) {
+            throw createError(403, 'You can only modify your own profile');
+        }
+        return;
+    }
+    if (id && mongoose.Types.ObjectId.isValid(id)) {
+        var task = await repositories.tasks.findById(id, { select: { assignedUser: 1, assignees: 1, createdBy: 1 }, lean: true, session: session });
+        if (task && !auth.ownsTask(actor, task)) {
+            throw createError(403, 'You can only modify your own tasks');
+        }
+    }
+}
+
+// Stands in for req while an operation runs, with the operation's method,
+// body and If-Match header
+function operationRequest(req, method, body, ifMatch) {
+    var operationReq = Object.create(req);
+    operationReq.method = method;
+    operationReq.body = body;
+    operationReq.headers = ifMatch === undefined ? {} : { 'if-match': String(ifMatch) };
+    return operationReq;
+}
+
+function batchResult(index, operation, status, message, data) {
+    var result = { index: index };
+    if (operation.ref !== undefined) {
+        result.ref = operation.ref;
+    }
+    return Object.assign(result, { status: status, message: message, data: data });
+}
+
+function failedBatchResult(index, operation, error) {
+    var described = error.code === 11000
+        ? { status: 400, message: 'Email already exists', data: {} }
+        : httpUtils.describeError(error);
+    return batchResult(index, operation, described.status, described.message, described.data);
+}
+
+// Runs one operation of a batch within ctx and records its ref. The result
+// holds the document as it is right after the operation.
+async function runBatchOperation(req, operation, index, refs, ctx) {
+    var path = operation.path.split('/').map(function (segment) {
+        return resolveReferences(segment, refs);
+    }).join('/');
+    var method = operation.method;
+    var match = BATCH_PATH_PATTERN.exec(path);
+    if (!match || ['POST', 'PUT', 'PATCH', 'DELETE'].indexOf(method) === -1 || (method === 'POST') === Boolean(match[2])) {
+        throw createError(400, 'Unsupported operation "' + method + ' ' + operation.path +
+            '"; use POST on users or tasks, or PUT, PATCH or DELETE on users/:id or tasks/:id');
+    }
+    var resource = BATCH_RESOURCES[match[1]];
+    var id = match[2];
+    var body = resolveReferences(operation.body === undefined ? {} : operation.body, refs);
+
+    await assertBatchPermission(req.user, match[1], id, ctx.session);
+    validate.assertValidBody(openapi.findOperation(method, '/' + match[1] + (id ? '/' + id : '')), body);
+    var operationReq = operationRequest(req, method, body, operation.ifMatch);
+    var doc;
+    if (method === 'POST') {
+        doc = await resource.create(operationReq, ctx);
+    } else if (method === 'DELETE') {
+        doc = await resource.remove(operationReq, id, ctx);
+    } else {
+        doc = await resource.update(operationReq, id, ctx);
+    }
+
+    var docId = doc._id.toString();
+    if (operation.ref !== undefined) {
+        refs.set(operation.ref, docId);
+    }
+    if (method === 'DELETE') {
+        return batchResult(index, operation, 204, resource.messages[method], null);
+    }
+    var current = await resource.repository().findById(docId, { session: ctx.session });
+    return batchResult(index, operation, method === 'POST' ? 201 : 200, resource.messages[method], current);
+}
+
+// Runs every operation in one transaction. The first failure rolls back the
+// operations before it and the rest are not run; the error is then thrown
+// with the results in its data.
+async function runAtomicBatch(req, operations) {
+    var results;
+    var failure = null;
+    try {
+        await runInTransaction(req, async function (ctx) {
+            var refs = new Map();
+            results = [];
+            failure = null;
+            for (var i = 0; i < operations.length; i += 1) {
+                try {
+                    results.push(await runBatchOperation(req, operations[i], i, refs, ctx));
+                } catch (error) {
+                    failure = failedBatchResult(i, operations[i], error);
+                    throw error;
+                }
+            }
+        });
+    } catch (error) {
+        if (!failure) {
+            throw error;
+        }
+        results = operations.map(function (operation, index) {
+            if (index === failure.index) {
+                return failure;
+            }
+            return batchResult(index, operation, 424, (index < failure.index ? 'Rolled back' : 'Not run') +
+                ' because operation ' + failure.index + ' failed', null);
+        });
+        throw createError(failure.status, 'Batch rolled back: operation ' + failure.index + ' failed: ' + failure.message, results);
+    }
+    return results;
+}
+
+// Runs every operation in a transaction of its own, so failed operations do
+// not undo the others. Operations that refer to a failed one fail with 424.
+async function runContinuingBatch(req, operations) {
+    var refs = new Map();
+    var results = [];
+    for (var i = 0; i < operations.length; i += 1) {
+        var operation = operations[i];
+        try {
+            results.push(await runInTransaction(req, function (ctx) {
+                return runBatchOperation(req, operation, i, refs, ctx);
+            }));
+        } catch (error) {
+            if (operation.ref !== undefined) {
+                refs.set(operation.ref, null);
+            }
+            results.push(failedBatchResult(i, operation, error));
+        }
+    }
+    return results;
+}
+
+module.exports = function (router) {
+    router.route('/users')
+        .get(auth.requireAuth, async function (req, res) {
+            try {
+                var queryOptions = buildQueryOptions(req, { policy: userQueryPolicy, expand: 'User' });
+                return await sendList(req, res, repositories.users, queryOptions);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .post(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var user = await runInTransaction(req, function (ctx) {
+                    return createUser(req, ctx);
+                });
+
+                var createdUser = await repositories.users.findById(user._id);
+                return sendDocument(req, res, 201, 'User created', createdUser);
+            } catch (error) {
+                if (error.code === 11000) {
+                    return sendResponse(res, 400, 'Email already exists', {});
+                }
+                return handleError(res, error);
+            }
+        });
+
+    router.route('/users/:id')
+        .get(auth.requireAuth, async function (req, res) {
+            try {
+                var userId = req.params.id;
+                if (!mongoose.Types.ObjectId.isValid(userId)) {
+                    throw createError(404, 'User not found');
+                }
+                var selectParamName = req.query.select !== undefined ? 'select' : (req.query.filter !== undefined ? 'filter' : 'select');
+                var selectValue = req.query.select !== undefined ? req.query.select : req.query.filter;
+                var select = parseJSONParam(selectValue, selectParamName);
+                queryValidator.validateSelect(userQueryPolicy, select, selectParamName);
+                var expansions = expand.parseExpand(req.query.expand, 'User');
+                var projection = versionedProjection(select);
+                var user = await repositories.users.findById(userId, { select: projection.projection });
+                if (!user) {
+                    throw createError(404, 'User not found');
+                }
+                if (expansions) {
+                    // The expanded documents change independently, so the
+                    // response has no ETag and is never answered with 304
+                    var expanded = await expand.expandDocuments([selectedData(user, projection.hidden) || user], expansions);
+                    return sendResponse(res, 200, 'OK', expanded[0]);
+                }
+                return sendDocument(req, res, 200, 'OK', user, selectedData(user, projection.hidden));
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .put(auth.requireSelfOrAdmin, async function (req, res) {
+            try {
+                var userId = req.params.id;
+                await runInTransaction(req, function (ctx) {
+                    return updateUser(req, userId, ctx);
+                });
+
+                var updatedUser = await repositories.users.findById(userId);
+                return sendDocument(req, res, 200, 'User updated', updatedUser);
+            } catch (error) {
+                if (error.code === 11000) {
+                    return sendResponse(res, 400, 'Email already exists', {});
+                }
+                return handleError(res, error);
+            }
+        })
+        .patch(auth.requireSelfOrAdmin, async function (req, res) {
+            try {
+                var userId = req.params.id;
+                await runInTransaction(req, function (ctx) {
+                    return updateUser(req, userId, ctx);
+                });
+
+                var updatedUser = await repositories.users.findById(userId);
+                return sendDocument(req, res, 200, 'User updated', updatedUser);
+            } catch (error) {
+                if (error.code === 11000) {
+                    return sendResponse(res, 400, 'Email already exists', {});
+                }
+                return handleError(res, error);
+            }
+        })
+        .delete(auth.requireSelfOrAdmin, async function (req, res) {
+            try {
+                var userId = req.params.id;
+                await runInTransaction(req, function (ctx) {
+                    return deleteUser(req, userId, ctx);
+                });
+
+                return res.status(204).send();
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+
+    router.route('/users/:id/restore')
+        .post(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var userId = req.params.id;
+                var skipped = await runInTransaction(req, async function (ctx) {
+                    var user = await findTrashedOr404(repositories.users, userId, 'Deleted user not found', ctx.session);
+                    return restoreUser(user, ctx);
+                });
+
+                var restoredUser = await repositories.users.findById(userId);
+                return sendResponse(res, 200, 'User restored', restoredUser, { skipped: skipped });
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+
+    router.route('/users/:id/history')
+        .get(auth.requireAuth, async function (req, res) {
+            try {
+                return await sendHistory(req, res, 'User');
+            } catch (error) {
+                return handleError(res, error);
             }
         });
-    }
 
-    if (toEnsure.length) {
-        var tasks = await Task.find({ _id: { $in: toEnsure } });
-        for (var i = 0; i < tasks.length; i += 1) {
-            var task = tasks[i];
-            var previousUserId = task.assignedUser;
-            if (previousUserId && previousUserId !== userId) {
-                await removeTaskFromUser(task._id.toString(), previousUserId);
-            }
-            task.assignedUser = userId;
-            task.assignedUserName = userDoc.name;
-            if (task.completed) {
-                task.completed = false;
+    router.route('/admin/reconcile')
+        .post(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var fix = parseBoolean(req.query.fix !== undefined ? req.query.fix : (req.body || {}).fix, false);
+                var result = await runInTransaction(req, async function (ctx) {
+                    var scan = await findAssignmentIssues(ctx.session);
+                    if (fix) {
+                        for (var i = 0; i < scan.issues.length; i += 1) {
+                            await repairAssignmentIssue(scan.issues[i], scan.usersById, ctx);
+                        }
+                    }
+                    return scan.issues;
+                });
+                return sendResponse(res, 200, fix ? 'Inconsistencies repaired' : 'OK', {
+                    fixed: fix,
+                    issueCount: result.length,
+                    issues: result
+                });
+            } catch (error) {
+                return handleError(res, error);
             }
-            await task.save();
-        }
-    }
-}
+        });
 
-async function unassignTask(taskDoc) {
-    if (!taskDoc) {
-        return;
-    }
-    var currentUserId = taskDoc.assignedUser;
-    if (currentUserId) {
-        await removeTaskFromUser(taskDoc._id.toString(), currentUserId);
-    }
-    taskDoc.assignedUser = '';
-    taskDoc.assignedUserName = 'unassigned';
-}
+    router.route('/tasks')
+        .get(auth.requireAuth, async function (req, res) {
+            try {
+                var queryOptions = buildQueryOptions(req, { defaultLimit: 100, policy: taskQueryPolicy, expand: 'Task' });
+                return await sendList(req, res, repositories.tasks, queryOptions);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .post(auth.requireAuth, async function (req, res) {
+            try {
+                var task = await runInTransaction(req, function (ctx) {
+                    return createTask(req, ctx);
+                });
 
-async function assignTask(taskDoc, userDoc) {
-    if (!taskDoc || !userDoc) {
-        return;
-    }
-    var userId = userDoc._id.toString();
-    if (taskDoc.assignedUser && taskDoc.assignedUser !== userId) {
-        await removeTaskFromUser(taskDoc._id.toString(), taskDoc.assignedUser);
-    }
-    taskDoc.assignedUser = userId;
-    taskDoc.assignedUserName = userDoc.name;
-}
+                var createdTask = await repositories.tasks.findById(task._id);
+                return sendDocument(req, res, 201, 'Task created', createdTask);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
 
-module.exports = function (router) {
-    router.route('/users')
-        .get(async function (req, res) {
+    // Registered before /tasks/:id like /tasks/search
+    router.route('/tasks/export')
+        .get(auth.acceptQueryToken, auth.requireAuth, async function (req, res) {
             try {
-                var queryOptions = buildQueryOptions(req, {});
-                if (queryOptions.count) {
-                    var count = await User.countDocuments(queryOptions.filter);
-                    return sendResponse(res, 200, 'OK', count);
+                var format = req.query.format === undefined ? 'json' : req.query.format;
+                if (EXPORT_FORMATS.indexOf(format) === -1) {
+                    throw createError(400, 'Parameter "format" must be one of "' + EXPORT_FORMATS.join('", "') + '"');
                 }
-                var query = User.find(queryOptions.filter);
-                if (queryOptions.select) {
-                    query = query.select(queryOptions.select);
+                var filter = parseJSONParam(req.query.where, 'where') || {};
+                var sort = parseJSONParam(req.query.sort, 'sort') || { deadline: 1 };
+                queryValidator.validateWhere(taskQueryPolicy, filter);
+                queryValidator.validateSort(taskQueryPolicy, sort);
+                var total = await repositories.tasks.count(filter);
+                if (total > MAX_EXPORT_TASKS) {
+                    throw createError(400, 'Export matches ' + total + ' tasks; narrow it with "where" to at most ' + MAX_EXPORT_TASKS);
                 }
-                if (queryOptions.sort) {
-                    query = query.sort(queryOptions.sort);
-                }
-                if (queryOptions.skip !== undefined) {
-                    query = query.skip(queryOptions.skip);
+                var tasks = await repositories.tasks.find(filter, { sort: sort, lean: true });
+
+                if (format === 'ics') {
+                    res.type('text/calendar; charset=utf-8');
+                    return res.send(ical.calendar('Tasks', tasks));
                 }
-                if (queryOptions.limit !== undefined) {
-                    query = query.limit(queryOptions.limit);
+                var rows = await exportRows(tasks);
+                res.attachment('tasks.' + format);
+                if (format === 'csv') {
+                    res.type('text/csv; charset=utf-8');
+                    return res.send(csv.stringify(EXPORT_COLUMNS, rows.map(function (row) {
+                        return Object.assign({}, row, { tags: row.tags.join(','), assigneeEmails: row.assigneeEmails.join(',') });
+                    })));
                 }
-                var users = await query.exec();
-                return sendResponse(res, 200, 'OK', users);
+                return res.json(rows);
             } catch (error) {
                 return handleError(res, error);
             }
-        })
-        .post(async function (req, res) {
-            try {
-                var pendingTaskIds = normalizeIdArray(req.body.pendingTasks || [], 'pendingTasks');
-                await ensureTasksExist(pendingTaskIds);
+        });
 
-                var user = new User({
-                    name: req.body.name,
-                    email: req.body.email,
-                    pendingTasks: pendingTaskIds
+    router.route('/tasks/import')
+        .post(auth.requireAuth, async function (req, res) {
+            try {
+                var rows = importRows(req);
+                var dryRun = parseBoolean(req.query.dryRun, false);
+                var lookups = await importLookups(rows);
+                var prepared = [];
+                for (var i = 0; i < rows.length; i += 1) {
+                    prepared.push(await prepareImportRow(rows[i], lookups, req.user));
+                }
+                var valid = prepared.filter(function (item) {
+                    return !item.errors.length;
                 });
 
-                await user.save();
-                await syncUserPendingTasks(user, []);
+                if (!dryRun && valid.length) {
+                    await runInTransaction(req, async function (ctx) {
+                        for (var j = 0; j < valid.length; j += 1) {
+                            var task = valid[j].task;
+                            await repositories.tasks.save(task, { session: ctx.session });
+                            await audit.record(ctx, 'Task', task._id, null, audit.snapshot(task));
+                            await syncAssigneePendingTasks(task, [], ctx);
+                        }
+                    });
+                }
 
-                var createdUser = await User.findById(user._id);
-                return sendResponse(res, 201, 'User created', createdUser);
-            } catch (error) {
-                if (error.code === 11000) {
-                    return sendResponse(res, 400, 'Email already exists', {});
+                var report = {
+                    created: dryRun ? 0 : valid.length,
+                    failed: rows.length - valid.length,
+                    rows: prepared.map(function (item, index) {
+                        var entry = { row: index + 1 };
+                        if (item.errors.length) {
+                            entry.status = 'failed';
+                            entry.errors = item.errors;
+                        } else {
+                            entry.status = dryRun ? 'valid' : 'created';
+                            if (!dryRun) {
+                                entry._id = item.task._id.toString();
+                            }
+                        }
+                        return entry;
+                    })
+                };
+                if (dryRun) {
+                    return sendResponse(res, 200, 'Import checked', report);
+                }
+                if (!valid.length) {
+                    throw createError(400, 'No tasks were imported', report);
                 }
+                return sendResponse(res, 201, report.failed ? 'Tasks imported with errors' : 'Tasks imported', report);
+            } catch (error) {
                 return handleError(res, error);
             }
         });
 
-    router.route('/users/:id')
-        .get(async function (req, res) {
+    router.route('/tasks/facets')
+        .get(auth.requireAuth, async function (req, res) {
             try {
-                var userId = req.params.id;
-                if (!mongoose.Types.ObjectId.isValid(userId)) {
-                    throw createError(404, 'User not found');
-                }
-                var selectParamName = req.query.select !== undefined ? 'select' : (req.query.filter !== undefined ? 'filter' : 'select');
-                var selectValue = req.query.select !== undefined ? req.query.select : req.query.filter;
-                var select = parseJSONParam(selectValue, selectParamName);
-                var query = User.findById(userId);
-                if (select) {
-                    query = query.select(select);
+                var filter = parseJSONParam(req.query.where, 'where') || {};
+                queryValidator.validateWhere(taskQueryPolicy, filter);
+                var bucketLimit = parseNumberParam(req.query.limit, 'limit');
+                if (bucketLimit === undefined) {
+                    bucketLimit = DEFAULT_FACET_LIMIT;
                 }
-                var user = await query.exec();
-                if (!user) {
-                    throw createError(404, 'User not found');
+                if (bucketLimit < 1 || bucketLimit > MAX_FACET_LIMIT) {
+                    throw createError(400, 'Parameter "limit" must be between 1 and ' + MAX_FACET_LIMIT);
                 }
-                return sendResponse(res, 200, 'OK', user);
+                var facets = await countTaskFacets(filter, bucketLimit);
+                return sendResponse(res, 200, 'OK', facets);
             } catch (error) {
                 return handleError(res, error);
             }
-        })
-        .put(async function (req, res) {
+        });
+
+    // Registered before /tasks/:id so "search" is not taken for a task id
+    router.route('/tasks/search')
+        .get(auth.requireAuth, async function (req, res) {
             try {
-                var userId = req.params.id;
-                if (!mongoose.Types.ObjectId.isValid(userId)) {
-                    throw createError(404, 'User not found');
+                var parsed = search.parseSearchQuery(req.query.q);
+                var queryOptions = buildQueryOptions(req, { defaultLimit: 100, policy: taskQueryPolicy });
+                if (queryOptions.cursor !== undefined) {
+                    throw createError(400, 'Parameter "cursor" is not supported by search; use "skip" and "limit"');
                 }
-
-                var user = await User.findById(userId);
-                if (!user) {
-                    throw createError(404, 'User not found');
+                var page = await search.findSearchPage(repositories.tasks, parsed, queryOptions);
+                if (queryOptions.count) {
+                    return sendResponse(res, 200, 'OK', page.total);
                 }
+                var extra;
+                if (page.total !== undefined) {
+                    extra = {
+                        pagination: {
+                            skip: queryOptions.skip || 0,
+                            limit: queryOptions.limit === undefined ? null : queryOptions.limit,
+                            total: page.total
+                        }
+                    };
+                }
+                return sendResponse(res, 200, 'OK', page.items, extra);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
 
-                var previousPending = (user.pendingTasks || []).slice();
-                var pendingTaskIds = normalizeIdArray(req.body.pendingTasks || [], 'pendingTasks');
-                await ensureTasksExist(pendingTaskIds);
-
-                user.name = req.body.name;
-                user.email = req.body.email;
-                user.pendingTasks = pendingTaskIds;
+    router.route('/workflow')
+        .get(auth.requireAuth, function (req, res) {
+            return sendResponse(res, 200, 'OK', workflow.getWorkflow());
+        });
 
-                await user.save();
-                await syncUserPendingTasks(user, previousPending);
+    router.route('/tasks/:id/restore')
+        .post(auth.requireAuth, async function (req, res) {
+            try {
+                var taskId = req.params.id;
+                var skipped = await runInTransaction(req, async function (ctx) {
+                    var task = await findTrashedOr404(repositories.tasks, taskId, 'Deleted task not found', ctx.session);
+                    if (!auth.isAdmin(req.user) && !auth.ownsTask(req.user, task)) {
+                        throw createError(403, 'You can only restore your own tasks');
+                    }
+                    return restoreTask(task, ctx);
+                });
 
-                var updatedUser = await User.findById(userId);
-                return sendResponse(res, 200, 'User updated', updatedUser);
+                var restoredTask = await repositories.tasks.findById(taskId);
+                return sendResponse(res, 200, 'Task restored', restoredTask, { skipped: skipped });
             } catch (error) {
-                if (error.code === 11000) {
-                    return sendResponse(res, 400, 'Email already exists', {});
-                }
                 return handleError(res, error);
             }
-        })
-        .delete(async function (req, res) {
-            try {
-                var userId = req.params.id;
-                if (!mongoose.Types.ObjectId.isValid(userId)) {
-                    throw createError(404, 'User not found');
-                }
-
-                var user = await User.findById(userId);
-                if (!user) {
-                    throw createError(404, 'User not found');
-                }
+        });
 
-                await Task.updateMany({ assignedUser: userId }, {
-                    $set: {
-                        assignedUser: '',
-                        assignedUserName: 'unassigned'
-                    }
+    router.route('/tasks/:id/transition')
+        .post(auth.requireTaskOwnerOrAdmin, async function (req, res) {
+            try {
+                var taskId = req.params.id;
+                await runInTransaction(req, function (ctx) {
+                    return transitionTask(req, taskId, ctx);
                 });
 
-                await User.deleteOne({ _id: userId });
+                var updatedTask = await repositories.tasks.findById(taskId);
+                return sendDocument(req, res, 200, 'Task moved to "' + updatedTask.status + '"', updatedTask);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
 
-                return res.status(204).send();
+    router.route('/tasks/:id/history')
+        .get(auth.requireAuth, async function (req, res) {
+            try {
+                return await sendHistory(req, res, 'Task');
             } catch (error) {
                 return handleError(res, error);
             }
         });
 
-    router.route('/tasks')
-        .get(async function (req, res) {
+    router.route('/tasks/:id/graph')
+        .get(auth.requireAuth, async function (req, res) {
             try {
-                var queryOptions = buildQueryOptions(req, { defaultLimit: 100 });
-                if (queryOptions.count) {
-                    var count = await Task.countDocuments(queryOptions.filter);
-                    return sendResponse(res, 200, 'OK', count);
-                }
-                if (queryOptions.limit === 0) {
-                    return sendResponse(res, 200, 'OK', []);
-                }
-                var query = Task.find(queryOptions.filter);
-                if (queryOptions.select) {
-                    query = query.select(queryOptions.select);
-                }
-                if (queryOptions.sort) {
-                    query = query.sort(queryOptions.sort);
-                }
-                if (queryOptions.skip !== undefined) {
-                    query = query.skip(queryOptions.skip);
+                var depth = parseNumberParam(req.query.depth, 'depth');
+                depth = Math.min(depth === undefined ? DEFAULT_GRAPH_DEPTH : depth, MAX_GRAPH_DEPTH);
+                var task = await findTaskOr404(req.params.id);
+                var graph = await taskGraph.buildGraph(task, depth, MAX_GRAPH_NODES);
+                return sendResponse(res, 200, 'OK', graph.root, { truncated: graph.truncated });
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+
+    router.route('/tasks/:id/occurrences')
+        .get(auth.requireAuth, async function (req, res) {
+            try {
+                var task = await findTaskOr404(req.params.id);
+                if (!recurrence.isRecurring(task)) {
+                    throw createError(400, 'Task is not recurring');
                 }
-                if (queryOptions.limit !== undefined) {
-                    query = query.limit(queryOptions.limit);
+                var limit = parseNumberParam(req.query.limit, 'limit');
+                limit = Math.min(limit === undefined ? DEFAULT_OCCURRENCE_LIMIT : limit, MAX_OCCURRENCE_LIMIT);
+                var after = parseDateValue(req.query.after, 'after') || new Date();
+                if (after.getTime() > Date.now() + MAX_OCCURRENCE_AFTER_MS) {
+                    throw createError(400, '"after" must be at most 10 years from now');
                 }
-                var tasks = await query.exec();
-                return sendResponse(res, 200, 'OK', tasks);
+                return sendResponse(res, 200, 'OK', {
+                    seriesId: task.seriesId,
+                    rule: task.recurrence.rule,
+                    exceptions: task.recurrence.exceptions,
+                    occurrences: recurrence.upcomingOccurrences(task.recurrence, after, limit)
+                });
             } catch (error) {
                 return handleError(res, error);
             }
-        })
-        .post(async function (req, res) {
-            try {
-                var assignedUserId = req.body.assignedUser ? String(req.body.assignedUser) : '';
-                var userDoc = null;
+        });
 
-                if (assignedUserId) {
-                    if (!mongoose.Types.ObjectId.isValid(assignedUserId)) {
-                        throw createError(400, 'Invalid user id in assignedUser');
-                    }
-                    userDoc = await User.findById(assignedUserId);
-                    if (!userDoc) {
-                        throw createError(400, 'Assigned user does not exist');
-                    }
+    router.route('/tasks/:id/dependencies')
+        .post(auth.requireTaskOwnerOrAdmin, async function (req, res) {
+            try {
+                var taskId = req.params.id;
+                var blockerId = req.body.taskId ? String(req.body.taskId) : '';
+                if (!mongoose.Types.ObjectId.isValid(blockerId)) {
+                    throw createError(400, 'A valid "taskId" of the blocking task is required');
                 }
+                await runInTransaction(req, async function (ctx) {
+                    var task = await findTaskOr404(taskId, ctx.session);
+                    var blocker = await repositories.tasks.findById(blockerId, { session: ctx.session });
+                    if (!blocker) {
+                        throw createError(400, 'Blocking task does not exist');
+                    }
+                    await taskGraph.addBlocker(task, blocker, ctx);
+                });
 
-                var completed = parseBoolean(req.body.completed, false);
-                var deadlineValue = parseDateValue(req.body.deadline, 'deadline');
+                var updatedTask = await repositories.tasks.findById(taskId);
+                return sendResponse(res, 201, 'Dependency added', updatedTask);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
 
-                var task = new Task({
-                    name: req.body.name,
-                    description: req.body.description === undefined ? '' : req.body.description,
-                    deadline: deadlineValue,
-                    completed: completed,
-                    assignedUser: '',
-                    assignedUserName: 'unassigned'
+    router.route('/tasks/:id/dependencies/:blockerId')
+        .delete(auth.requireTaskOwnerOrAdmin, async function (req, res) {
+            try {
+                await runInTransaction(req, async function (ctx) {
+                    var task = await findTaskOr404(req.params.id, ctx.session);
+                    await taskGraph.removeBlocker(task, req.params.blockerId, ctx);
                 });
+                return res.status(204).send();
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
 
-                if (userDoc) {
-                    await assignTask(task, userDoc);
+    router.route('/tasks/:id/subtasks')
+        .post(auth.requireTaskOwnerOrAdmin, async function (req, res) {
+            try {
+                var parentId = req.params.id;
+                var childId = req.body.taskId ? String(req.body.taskId) : '';
+                if (!mongoose.Types.ObjectId.isValid(childId)) {
+                    throw createError(400, 'A valid "taskId" of the subtask is required');
                 }
+                var child = await runInTransaction(req, async function (ctx) {
+                    var parent = await findTaskOr404(parentId, ctx.session);
+                    var childTask = await repositories.tasks.findById(childId, { session: ctx.session });
+                    if (!childTask) {
+                        throw createError(400, 'Subtask does not exist');
+                    }
+                    assertCanLinkSubtask(req.user, childTask);
+                    await taskGraph.addSubtask(parent, childTask, ctx);
+                    return childTask;
+                });
 
-                await task.save();
-
-                if (task.assignedUser && !task.completed) {
-                    await addTaskToUser(task._id.toString(), task.assignedUser);
-                }
+                var updatedChild = await repositories.tasks.findById(child._id);
+                return sendResponse(res, 201, 'Subtask added', updatedChild);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
 
-                var createdTask = await Task.findById(task._id);
-                return sendResponse(res, 201, 'Task created', createdTask);
+    router.route('/tasks/:id/subtasks/:childId')
+        .delete(auth.requireTaskOwnerOrAdmin, async function (req, res) {
+            try {
+                await runInTransaction(req, async function (ctx) {
+                    var parent = await findTaskOr404(req.params.id, ctx.session);
+                    var child = mongoose.Types.ObjectId.isValid(req.params.childId)
+                        ? await repositories.tasks.findById(req.params.childId, { session: ctx.session })
+                        : null;
+                    if (!child) {
+                        throw createError(404, 'Subtask not found');
+                    }
+                    assertCanLinkSubtask(req.user, child);
+                    await taskGraph.removeSubtask(parent, child, ctx);
+                });
+                return res.status(204).send();
             } catch (error) {
                 return handleError(res, error);
             }
         });
 
     router.route('/tasks/:id')
-        .get(async function (req, res) {
+        .get(auth.requireAuth, async function (req, res) {
             try {
                 var taskId = req.params.id;
                 if (!mongoose.Types.ObjectId.isValid(taskId)) {
@@ -470,98 +2361,257 @@ module.exports = function (router) {
                 var selectParamName = req.query.select !== undefined ? 'select' : (req.query.filter !== undefined ? 'filter' : 'select');
                 var selectValue = req.query.select !== undefined ? req.query.select : req.query.filter;
                 var select = parseJSONParam(selectValue, selectParamName);
-                var query = Task.findById(taskId);
-                if (select) {
-                    query = query.select(select);
-                }
-                var task = await query.exec();
+                queryValidator.validateSelect(taskQueryPolicy, select, selectParamName);
+                var expansions = expand.parseExpand(req.query.expand, 'Task');
+                var projection = versionedProjection(select);
+                var task = await repositories.tasks.findById(taskId, { select: projection.projection });
                 if (!task) {
                     throw createError(404, 'Task not found');
                 }
-                return sendResponse(res, 200, 'OK', task);
+                if (expansions) {
+                    var expanded = await expand.expandDocuments([selectedData(task, projection.hidden) || task], expansions);
+                    return sendResponse(res, 200, 'OK', expanded[0]);
+                }
+                return sendDocument(req, res, 200, 'OK', task, selectedData(task, projection.hidden));
             } catch (error) {
                 return handleError(res, error);
             }
         })
-        .put(async function (req, res) {
+        .put(auth.requireTaskOwnerOrAdmin, async function (req, res) {
             try {
                 var taskId = req.params.id;
-                if (!mongoose.Types.ObjectId.isValid(taskId)) {
-                    throw createError(404, 'Task not found');
-                }
+                await runInTransaction(req, function (ctx) {
+                    return updateTask(req, taskId, ctx);
+                });
 
-                var task = await Task.findById(taskId);
-                if (!task) {
-                    throw createError(404, 'Task not found');
-                }
+                var updatedTask = await repositories.tasks.findById(taskId);
+                return sendDocument(req, res, 200, 'Task updated', updatedTask);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .patch(auth.requireTaskOwnerOrAdmin, async function (req, res) {
+            try {
+                var taskId = req.params.id;
+                await runInTransaction(req, function (ctx) {
+                    return updateTask(req, taskId, ctx);
+                });
+
+                var updatedTask = await repositories.tasks.findById(taskId);
+                return sendDocument(req, res, 200, 'Task updated', updatedTask);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .delete(auth.requireTaskOwnerOrAdmin, async function (req, res) {
+            try {
+                var taskId = req.params.id;
+                await runInTransaction(req, function (ctx) {
+                    return deleteTask(req, taskId, ctx);
+                });
 
-                var previousUserId = task.assignedUser;
-                var completed = parseBoolean(req.body.completed, false);
-                var assignedUserId = req.body.assignedUser ? String(req.body.assignedUser) : '';
-                var userDoc = null;
-                var deadlineValue = parseDateValue(req.body.deadline, 'deadline');
+                return res.status(204).send();
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
 
-                if (assignedUserId) {
-                    if (!mongoose.Types.ObjectId.isValid(assignedUserId)) {
-                        throw createError(400, 'Invalid user id in assignedUser');
-                    }
-                    userDoc = await User.findById(assignedUserId);
-                    if (!userDoc) {
-                        throw createError(400, 'Assigned user does not exist');
+    router.route('/trash')
+        .get(auth.requireAuth, async function (req, res) {
+            try {
+                var type = req.query.type;
+                if (type !== undefined && type !== 'users' && type !== 'tasks') {
+                    throw createError(400, 'type must be "users" or "tasks"');
+                }
+                var limit = parseNumberParam(req.query.limit, 'limit');
+                limit = Math.min(limit === undefined ? DEFAULT_TRASH_LIMIT : limit, MAX_TRASH_LIMIT);
+                var trashed = { deletedAt: { $ne: null } };
+                var data = { users: [], tasks: [], retentionDays: trash.retentionDays() };
+                // Regular users only see the trashed tasks they own
+                if (type !== 'tasks' && auth.isAdmin(req.user)) {
+                    data.users = await repositories.users.find(trashed, {
+                        withDeleted: true, select: '+deletedAt +deletedBy', sort: { deletedAt: -1 }, limit: limit
+                    });
+                }
+                if (type !== 'users') {
+                    var taskFilter = trashed;
+                    if (!auth.isAdmin(req.user)) {
+                        var userId = req.user._id.toString();
+                        taskFilter = Object.assign({
+                            $or: [{ assignedUser: userId }, { 'assignees.user': userId }, { createdBy: userId }]
+                        }, trashed);
                     }
+                    data.tasks = await repositories.tasks.find(taskFilter, {
+                        withDeleted: true, select: '+deletedAt +deletedBy', sort: { deletedAt: -1 }, limit: limit
+                    });
                 }
+                return sendResponse(res, 200, 'OK', data);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .delete(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var before = req.query.before !== undefined ? parseDateValue(req.query.before, 'before') : new Date();
+                var purged = await trash.purgeTrash(before);
+                return sendResponse(res, 200, 'Trash purged', purged);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
 
-                task.name = req.body.name;
-                task.description = req.body.description === undefined ? '' : req.body.description;
-                task.deadline = deadlineValue;
-                task.completed = completed;
-
-                if (userDoc) {
-                    await assignTask(task, userDoc);
-                } else {
-                    await unassignTask(task);
+    router.route('/projects')
+        .get(auth.requireAuth, async function (req, res) {
+            try {
+                var queryOptions = buildQueryOptions(req, { policy: projectQueryPolicy });
+                return await sendList(req, res, repositories.projects, queryOptions);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .post(auth.requireAuth, async function (req, res) {
+            try {
+                var ownerId = req.user._id.toString();
+                var memberIds = normalizeIdArray(req.body.members || [], 'members', 'user');
+                if (memberIds.indexOf(ownerId) === -1) {
+                    memberIds.unshift(ownerId);
                 }
 
-                await task.save();
+                var project = await runInTransaction(req, async function (ctx) {
+                    await ensureUsersExist(memberIds, ctx.session);
+
+                    var newProject = new Project({
+                        name: req.body.name,
+                        description: req.body.description === undefined ? '' : req.body.description,
+                        members: memberIds,
+                        owner: ownerId
+                    });
+                    await repositories.projects.save(newProject, { session: ctx.session });
+                    await audit.record(ctx, 'Project', newProject._id, null, audit.snapshot(newProject));
+                    return newProject;
+                });
+
+                var createdProject = await repositories.projects.findById(project._id);
+                return sendResponse(res, 201, 'Project created', createdProject);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
 
-                if (previousUserId && previousUserId !== (userDoc ? userDoc._id.toString() : '')) {
-                    await removeTaskFromUser(taskId, previousUserId);
+    router.route('/projects/:id')
+        .get(auth.requireAuth, async function (req, res) {
+            try {
+                var projectId = req.params.id;
+                if (!mongoose.Types.ObjectId.isValid(projectId)) {
+                    throw createError(404, 'Project not found');
+                }
+                var selectParamName = req.query.select !== undefined ? 'select' : (req.query.filter !== undefined ? 'filter' : 'select');
+                var selectValue = req.query.select !== undefined ? req.query.select : req.query.filter;
+                var select = parseJSONParam(selectValue, selectParamName);
+                queryValidator.validateSelect(projectQueryPolicy, select, selectParamName);
+                var project = await repositories.projects.findById(projectId, { select: select });
+                if (!project) {
+                    throw createError(404, 'Project not found');
                 }
+                return sendResponse(res, 200, 'OK', project);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .put(auth.requireProjectOwnerOrAdmin, async function (req, res) {
+            try {
+                var projectId = req.params.id;
+                await runInTransaction(req, async function (ctx) {
+                    var project = await findProjectOr404(projectId, ctx.session);
+                    await replaceProject(project, req.body, ctx);
+                });
 
-                if (task.assignedUser) {
-                    if (task.completed) {
-                        await removeTaskFromUser(taskId, task.assignedUser);
-                    } else {
-                        await addTaskToUser(taskId, task.assignedUser);
+                var updatedProject = await repositories.projects.findById(projectId);
+                return sendResponse(res, 200, 'Project updated', updatedProject);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .patch(auth.requireProjectOwnerOrAdmin, async function (req, res) {
+            try {
+                var projectId = req.params.id;
+                await runInTransaction(req, async function (ctx) {
+                    var project = await findProjectOr404(projectId, ctx.session);
+                    var patched = applyPatchBody(req, projectPatchTarget(project));
+                    if (!isPlainObject(patched)) {
+                        throw createError(400, 'Patched project must be a JSON object');
                     }
-                }
+                    await replaceProject(project, patched, ctx);
+                });
 
-                var updatedTask = await Task.findById(taskId);
-                return sendResponse(res, 200, 'Task updated', updatedTask);
+                var updatedProject = await repositories.projects.findById(projectId);
+                return sendResponse(res, 200, 'Project updated', updatedProject);
             } catch (error) {
                 return handleError(res, error);
             }
         })
-        .delete(async function (req, res) {
+        .delete(auth.requireProjectOwnerOrAdmin, async function (req, res) {
             try {
-                var taskId = req.params.id;
-                if (!mongoose.Types.ObjectId.isValid(taskId)) {
-                    throw createError(404, 'Task not found');
-                }
+                var projectId = req.params.id;
+                await runInTransaction(req, async function (ctx) {
+                    var project = await findProjectOr404(projectId, ctx.session);
 
-                var task = await Task.findById(taskId);
-                if (!task) {
-                    throw createError(404, 'Task not found');
-                }
+                    await detachProjectTasks(projectId, ctx);
+
+                    await repositories.projects.deleteOne({ _id: projectId }, { session: ctx.session });
+                    await audit.record(ctx, 'Project', projectId, audit.snapshot(project), null);
+                });
+
+                return res.status(204).send();
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+
+    router.route('/projects/:id/tasks')
+        .get(auth.requireAuth, async function (req, res) {
+            try {
+                var project = await findProjectOr404(req.params.id);
+                var queryOptions = buildQueryOptions(req, { defaultLimit: 100, policy: taskQueryPolicy });
+                queryOptions.filter = {
+                    $and: [queryOptions.filter, { project: project._id.toString() }]
+                };
+                return await sendList(req, res, repositories.tasks, queryOptions);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
 
-                var assignedUserId = task.assignedUser;
-                await Task.deleteOne({ _id: taskId });
+    router.route('/projects/:id/history')
+        .get(auth.requireAuth, async function (req, res) {
+            try {
+                return await sendHistory(req, res, 'Project');
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
 
-                if (assignedUserId) {
-                    await removeTaskFromUser(taskId, assignedUserId);
+    // Runs an ordered list of user and task writes; later operations can use
+    // the ids of documents created earlier through "$ref:<ref>"
+    router.route('/batch')
+        .post(auth.requireAuth, async function (req, res) {
+            try {
+                var mode = req.body.mode === undefined ? 'atomic' : req.body.mode;
+                if (BATCH_MODES.indexOf(mode) === -1) {
+                    throw createError(400, '"mode" must be one of "' + BATCH_MODES.join('", "') + '"');
                 }
+                var operations = req.body.operations;
+                assertBatchOperations(operations);
 
-                return res.status(204).send();
+                var results = mode === 'atomic'
+                    ? await runAtomicBatch(req, operations)
+                    : await runContinuingBatch(req, operations);
+                var failed = results.filter(function (result) {
+                    return result.status >= 400;
+                }).length;
+                return sendResponse(res, 200, failed
+                    ? 'Batch completed with ' + failed + ' failed operation' + (failed === 1 ? '' : 's')
+                    : 'Batch completed', results);
             } catch (error) {
                 return handleError(res, error);
             }
@@ -0,0 +1,115 @@
+var mongoose = require('mongoose');
+var ApiKey = require('../models/apiKey');
+var repositories = require('../repositories');
+var httpUtils = require('../utils/http');
+var auth = require('../middleware/auth');
+var listing = require('../utils/listing');
+var queryValidator = require('../utils/queryValidator');
+var apiKeys = require('../utils/apiKeys');
+
+var createError = httpUtils.createError;
+var sendResponse = httpUtils.sendResponse;
+var handleError = httpUtils.handleError;
+
+var apiKeyQueryPolicy = queryValidator.createQueryPolicy(ApiKey);
+
+// Copies the limits given in body; a new key's burst defaults to its rate
+function applyLimits(apiKey, body) {
+    if (body.requestsPerMinute !== undefined) {
+        apiKey.requestsPerMinute = body.requestsPerMinute;
+        if (apiKey.isNew && body.burst === undefined) {
+            apiKey.burst = body.requestsPerMinute;
+        }
+    }
+    if (body.burst !== undefined) {
+        apiKey.burst = body.burst;
+    }
+    if (body.dailyQuota !== undefined) {
+        apiKey.dailyQuota = body.dailyQuota;
+    }
+}
+
+async function findApiKeyOr404(apiKeyId) {
+    if (!mongoose.Types.ObjectId.isValid(apiKeyId)) {
+        throw createError(404, 'API key not found');
+    }
+    var apiKey = await repositories.forModel(ApiKey).findById(apiKeyId);
+    if (!apiKey) {
+        throw createError(404, 'API key not found');
+    }
+    return apiKey;
+}
+
+// API keys bypass the login, so only admins issue and revoke them
+module.exports = function (router) {
+    router.route('/api-keys')
+        .get(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var queryOptions = listing.buildQueryOptions(req, { policy: apiKeyQueryPolicy });
+                return await listing.sendList(req, res, repositories.forModel(ApiKey), queryOptions);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .post(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var userId = req.body.user === undefined ? req.user._id.toString() : String(req.body.user);
+                if (!mongoose.Types.ObjectId.isValid(userId) || !(await repositories.users.exists({ _id: userId }))) {
+                    throw createError(400, 'User does not exist');
+                }
+                var generated = apiKeys.generateKey();
+                var apiKey = new ApiKey({
+                    name: req.body.name,
+                    user: userId,
+                    prefix: generated.prefix,
+                    keyHash: generated.keyHash,
+                    owner: req.user._id.toString()
+                });
+                applyLimits(apiKey, req.body);
+                await repositories.forModel(ApiKey).save(apiKey);
+
+                // The key is only ever returned here
+                var data = apiKey.toJSON();
+                data.key = generated.key;
+                return sendResponse(res, 201, 'API key created', data);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+
+    router.route('/api-keys/:id')
+        .get(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var apiKey = await findApiKeyOr404(req.params.id);
+                return sendResponse(res, 200, 'OK', apiKey);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .patch(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var apiKey = await findApiKeyOr404(req.params.id);
+                if (req.body.name !== undefined) {
+                    apiKey.name = req.body.name;
+                }
+                applyLimits(apiKey, req.body);
+                await repositories.forModel(ApiKey).save(apiKey);
+                return sendResponse(res, 200, 'API key updated', apiKey);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        // Revoked keys stay listed so their use can still be traced
+        .delete(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var apiKey = await findApiKeyOr404(req.params.id);
+                if (!apiKey.revokedAt) {
+                    apiKey.revokedAt = new Date();
+                    await repositories.forModel(ApiKey).save(apiKey);
+                }
+                return sendResponse(res, 200, 'API key revoked', apiKey);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+};
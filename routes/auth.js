@@ -0,0 +1,73 @@
+var User = require('../models/user');
+var repositories = require('../repositories');
+var httpUtils = require('../utils/http');
+var auth = require('../middleware/auth');
+var audit = require('../utils/audit');
+
+var createError = httpUtils.createError;
+var sendResponse = httpUtils.sendResponse;
+var handleError = httpUtils.handleError;
+
+// Emails listed in ADMIN_EMAILS (comma separated) get the admin role on signup
+function isBootstrapAdmin(email) {
+    var adminEmails = (process.env.ADMIN_EMAILS || '').split(',').map(function (value) {
+        return value.trim().toLowerCase();
+    }).filter(Boolean);
+    return typeof email === 'string' && adminEmails.indexOf(email.trim().toLowerCase()) !== -1;
+}
+
+module.exports = function (router) {
+    router.route('/auth/signup')
+        .post(async function (req, res) {
+            try {
+                var user = new User({
+                    name: req.body.name,
+                    email: req.body.email,
+                    role: isBootstrapAdmin(req.body.email) ? 'admin' : 'user',
+                    pendingTasks: []
+                });
+                await user.setPassword(req.body.password);
+                await repositories.users.save(user);
+                await audit.record({
+                    session: null,
+                    actor: user,
+                    route: 'POST /api/auth/signup'
+                }, 'User', user._id, null, audit.snapshot(user));
+
+                return sendResponse(res, 201, 'User registered', {
+                    token: auth.signToken(user),
+                    user: user
+                });
+            } catch (error) {
+                if (error.code === 11000) {
+                    return sendResponse(res, 400, 'Email already exists', {});
+                }
+                return handleError(res, error);
+            }
+        });
+
+    router.route('/auth/login')
+        .post(async function (req, res) {
+            try {
+                var email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+                if (!email || typeof req.body.password !== 'string') {
+                    throw createError(400, 'Email and password are required');
+                }
+                var user = await repositories.users.findOne({ email: email }, { select: '+password' });
+                if (!user || !(await user.checkPassword(req.body.password))) {
+                    throw createError(401, 'Invalid email or password');
+                }
+                return sendResponse(res, 200, 'Logged in', {
+                    token: auth.signToken(user),
+                    user: user
+                });
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+
+    router.route('/auth/me')
+        .get(auth.requireAuth, function (req, res) {
+            return sendResponse(res, 200, 'OK', req.user);
+        });
+};
@@ -0,0 +1,124 @@
+var User = require('../models/user');
+var Task = require('../models/task');
+var Project = require('../models/project');
+var AuditEntry = require('../models/auditEntry');
+var httpUtils = require('../utils/http');
+var auth = require('../middleware/auth');
+var listing = require('../utils/listing');
+var queryValidator = require('../utils/queryValidator');
+var matcher = require('../utils/matcher');
+var events = require('../utils/events');
+
+var createError = httpUtils.createError;
+var handleError = httpUtils.handleError;
+
+var HEARTBEAT_INTERVAL_MS = 15000;
+var RETRY_MS = 5000;
+// Clients that stop reading are disconnected instead of buffering without bound
+var MAX_BUFFERED_BYTES = 1024 * 1024;
+
+var EVENT_FIELDS = [
+    'id', 'type', 'entityType', 'entityId', 'timestamp', 'actor', 'actorName', 'route',
+    'changes', 'changes.field', 'changes.before', 'changes.after', 'document'
+];
+
+function documentFields() {
+    var fields = queryValidator.schemaFields(User.schema, 'document.')
+        .concat(queryValidator.schemaFields(Task.schema, 'document.'))
+        .concat(queryValidator.schemaFields(Project.schema, 'document.'));
+    return fields.filter(function (field, index) {
+        return fields.indexOf(field) === index;
+    });
+}
+
+// "where" on the stream is matched against the event itself; the changed user,
+// task or project is available under "document"
+var eventQueryPolicy = queryValidator.createQueryPolicy(AuditEntry, {
+    modelName: 'Event',
+    fields: EVENT_FIELDS.concat(documentFields())
+});
+
+function formatEvent(event, streamId) {
+    return 'id: ' + streamId + '\n' +
+        'event: ' + event.type + '\n' +
+        'data: ' + JSON.stringify(event) + '\n\n';
+}
+
+module.exports = function (router) {
+    router.route('/events')
+        .get(auth.acceptQueryToken, auth.requireAuth, function (req, res) {
+            var filter;
+            try {
+                filter = listing.parseJSONParam(req.query.where, 'where') || {};
+                queryValidator.validateWhere(eventQueryPolicy, filter);
+                if (req.query.lastEventId !== undefined && typeof req.query.lastEventId !== 'string') {
+                    throw createError(400, 'Invalid value for "lastEventId" parameter');
+                }
+            } catch (error) {
+                return handleError(res, error);
+            }
+
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.write('retry: ' + RETRY_MS + '\n\n');
+
+            var closed = false;
+            var heartbeat;
+            var unsubscribe;
+
+            function close() {
+                if (closed) {
+                    return;
+                }
+                closed = true;
+                clearInterval(heartbeat);
+                if (unsubscribe) {
+                    unsubscribe();
+                }
+                res.end();
+            }
+
+            function send(event, streamId) {
+                if (closed || !matcher.matches(event, filter)) {
+                    return;
+                }
+                res.write(formatEvent(event, streamId));
+                if (res.writableLength > MAX_BUFFERED_BYTES) {
+                    close();
+                }
+            }
+
+            // Replaying and subscribing happen in the same tick, so no event
+            // can slip in between them
+            var lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+            if (lastEventId) {
+                var missed = events.eventsSince(lastEventId);
+                if (missed === null) {
+                    // The client has to refetch its data; the stream continues live
+                    res.write('event: reset\ndata: ' + JSON.stringify({
+                        message: 'Events after "' + lastEventId + '" are no longer available'
+                    }) + '\n\n');
+                } else {
+                    missed.forEach(function (item) {
+                        send(item.event, item.streamId);
+                    });
+                }
+            }
+            if (closed) {
+                // The replay alone overflowed the buffer and ended the stream
+                return;
+            }
+            unsubscribe = events.subscribe(send);
+
+            heartbeat = setInterval(function () {
+                res.write(': heartbeat\n\n');
+            }, HEARTBEAT_INTERVAL_MS);
+
+            req.on('close', close);
+            res.on('error', close);
+        });
+};
@@ -1,8 +1,22 @@
 /*
  * Connect all of your endpoints together here.
  */
+var auth = require('../middleware/auth');
+var rateLimit = require('../middleware/rateLimit');
+var validate = require('../middleware/validate');
+
 module.exports = function (app, router) {
+    router.use(auth.authenticate);
+    router.use(rateLimit.limitApiKeys);
+    router.use(validate.validateRequest);
     require('./home.js')(router);
+    require('./auth.js')(router);
     require('./api.js')(router);
+    require('./stats.js')(router);
+    require('./notifications.js')(router);
+    require('./webhooks.js')(router);
+    require('./apiKeys.js')(router);
+    require('./events.js')(router);
+    require('./openapi.js')(router);
     app.use('/api', router);
 };
@@ -0,0 +1,37 @@
+var mongoose = require('mongoose');
+var Notification = require('../models/notification');
+var repositories = require('../repositories');
+var httpUtils = require('../utils/http');
+var auth = require('../middleware/auth');
+var listing = require('../utils/listing');
+var queryValidator = require('../utils/queryValidator');
+
+var createError = httpUtils.createError;
+var handleError = httpUtils.handleError;
+
+var notificationQueryPolicy = queryValidator.createQueryPolicy(Notification);
+
+module.exports = function (router) {
+    // The deadline reminders sent or queued for a user, newest first unless the
+    // client sorts otherwise
+    router.route('/users/:id/notifications')
+        .get(auth.requireAuth, async function (req, res) {
+            try {
+                var userId = req.params.id;
+                if (!auth.isAdmin(req.user) && req.user._id.toString() !== userId) {
+                    throw createError(403, 'You can only read your own notifications');
+                }
+                if (!mongoose.Types.ObjectId.isValid(userId) || !(await repositories.users.exists({ _id: userId }))) {
+                    throw createError(404, 'User not found');
+                }
+                var queryOptions = listing.buildQueryOptions(req, { defaultLimit: 100, policy: notificationQueryPolicy });
+                queryOptions.filter = {
+                    $and: [queryOptions.filter, { user: userId }]
+                };
+                queryOptions.sort = queryOptions.sort || { dateCreated: -1 };
+                return await listing.sendList(req, res, repositories.forModel(Notification), queryOptions);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+};
@@ -0,0 +1,13 @@
+var openapi = require('../utils/openapi');
+
+module.exports = function (router) {
+    var document = null;
+
+    router.route('/openapi.json').get(function (req, res) {
+        // Built on first use, once every route has been registered
+        if (!document) {
+            document = openapi.buildDocument(router, req.baseUrl);
+        }
+        res.json(document);
+    });
+};
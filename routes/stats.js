@@ -0,0 +1,56 @@
+var mongoose = require('mongoose');
+var Task = require('../models/task');
+var repositories = require('../repositories');
+var httpUtils = require('../utils/http');
+var auth = require('../middleware/auth');
+var listing = require('../utils/listing');
+var queryValidator = require('../utils/queryValidator');
+var stats = require('../utils/stats');
+
+var createError = httpUtils.createError;
+var sendResponse = httpUtils.sendResponse;
+var handleError = httpUtils.handleError;
+
+var DEFAULT_RANGE_DAYS = 30;
+
+var taskQueryPolicy = queryValidator.createQueryPolicy(Task);
+
+module.exports = function (router) {
+    router.route('/users/:id/stats')
+        .get(auth.requireAuth, async function (req, res) {
+            try {
+                var userId = req.params.id;
+                if (!mongoose.Types.ObjectId.isValid(userId) || !(await repositories.users.exists({ _id: userId }))) {
+                    throw createError(404, 'User not found');
+                }
+                var userStats = await stats.userTaskStats(userId, new Date());
+                return sendResponse(res, 200, 'OK', userStats);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+
+    router.route('/stats/tasks')
+        .get(auth.requireAuth, async function (req, res) {
+            try {
+                var filter = listing.parseJSONParam(req.query.where, 'where') || {};
+                queryValidator.validateWhere(taskQueryPolicy, filter);
+                if (req.query.groupBy !== undefined && req.query.groupBy !== 'assignee') {
+                    throw createError(400, 'Parameter "groupBy" must be "assignee"');
+                }
+                var to = listing.parseDateValue(req.query.to, 'to') || new Date();
+                var from = listing.parseDateValue(req.query.from, 'from') ||
+                    new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+                var trends = await stats.taskTrends(filter, {
+                    interval: req.query.interval === undefined ? 'day' : req.query.interval,
+                    from: from,
+                    to: to,
+                    byAssignee: req.query.groupBy === 'assignee'
+                });
+                return sendResponse(res, 200, 'OK', trends);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+};
@@ -0,0 +1,181 @@
+var mongoose = require('mongoose');
+var Webhook = require('../models/webhook');
+var WebhookDelivery = require('../models/webhookDelivery');
+var repositories = require('../repositories');
+var httpUtils = require('../utils/http');
+var auth = require('../middleware/auth');
+var listing = require('../utils/listing');
+var queryValidator = require('../utils/queryValidator');
+var events = require('../utils/events');
+var webhooks = require('../utils/webhooks');
+
+var createError = httpUtils.createError;
+var sendResponse = httpUtils.sendResponse;
+var handleError = httpUtils.handleError;
+
+var webhookQueryPolicy = queryValidator.createQueryPolicy(Webhook);
+var deliveryQueryPolicy = queryValidator.createQueryPolicy(WebhookDelivery);
+
+function normalizeEventTypes(value) {
+    if (value === undefined || value === null) {
+        return ['*'];
+    }
+    var types = Array.isArray(value) ? value : [value];
+    if (types.length === 0) {
+        throw createError(400, 'Webhook events must not be empty');
+    }
+    types.forEach(function (type) {
+        if (type !== '*' && events.EVENT_TYPES.indexOf(type) === -1) {
+            throw createError(400, 'Unknown webhook event "' + type + '"', { allowed: ['*'].concat(events.EVENT_TYPES) });
+        }
+    });
+    return types.filter(function (type, index) {
+        return types.indexOf(type) === index;
+    });
+}
+
+// PUT replaces url, events and active; PATCH only changes the fields given
+function applyWebhookBody(webhook, body, replace) {
+    if (replace || body.url !== undefined) {
+        webhook.url = body.url;
+    }
+    if (replace || body.events !== undefined) {
+        webhook.events = normalizeEventTypes(body.events);
+    }
+    if (replace || body.active !== undefined) {
+        webhook.active = listing.parseBoolean(body.active, true);
+    }
+}
+
+async function findWebhookOr404(webhookId) {
+    if (!mongoose.Types.ObjectId.isValid(webhookId)) {
+        throw createError(404, 'Webhook not found');
+    }
+    var webhook = await repositories.forModel(Webhook).findById(webhookId);
+    if (!webhook) {
+        throw createError(404, 'Webhook not found');
+    }
+    return webhook;
+}
+
+async function findDeliveryOr404(webhook, deliveryId) {
+    if (!mongoose.Types.ObjectId.isValid(deliveryId)) {
+        throw createError(404, 'Delivery not found');
+    }
+    var delivery = await repositories.forModel(WebhookDelivery).findOne({ _id: deliveryId, webhook: webhook._id.toString() });
+    if (!delivery) {
+        throw createError(404, 'Delivery not found');
+    }
+    return delivery;
+}
+
+// Webhooks receive every user and task change, so only admins manage them
+module.exports = function (router) {
+    router.route('/webhooks')
+        .get(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var queryOptions = listing.buildQueryOptions(req, { policy: webhookQueryPolicy });
+                return await listing.sendList(req, res, repositories.forModel(Webhook), queryOptions);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .post(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var webhook = new Webhook({
+                    secret: webhooks.generateSecret(),
+                    owner: req.user._id.toString()
+                });
+                applyWebhookBody(webhook, req.body, true);
+                await repositories.forModel(Webhook).save(webhook);
+
+                // The secret is only ever returned here
+                var data = webhook.toJSON();
+                data.secret = webhook.secret;
+                return sendResponse(res, 201, 'Webhook created', data);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+
+    router.route('/webhooks/:id')
+        .get(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var webhook = await findWebhookOr404(req.params.id);
+                return sendResponse(res, 200, 'OK', webhook);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .put(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var webhook = await findWebhookOr404(req.params.id);
+                applyWebhookBody(webhook, req.body, true);
+                await repositories.forModel(Webhook).save(webhook);
+                return sendResponse(res, 200, 'Webhook updated', webhook);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .patch(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var webhook = await findWebhookOr404(req.params.id);
+                applyWebhookBody(webhook, req.body || {}, false);
+                await repositories.forModel(Webhook).save(webhook);
+                return sendResponse(res, 200, 'Webhook updated', webhook);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        })
+        .delete(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var webhook = await findWebhookOr404(req.params.id);
+                await repositories.forModel(Webhook).deleteOne({ _id: webhook._id });
+                return sendResponse(res, 200, 'Webhook deleted', webhook);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+
+    // Newest deliveries first unless the client sorts otherwise
+    router.route('/webhooks/:id/deliveries')
+        .get(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var webhook = await findWebhookOr404(req.params.id);
+                var queryOptions = listing.buildQueryOptions(req, { defaultLimit: 100, policy: deliveryQueryPolicy });
+                queryOptions.filter = {
+                    $and: [queryOptions.filter, { webhook: webhook._id.toString() }]
+                };
+                queryOptions.sort = queryOptions.sort || { dateCreated: -1 };
+                return await listing.sendList(req, res, repositories.forModel(WebhookDelivery), queryOptions);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+
+    router.route('/webhooks/:id/deliveries/:deliveryId')
+        .get(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var webhook = await findWebhookOr404(req.params.id);
+                var delivery = await findDeliveryOr404(webhook, req.params.deliveryId);
+                return sendResponse(res, 200, 'OK', delivery);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+
+    router.route('/webhooks/:id/deliveries/:deliveryId/replay')
+        .post(auth.requireRole('admin'), async function (req, res) {
+            try {
+                var webhook = await findWebhookOr404(req.params.id);
+                if (!webhook.active) {
+                    throw createError(409, 'Webhook is not active');
+                }
+                var delivery = await findDeliveryOr404(webhook, req.params.deliveryId);
+                var replayed = await webhooks.replay(delivery);
+                return sendResponse(res, 202, 'Delivery queued', replayed);
+            } catch (error) {
+                return handleError(res, error);
+            }
+        });
+};
@@ -2,11 +2,15 @@
 var express = require('express'),
     router = express.Router(),
     mongoose = require('mongoose'),
-    bodyParser = require('body-parser');
+    bodyParser = require('body-parser'),
+    httpUtils = require('./utils/http');
 
 // Read .env file
 require('dotenv').config();
 
+// Picks the storage backend from STORAGE_BACKEND and MONGODB_URI
+var repositories = require('./repositories');
+
 // Create our Express application
 var app = express();
 
@@ -14,8 +18,11 @@ var app = express();
 var port = process.env.PORT || 3000;
 
 mongoose.set('strictQuery', false);
+mongoose.set('useFindAndModify', false);
 
-if (!process.env.MONGODB_URI) {
+if (repositories.name === 'memory') {
+    console.warn('Warning: using the in-memory storage backend; data is lost when the server stops. Set MONGODB_URI to use MongoDB.');
+} else if (!process.env.MONGODB_URI) {
     console.warn('Warning: MONGODB_URI is not set. Set this environment variable to connect to MongoDB.');
 } else {
     mongoose.connect(process.env.MONGODB_URI, {
@@ -28,11 +35,13 @@ if (!process.env.MONGODB_URI) {
     });
 }
 
-// Allow CORS so that backend and frontend could be put on different servers
+// Allow CORS so that backend and frontend could be put on different servers.
+// Set CORS_ORIGIN to restrict which frontend origin may call the API.
 var allowCrossDomain = function (req, res, next) {
-    res.header("Access-Control-Allow-Origin", "*");
-    res.header("Access-Control-Allow-Headers", "X-Requested-With, X-HTTP-Method-Override, Content-Type, Accept");
-    res.header("Access-Control-Allow-Methods", "POST, GET, PUT, DELETE, OPTIONS");
+    res.header("Access-Control-Allow-Origin", process.env.CORS_ORIGIN || "*");
+    res.header("Access-Control-Allow-Headers", "X-Requested-With, X-HTTP-Method-Override, Content-Type, Accept, Authorization, If-Match, If-None-Match, X-API-Key");
+    res.header("Access-Control-Expose-Headers", "ETag, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, X-RateLimit-Daily-Limit, X-RateLimit-Daily-Remaining, X-RateLimit-Daily-Reset");
+    res.header("Access-Control-Allow-Methods", "POST, GET, PUT, PATCH, DELETE, OPTIONS");
     next();
 };
 app.use(allowCrossDomain);
@@ -41,11 +50,40 @@ app.use(allowCrossDomain);
 app.use(bodyParser.urlencoded({
     extended: true
 }));
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+    type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json'],
+    limit: '1mb'
+}));
+// CSV task imports
+app.use(bodyParser.text({
+    type: 'text/csv',
+    limit: '1mb'
+}));
 
 // Use routes as a module (see index.js)
 require('./routes')(app, router);
 
+// Bodies the parsers reject get the same {message, data} errors as the routes
+app.use(function (err, req, res, next) {
+    if (err.type === 'entity.parse.failed') {
+        return httpUtils.sendResponse(res, 400, 'Invalid request: body is not valid JSON', {
+            errors: [{ in: 'body', field: '', message: 'is not valid JSON' }]
+        });
+    }
+    if (err.type === 'entity.too.large') {
+        return httpUtils.sendResponse(res, 413, 'Request body is too large', {});
+    }
+    return next(err);
+});
+
+// Deliver change events to registered webhooks, send deadline reminders and
+// purge expired trash in the background
+if (repositories.name === 'memory' || process.env.MONGODB_URI) {
+    require('./utils/webhooks').start();
+    require('./utils/reminders').start();
+    require('./utils/trash').start();
+}
+
 // Start the server
 app.listen(port);
 console.log('Server running on port ' + port);
@@ -2,8 +2,15 @@
 
 # API 测试脚本
 # 使用方法: chmod +x test_api.sh && ./test_api.sh
+# 其他地址的服务器: BASE_URL=http://localhost:4000/api ./test_api.sh
 
-BASE_URL="http://localhost:3000/api"
+BASE_URL="${BASE_URL:-http://localhost:3000/api}"
+
+# 接口需要管理员令牌 (POST /api/auth/login 获取): TOKEN=<token> ./test_api.sh
+TOKEN="${TOKEN:-}"
+curl() {
+    command curl -H "Authorization: Bearer $TOKEN" "$@"
+}
 GREEN='\033[0;32m'
 RED='\033[0;31m'
 YELLOW='\033[1;33m'
@@ -25,6 +32,7 @@ test_endpoint() {
     local url="$3"
     local data="$4"
     local expected_status="$5"
+    local content_type="${6:-application/json}"
     
     echo -n "测试: $name ... "
     
@@ -33,7 +41,7 @@ test_endpoint() {
     elif [ "$method" = "DELETE" ]; then
         response=$(curl -s -w "\n%{http_code}" -X DELETE "$url")
     else
-        response=$(curl -s -w "\n%{http_code}" -X "$method" -H "Content-Type: application/json" -d "$data" "$url")
+        response=$(curl -s -w "\n%{http_code}" -X "$method" -H "Content-Type: $content_type" -d "$data" "$url")
     fi
     
     http_code=$(echo "$response" | tail -n1)
@@ -51,6 +59,40 @@ test_endpoint() {
     fi
 }
 
+# 检查响应是否包含 (或第 4 个参数为 absent 时不包含) 指定内容
+test_contains() {
+    local name="$1"
+    local body="$2"
+    local expected="$3"
+    local mode="$4"
+
+    echo -n "测试: $name ... "
+
+    if echo "$body" | grep -q -- "$expected"; then
+        found=1
+    else
+        found=0
+    fi
+    if [ "$mode" = "absent" ]; then
+        found=$((1 - found))
+    fi
+    if [ "$found" = "1" ]; then
+        echo -e "${GREEN}✓ PASS${NC}"
+        PASSED=$((PASSED + 1))
+        return 0
+    else
+        echo -e "${RED}✗ FAIL${NC} ($([ "$mode" = "absent" ] && echo "不应包含" || echo "应包含"): $expected)"
+        echo "  响应: $body"
+        FAILED=$((FAILED + 1))
+        return 1
+    fi
+}
+
+# 从响应中取出第一个 _id
+extract_id() {
+    grep -o '"_id":"[^"]*"' | head -1 | cut -d'"' -f4
+}
+
 echo "========================================"
 echo "1. 基础端点测试"
 echo "========================================"
@@ -455,6 +497,757 @@ curl -s -X DELETE "$BASE_URL/tasks/$REF_TASK" > /dev/null 2>&1
 curl -s -X DELETE "$BASE_URL/users/$REF_USER_A" > /dev/null 2>&1
 curl -s -X DELETE "$BASE_URL/users/$REF_USER_B" > /dev/null 2>&1
 
+echo ""
+echo "========================================"
+echo "9. PATCH 部分更新测试"
+echo "========================================"
+
+PATCH_USER_EMAIL="patch_$(date +%s%N)@example.com"
+PATCH_USER=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Patch User\",\"email\":\"$PATCH_USER_EMAIL\"}" "$BASE_URL/users" | extract_id)
+PATCH_TASK=$(curl -s -X POST -H "Content-Type: application/json" -d '{"name":"Patch Task","description":"keep me","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks" | extract_id)
+
+# Merge Patch 只修改提供的字段
+RESP=$(curl -s -X PATCH -H "Content-Type: application/json" -d '{"name":"Patched User"}' "$BASE_URL/users/$PATCH_USER")
+test_contains "PATCH /users/:id 修改 name" "$RESP" '"name":"Patched User"'
+test_contains "PATCH /users/:id 保留 email" "$RESP" "\"email\":\"$PATCH_USER_EMAIL\""
+
+RESP=$(curl -s -X PATCH -H "Content-Type: application/merge-patch+json" -d '{"completed":true}' "$BASE_URL/tasks/$PATCH_TASK")
+test_contains "PATCH /tasks/:id (merge-patch+json)" "$RESP" '"completed":true'
+test_contains "PATCH /tasks/:id 保留 description" "$RESP" '"description":"keep me"'
+
+# JSON Patch
+test_endpoint "PATCH /tasks/:id (json-patch+json)" "PATCH" "$BASE_URL/tasks/$PATCH_TASK" \
+    '[{"op":"replace","path":"/name","value":"JSON Patched Task"},{"op":"replace","path":"/completed","value":false}]' "200" "application/json-patch+json"
+test_contains "JSON Patch 已生效" "$(curl -s "$BASE_URL/tasks/$PATCH_TASK")" '"name":"JSON Patched Task"'
+
+# JSON Patch 添加 pendingTasks 同步任务的 assignedUser
+test_endpoint "PATCH /users/:id 添加 pendingTasks" "PATCH" "$BASE_URL/users/$PATCH_USER" \
+    "[{\"op\":\"add\",\"path\":\"/pendingTasks/-\",\"value\":\"$PATCH_TASK\"}]" "200" "application/json-patch+json"
+test_contains "任务 assignedUser 已同步" "$(curl -s "$BASE_URL/tasks/$PATCH_TASK")" "\"assignedUser\":\"$PATCH_USER\""
+
+# 错误的 patch
+test_endpoint "PATCH (test 操作失败)" "PATCH" "$BASE_URL/tasks/$PATCH_TASK" \
+    '[{"op":"test","path":"/name","value":"Other"}]' "409" "application/json-patch+json"
+test_endpoint "PATCH (不支持的操作)" "PATCH" "$BASE_URL/tasks/$PATCH_TASK" \
+    '[{"op":"merge","path":"/name","value":"x"}]' "400" "application/json-patch+json"
+test_endpoint "PATCH (非对象 merge patch)" "PATCH" "$BASE_URL/users/$PATCH_USER" '"name"' "400"
+test_endpoint "PATCH /tasks/:id (不存在)" "PATCH" "$BASE_URL/tasks/507f1f77bcf86cd799439011" '{"name":"x"}' "404"
+
+echo ""
+echo "========================================"
+echo "10. 分配同步事务与一致性修复测试"
+echo "========================================"
+
+SYNC_USER=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Sync User\",\"email\":\"sync_$(date +%s%N)@example.com\"}" "$BASE_URL/users" | extract_id)
+SYNC_TASK=$(curl -s -X POST -H "Content-Type: application/json" -d '{"name":"Sync Task","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks" | extract_id)
+
+# 含不存在任务的 pendingTasks 整体失败，不留下部分修改
+test_endpoint "PATCH /users/:id (pendingTasks 含不存在的任务)" "PATCH" "$BASE_URL/users/$SYNC_USER" \
+    "{\"pendingTasks\":[\"$SYNC_TASK\",\"507f1f77bcf86cd799439011\"]}" "400"
+test_contains "失败的请求未分配任务" "$(curl -s "$BASE_URL/tasks/$SYNC_TASK")" "\"assignedUser\":\"$SYNC_USER\"" "absent"
+test_contains "失败的请求未修改 pendingTasks" "$(curl -s "$BASE_URL/users/$SYNC_USER")" "$SYNC_TASK" "absent"
+
+# 一致性检查与修复
+test_endpoint "POST /admin/reconcile" "POST" "$BASE_URL/admin/reconcile" '{}' "200"
+RESP=$(curl -s -X POST -H "Content-Type: application/json" -d '{"fix":true}' "$BASE_URL/admin/reconcile")
+test_contains "POST /admin/reconcile (fix=true)" "$RESP" '"fixed":true'
+RESP=$(curl -s -X POST -H "Content-Type: application/json" -d '{}' "$BASE_URL/admin/reconcile")
+test_contains "修复后没有不一致" "$RESP" '"issueCount":0'
+
+echo ""
+echo "========================================"
+echo "11. 认证与授权测试"
+echo "========================================"
+
+AUTH_EMAIL="auth_$(date +%s%N)@example.com"
+SIGNUP_RESPONSE=$(command curl -s -X POST -H "Content-Type: application/json" \
+    -d "{\"name\":\"Auth User\",\"email\":\"$AUTH_EMAIL\",\"password\":\"secret123\"}" "$BASE_URL/auth/signup")
+test_contains "POST /auth/signup 返回令牌" "$SIGNUP_RESPONSE" '"token":"'
+AUTH_USER=$(echo "$SIGNUP_RESPONSE" | extract_id)
+
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -X POST -H "Content-Type: application/json" \
+    -d "{\"name\":\"Auth User\",\"email\":\"$AUTH_EMAIL\",\"password\":\"secret123\"}" "$BASE_URL/auth/signup")
+test_contains "POST /auth/signup (重复email) 返回 400" "$CODE" "^400$"
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -X POST -H "Content-Type: application/json" \
+    -d "{\"email\":\"$AUTH_EMAIL\",\"password\":\"wrong-password\"}" "$BASE_URL/auth/login")
+test_contains "POST /auth/login (错误密码) 返回 401" "$CODE" "^401$"
+
+LOGIN_RESPONSE=$(command curl -s -X POST -H "Content-Type: application/json" \
+    -d "{\"email\":\"$AUTH_EMAIL\",\"password\":\"secret123\"}" "$BASE_URL/auth/login")
+USER_TOKEN=$(echo "$LOGIN_RESPONSE" | grep -o '"token":"[^"]*"' | cut -d'"' -f4)
+test_contains "POST /auth/login 返回令牌" "$USER_TOKEN" "."
+test_contains "GET /auth/me" "$(command curl -s -H "Authorization: Bearer $USER_TOKEN" "$BASE_URL/auth/me")" "\"email\":\"$AUTH_EMAIL\""
+
+# 未认证或令牌无效
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" "$BASE_URL/users")
+test_contains "GET /users (无令牌) 返回 401" "$CODE" "^401$"
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -H "Authorization: Bearer not-a-token" "$BASE_URL/users")
+test_contains "GET /users (无效令牌) 返回 401" "$CODE" "^401$"
+
+# 普通用户只能修改自己
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -X PATCH -H "Authorization: Bearer $USER_TOKEN" -H "Content-Type: application/json" \
+    -d '{"name":"Renamed Auth User"}' "$BASE_URL/users/$AUTH_USER")
+test_contains "普通用户 PATCH 自己 返回 200" "$CODE" "^200$"
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -X PATCH -H "Authorization: Bearer $USER_TOKEN" -H "Content-Type: application/json" \
+    -d '{"name":"Hacked"}' "$BASE_URL/users/$PATCH_USER")
+test_contains "普通用户 PATCH 他人 返回 403" "$CODE" "^403$"
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -X PATCH -H "Authorization: Bearer $USER_TOKEN" -H "Content-Type: application/json" \
+    -d '{"role":"admin"}' "$BASE_URL/users/$AUTH_USER")
+test_contains "普通用户不能提升自己为管理员" "$CODE" "^403$"
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -X POST -H "Authorization: Bearer $USER_TOKEN" -H "Content-Type: application/json" \
+    -d '{}' "$BASE_URL/admin/reconcile")
+test_contains "普通用户 POST /admin/reconcile 返回 403" "$CODE" "^403$"
+
+echo ""
+echo "========================================"
+echo "12. 游标分页测试"
+echo "========================================"
+
+CURSOR_NAME="Cursor Task $(date +%s%N)"
+for i in 1 2 3; do
+    curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"$CURSOR_NAME\",\"deadline\":\"2030-01-0${i}T00:00:00.000Z\"}" "$BASE_URL/tasks" > /dev/null
+done
+CURSOR_WHERE=$(echo "{\"name\":\"$CURSOR_NAME\"}" | sed 's/ /%20/g; s/"/%22/g; s/{/%7B/g; s/}/%7D/g; s/:/%3A/g')
+
+PAGE1=$(curl -s -i "$BASE_URL/tasks?where=$CURSOR_WHERE&sort=%7B%22deadline%22%3A1%7D&limit=2&cursor=&total=true")
+test_contains "第一页带 Link next" "$PAGE1" 'rel="next"'
+test_contains "第一页 total=3" "$PAGE1" '"total":3'
+test_contains "第一页没有 prev" "$PAGE1" '"prev":null'
+NEXT_CURSOR=$(echo "$PAGE1" | grep -o '"next":"[^"]*"' | cut -d'"' -f4)
+PAGE1_COUNT=$(echo "$PAGE1" | grep -o '"_id"' | wc -l | tr -d ' ')
+test_contains "第一页返回 2 条" "$PAGE1_COUNT" "^2$"
+
+PAGE2=$(curl -s "$BASE_URL/tasks?where=$CURSOR_WHERE&sort=%7B%22deadline%22%3A1%7D&limit=2&cursor=$NEXT_CURSOR")
+PAGE2_COUNT=$(echo "$PAGE2" | grep -o '"_id"' | wc -l | tr -d ' ')
+test_contains "第二页返回 1 条" "$PAGE2_COUNT" "^1$"
+test_contains "第二页是最后一页" "$PAGE2" '"next":null'
+test_contains "第二页有 prev" "$PAGE2" '"prev":"'
+test_contains "第二页是最晚的任务" "$PAGE2" '2030-01-03'
+
+test_endpoint "GET /tasks (cursor 与 skip 冲突)" "GET" "$BASE_URL/tasks?cursor=&skip=1" "" "400"
+test_endpoint "GET /tasks (无效 cursor)" "GET" "$BASE_URL/tasks?cursor=not-a-cursor" "" "400"
+
+echo ""
+echo "========================================"
+echo "13. 查询安全限制测试"
+echo "========================================"
+
+# 用 --data-urlencode 发送 JSON 查询参数，返回状态码
+query_status() {
+    curl -s -o /dev/null -w "%{http_code}" -G --data-urlencode "$2" "$BASE_URL/$1"
+}
+
+test_contains "where \$where 返回 400" "$(query_status tasks 'where={"$where":"1"}')" "^400$"
+test_contains "where \$expr 返回 400" "$(query_status tasks 'where={"name":{"$expr":1}}')" "^400$"
+test_contains "where 嵌套量词正则 返回 400" "$(query_status tasks 'where={"name":{"$regex":"(a+)+"}}')" "^400$"
+test_contains "where 隐藏字段 password 返回 400" "$(query_status users 'where={"password":"x"}')" "^400$"
+test_contains "where 未知字段 返回 400" "$(query_status tasks 'where={"secret":1}')" "^400$"
+test_contains "where 嵌套过深 返回 400" "$(query_status tasks 'where={"$and":[{"$and":[{"$and":[{"$and":[{"$and":[{"name":"x"}]}]}]}]}]}')" "^400$"
+MANY_IDS=$(for i in $(seq 1 101); do printf '"507f1f77bcf86cd7994390%02d",' $((i % 100)); done)
+test_contains "where \$in 超过 100 个值 返回 400" "$(query_status tasks "where={\"_id\":{\"\$in\":[${MANY_IDS%,}]}}")" "^400$"
+test_contains "sort 未知字段 返回 400" "$(query_status tasks 'sort={"secret":1}')" "^400$"
+test_contains "sort 无效方向 返回 400" "$(query_status tasks 'sort={"name":2}')" "^400$"
+test_contains "select password 返回 400" "$(query_status users 'select={"password":1}')" "^400$"
+
+# 允许的查询
+test_contains "where \$or/\$in 返回 200" "$(query_status tasks 'where={"$or":[{"completed":true},{"name":{"$in":["a","b"]}}]}')" "^200$"
+RESP=$(curl -s -G --data-urlencode "where={\"name\":{\"\$regex\":\"^${CURSOR_NAME}\$\",\"\$options\":\"i\"}}" --data-urlencode "count=true" "$BASE_URL/tasks")
+test_contains "where \$regex + \$options 计数" "$RESP" '"data":3'
+
+echo ""
+echo "========================================"
+echo "14. 审计历史测试"
+echo "========================================"
+
+test_endpoint "GET /tasks/:id/history" "GET" "$BASE_URL/tasks/$PATCH_TASK/history" "" "200"
+TASK_HISTORY=$(curl -s "$BASE_URL/tasks/$PATCH_TASK/history")
+test_contains "任务历史包含 create" "$TASK_HISTORY" '"action":"create"'
+test_contains "任务历史记录字段变化" "$TASK_HISTORY" '"before":"Patch Task","after":"JSON Patched Task"'
+test_contains "任务历史记录操作者" "$TASK_HISTORY" '"actorName":"'
+test_contains "任务历史记录路由" "$TASK_HISTORY" '"route":"PATCH /api/tasks/'
+
+USER_HISTORY=$(curl -s -G --data-urlencode 'where={"action":"update"}' --data-urlencode 'sort={"timestamp":-1}' --data-urlencode 'limit=1' "$BASE_URL/users/$PATCH_USER/history")
+test_contains "用户历史 (where/sort/limit)" "$USER_HISTORY" '"action":"update"'
+test_contains "用户历史记录同步的 pendingTasks" "$USER_HISTORY" '"field":"pendingTasks"'
+HISTORY_COUNT=$(echo "$USER_HISTORY" | grep -o '"entityId"' | wc -l | tr -d ' ')
+test_contains "用户历史 limit=1" "$HISTORY_COUNT" "^1$"
+
+test_endpoint "GET /tasks/:id/history (无效ID)" "GET" "$BASE_URL/tasks/invalid-id/history" "" "404"
+
+echo ""
+echo "========================================"
+echo "15. 子任务与依赖测试"
+echo "========================================"
+
+GRAPH_PARENT=$(curl -s -X POST -H "Content-Type: application/json" -d '{"name":"Graph Parent","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks" | extract_id)
+GRAPH_CHILD=$(curl -s -X POST -H "Content-Type: application/json" -d '{"name":"Graph Child","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks" | extract_id)
+GRAPH_BLOCKER=$(curl -s -X POST -H "Content-Type: application/json" -d '{"name":"Graph Blocker","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks" | extract_id)
+
+test_endpoint "POST /tasks/:id/subtasks" "POST" "$BASE_URL/tasks/$GRAPH_PARENT/subtasks" "{\"taskId\":\"$GRAPH_CHILD\"}" "201"
+test_endpoint "POST /tasks/:id/subtasks (循环)" "POST" "$BASE_URL/tasks/$GRAPH_CHILD/subtasks" "{\"taskId\":\"$GRAPH_PARENT\"}" "400"
+test_endpoint "POST /tasks/:id/dependencies" "POST" "$BASE_URL/tasks/$GRAPH_PARENT/dependencies" "{\"taskId\":\"$GRAPH_BLOCKER\"}" "201"
+test_endpoint "POST /tasks/:id/dependencies (循环)" "POST" "$BASE_URL/tasks/$GRAPH_BLOCKER/dependencies" "{\"taskId\":\"$GRAPH_PARENT\"}" "400"
+test_endpoint "POST /tasks/:id/dependencies (阻塞自己)" "POST" "$BASE_URL/tasks/$GRAPH_BLOCKER/dependencies" "{\"taskId\":\"$GRAPH_BLOCKER\"}" "400"
+
+GRAPH=$(curl -s "$BASE_URL/tasks/$GRAPH_PARENT/graph")
+test_contains "GET /tasks/:id/graph 包含子任务" "$GRAPH" "$GRAPH_CHILD"
+test_contains "GET /tasks/:id/graph 包含阻塞任务" "$GRAPH" "$GRAPH_BLOCKER"
+
+# 两条路径都到达同一个阻塞任务时只完整列出一次
+GRAPH_LEFT=$(curl -s -X POST -H "Content-Type: application/json" -d '{"name":"Graph Left","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks" | extract_id)
+GRAPH_RIGHT=$(curl -s -X POST -H "Content-Type: application/json" -d '{"name":"Graph Right","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks" | extract_id)
+GRAPH_SHARED=$(curl -s -X POST -H "Content-Type: application/json" -d '{"name":"Graph Shared","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks" | extract_id)
+for pair in "$GRAPH_LEFT:$GRAPH_SHARED" "$GRAPH_RIGHT:$GRAPH_SHARED" "$GRAPH_BLOCKER:$GRAPH_LEFT" "$GRAPH_BLOCKER:$GRAPH_RIGHT"; do
+    curl -s -X POST -H "Content-Type: application/json" -d "{\"taskId\":\"${pair#*:}\"}" "$BASE_URL/tasks/${pair%%:*}/dependencies" > /dev/null
+done
+GRAPH=$(curl -s "$BASE_URL/tasks/$GRAPH_BLOCKER/graph")
+test_contains "共享的阻塞任务只完整列出一次" "$(echo "$GRAPH" | grep -o '"name":"Graph Shared"' | wc -l)" "^ *1$"
+test_contains "重复到达的任务标记为 repeated" "$GRAPH" "{\"_id\":\"$GRAPH_SHARED\",\"repeated\":true}"
+test_contains "GET /tasks/:id/graph 返回 truncated" "$GRAPH" '"truncated":false'
+
+test_endpoint "有未完成阻塞任务时不能完成" "PATCH" "$BASE_URL/tasks/$GRAPH_PARENT" '{"completed":true}' "409"
+test_endpoint "DELETE /tasks/:id/dependencies/:blockerId" "DELETE" "$BASE_URL/tasks/$GRAPH_PARENT/dependencies/$GRAPH_BLOCKER" "" "204"
+test_endpoint "有未完成子任务时不能完成" "PATCH" "$BASE_URL/tasks/$GRAPH_PARENT" '{"completed":true}' "409"
+test_endpoint "完成子任务" "PATCH" "$BASE_URL/tasks/$GRAPH_CHILD" '{"completed":true}' "200"
+test_endpoint "子任务完成后可以完成父任务" "PATCH" "$BASE_URL/tasks/$GRAPH_PARENT" '{"completed":true}' "200"
+test_endpoint "DELETE /tasks/:id/subtasks/:childId" "DELETE" "$BASE_URL/tasks/$GRAPH_PARENT/subtasks/$GRAPH_CHILD" "" "204"
+test_contains "子任务已解除" "$(curl -s "$BASE_URL/tasks/$GRAPH_CHILD")" '"parentTask":""'
+
+echo ""
+echo "========================================"
+echo "16. 重复任务测试"
+echo "========================================"
+
+RECUR_RESPONSE=$(curl -s -X POST -H "Content-Type: application/json" \
+    -d "{\"name\":\"Weekly Task\",\"deadline\":\"2030-01-07T09:00:00.000Z\",\"assignedUser\":\"$PATCH_USER\",\"recurrence\":\"FREQ=WEEKLY;COUNT=3\"}" "$BASE_URL/tasks")
+RECUR_TASK=$(echo "$RECUR_RESPONSE" | extract_id)
+SERIES_ID=$(echo "$RECUR_RESPONSE" | grep -o '"seriesId":"[^"]*"' | cut -d'"' -f4)
+test_contains "POST /tasks (recurrence)" "$RECUR_RESPONSE" '"rule":"FREQ=WEEKLY;COUNT=3"'
+test_endpoint "POST /tasks (无效 RRULE)" "POST" "$BASE_URL/tasks" \
+    '{"name":"Bad Recurrence","deadline":"2030-01-07T09:00:00.000Z","recurrence":"FREQ=SOMETIMES"}' "400"
+test_endpoint "POST /tasks (RRULE 频率低于每天)" "POST" "$BASE_URL/tasks" \
+    '{"name":"Bad Recurrence","deadline":"2030-01-07T09:00:00.000Z","recurrence":"FREQ=SECONDLY"}' "400"
+test_endpoint "POST /tasks (RRULE 无任何发生)" "POST" "$BASE_URL/tasks" \
+    '{"name":"Bad Recurrence","deadline":"2030-01-07T09:00:00.000Z","recurrence":"FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=30"}' "400"
+
+OCCURRENCES=$(curl -s "$BASE_URL/tasks/$RECUR_TASK/occurrences?limit=5")
+test_contains "GET /tasks/:id/occurrences 第二次" "$OCCURRENCES" '2030-01-14T09:00:00.000Z'
+test_contains "GET /tasks/:id/occurrences 第三次" "$OCCURRENCES" '2030-01-21T09:00:00.000Z'
+test_contains "COUNT=3 之后没有更多" "$OCCURRENCES" '2030-01-28' "absent"
+test_endpoint "GET /tasks/:id/occurrences (after 超过 10 年)" "GET" \
+    "$BASE_URL/tasks/$RECUR_TASK/occurrences?after=2999-01-01T00:00:00.000Z" "" "400"
+
+# 完成后生成下一次
+test_endpoint "完成重复任务" "PATCH" "$BASE_URL/tasks/$RECUR_TASK" '{"completed":true}' "200"
+NEXT_OCCURRENCE=$(curl -s -G --data-urlencode "where={\"seriesId\":\"$SERIES_ID\",\"completed\":false}" "$BASE_URL/tasks")
+test_contains "下一次任务已创建" "$NEXT_OCCURRENCE" '"deadline":"2030-01-14T09:00:00.000Z"'
+test_contains "下一次任务沿用负责人" "$NEXT_OCCURRENCE" "\"assignedUser\":\"$PATCH_USER\""
+NEXT_TASK=$(echo "$NEXT_OCCURRENCE" | extract_id)
+test_contains "下一次任务加入 pendingTasks" "$(curl -s "$BASE_URL/users/$PATCH_USER")" "$NEXT_TASK"
+
+echo ""
+echo "========================================"
+echo "17. Webhook 测试"
+echo "========================================"
+
+# 投递到无人监听的地址，只检查投递记录
+WEBHOOK_RESPONSE=$(curl -s -X POST -H "Content-Type: application/json" \
+    -d '{"url":"http://127.0.0.1:9/hook","events":["task.created","task.completed"]}' "$BASE_URL/webhooks")
+WEBHOOK_ID=$(echo "$WEBHOOK_RESPONSE" | extract_id)
+test_contains "POST /webhooks 返回签名 secret" "$WEBHOOK_RESPONSE" '"secret":"'
+test_endpoint "POST /webhooks (未知事件)" "POST" "$BASE_URL/webhooks" '{"url":"http://127.0.0.1:9/hook","events":["task.exploded"]}' "400"
+test_endpoint "POST /webhooks (无效 url)" "POST" "$BASE_URL/webhooks" '{"url":"ftp://example.com","events":["*"]}' "400"
+test_contains "GET /webhooks/:id 不返回 secret" "$(curl -s "$BASE_URL/webhooks/$WEBHOOK_ID")" '"secret"' "absent"
+test_endpoint "PATCH /webhooks/:id" "PATCH" "$BASE_URL/webhooks/$WEBHOOK_ID" '{"events":["task.created"]}' "200"
+
+WEBHOOK_TASK=$(curl -s -X POST -H "Content-Type: application/json" -d '{"name":"Webhook Task","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks" | extract_id)
+sleep 1
+DELIVERIES=$(curl -s "$BASE_URL/webhooks/$WEBHOOK_ID/deliveries")
+test_contains "任务创建产生投递" "$DELIVERIES" '"event":"task.created"'
+DELIVERY_ID=$(echo "$DELIVERIES" | extract_id)
+test_contains "GET /webhooks/:id/deliveries/:deliveryId 包含 payload" "$(curl -s "$BASE_URL/webhooks/$WEBHOOK_ID/deliveries/$DELIVERY_ID")" "$WEBHOOK_TASK"
+test_endpoint "POST /webhooks/:id/deliveries/:deliveryId/replay" "POST" "$BASE_URL/webhooks/$WEBHOOK_ID/deliveries/$DELIVERY_ID/replay" '{}' "202"
+
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -H "Authorization: Bearer $USER_TOKEN" "$BASE_URL/webhooks")
+test_contains "普通用户 GET /webhooks 返回 403" "$CODE" "^403$"
+test_endpoint "DELETE /webhooks/:id" "DELETE" "$BASE_URL/webhooks/$WEBHOOK_ID" "" "200"
+test_endpoint "GET /webhooks/:id (已删除)" "GET" "$BASE_URL/webhooks/$WEBHOOK_ID" "" "404"
+
+echo ""
+echo "========================================"
+echo "18. 事件流 (SSE) 测试"
+echo "========================================"
+
+# 流不会自己结束，用 --max-time 截断
+EVENTS_FILE=$(mktemp)
+command curl -s -N --max-time 3 -G \
+    --data-urlencode 'where={"type":"task.created"}' \
+    --data-urlencode "access_token=$TOKEN" "$BASE_URL/events" > "$EVENTS_FILE" &
+EVENTS_PID=$!
+sleep 1
+SSE_TASK=$(curl -s -X POST -H "Content-Type: application/json" -d '{"name":"SSE Task","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks" | extract_id)
+curl -s -X PUT -H "Content-Type: application/json" -d '{"name":"SSE Task Renamed","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks/$SSE_TASK" > /dev/null
+wait $EVENTS_PID
+STREAM=$(cat "$EVENTS_FILE")
+rm -f "$EVENTS_FILE"
+test_contains "GET /events 发送 retry" "$STREAM" "^retry: "
+test_contains "GET /events 推送 task.created" "$STREAM" "^event: task.created"
+test_contains "GET /events 事件包含任务" "$STREAM" "\"entityId\":\"$SSE_TASK\""
+test_contains "GET /events 按 where 过滤 task.updated" "$STREAM" "^event: task.updated" "absent"
+
+SSE_EVENT_ID=$(echo "$STREAM" | grep "^id: " | head -1 | cut -d' ' -f2)
+STREAM=$(command curl -s -N --max-time 1 -H "Authorization: Bearer $TOKEN" -H "Last-Event-ID: $SSE_EVENT_ID" "$BASE_URL/events")
+test_contains "GET /events 按 Last-Event-ID 补发" "$STREAM" "\"name\":\"SSE Task Renamed\""
+STREAM=$(command curl -s -N --max-time 1 -H "Authorization: Bearer $TOKEN" -H "Last-Event-ID: unknown-event" "$BASE_URL/events")
+test_contains "GET /events 未知 Last-Event-ID 发送 reset" "$STREAM" "^event: reset"
+
+CODE=$(command curl -s -o /dev/null --max-time 2 -w "%{http_code}" "$BASE_URL/events")
+test_contains "GET /events (未登录) 返回 401" "$CODE" "^401$"
+test_contains "GET /events (无效 where) 返回 400" "$(query_status events 'where={"document.password":"x"}')" "^400$"
+
+echo ""
+echo "========================================"
+echo "19. 任务搜索测试"
+echo "========================================"
+
+SEARCH_MARK="zebra$(date +%s)"
+SEARCH_NAME_TASK=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Deployment $SEARCH_MARK\",\"description\":\"release notes\",\"deadline\":\"2030-01-01T00:00:00.000Z\"}" "$BASE_URL/tasks" | extract_id)
+SEARCH_DESC_TASK=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Checklist\",\"description\":\"deploy $SEARCH_MARK draft\",\"deadline\":\"2030-01-01T00:00:00.000Z\"}" "$BASE_URL/tasks" | extract_id)
+
+search_tasks() {
+    curl -s -G --data-urlencode "q=$1" ${2:+--data-urlencode "$2"} "$BASE_URL/tasks/search"
+}
+
+RESP=$(search_tasks "$SEARCH_MARK deploy")
+test_contains "GET /tasks/search 词干匹配" "$RESP" "$SEARCH_DESC_TASK"
+test_contains "GET /tasks/search 名称匹配排在前面" "$(echo "$RESP" | extract_id)" "^$SEARCH_NAME_TASK$"
+test_contains "GET /tasks/search 返回 score" "$RESP" '"score":'
+test_contains "GET /tasks/search 高亮匹配" "$RESP" "<mark>$SEARCH_MARK</mark>"
+test_contains "GET /tasks/search 短语" "$(search_tasks "\"release notes\" $SEARCH_MARK")" "$SEARCH_DESC_TASK" "absent"
+test_contains "GET /tasks/search 前缀" "$(search_tasks "${SEARCH_MARK:0:6}*")" "$SEARCH_NAME_TASK"
+test_contains "GET /tasks/search 排除" "$(search_tasks "$SEARCH_MARK -draft")" "$SEARCH_DESC_TASK" "absent"
+test_contains "GET /tasks/search 配合 where" "$(search_tasks "$SEARCH_MARK" 'where={"name":"Checklist"}')" "$SEARCH_NAME_TASK" "absent"
+test_contains "GET /tasks/search count" "$(search_tasks "$SEARCH_MARK" 'count=true')" '"data":2'
+test_contains "GET /tasks/search 缺少 q 返回 400" "$(query_status tasks/search 'limit=1')" "^400$"
+test_contains "GET /tasks/search 排除短语返回 400" "$(query_status tasks/search 'q=-"release notes"')" "^400$"
+test_contains "GET /tasks/search cursor 返回 400" "$(curl -s -o /dev/null -w "%{http_code}" -G --data-urlencode "q=$SEARCH_MARK" --data-urlencode 'cursor=abc' "$BASE_URL/tasks/search")" "^400$"
+
+echo ""
+echo "========================================"
+echo "20. 项目测试"
+echo "========================================"
+
+PROJECT_RESPONSE=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Test Project\",\"members\":[\"$AUTH_USER\"]}" "$BASE_URL/projects")
+PROJECT_ID=$(echo "$PROJECT_RESPONSE" | extract_id)
+test_contains "POST /projects 创建者成为 owner" "$PROJECT_RESPONSE" '"owner":"'
+test_endpoint "POST /projects (缺少 name)" "POST" "$BASE_URL/projects" '{"description":"no name"}' "400"
+test_endpoint "GET /projects" "GET" "$BASE_URL/projects" "" "200"
+test_endpoint "GET /projects/:id" "GET" "$BASE_URL/projects/$PROJECT_ID" "" "200"
+test_endpoint "GET /projects/:id (不存在)" "GET" "$BASE_URL/projects/507f1f77bcf86cd799439011" "" "404"
+
+PROJECT_TASK=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Project Task\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"project\":\"$PROJECT_ID\",\"assignedUser\":\"$AUTH_USER\"}" "$BASE_URL/tasks" | extract_id)
+test_contains "GET /projects/:id/tasks" "$(curl -s "$BASE_URL/projects/$PROJECT_ID/tasks")" "$PROJECT_TASK"
+test_endpoint "POST /tasks (项目外的用户)" "POST" "$BASE_URL/tasks" "{\"name\":\"Outsider Task\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"project\":\"$PROJECT_ID\",\"assignedUser\":\"$TEST_USER_ID\"}" "400"
+
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -X PATCH -H "Authorization: Bearer $USER_TOKEN" -H "Content-Type: application/json" -d '{"name":"Hijacked"}' "$BASE_URL/projects/$PROJECT_ID")
+test_contains "成员修改项目返回 403" "$CODE" "^403$"
+test_endpoint "PATCH /projects/:id" "PATCH" "$BASE_URL/projects/$PROJECT_ID" '{"description":"Patched"}' "200"
+
+test_endpoint "PATCH /projects/:id (移除 owner)" "PATCH" "$BASE_URL/projects/$PROJECT_ID" '{"members":[]}' "400"
+PROJECT_OWNER=$(echo "$PROJECT_RESPONSE" | grep -o '"owner":"[^"]*"' | cut -d'"' -f4)
+curl -s -X PATCH -H "Content-Type: application/json" -d "{\"members\":[\"$PROJECT_OWNER\"]}" "$BASE_URL/projects/$PROJECT_ID" > /dev/null
+test_contains "移除成员后取消任务分配" "$(curl -s "$BASE_URL/tasks/$PROJECT_TASK")" '"assignedUser":""'
+test_endpoint "GET /projects/:id/history" "GET" "$BASE_URL/projects/$PROJECT_ID/history" "" "200"
+
+test_endpoint "DELETE /projects/:id" "DELETE" "$BASE_URL/projects/$PROJECT_ID" "" "204"
+test_contains "删除项目后保留任务" "$(curl -s "$BASE_URL/tasks/$PROJECT_TASK")" '"project":""'
+
+echo ""
+echo "========================================"
+echo "21. 优先级、标签和分面测试"
+echo "========================================"
+
+FACET_TAG="facet$(date +%s)"
+RESP=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Tagged Task\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"priority\":\"urgent\",\"tags\":\" UI, $FACET_TAG ,ui\"}" "$BASE_URL/tasks")
+TAGGED_TASK=$(echo "$RESP" | extract_id)
+test_contains "POST /tasks 规范化 tags" "$RESP" "\"tags\":\[\"ui\",\"$FACET_TAG\"\]"
+test_contains "POST /tasks 保存 priority" "$RESP" '"priority":"urgent"'
+RESP=$(curl -s -X PUT -H "Content-Type: application/json" -d '{"name":"Tagged Task","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks/$TAGGED_TASK")
+test_contains "PUT /tasks/:id 省略 tags 时保留" "$RESP" "\"$FACET_TAG\""
+curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Second Tagged Task\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"tags\":[\"$FACET_TAG\"],\"completed\":true}" "$BASE_URL/tasks" > /dev/null
+test_endpoint "POST /tasks (未知 priority)" "POST" "$BASE_URL/tasks" '{"name":"Bad Priority","deadline":"2030-01-01T00:00:00.000Z","priority":"whenever"}' "400"
+test_endpoint "POST /tasks (无效 tag)" "POST" "$BASE_URL/tasks" '{"name":"Bad Tag","deadline":"2030-01-01T00:00:00.000Z","tags":["no/slashes"]}' "400"
+test_contains "where tags \$all" "$(curl -s -G --data-urlencode "where={\"tags\":{\"\$all\":[\"ui\",\"$FACET_TAG\"]}}" "$BASE_URL/tasks")" '"name":"Tagged Task"'
+
+FACETS=$(curl -s -G --data-urlencode "where={\"tags\":\"$FACET_TAG\"}" "$BASE_URL/tasks/facets")
+test_contains "GET /tasks/facets total" "$FACETS" '"total":2'
+test_contains "GET /tasks/facets 按标签计数" "$FACETS" "{\"value\":\"$FACET_TAG\",\"count\":2}"
+test_contains "GET /tasks/facets 列出所有优先级" "$FACETS" '{"value":"low","count":0}'
+test_contains "GET /tasks/facets 按完成状态计数" "$FACETS" '{"value":true,"count":1}'
+test_contains "GET /tasks/facets limit 超过 500 返回 400" "$(query_status tasks/facets 'limit=501')" "^400$"
+
+echo ""
+echo "========================================"
+echo "22. 统计测试"
+echo "========================================"
+
+STATS_USER=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Stats User\",\"email\":\"stats_$(date +%s%N)@example.com\"}" "$BASE_URL/users" | extract_id)
+STATS_TAG="stats$(date +%s)"
+for body in \
+    "{\"name\":\"Stats Open\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"assignedUser\":\"$STATS_USER\",\"tags\":[\"$STATS_TAG\"]}" \
+    "{\"name\":\"Stats Overdue\",\"deadline\":\"2020-01-01T00:00:00.000Z\",\"assignedUser\":\"$STATS_USER\",\"tags\":[\"$STATS_TAG\"]}" \
+    "{\"name\":\"Stats Done\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"assignedUser\":\"$STATS_USER\",\"tags\":[\"$STATS_TAG\"],\"completed\":true}"; do
+    curl -s -X POST -H "Content-Type: application/json" -d "$body" "$BASE_URL/tasks" > /dev/null
+done
+
+RESP=$(curl -s "$BASE_URL/users/$STATS_USER/stats")
+test_contains "GET /users/:id/stats open" "$RESP" '"open":2'
+test_contains "GET /users/:id/stats overdue" "$RESP" '"overdue":1'
+test_contains "GET /users/:id/stats completed" "$RESP" '"completed":1'
+test_contains "GET /users/:id/stats averageTimeToCompleteMs" "$RESP" '"averageTimeToCompleteMs":[0-9]'
+test_endpoint "GET /users/:id/stats (不存在)" "GET" "$BASE_URL/users/507f1f77bcf86cd799439011/stats" "" "404"
+
+TODAY=$(date -u +%Y-%m-%d)
+TOMORROW=$(date -u -d tomorrow +%Y-%m-%d)
+RESP=$(curl -s -G --data-urlencode "where={\"tags\":\"$STATS_TAG\"}" --data-urlencode "from=$TODAY" --data-urlencode "to=$TOMORROW" "$BASE_URL/stats/tasks")
+test_contains "GET /stats/tasks 按天计数" "$RESP" "\"buckets\":\[{\"start\":\"${TODAY}T00:00:00.000Z\",\"created\":3,\"completed\":1}\]"
+RESP=$(curl -s -G --data-urlencode "where={\"tags\":\"$STATS_TAG\"}" --data-urlencode "from=$TODAY" --data-urlencode "to=$TOMORROW" --data-urlencode "groupBy=assignee" "$BASE_URL/stats/tasks")
+test_contains "GET /stats/tasks groupBy=assignee" "$RESP" "\"assignedUser\":\"$STATS_USER\",\"assignedUserName\":\"Stats User\""
+test_contains "GET /stats/tasks 未知 interval 返回 400" "$(query_status stats/tasks 'interval=year')" "^400$"
+test_contains "GET /stats/tasks 超过 400 个区间返回 400" "$(query_status stats/tasks 'from=2000-01-01')" "^400$"
+test_contains "GET /stats/tasks 未知 groupBy 返回 400" "$(query_status stats/tasks 'groupBy=project')" "^400$"
+
+echo ""
+echo "========================================"
+echo "23. 导入导出测试"
+echo "========================================"
+
+IMPORT_TAG="import$(date +%s)"
+IMPORT_CSV="name,deadline,tags,assignedUserEmail
+Imported One,2030-01-01T00:00:00.000Z,$IMPORT_TAG,$AUTH_EMAIL
+=Imported Two,2030-02-01T00:00:00.000Z,$IMPORT_TAG,
+,2030-03-01T00:00:00.000Z,$IMPORT_TAG,"
+
+RESP=$(curl -s -X POST -H "Content-Type: text/csv" --data-binary "$IMPORT_CSV" "$BASE_URL/tasks/import?dryRun=true")
+test_contains "POST /tasks/import dryRun 标记 valid" "$RESP" '"status":"valid"'
+test_contains "POST /tasks/import dryRun 不创建任务" "$(curl -s -G --data-urlencode "where={\"tags\":\"$IMPORT_TAG\"}" --data-urlencode 'count=true' "$BASE_URL/tasks")" '"data":0'
+
+RESP=$(curl -s -w "\n%{http_code}" -X POST -H "Content-Type: text/csv" --data-binary "$IMPORT_CSV" "$BASE_URL/tasks/import")
+test_contains "POST /tasks/import 返回 201" "$(echo "$RESP" | tail -n1)" "^201$"
+test_contains "POST /tasks/import 报告失败的行" "$RESP" '"field":"name"'
+test_contains "POST /tasks/import 汇总" "$RESP" '"created":2,"failed":1'
+IMPORTED_TASK=$(echo "$RESP" | grep -o '"status":"created","_id":"[^"]*"' | head -1 | cut -d'"' -f8)
+test_contains "POST /tasks/import 按 email 分配" "$(curl -s "$BASE_URL/tasks/$IMPORTED_TASK")" "\"assignedUser\":\"$AUTH_USER\""
+CODE=$(curl -s -o /dev/null -w "%{http_code}" -X POST -H "Content-Type: application/json" --data-binary '[{"deadline":"2030-01-01T00:00:00.000Z"}]' "$BASE_URL/tasks/import")
+test_contains "POST /tasks/import (没有有效行) 返回 400" "$CODE" "^400$"
+
+EXPORT_WHERE="where={\"tags\":\"$IMPORT_TAG\"}"
+RESP=$(curl -s -G --data-urlencode "$EXPORT_WHERE" "$BASE_URL/tasks/export")
+test_contains "GET /tasks/export JSON" "$RESP" "\"assignedUserEmail\":\"$AUTH_EMAIL\""
+RESP=$(curl -s -G --data-urlencode "$EXPORT_WHERE" --data-urlencode 'format=csv' "$BASE_URL/tasks/export")
+test_contains "GET /tasks/export CSV 表头" "$RESP" '^_id,name,description,deadline,'
+test_contains "GET /tasks/export CSV 转义公式" "$RESP" ",'=Imported Two,"
+RESP=$(curl -s -G --data-urlencode "$EXPORT_WHERE" --data-urlencode 'format=ics' "$BASE_URL/tasks/export")
+test_contains "GET /tasks/export iCalendar" "$RESP" "^SUMMARY:Imported One"
+test_contains "GET /tasks/export 未知 format 返回 400" "$(query_status tasks/export 'format=xml')" "^400$"
+
+echo ""
+echo "========================================"
+echo "24. 回收站测试"
+echo "========================================"
+
+TRASH_EMAIL="trash_$(date +%s%N)@example.com"
+TRASH_USER=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Trash User\",\"email\":\"$TRASH_EMAIL\"}" "$BASE_URL/users" | extract_id)
+TRASH_TASK=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Trash Task\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"assignedUser\":\"$TRASH_USER\"}" "$BASE_URL/tasks" | extract_id)
+
+curl -s -X DELETE "$BASE_URL/users/$TRASH_USER" > /dev/null
+test_endpoint "GET /users/:id (已删除)" "GET" "$BASE_URL/users/$TRASH_USER" "" "404"
+test_contains "删除用户后取消任务分配" "$(curl -s "$BASE_URL/tasks/$TRASH_TASK")" '"assignedUser":""'
+test_contains "GET /trash 包含用户" "$(curl -s "$BASE_URL/trash?type=users")" "\"_id\":\"$TRASH_USER\""
+test_contains "GET /trash 返回 deletedAt" "$(curl -s "$BASE_URL/trash?type=users")" '"deletedAt":"'
+test_endpoint "POST /users (回收站中用户的 email)" "POST" "$BASE_URL/users" "{\"name\":\"Trash User\",\"email\":\"$TRASH_EMAIL\"}" "400"
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -X POST -H "Authorization: Bearer $USER_TOKEN" "$BASE_URL/users/$TRASH_USER/restore")
+test_contains "普通用户恢复用户返回 403" "$CODE" "^403$"
+test_endpoint "POST /users/:id/restore" "POST" "$BASE_URL/users/$TRASH_USER/restore" "" "200"
+test_contains "恢复用户后重新分配任务" "$(curl -s "$BASE_URL/tasks/$TRASH_TASK")" "\"assignedUser\":\"$TRASH_USER\""
+test_endpoint "POST /users/:id/restore (不在回收站)" "POST" "$BASE_URL/users/$TRASH_USER/restore" "" "404"
+
+curl -s -X DELETE "$BASE_URL/tasks/$TRASH_TASK" > /dev/null
+test_contains "删除任务后移出 pendingTasks" "$(curl -s "$BASE_URL/users/$TRASH_USER")" "$TRASH_TASK" "absent"
+test_contains "GET /trash 包含任务" "$(curl -s "$BASE_URL/trash?type=tasks")" "\"_id\":\"$TRASH_TASK\""
+test_contains "普通用户只看到自己的任务" "$(command curl -s -H "Authorization: Bearer $USER_TOKEN" "$BASE_URL/trash")" "$TRASH_TASK" "absent"
+test_endpoint "POST /tasks/:id/restore" "POST" "$BASE_URL/tasks/$TRASH_TASK/restore" "" "200"
+test_contains "恢复任务后回到 pendingTasks" "$(curl -s "$BASE_URL/users/$TRASH_USER")" "$TRASH_TASK"
+test_contains "GET /trash 未知 type 返回 400" "$(query_status trash 'type=projects')" "^400$"
+
+curl -s -X DELETE "$BASE_URL/tasks/$TRASH_TASK" > /dev/null
+test_endpoint "DELETE /trash (before 之前没有内容)" "DELETE" "$BASE_URL/trash?before=2000-01-01" "" "200"
+test_contains "DELETE /trash 保留较新的内容" "$(curl -s "$BASE_URL/trash?type=tasks")" "\"_id\":\"$TRASH_TASK\""
+test_endpoint "DELETE /trash" "DELETE" "$BASE_URL/trash" "" "200"
+test_endpoint "POST /tasks/:id/restore (已永久删除)" "POST" "$BASE_URL/tasks/$TRASH_TASK/restore" "" "404"
+
+echo ""
+echo "========================================"
+echo "25. 版本与条件请求测试"
+echo "========================================"
+
+ETAG_TASK=$(curl -s -X POST -H "Content-Type: application/json" -d '{"name":"ETag Task","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks" | extract_id)
+ETAG=$(curl -s -D - -o /dev/null "$BASE_URL/tasks/$ETAG_TASK" | grep -i '^etag:' | cut -d' ' -f2 | tr -d '\r')
+test_contains "GET /tasks/:id 返回 ETag" "$ETAG" '^"0"$'
+CODE=$(curl -s -o /dev/null -w "%{http_code}" -H "If-None-Match: $ETAG" "$BASE_URL/tasks/$ETAG_TASK")
+test_contains "If-None-Match 未变化返回 304" "$CODE" "^304$"
+
+RESP=$(curl -s -D - -X PATCH -H "Content-Type: application/json" -H "If-Match: $ETAG" -d '{"name":"ETag Task v1"}' "$BASE_URL/tasks/$ETAG_TASK")
+test_contains "PATCH If-Match 匹配时成功" "$RESP" '"version":1'
+test_contains "PATCH 返回新的 ETag" "$RESP" '^[Ee][Tt]ag: "1"'
+RESP=$(curl -s -w "\n%{http_code}" -X PUT -H "Content-Type: application/json" -H "If-Match: $ETAG" -d '{"name":"Stale Write","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks/$ETAG_TASK")
+test_contains "PUT If-Match 过期返回 412" "$(echo "$RESP" | tail -n1)" "^412$"
+test_contains "412 返回当前 version" "$RESP" '"version":1'
+CODE=$(curl -s -o /dev/null -w "%{http_code}" -H "If-None-Match: $ETAG" "$BASE_URL/tasks/$ETAG_TASK")
+test_contains "If-None-Match 变化后返回 200" "$CODE" "^200$"
+CODE=$(curl -s -o /dev/null -w "%{http_code}" -X DELETE -H "If-Match: $ETAG" "$BASE_URL/tasks/$ETAG_TASK")
+test_contains "DELETE If-Match 过期返回 412" "$CODE" "^412$"
+
+USER_ETAG=$(curl -s -D - -o /dev/null "$BASE_URL/users/$TRASH_USER" | grep -i '^etag:' | cut -d' ' -f2 | tr -d '\r')
+curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Version Bump\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"assignedUser\":\"$TRASH_USER\"}" "$BASE_URL/tasks" > /dev/null
+CODE=$(curl -s -o /dev/null -w "%{http_code}" -X PATCH -H "Content-Type: application/json" -H "If-Match: $USER_ETAG" -d '{"name":"Stale User"}' "$BASE_URL/users/$TRASH_USER")
+test_contains "同步 pendingTasks 也会增加用户 version" "$CODE" "^412$"
+
+echo ""
+echo "========================================"
+echo "26. OpenAPI 与请求校验测试"
+echo "========================================"
+
+OPENAPI=$(command curl -s "$BASE_URL/openapi.json")
+test_contains "GET /openapi.json 无需令牌" "$OPENAPI" '"openapi":"3.1'
+test_contains "GET /openapi.json 包含路由" "$OPENAPI" '"/tasks/{id}/history"'
+test_contains "GET /openapi.json 包含模型 schema" "$OPENAPI" '"Task":{'
+
+RESP=$(curl -s -w "\n%{http_code}" -X POST -H "Content-Type: application/json" -d '{"name":"Invalid","deadline":"next week"}' "$BASE_URL/tasks")
+test_contains "校验失败返回 400" "$(echo "$RESP" | tail -n1)" "^400$"
+test_contains "校验错误包含 body 字段" "$RESP" '"in":"body","field":"deadline"'
+test_contains "校验错误包含 query 字段" "$(curl -s "$BASE_URL/tasks?limit=-1")" '"in":"query","field":"limit"'
+test_endpoint "POST /tasks (name 类型错误)" "POST" "$BASE_URL/tasks" '{"name":42,"deadline":"2030-01-01T00:00:00.000Z"}' "400"
+test_endpoint "POST /tasks (JSON 中的字符串布尔值)" "POST" "$BASE_URL/tasks" '{"name":"Typed","deadline":"2030-01-01T00:00:00.000Z","completed":"true"}' "400"
+test_endpoint "POST /tasks (表单中的字符串布尔值)" "POST" "$BASE_URL/tasks" 'name=Form%20Typed&deadline=2030-01-01T00:00:00.000Z&completed=true' "201" "application/x-www-form-urlencoded"
+test_endpoint "POST /tasks (毫秒时间戳字符串)" "POST" "$BASE_URL/tasks" '{"name":"Timestamp","deadline":"1893456000000"}' "201"
+test_contains "忽略 API 之外的字段" "$(curl -s -X POST -H "Content-Type: application/json" -d '{"name":"Extra","deadline":"2030-01-01T00:00:00.000Z","unknownField":1}' "$BASE_URL/tasks")" '"unknownField"' "absent"
+
+echo ""
+echo "========================================"
+echo "27. API Key 与限流测试"
+echo "========================================"
+
+API_KEY_RESPONSE=$(curl -s -X POST -H "Content-Type: application/json" \
+    -d "{\"name\":\"Test Key\",\"user\":\"$AUTH_USER\",\"burst\":3,\"requestsPerMinute\":1}" "$BASE_URL/api-keys")
+API_KEY_ID=$(echo "$API_KEY_RESPONSE" | extract_id)
+API_KEY=$(echo "$API_KEY_RESPONSE" | grep -o '"key":"[^"]*"' | cut -d'"' -f4)
+test_contains "POST /api-keys 返回 key" "$API_KEY" "."
+test_contains "GET /api-keys/:id 不返回 key" "$(curl -s "$BASE_URL/api-keys/$API_KEY_ID")" '"key":' "absent"
+test_endpoint "POST /api-keys (用户不存在)" "POST" "$BASE_URL/api-keys" '{"name":"Orphan Key","user":"507f1f77bcf86cd799439011"}' "400"
+test_endpoint "PATCH /api-keys/:id" "PATCH" "$BASE_URL/api-keys/$API_KEY_ID" '{"name":"Renamed Key"}' "200"
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -H "Authorization: Bearer $USER_TOKEN" "$BASE_URL/api-keys")
+test_contains "普通用户 GET /api-keys 返回 403" "$CODE" "^403$"
+
+RESP=$(command curl -s -D - -H "X-API-Key: $API_KEY" "$BASE_URL/auth/me")
+test_contains "X-API-Key 以 key 的用户身份访问" "$RESP" "\"email\":\"$AUTH_EMAIL\""
+test_contains "返回 X-RateLimit-Limit" "$RESP" '^[Xx]-[Rr]ate[Ll]imit-[Ll]imit: 3'
+test_contains "返回 X-RateLimit-Daily-Remaining" "$RESP" '^[Xx]-[Rr]ate[Ll]imit-[Dd]aily-[Rr]emaining: '
+command curl -s -o /dev/null -H "X-API-Key: $API_KEY" "$BASE_URL/auth/me"
+command curl -s -o /dev/null -H "X-API-Key: $API_KEY" "$BASE_URL/auth/me"
+RESP=$(command curl -s -D - -H "X-API-Key: $API_KEY" "$BASE_URL/auth/me")
+test_contains "超过 burst 返回 429" "$RESP" '^HTTP/[0-9.]* 429'
+test_contains "429 返回 Retry-After" "$RESP" '^[Rr]etry-[Aa]fter: '
+test_contains "429 返回 data.retryAfter" "$RESP" '"retryAfter":'
+
+test_endpoint "DELETE /api-keys/:id" "DELETE" "$BASE_URL/api-keys/$API_KEY_ID" "" "200"
+test_contains "撤销后仍然列出" "$(curl -s "$BASE_URL/api-keys/$API_KEY_ID")" '"revokedAt":"'
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -H "X-API-Key: $API_KEY" "$BASE_URL/auth/me")
+test_contains "撤销的 key 返回 401" "$CODE" "^401$"
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -H "X-API-Key: not-a-key" "$BASE_URL/tasks")
+test_contains "无效 key 返回 401" "$CODE" "^401$"
+
+echo ""
+echo "========================================"
+echo "28. 截止提醒测试"
+echo "========================================"
+
+RESP=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Reminder User\",\"email\":\"reminder_$(date +%s%N)@example.com\",\"notifications\":{\"leadHours\":48}}" "$BASE_URL/users")
+REMINDER_USER=$(echo "$RESP" | extract_id)
+test_contains "POST /users 保存提醒设置" "$RESP" '"leadHours":48'
+test_contains "提醒默认开启" "$RESP" '"dueSoon":true'
+RESP=$(curl -s -X PATCH -H "Content-Type: application/json" -d '{"notifications":{"overdue":false}}' "$BASE_URL/users/$REMINDER_USER")
+test_contains "PATCH 提醒设置" "$RESP" '"overdue":false'
+test_contains "PATCH 保留未提供的提醒设置" "$RESP" '"leadHours":48'
+test_endpoint "PATCH /users/:id (leadHours 超过 168)" "PATCH" "$BASE_URL/users/$REMINDER_USER" '{"notifications":{"leadHours":169}}' "400"
+
+test_endpoint "GET /users/:id/notifications" "GET" "$BASE_URL/users/$REMINDER_USER/notifications" "" "200"
+test_endpoint "GET /users/:id/notifications (不存在)" "GET" "$BASE_URL/users/507f1f77bcf86cd799439011/notifications" "" "404"
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -H "Authorization: Bearer $USER_TOKEN" "$BASE_URL/users/$REMINDER_USER/notifications")
+test_contains "读取他人的提醒返回 403" "$CODE" "^403$"
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -H "Authorization: Bearer $USER_TOKEN" "$BASE_URL/users/$AUTH_USER/notifications")
+test_contains "读取自己的提醒返回 200" "$CODE" "^200$"
+
+echo ""
+echo "========================================"
+echo "29. expand 测试"
+echo "========================================"
+
+EXPAND_USER=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Expand User\",\"email\":\"expand_$(date +%s%N)@example.com\"}" "$BASE_URL/users" | extract_id)
+EXPAND_PROJECT=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Expand Project\",\"members\":[\"$EXPAND_USER\"]}" "$BASE_URL/projects" | extract_id)
+EXPAND_BLOCKER=$(curl -s -X POST -H "Content-Type: application/json" -d '{"name":"Expand Blocker","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks" | extract_id)
+EXPAND_TASK=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Expand Task\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"assignedUser\":\"$EXPAND_USER\",\"project\":\"$EXPAND_PROJECT\"}" "$BASE_URL/tasks" | extract_id)
+curl -s -X POST -H "Content-Type: application/json" -d "{\"taskId\":\"$EXPAND_BLOCKER\"}" "$BASE_URL/tasks/$EXPAND_TASK/dependencies" > /dev/null
+
+RESP=$(curl -s -G --data-urlencode 'expand=["assignedUser","project","blockedBy","createdBy"]' "$BASE_URL/tasks/$EXPAND_TASK")
+test_contains "expand assignedUser" "$RESP" '"email":"expand_'
+test_contains "expand project" "$RESP" '"name":"Expand Project"'
+test_contains "expand blockedBy" "$RESP" '"name":"Expand Blocker"'
+test_contains "expand createdBy" "$RESP" '"email":"admin@example.com"'
+
+RESP=$(curl -s -G --data-urlencode 'expand={"pendingTasks":{"select":{"name":1,"project":1},"expand":{"project":{"select":{"name":1}}}}}' "$BASE_URL/users/$EXPAND_USER")
+test_contains "expand pendingTasks" "$RESP" '"pendingTasks":\[{[^]]*"name":"Expand Task"'
+test_contains "expand pendingTasks 嵌套 expand" "$RESP" '"project":{"name":"Expand Project","_id":"'
+test_contains "expand pendingTasks 的 select 生效" "$RESP" '"deadline"' "absent"
+
+RESP=$(curl -s -G --data-urlencode 'expand=["assignedUser"]' --data-urlencode "where={\"_id\":\"$EXPAND_TASK\"}" --data-urlencode 'total=true' "$BASE_URL/tasks")
+test_contains "列表 expand" "$RESP" '"name":"Expand User"'
+test_contains "列表 expand 与 total" "$RESP" '"total":1'
+test_contains "expand 的响应没有 ETag" "$(curl -s -D - -o /dev/null -G --data-urlencode 'expand=["project"]' "$BASE_URL/tasks/$EXPAND_TASK")" '^[Ee][Tt]ag: "' "absent"
+
+curl -s -X DELETE "$BASE_URL/tasks/$EXPAND_BLOCKER" > /dev/null
+test_contains "已删除的引用不展开" "$(curl -s -G --data-urlencode 'expand=["blockedBy"]' "$BASE_URL/tasks/$EXPAND_TASK")" '"blockedBy":\[\]'
+test_contains "expand 未知字段返回 400" "$(query_status tasks 'expand=["name"]')" "^400$"
+test_contains "expand 超过 3 层返回 400" "$(query_status users 'expand={"pendingTasks":{"expand":{"project":{"expand":{"owner":{"expand":{"pendingTasks":{}}}}}}}}')" "^400$"
+
+echo ""
+echo "========================================"
+echo "30. 存储后端测试"
+echo "========================================"
+
+# 这些接口基于聚合，MongoDB 和内存后端都要支持
+test_endpoint "GET /tasks/facets (聚合)" "GET" "$BASE_URL/tasks/facets" "" "200"
+test_endpoint "GET /stats/tasks (聚合)" "GET" "$BASE_URL/stats/tasks?interval=week" "" "200"
+test_endpoint "GET /users/:id/stats (聚合)" "GET" "$BASE_URL/users/$STATS_USER/stats" "" "200"
+RESP=$(curl -s -G --data-urlencode "q=$SEARCH_MARK" --data-urlencode 'where={"$or":[{"name":"Checklist"},{"description":"release notes"}]}' --data-urlencode 'total=true' "$BASE_URL/tasks/search")
+test_contains "搜索与 where \$or 组合" "$RESP" '"total":2'
+RESP=$(curl -s -G --data-urlencode "q=$SEARCH_MARK" --data-urlencode 'sort={"name":1}' --data-urlencode 'select={"name":1}' "$BASE_URL/tasks/search")
+test_contains "搜索按 sort 排序" "$RESP" '"name":"Checklist".*"name":"Deployment'
+RESP=$(curl -s -G --data-urlencode "where={\"tags\":\"$FACET_TAG\",\"completed\":false}" "$BASE_URL/tasks/facets")
+test_contains "分面配合 where" "$RESP" '"total":1'
+
+echo ""
+echo "========================================"
+echo "31. 批量操作测试"
+echo "========================================"
+
+BATCH_EMAIL="batch_$(date +%s%N)@example.com"
+RESP=$(curl -s -w "\n%{http_code}" -X POST -H "Content-Type: application/json" -d "{\"operations\":[
+    {\"method\":\"POST\",\"path\":\"users\",\"ref\":\"u\",\"body\":{\"name\":\"Batch User\",\"email\":\"$BATCH_EMAIL\"}},
+    {\"method\":\"POST\",\"path\":\"tasks\",\"ref\":\"t\",\"body\":{\"name\":\"Batch Task\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"assignedUser\":\"\$ref:u\"}},
+    {\"method\":\"PATCH\",\"path\":\"tasks/\$ref:t\",\"body\":{\"description\":\"patched in batch\"}}
+]}" "$BASE_URL/batch")
+test_contains "POST /batch 返回 200" "$(echo "$RESP" | tail -n1)" "^200$"
+test_contains "POST /batch 每个操作的结果" "$RESP" '"index":2,"status":200'
+BATCH_USER=$(echo "$RESP" | grep -o '"ref":"u","status":201,"message":"[^"]*","data":{[^{]*"_id":"[^"]*"' | grep -o '"_id":"[^"]*"' | cut -d'"' -f4)
+test_contains "\$ref 引用创建的用户并同步 pendingTasks" "$(curl -s "$BASE_URL/users/$BATCH_USER")" '"pendingTasks":\["'
+
+ROLLBACK_EMAIL="rollback_$(date +%s%N)@example.com"
+RESP=$(curl -s -w "\n%{http_code}" -X POST -H "Content-Type: application/json" -d "{\"mode\":\"atomic\",\"operations\":[
+    {\"method\":\"POST\",\"path\":\"users\",\"body\":{\"name\":\"Rollback User\",\"email\":\"$ROLLBACK_EMAIL\"}},
+    {\"method\":\"POST\",\"path\":\"tasks\",\"body\":{\"name\":\"No Deadline\"}}
+]}" "$BASE_URL/batch")
+test_contains "atomic 失败返回该操作的状态" "$(echo "$RESP" | tail -n1)" "^400$"
+test_contains "atomic 其他操作标记为 424" "$RESP" '"status":424'
+test_contains "atomic 失败后回滚" "$(curl -s -G --data-urlencode "where={\"email\":\"$ROLLBACK_EMAIL\"}" --data-urlencode 'count=true' "$BASE_URL/users")" '"data":0'
+
+RESP=$(curl -s -w "\n%{http_code}" -X POST -H "Content-Type: application/json" -d '{"mode":"continue","operations":[
+    {"method":"POST","path":"tasks","ref":"bad","body":{"name":"No Deadline"}},
+    {"method":"DELETE","path":"tasks/$ref:bad"},
+    {"method":"POST","path":"tasks","body":{"name":"Continue Task","deadline":"2030-01-01T00:00:00.000Z"}}
+]}' "$BASE_URL/batch")
+test_contains "continue 模式返回 200" "$(echo "$RESP" | tail -n1)" "^200$"
+test_contains "continue 模式引用失败的操作返回 424" "$RESP" '"index":1,"status":424'
+test_contains "continue 模式继续执行" "$RESP" '"index":2,"status":201'
+test_endpoint "POST /batch (未知路径)" "POST" "$BASE_URL/batch" '{"operations":[{"method":"GET","path":"projects"}]}' "400"
+test_endpoint "POST /batch (未知 mode)" "POST" "$BASE_URL/batch" '{"mode":"eventual","operations":[{"method":"POST","path":"tasks","body":{"name":"Eventual","deadline":"2030-01-01T00:00:00.000Z"}}]}' "400"
+
+echo ""
+echo "========================================"
+echo "32. 多人分配测试"
+echo "========================================"
+
+SHARE_A=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Share A\",\"email\":\"share_a_$(date +%s%N)@example.com\"}" "$BASE_URL/users" | extract_id)
+SHARE_B=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Share B\",\"email\":\"share_b_$(date +%s%N)@example.com\"}" "$BASE_URL/users" | extract_id)
+SHARE_C=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Share C\",\"email\":\"share_c_$(date +%s%N)@example.com\"}" "$BASE_URL/users" | extract_id)
+
+RESP=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Shared Task\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"assignees\":[\"$SHARE_A\",\"$SHARE_B\"]}" "$BASE_URL/tasks")
+SHARED_TASK=$(echo "$RESP" | extract_id)
+test_contains "POST /tasks assignees" "$RESP" "\"user\":\"$SHARE_B\""
+test_contains "assignedUser 为第一个分配人" "$RESP" "\"assignedUser\":\"$SHARE_A\""
+test_contains "分配人的 pendingTasks" "$(curl -s "$BASE_URL/users/$SHARE_B")" "$SHARED_TASK"
+
+RESP=$(curl -s -X PATCH -H "Content-Type: application/json" -d "{\"assignees\":[{\"user\":\"$SHARE_A\",\"completed\":true},\"$SHARE_B\"]}" "$BASE_URL/tasks/$SHARED_TASK")
+test_contains "完成一份后任务未完成 (all)" "$RESP" '"completed":false,"completedAt":null,"assignedUser"'
+test_contains "完成的一份移出 pendingTasks" "$(curl -s "$BASE_URL/users/$SHARE_A")" "$SHARED_TASK" "absent"
+RESP=$(curl -s -X PATCH -H "Content-Type: application/json" -d '{"completionRule":"any"}' "$BASE_URL/tasks/$SHARED_TASK")
+test_contains "completionRule any 完成任务" "$RESP" '"completed":true'
+test_contains "where assignees.user" "$(curl -s -G --data-urlencode "where={\"assignees.user\":\"$SHARE_B\"}" "$BASE_URL/tasks")" "$SHARED_TASK"
+test_contains "expand assignees.user" "$(curl -s -G --data-urlencode 'expand=["assignees.user"]' "$BASE_URL/tasks/$SHARED_TASK")" '"email":"share_b_'
+
+# 只用旧字段时，单人任务移给新用户
+LEGACY_TASK=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Legacy Move\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"assignedUser\":\"$SHARE_A\"}" "$BASE_URL/tasks" | extract_id)
+curl -s -X PATCH -H "Content-Type: application/json" -d "{\"pendingTasks\":[\"$LEGACY_TASK\"]}" "$BASE_URL/users/$SHARE_C" > /dev/null
+RESP=$(curl -s "$BASE_URL/tasks/$LEGACY_TASK")
+test_contains "pendingTasks 移动单人任务" "$RESP" "\"assignedUser\":\"$SHARE_C\""
+test_contains "移动后原分配人不再是 assignee" "$RESP" "\"user\":\"$SHARE_A\"" "absent"
+test_contains "原分配人的 pendingTasks" "$(curl -s "$BASE_URL/users/$SHARE_A")" "$LEGACY_TASK" "absent"
+RESP=$(curl -s -X PUT -H "Content-Type: application/json" -d "{\"name\":\"Legacy Move\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"assignedUser\":\"$SHARE_B\"}" "$BASE_URL/tasks/$LEGACY_TASK")
+test_contains "新 assignedUser 成为唯一分配人" "$RESP" "\"user\":\"$SHARE_C\"" "absent"
+
+MANY_ASSIGNEES=$(for i in $(seq 1 51); do printf '"507f1f77bcf86cd7994390%02d",' $((i % 100)); done)
+test_endpoint "POST /tasks (超过 50 个分配人)" "POST" "$BASE_URL/tasks" "{\"name\":\"Crowded\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"assignees\":[${MANY_ASSIGNEES%,}]}" "400"
+test_endpoint "POST /tasks (分配人不存在)" "POST" "$BASE_URL/tasks" '{"name":"Ghost","deadline":"2030-01-01T00:00:00.000Z","assignees":["507f1f77bcf86cd799439011"]}' "400"
+
+echo ""
+echo "========================================"
+echo "33. 任务状态流转测试"
+echo "========================================"
+
+RESP=$(curl -s "$BASE_URL/workflow")
+test_contains "GET /workflow initial" "$RESP" '"initial":"todo"'
+test_contains "GET /workflow transitions" "$RESP" '"in_review":\["in_progress","done","cancelled"\]'
+
+FLOW_USER=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Flow User\",\"email\":\"flow_$(date +%s%N)@example.com\"}" "$BASE_URL/users" | extract_id)
+RESP=$(curl -s -X POST -H "Content-Type: application/json" -d "{\"name\":\"Flow Task\",\"deadline\":\"2030-01-01T00:00:00.000Z\",\"assignedUser\":\"$FLOW_USER\"}" "$BASE_URL/tasks")
+FLOW_TASK=$(echo "$RESP" | extract_id)
+test_contains "新任务为 initial 状态" "$RESP" '"status":"todo"'
+
+test_endpoint "POST /tasks/:id/transition (todo -> in_progress)" "POST" "$BASE_URL/tasks/$FLOW_TASK/transition" '{"status":"in_progress"}' "200"
+RESP=$(curl -s -w "\n%{http_code}" -X POST -H "Content-Type: application/json" -d '{"status":"in_progress"}' "$BASE_URL/tasks/$FLOW_TASK/transition")
+test_contains "已是该状态返回 409" "$(echo "$RESP" | tail -n1)" "^409$"
+test_endpoint "POST /tasks/:id/transition (in_progress -> in_review)" "POST" "$BASE_URL/tasks/$FLOW_TASK/transition" '{"status":"in_review"}' "200"
+RESP=$(curl -s -w "\n%{http_code}" -X POST -H "Content-Type: application/json" -d '{"status":"todo"}' "$BASE_URL/tasks/$FLOW_TASK/transition")
+test_contains "不允许的流转返回 409" "$(echo "$RESP" | tail -n1)" "^409$"
+test_contains "409 返回允许的状态" "$RESP" '"status":"in_review","allowed":\["in_progress","done","cancelled"\]'
+test_endpoint "POST /tasks/:id/transition (未知状态)" "POST" "$BASE_URL/tasks/$FLOW_TASK/transition" '{"status":"archived"}' "400"
+test_endpoint "PATCH /tasks/:id 不允许的 status" "PATCH" "$BASE_URL/tasks/$FLOW_TASK" '{"status":"blocked"}' "409"
+
+RESP=$(curl -s -X POST -H "Content-Type: application/json" -d '{"status":"done"}' "$BASE_URL/tasks/$FLOW_TASK/transition")
+test_contains "done 即 completed" "$RESP" '"completed":true'
+test_contains "完成后移出 pendingTasks" "$(curl -s "$BASE_URL/users/$FLOW_USER")" "$FLOW_TASK" "absent"
+RESP=$(curl -s -X PATCH -H "Content-Type: application/json" -d '{"completed":false}' "$BASE_URL/tasks/$FLOW_TASK")
+test_contains "completed=false 回到 todo" "$RESP" '"status":"todo"'
+RESP=$(curl -s -X POST -H "Content-Type: application/json" -d '{"status":"cancelled"}' "$BASE_URL/tasks/$FLOW_TASK/transition")
+test_contains "cancelled 不算完成" "$RESP" '"completed":false'
+test_contains "cancelled 移出 pendingTasks" "$(curl -s "$BASE_URL/users/$FLOW_USER")" "$FLOW_TASK" "absent"
+CODE=$(command curl -s -o /dev/null -w "%{http_code}" -X POST -H "Authorization: Bearer $USER_TOKEN" -H "Content-Type: application/json" -d '{"status":"todo"}' "$BASE_URL/tasks/$FLOW_TASK/transition")
+test_contains "非分配人流转返回 403" "$CODE" "^403$"
+FLOW_PARENT=$(curl -s -X POST -H "Content-Type: application/json" -d '{"name":"Flow Parent","deadline":"2030-01-01T00:00:00.000Z"}' "$BASE_URL/tasks" | extract_id)
+test_endpoint "cancelled 任务可作为子任务" "POST" "$BASE_URL/tasks/$FLOW_PARENT/subtasks" "{\"taskId\":\"$FLOW_TASK\"}" "201"
+test_endpoint "cancelled 子任务不阻止完成父任务" "PATCH" "$BASE_URL/tasks/$FLOW_PARENT" '{"completed":true}' "200"
+test_endpoint "POST /tasks (创建时可设任意状态)" "POST" "$BASE_URL/tasks" '{"name":"Blocked From Start","deadline":"2030-01-01T00:00:00.000Z","status":"blocked"}' "201"
+
 echo ""
 echo "========================================"
 echo "  测试结果汇总"
@@ -0,0 +1,39 @@
+// Issuing and checking API keys. Keys are random strings of the form
+// "ak_<prefix>_<secret>"; only their SHA-256 hash is stored.
+
+var crypto = require('crypto');
+var ApiKey = require('../models/apiKey');
+var repositories = require('../repositories');
+
+var LAST_USED_RESOLUTION_MS = 60000;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Returns the new key together with the prefix and hash to store
+function generateKey() {
+    var prefix = crypto.randomBytes(4).toString('hex');
+    var key = 'ak_' + prefix + '_' + crypto.randomBytes(24).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+    return { key: key, prefix: prefix, keyHash: hashKey(key) };
+}
+
+// The key document for key, or null when it is unknown. lastUsedAt is kept to
+// the minute so busy keys do not cost a write per request.
+async function findKey(key) {
+    var apiKey = await repositories.forModel(ApiKey).findOne({ keyHash: hashKey(key) });
+    if (apiKey && !apiKey.revokedAt) {
+        var now = new Date();
+        if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+            repositories.forModel(ApiKey).updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } }).catch(function (error) {
+                console.error('Failed to record API key use:', error.message);
+            });
+        }
+    }
+    return apiKey;
+}
+
+module.exports = {
+    generateKey: generateKey,
+    findKey: findKey
+};
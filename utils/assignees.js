@@ -0,0 +1,111 @@
+// Tasks can be shared by several users. Each entry of task.assignees has the
+// user's id and name and their own completion state, and the task's
+// completionRule says whether it is done once "all" shares are completed or
+// as soon as "any" is. assignedUser and assignedUserName mirror the first
+// assignee for clients that only know about one.
+//
+// Tasks saved before assignees existed only have assignedUser; the helpers
+// read them as if that user were the only assignee, so they also work on lean
+// query results.
+
+var workflow = require('./workflow');
+
+var COMPLETION_RULES = ['all', 'any'];
+
+function assigneesOf(task) {
+    if (task.assignees && task.assignees.length) {
+        return task.assignees;
+    }
+    if (!task.assignedUser) {
+        return [];
+    }
+    return [{
+        user: task.assignedUser,
+        name: task.assignedUserName,
+        completed: Boolean(task.completed),
+        completedAt: task.completedAt || null
+    }];
+}
+
+function assigneeIds(task) {
+    return assigneesOf(task).map(function (assignee) {
+        return assignee.user;
+    });
+}
+
+function isAssignee(task, userId) {
+    return assigneeIds(task).indexOf(userId) !== -1;
+}
+
+// The users who still have work on the task: their own share is open and the
+// task is not in a terminal status. These are the users listing it in
+// pendingTasks.
+function openAssigneeIds(task) {
+    if (workflow.isTerminal(workflow.statusOf(task))) {
+        return [];
+    }
+    return assigneesOf(task).filter(function (assignee) {
+        return !assignee.completed;
+    }).map(function (assignee) {
+        return assignee.user;
+    });
+}
+
+// Whether the shares add up to a completed task under rule; null when nobody
+// is assigned and completion is set on the task directly
+function sharesComplete(list, rule) {
+    if (!list.length) {
+        return null;
+    }
+    function done(assignee) {
+        return Boolean(assignee.completed);
+    }
+    return rule === 'any' ? list.some(done) : list.every(done);
+}
+
+// Replaces the assignees of a task document and updates the mirrored fields
+function setAssignees(task, list) {
+    task.assignees = list.map(function (assignee) {
+        return {
+            user: assignee.user,
+            name: assignee.name,
+            completed: Boolean(assignee.completed),
+            completedAt: assignee.completedAt || null
+        };
+    });
+    task.assignedUser = list.length ? list[0].user : '';
+    task.assignedUserName = list.length ? list[0].name : 'unassigned';
+}
+
+// Matches the tasks userId is assigned to, including tasks saved before
+// assignees existed
+function assignedToFilter(userId) {
+    return { $or: [{ 'assignees.user': userId }, { assignedUser: userId }] };
+}
+
+// Aggregation expression for the assignees of a task, equivalent to assigneesOf
+var ASSIGNEES_EXPRESSION = {
+    $cond: [
+        { $gt: [{ $size: { $ifNull: ['$assignees', []] } }, 0] },
+        '$assignees',
+        {
+            $cond: [
+                { $eq: [{ $ifNull: ['$assignedUser', ''] }, ''] },
+                [],
+                [{ user: '$assignedUser', name: '$assignedUserName', completed: '$completed', completedAt: '$completedAt' }]
+            ]
+        }
+    ]
+};
+
+module.exports = {
+    COMPLETION_RULES: COMPLETION_RULES,
+    ASSIGNEES_EXPRESSION: ASSIGNEES_EXPRESSION,
+    assigneesOf: assigneesOf,
+    assigneeIds: assigneeIds,
+    isAssignee: isAssignee,
+    openAssigneeIds: openAssigneeIds,
+    sharesComplete: sharesComplete,
+    setAssignees: setAssignees,
+    assignedToFilter: assignedToFilter
+};
@@ -0,0 +1,80 @@
+// Records before/after diffs of user and task mutations in the AuditEntry
+// collection. Entries are written with the caller's session so they commit or
+// roll back together with the change they describe.
+
+var AuditEntry = require('../models/auditEntry');
+var repositories = require('../repositories');
+var events = require('./events');
+
+var IGNORED_PATHS = ['_id', 'dateCreated', 'version'];
+
+function plainValue(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Returns the audited fields of a document as plain JSON values. Fields hidden
+// with `select: false` (such as password hashes) are never recorded.
+function snapshot(doc) {
+    if (!doc) {
+        return null;
+    }
+    var result = {};
+    doc.schema.eachPath(function (path, schemaType) {
+        if (IGNORED_PATHS.indexOf(path) !== -1 || (schemaType.options && schemaType.options.select === false)) {
+            return;
+        }
+        result[path] = plainValue(doc.get(path));
+    });
+    return result;
+}
+
+function diff(before, after) {
+    var fields = Object.keys(Object.assign({}, before, after));
+    return fields.filter(function (field) {
+        return JSON.stringify((before || {})[field]) !== JSON.stringify((after || {})[field]);
+    }).map(function (field) {
+        return {
+            field: field,
+            before: before && before[field] !== undefined ? before[field] : null,
+            after: after && after[field] !== undefined ? after[field] : null
+        };
+    });
+}
+
+// ctx is the mutation context ({ session, actor, route, events }) of the
+// request. before is null for creations and after is null for deletions;
+// action is only passed for actions that cannot be told apart that way, such
+// as "restore". Updates that change nothing are not recorded. The matching
+// change events are queued on ctx.events until the transaction commits, or
+// published right away when the context has no queue.
+async function record(ctx, entityType, entityId, before, after, action) {
+    action = action || (!before ? 'create' : (!after ? 'delete' : 'update'));
+    var changes = diff(before, after);
+    if (action === 'update' && !changes.length) {
+        return null;
+    }
+    var entries = await repositories.forModel(AuditEntry).create([{
+        entityType: entityType,
+        entityId: String(entityId),
+        action: action,
+        changes: changes,
+        actor: ctx.actor ? ctx.actor._id.toString() : '',
+        actorName: ctx.actor ? ctx.actor.name : 'anonymous',
+        route: ctx.route || ''
+    }], { session: ctx.session || null });
+    var pending = { entry: entries[0], document: after || before };
+    if (ctx.events) {
+        ctx.events.push(pending);
+    } else {
+        events.publish([pending]);
+    }
+    return entries[0];
+}
+
+module.exports = {
+    snapshot: snapshot,
+    record: record
+};
@@ -0,0 +1,119 @@
+// Minimal RFC 4180 CSV reading and writing.
+
+var httpUtils = require('./http');
+
+var createError = httpUtils.createError;
+
+// Spreadsheet apps run cells starting with these characters as formulas, so
+// such values are written with a leading apostrophe (and read back without it)
+var FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCell(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    var text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIX.test(text)) {
+        text = '\'' + text;
+    }
+    if (/[",\r\n]/.test(text)) {
+        text = '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+// rows are objects; columns lists the keys to write, in order, as the header
+function stringify(columns, rows) {
+    var lines = [columns.map(formatCell).join(',')];
+    rows.forEach(function (row) {
+        lines.push(columns.map(function (column) {
+            return formatCell(row[column]);
+        }).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+function parseCell(text) {
+    if (text.charAt(0) === '\'' && FORMULA_PREFIX.test(text.substring(1))) {
+        return text.substring(1);
+    }
+    return text;
+}
+
+function parseRecords(text) {
+    var records = [];
+    var record = [];
+    var cell = '';
+    var quoted = false;
+    var i = 0;
+    while (i < text.length) {
+        var char = text.charAt(i);
+        if (quoted) {
+            if (char === '"' && text.charAt(i + 1) === '"') {
+                cell += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+            i += 1;
+            continue;
+        }
+        if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\r' || char === '\n') {
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+            if (char === '\r' && text.charAt(i + 1) === '\n') {
+                i += 1;
+            }
+        } else {
+            cell += char;
+        }
+        i += 1;
+    }
+    if (quoted) {
+        throw createError(400, 'CSV has an unterminated quoted field');
+    }
+    if (cell !== '' || record.length) {
+        record.push(cell);
+        records.push(record);
+    }
+    return records;
+}
+
+// Parses CSV text with a header row into objects keyed by the header names.
+// Blank lines are skipped.
+function parse(text) {
+    var records = parseRecords(String(text || '').replace(/^\uFEFF/, '')).filter(function (record) {
+        return record.length > 1 || record[0] !== '';
+    });
+    if (!records.length) {
+        throw createError(400, 'CSV must start with a header row');
+    }
+    var header = records[0].map(function (name) {
+        return name.trim();
+    });
+    return records.slice(1).map(function (record) {
+        var row = {};
+        header.forEach(function (name, column) {
+            if (name && record[column] !== undefined) {
+                row[name] = parseCell(record[column]);
+            }
+        });
+        return row;
+    });
+}
+
+module.exports = {
+    stringify: stringify,
+    parse: parse
+};
@@ -0,0 +1,144 @@
+// In-process bus for user, task and project change events. Events are derived
+// from audit entries and published only once the transaction that produced them
+// has committed, so listeners never see changes that were rolled back.
+
+var crypto = require('crypto');
+var EventEmitter = require('events');
+
+var emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Recently published events, kept so stream clients can resume after a
+// reconnect. Stream ids are "<process id>-<sequence>", so ids handed out before
+// a restart are recognised as unknown instead of pointing at the wrong event.
+var REPLAY_BUFFER_SIZE = parseInt(process.env.EVENT_REPLAY_BUFFER_SIZE, 10) || 1000;
+var processId = crypto.randomBytes(4).toString('hex');
+var sequence = 0;
+var recent = [];
+
+function changed(entry, field) {
+    for (var i = 0; i < entry.changes.length; i += 1) {
+        if (entry.changes[i].field === field) {
+            return entry.changes[i];
+        }
+    }
+    return null;
+}
+
+function assigneeUsers(value) {
+    return (value || []).map(function (assignee) {
+        return assignee.user;
+    });
+}
+
+// Whether a change of the assignees list adds someone
+function addsAssignee(change) {
+    var before = assigneeUsers(change.before);
+    return assigneeUsers(change.after).some(function (userId) {
+        return before.indexOf(userId) === -1;
+    });
+}
+
+// Maps an audit entry to event types, e.g. "task.created" or "user.deleted".
+// Task updates additionally raise "task.assigned" when the task gets a new
+// assignee (a change of assignedUser or an addition to assignees) and
+// "task.completed" when it is marked completed.
+function eventTypes(entry) {
+    var prefix = entry.entityType.toLowerCase() + '.';
+    if (entry.action === 'create') {
+        return [prefix + 'created'];
+    }
+    if (entry.action === 'delete') {
+        return [prefix + 'deleted'];
+    }
+    if (entry.action === 'restore') {
+        return [prefix + 'restored'];
+    }
+    var types = [prefix + 'updated'];
+    if (entry.entityType === 'Task') {
+        var assignment = changed(entry, 'assignedUser');
+        var shares = changed(entry, 'assignees');
+        if ((assignment && assignment.after) || (shares && addsAssignee(shares))) {
+            types.push('task.assigned');
+        }
+        var completion = changed(entry, 'completed');
+        if (completion && completion.after === true) {
+            types.push('task.completed');
+        }
+    }
+    return types;
+}
+
+function toEvents(entry, document) {
+    return eventTypes(entry).map(function (type) {
+        return {
+            id: entry._id.toString() + ':' + type,
+            type: type,
+            entityType: entry.entityType,
+            entityId: entry.entityId,
+            timestamp: entry.timestamp,
+            actor: entry.actor,
+            actorName: entry.actorName,
+            route: entry.route,
+            changes: entry.changes.map(function (change) {
+                return { field: change.field, before: change.before, after: change.after };
+            }),
+            document: document
+        };
+    });
+}
+
+// pending is a list of { entry, document } pairs collected during a mutation
+function publish(pending) {
+    (pending || []).forEach(function (item) {
+        toEvents(item.entry, item.document).forEach(function (event) {
+            sequence += 1;
+            var streamId = processId + '-' + sequence;
+            recent.push({ sequence: sequence, streamId: streamId, event: event });
+            if (recent.length > REPLAY_BUFFER_SIZE) {
+                recent.shift();
+            }
+            emitter.emit('event', event, streamId);
+        });
+    });
+}
+
+// Returns the buffered { streamId, event } pairs published after streamId, or
+// null when the id is unknown or older than the buffer reaches back.
+function eventsSince(streamId) {
+    var match = /^([0-9a-f]+)-(\d+)$/.exec(streamId || '');
+    if (!match || match[1] !== processId) {
+        return null;
+    }
+    var after = Number(match[2]);
+    var oldest = recent.length ? recent[0].sequence : sequence + 1;
+    if (after > sequence || after < oldest - 1) {
+        return null;
+    }
+    return recent.filter(function (item) {
+        return item.sequence > after;
+    }).map(function (item) {
+        return { streamId: item.streamId, event: item.event };
+    });
+}
+
+// Registers listener(event, streamId) and returns a function that removes it again
+function subscribe(listener) {
+    emitter.on('event', listener);
+    return function unsubscribe() {
+        emitter.removeListener('event', listener);
+    };
+}
+
+var EVENT_TYPES = [
+    'user.created', 'user.updated', 'user.deleted', 'user.restored',
+    'project.created', 'project.updated', 'project.deleted',
+    'task.created', 'task.updated', 'task.assigned', 'task.completed', 'task.deleted', 'task.restored'
+];
+
+module.exports = {
+    EVENT_TYPES: EVENT_TYPES,
+    publish: publish,
+    subscribe: subscribe,
+    eventsSince: eventsSince
+};
@@ -0,0 +1,218 @@
+// The "expand" query parameter, which inlines the documents that users and
+// tasks refer to by id. It is a JSON list of fields, e.g. ["pendingTasks"], or
+// an object that gives each field its own "select" and nested "expand":
+//
+//   {"pendingTasks": {"select": {"name": 1}, "expand": {"assignedUser": true}}}
+//
+// Each field of every level is loaded with a single query for all documents
+// of the response, so the number of queries only depends on the expansion.
+
+var httpUtils = require('./http');
+var pagination = require('./pagination');
+var queryValidator = require('./queryValidator');
+var repositories = require('../repositories');
+var User = require('../models/user');
+var Task = require('../models/task');
+var Project = require('../models/project');
+
+var createError = httpUtils.createError;
+
+var MAX_DEPTH = 3;
+
+var MODELS = {
+    User: User,
+    Task: Task,
+    Project: Project
+};
+
+// The fields that hold ids, per model, and the model they refer to. A field
+// inside the entries of a list is named by its path, e.g. "assignees.user".
+var RELATIONS = {
+    User: {
+        pendingTasks: { model: 'Task', many: true }
+    },
+    Task: {
+        assignedUser: { model: 'User' },
+        'assignees.user': { model: 'User' },
+        createdBy: { model: 'User' },
+        project: { model: 'Project' },
+        parentTask: { model: 'Task' },
+        blockedBy: { model: 'Task', many: true }
+    },
+    Project: {
+        members: { model: 'User', many: true },
+        owner: { model: 'User' }
+    }
+};
+
+var POLICIES = {
+    User: queryValidator.createQueryPolicy(User),
+    Task: queryValidator.createQueryPolicy(Task),
+    Project: queryValidator.createQueryPolicy(Project)
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function invalid(path, message) {
+    return createError(400, 'Invalid "expand" parameter' + (path ? ' at "' + path + '"' : '') + ': ' + message, {
+        parameter: 'expand',
+        path: path
+    });
+}
+
+function normalize(spec, modelName, path, depth) {
+    if (Array.isArray(spec)) {
+        var names = {};
+        spec.forEach(function (name) {
+            if (typeof name !== 'string') {
+                throw invalid(path, 'expected a list of field names');
+            }
+            names[name] = true;
+        });
+        spec = names;
+    }
+    if (!isPlainObject(spec)) {
+        throw invalid(path, 'expected a list of field names or an object such as {"pendingTasks": {"select": {"name": 1}}}');
+    }
+    return Object.keys(spec).map(function (field) {
+        var fieldPath = path ? path + '.expand.' + field : field;
+        var relation = RELATIONS[modelName][field];
+        if (!relation) {
+            throw invalid(fieldPath, modelName + ' fields that can be expanded are "' + Object.keys(RELATIONS[modelName]).join('", "') + '"');
+        }
+        if (depth > MAX_DEPTH) {
+            throw invalid(fieldPath, 'expansions can be nested at most ' + MAX_DEPTH + ' levels deep');
+        }
+        var options = spec[field] === true || spec[field] === 1 ? {} : spec[field];
+        if (!isPlainObject(options)) {
+            throw invalid(fieldPath, 'expected true or an object with "select" and "expand"');
+        }
+        Object.keys(options).forEach(function (key) {
+            if (key !== 'select' && key !== 'expand') {
+                throw invalid(fieldPath, 'unknown option "' + key + '"');
+            }
+        });
+        try {
+            queryValidator.validateSelect(POLICIES[relation.model], options.select, 'expand');
+        } catch (error) {
+            var selectPath = fieldPath + '.select' + (error.data && error.data.path ? '.' + error.data.path : '');
+            throw invalid(selectPath, error.message.slice(error.message.indexOf(': ') + 2));
+        }
+        return {
+            field: field,
+            model: relation.model,
+            many: Boolean(relation.many),
+            select: options.select,
+            expand: options.expand === undefined ? [] : normalize(options.expand, relation.model, fieldPath, depth + 1)
+        };
+    });
+}
+
+// Parses and checks the raw "expand" parameter for documents of modelName;
+// resolves to null when there is nothing to expand
+function parseExpand(value, modelName) {
+    if (value === undefined) {
+        return null;
+    }
+    var spec;
+    try {
+        spec = JSON.parse(value);
+    } catch (err) {
+        throw createError(400, 'Invalid JSON in "expand" parameter');
+    }
+    var expansions = normalize(spec, modelName, '', 1);
+    return expansions.length ? expansions : null;
+}
+
+function toPlain(doc) {
+    return doc && typeof doc.toJSON === 'function' ? doc.toJSON() : doc;
+}
+
+// The objects holding field: the item itself, or the entries of the list
+// named by the first part of a path such as "assignees.user"
+function holdersOf(item, field) {
+    var dot = field.indexOf('.');
+    if (dot === -1) {
+        return [item];
+    }
+    var list = item[field.slice(0, dot)];
+    return Array.isArray(list) ? list.filter(isPlainObject) : [];
+}
+
+function keyOf(field) {
+    return field.slice(field.indexOf('.') + 1);
+}
+
+async function expandLevel(items, expansions) {
+    for (var i = 0; i < expansions.length; i += 1) {
+        var expansion = expansions[i];
+        var field = keyOf(expansion.field);
+        var holders = [];
+        items.forEach(function (item) {
+            holders = holders.concat(holdersOf(item, expansion.field));
+        });
+        var ids = [];
+        holders.forEach(function (holder) {
+            var value = holder[field];
+            (Array.isArray(value) ? value : [value]).forEach(function (id) {
+                if (id && ids.indexOf(String(id)) === -1) {
+                    ids.push(String(id));
+                }
+            });
+        });
+
+        var byId = new Map();
+        var validIds = ids.filter(function (id) {
+            return /^[0-9a-fA-F]{24}$/.test(id);
+        });
+        if (validIds.length) {
+            // _id is always loaded to match the documents to their references
+            var extended = pagination.extendProjection(expansion.select, [['_id']]);
+            var repository = repositories.forModel(MODELS[expansion.model]);
+            var found = (await repository.find({ _id: { $in: validIds } }, { select: extended.projection })).map(toPlain);
+            await expandLevel(found, expansion.expand);
+            found.forEach(function (doc) {
+                byId.set(String(doc._id), doc);
+            });
+            found.forEach(function (doc) {
+                extended.hidden.forEach(function (path) {
+                    pagination.stripPath(doc, path);
+                });
+            });
+        }
+
+        holders.forEach(function (holder) {
+            if (!Object.prototype.hasOwnProperty.call(holder, field)) {
+                return;
+            }
+            var value = holder[field];
+            if (expansion.many) {
+                holder[field] = (value || []).map(function (id) {
+                    return byId.get(String(id));
+                }).filter(Boolean);
+            } else {
+                holder[field] = value ? byId.get(String(value)) || null : null;
+            }
+        });
+    }
+}
+
+// Resolves to plain copies of docs with the expanded fields replaced by the
+// documents they refer to. Missing or deleted documents become null, or are
+// left out of lists. Fields that were not selected are not expanded.
+async function expandDocuments(docs, expansions) {
+    var items = docs.map(toPlain);
+    if (expansions) {
+        await expandLevel(items, expansions);
+    }
+    return items;
+}
+
+module.exports = {
+    MAX_DEPTH: MAX_DEPTH,
+    RELATIONS: RELATIONS,
+    parseExpand: parseExpand,
+    expandDocuments: expandDocuments
+};
@@ -0,0 +1,92 @@
+// Helpers for building the {message, data} response envelope shared by every
+// route and middleware.
+
+function createError(status, message, data) {
+    var error = new Error(message);
+    error.status = status;
+    error.data = data || {};
+    return error;
+}
+
+// extra holds optional top-level envelope fields such as "pagination"
+function sendResponse(res, status, message, data, extra) {
+    res.status(status).json(Object.assign({
+        message: message,
+        data: data
+    }, extra));
+}
+
+// Users and tasks carry a version that is bumped on every change; it is served
+// as a strong ETag.
+function etag(doc) {
+    return '"' + (doc.version || 0) + '"';
+}
+
+function headerETags(req, name) {
+    var header = req.get(name);
+    if (!header) {
+        return null;
+    }
+    return header.split(',').map(function (tag) {
+        return tag.trim();
+    });
+}
+
+// Rejects a write with 412 when the request has an If-Match header that does
+// not name the document's current ETag. Weak ETags never match.
+function assertIfMatch(req, doc) {
+    var tags = headerETags(req, 'If-Match');
+    if (tags && tags.indexOf('*') === -1 && tags.indexOf(etag(doc)) === -1) {
+        throw createError(412, 'Precondition failed: the resource has been modified', {
+            version: doc.version || 0
+        });
+    }
+}
+
+// Sends a versioned document with its ETag. A GET whose If-None-Match names
+// that ETag (weak or not) is answered with 304 instead; unlike req.fresh this
+// ignores Cache-Control, which fetch() sets on every conditional request. data
+// replaces the document in the envelope when only part of it was selected.
+function sendDocument(req, res, status, message, doc, data) {
+    var current = etag(doc);
+    res.set('ETag', current);
+    var tags = req.method === 'GET' || req.method === 'HEAD' ? headerETags(req, 'If-None-Match') : null;
+    if (tags && tags.some(function (tag) { return tag === '*' || tag.replace(/^W\//, '') === current; })) {
+        return res.status(304).end();
+    }
+    return sendResponse(res, status, message, data === undefined ? doc : data);
+}
+
+// The status, message and data an error is answered with. Errors without a
+// status that are not Mongoose validation errors are logged and become 500.
+function describeError(error) {
+    if (error.status) {
+        return { status: error.status, message: error.message, data: error.data || {} };
+    }
+    if (error.name === 'ValidationError') {
+        return { status: 400, message: error.message, data: {} };
+    }
+    if (error.name === 'VersionError') {
+        return { status: 409, message: 'The resource was modified by another request; try again', data: {} };
+    }
+    if (error.name === 'CastError') {
+        return { status: 400, message: 'Invalid value for field "' + error.path + '"', data: {} };
+    }
+    console.error(error);
+    return { status: 500, message: 'Internal server error', data: {} };
+}
+
+function handleError(res, error) {
+    var described = describeError(error);
+    return sendResponse(res, described.status, described.message, described.data);
+}
+
+module.exports = {
+    createError: createError,
+    sendResponse: sendResponse,
+    etag: etag,
+    assertIfMatch: assertIfMatch,
+    sendDocument: sendDocument,
+    describeError: describeError,
+    handleError: handleError
+};
@@ -0,0 +1,91 @@
+// Builds iCalendar (RFC 5545) feeds with one event per task deadline.
+
+var PRODUCT_ID = '-//APIed Piper//Tasks//EN';
+var UID_DOMAIN = 'apied-piper';
+
+// iCalendar priorities run from 1 (highest) to 9 (lowest)
+var PRIORITY_LEVELS = {
+    urgent: 1,
+    high: 3,
+    normal: 5,
+    low: 9
+};
+
+function escapeText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function formatDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with
+// a space, without splitting multi-byte characters.
+function foldLine(line) {
+    var folded = [];
+    var current = '';
+    var currentBytes = 0;
+    Array.from(line).forEach(function (char) {
+        var bytes = Buffer.byteLength(char);
+        var limit = folded.length ? 74 : 75;
+        if (currentBytes + bytes > limit) {
+            folded.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    });
+    folded.push(current);
+    return folded.join('\r\n ');
+}
+
+function taskEvent(task, stamp) {
+    var lines = [
+        'BEGIN:VEVENT',
+        'UID:' + task._id.toString() + '@' + UID_DOMAIN,
+        'DTSTAMP:' + formatDate(stamp),
+        'DTSTART:' + formatDate(task.deadline),
+        'DTEND:' + formatDate(task.deadline),
+        'SUMMARY:' + escapeText(task.completed ? task.name + ' (completed)' : task.name)
+    ];
+    if (task.description) {
+        lines.push('DESCRIPTION:' + escapeText(task.description));
+    }
+    if (task.tags && task.tags.length) {
+        lines.push('CATEGORIES:' + task.tags.map(escapeText).join(','));
+    }
+    if (PRIORITY_LEVELS[task.priority]) {
+        lines.push('PRIORITY:' + PRIORITY_LEVELS[task.priority]);
+    }
+    if (task.dateCreated) {
+        lines.push('CREATED:' + formatDate(task.dateCreated));
+    }
+    lines.push('TRANSP:TRANSPARENT');
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+function calendar(name, tasks) {
+    var stamp = new Date();
+    var lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:' + PRODUCT_ID,
+        'CALSCALE:GREGORIAN',
+        'X-WR-CALNAME:' + escapeText(name)
+    ];
+    tasks.forEach(function (task) {
+        lines = lines.concat(taskEvent(task, stamp));
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    calendar: calendar
+};
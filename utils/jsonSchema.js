@@ -0,0 +1,164 @@
+// A small JSON Schema validator for the subset of keywords used by the OpenAPI
+// document: type, enum, format, pattern, min/maxLength, minimum/maximum,
+// min/maxItems, items, properties, required and anyOf.
+//
+// With `coerce`, strings are also accepted where a boolean or number is
+// expected if they convert cleanly, and a single value where an array is
+// expected, since that is how query strings and HTML forms encode them. The
+// value itself is never changed.
+
+var mongoose = require('mongoose');
+
+var FORMATS = {
+    'date-time': function (value) {
+        return !Number.isNaN(new Date(value).getTime());
+    },
+    objectid: function (value) {
+        return mongoose.Types.ObjectId.isValid(value);
+    },
+    email: function (value) {
+        return /^[^\s@]+@[^\s@]+$/.test(value);
+    },
+    uri: function (value) {
+        return /^https?:\/\/[^\s/]+/i.test(value);
+    }
+};
+
+var FORMAT_NAMES = {
+    'date-time': 'a date',
+    objectid: 'an id',
+    email: 'an email address',
+    uri: 'an http or https URL'
+};
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+}
+
+function typeMatches(type, value) {
+    var actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function coerceValue(types, value) {
+    if (typeof value !== 'string' || types.indexOf('string') !== -1) {
+        return value;
+    }
+    if (types.indexOf('boolean') !== -1 && /^(true|false)$/i.test(value)) {
+        return value.toLowerCase() === 'true';
+    }
+    if ((types.indexOf('number') !== -1 || types.indexOf('integer') !== -1) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    return value;
+}
+
+function describeTypes(types) {
+    return types.map(function (type) {
+        return type === 'integer' ? 'an integer' : (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type;
+    }).join(' or ');
+}
+
+function addError(errors, path, message) {
+    errors.push({ field: path, message: message });
+}
+
+function validateValue(schema, value, path, errors, options) {
+    if (schema.anyOf) {
+        var matched = schema.anyOf.some(function (branch) {
+            return !validate(branch, value, path, options).length;
+        });
+        if (!matched) {
+            addError(errors, path, schema.description ? 'must be ' + schema.description : 'does not match any of the allowed forms');
+        }
+        return;
+    }
+
+    if (schema.type) {
+        var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (options.coerce) {
+            if (types.indexOf('array') !== -1 && !Array.isArray(value)) {
+                value = [value];
+            }
+            value = coerceValue(types, value);
+        }
+        if (!types.some(function (type) { return typeMatches(type, value); })) {
+            addError(errors, path, 'must be ' + describeTypes(types));
+            return;
+        }
+    }
+
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+        addError(errors, path, 'must be one of ' + schema.enum.map(function (item) {
+            return JSON.stringify(item);
+        }).join(', '));
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            addError(errors, path, schema.minLength === 1 ? 'must not be empty' : 'must be at least ' + schema.minLength + ' characters long');
+        } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            addError(errors, path, 'must be at most ' + schema.maxLength + ' characters long');
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            addError(errors, path, 'has an invalid format');
+        } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            addError(errors, path, 'must be ' + FORMAT_NAMES[schema.format]);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            addError(errors, path, 'must be at least ' + schema.minimum);
+        } else if (schema.maximum !== undefined && value > schema.maximum) {
+            addError(errors, path, 'must be at most ' + schema.maximum);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            addError(errors, path, 'must have at least ' + schema.minItems + ' item' + (schema.minItems === 1 ? '' : 's'));
+        } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            addError(errors, path, 'must have at most ' + schema.maxItems + ' items');
+        }
+        if (schema.items) {
+            value.forEach(function (item, index) {
+                validateValue(schema.items, item, path + '[' + index + ']', errors, options);
+            });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(function (name) {
+            if (value[name] === undefined) {
+                addError(errors, path ? path + '.' + name : name, 'is required');
+            }
+        });
+        Object.keys(schema.properties || {}).forEach(function (name) {
+            if (value[name] !== undefined) {
+                validateValue(schema.properties[name], value[name], path ? path + '.' + name : name, errors, options);
+            }
+        });
+    }
+}
+
+// Returns the list of { field, message } errors of value against schema;
+// path names the value itself in the messages.
+function validate(schema, value, path, options) {
+    var errors = [];
+    validateValue(schema, value, path || '', errors, options || {});
+    return errors;
+}
+
+module.exports = {
+    validate: validate
+};
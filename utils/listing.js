@@ -0,0 +1,218 @@
+// Helpers shared by the list endpoints: parsing of the where, sort, select,
+// skip, limit, count, total and cursor query parameters and the response that
+// lists the matching documents.
+
+var httpUtils = require('./http');
+var pagination = require('./pagination');
+var expand = require('./expand');
+var queryValidator = require('./queryValidator');
+
+var createError = httpUtils.createError;
+var sendResponse = httpUtils.sendResponse;
+
+function parseJSONParam(value, paramName) {
+    if (value === undefined) {
+        return undefined;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        throw createError(400, 'Invalid JSON in "' + paramName + '" parameter');
+    }
+}
+
+function parseNumberParam(value, paramName) {
+    if (value === undefined) {
+        return undefined;
+    }
+    var parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw createError(400, 'Parameter "' + paramName + '" must be a non-negative integer');
+    }
+    return parsed;
+}
+
+function parseCountParam(value) {
+    if (value === undefined) {
+        return false;
+    }
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    if (typeof value === 'string') {
+        return value.toLowerCase() === 'true';
+    }
+    return false;
+}
+
+function parseBoolean(value, defaultValue) {
+    if (value === undefined || value === null) {
+        return defaultValue;
+    }
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    if (typeof value === 'string') {
+        var lower = value.toLowerCase();
+        if (lower === 'true') {
+            return true;
+        }
+        if (lower === 'false') {
+            return false;
+        }
+    }
+    return Boolean(value);
+}
+
+function parseDateValue(value, fieldName) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    // Accept both ISO strings and millisecond timestamps (number or numeric string)
+    var date;
+    if (typeof value === 'number') {
+        date = new Date(value);
+    } else if (typeof value === 'string') {
+        // Try parsing as numeric timestamp first (including floats and scientific notation)
+        var numValue = Number(value);
+        if (!isNaN(numValue) && isFinite(numValue)) {
+            date = new Date(numValue);
+        } else {
+            // Try parsing as ISO date string
+            date = new Date(value);
+        }
+    } else {
+        date = new Date(value);
+    }
+    if (Number.isNaN(date.getTime())) {
+        throw createError(400, 'Invalid date supplied for "' + fieldName + '"');
+    }
+    return date;
+}
+
+// options.policy is the query policy that where/sort/select are checked against
+// and options.expand the model name whose references "expand" may inline
+function buildQueryOptions(req, options) {
+    options = options || {};
+    var filter = parseJSONParam(req.query.where, 'where') || {};
+    var sort = parseJSONParam(req.query.sort, 'sort');
+    var selectParamName = req.query.select !== undefined ? 'select' : (req.query.filter !== undefined ? 'filter' : 'select');
+    var selectValue = req.query.select !== undefined ? req.query.select : req.query.filter;
+    var select = parseJSONParam(selectValue, selectParamName);
+    var skip = parseNumberParam(req.query.skip, 'skip');
+    var limit = parseNumberParam(req.query.limit, 'limit');
+    var count = parseCountParam(req.query.count);
+    var total = parseCountParam(req.query.total);
+    var cursor = req.query.cursor;
+    var expansions = options.expand ? expand.parseExpand(req.query.expand, options.expand) : null;
+
+    if (count && select) {
+        throw createError(400, 'Cannot use "select" parameter when "count" is true');
+    }
+    if (options.policy) {
+        queryValidator.validateWhere(options.policy, filter);
+        queryValidator.validateSort(options.policy, sort);
+        queryValidator.validateSelect(options.policy, select, selectParamName);
+    }
+    if (cursor !== undefined) {
+        if (typeof cursor !== 'string') {
+            throw createError(400, 'Invalid value for "cursor" parameter');
+        }
+        if (count) {
+            throw createError(400, 'Cannot use "cursor" parameter when "count" is true');
+        }
+        if (skip !== undefined) {
+            throw createError(400, 'Cannot combine "cursor" and "skip" parameters');
+        }
+    }
+
+    if (!count) {
+        if (limit === undefined && options.defaultLimit !== undefined) {
+            limit = options.defaultLimit;
+        }
+    } else {
+        limit = undefined;
+    }
+
+    return {
+        filter: filter,
+        sort: sort,
+        select: select,
+        skip: skip,
+        limit: limit,
+        count: count,
+        total: total,
+        cursor: cursor,
+        expand: count ? null : expansions
+    };
+}
+
+// Responds with the documents of repository selected by queryOptions: a count, a
+// cursor page (when the "cursor" parameter is present) or a skip/limit page.
+// A "pagination" object is added to the envelope for cursor pages and when
+// "total=true" is requested.
+async function sendList(req, res, repository, queryOptions) {
+    if (queryOptions.count) {
+        var count = await repository.count(queryOptions.filter);
+        return sendResponse(res, 200, 'OK', count);
+    }
+
+    var total;
+    if (queryOptions.total) {
+        total = await repository.count(queryOptions.filter);
+    }
+
+    if (queryOptions.cursor !== undefined) {
+        var page = queryOptions.limit === 0
+            ? { items: [], next: null, prev: null }
+            : await pagination.findCursorPage(repository, queryOptions);
+        pagination.setLinkHeader(req, res, page);
+        var items = page.items;
+        if (queryOptions.expand) {
+            items = await expand.expandDocuments(items, queryOptions.expand);
+        }
+        var cursorMeta = {
+            limit: queryOptions.limit === undefined ? null : queryOptions.limit,
+            next: page.next,
+            prev: page.prev
+        };
+        if (total !== undefined) {
+            cursorMeta.total = total;
+        }
+        return sendResponse(res, 200, 'OK', items, { pagination: cursorMeta });
+    }
+
+    var extra;
+    if (total !== undefined) {
+        extra = {
+            pagination: {
+                skip: queryOptions.skip || 0,
+                limit: queryOptions.limit === undefined ? null : queryOptions.limit,
+                total: total
+            }
+        };
+    }
+    if (queryOptions.limit === 0) {
+        return sendResponse(res, 200, 'OK', [], extra);
+    }
+    var docs = await repository.find(queryOptions.filter, {
+        select: queryOptions.select,
+        sort: queryOptions.sort,
+        skip: queryOptions.skip,
+        limit: queryOptions.limit
+    });
+    if (queryOptions.expand) {
+        docs = await expand.expandDocuments(docs, queryOptions.expand);
+    }
+    return sendResponse(res, 200, 'OK', docs, extra);
+}
+
+module.exports = {
+    parseJSONParam: parseJSONParam,
+    parseNumberParam: parseNumberParam,
+    parseCountParam: parseCountParam,
+    parseBoolean: parseBoolean,
+    parseDateValue: parseDateValue,
+    buildQueryOptions: buildQueryOptions,
+    sendList: sendList
+};
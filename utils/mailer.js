@@ -0,0 +1,128 @@
+// Transports for notifications. A transport is an object with a name and a
+// send({ to, subject, text }) method that resolves once the message has been
+// handed off and rejects if it could not be.
+
+var crypto = require('crypto');
+var net = require('net');
+var os = require('os');
+
+var SMTP_TIMEOUT_MS = 10000;
+
+// Writes each message to the server log instead of sending it
+function createLogTransport(log) {
+    var write = log || console.log;
+    return {
+        name: 'log',
+        send: async function (message) {
+            write('Notification to ' + message.to + ': ' + message.subject + '\n' + message.text);
+        }
+    };
+}
+
+function encodeHeader(value) {
+    var line = String(value).replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(line) ? line : '=?UTF-8?B?' + Buffer.from(line, 'utf8').toString('base64') + '?=';
+}
+
+function assertAddress(address) {
+    if (!/^[^\s<>@]+@[^\s<>@]+$/.test(address)) {
+        throw new Error('Invalid email address "' + address + '"');
+    }
+}
+
+// The body is base64 encoded, which avoids dot-stuffing and does not need
+// the server to support 8-bit messages
+function formatMessage(from, message, hostname) {
+    var body = Buffer.from(String(message.text).replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64');
+    return [
+        'From: ' + from,
+        'To: ' + message.to,
+        'Subject: ' + encodeHeader(message.subject),
+        'Date: ' + new Date().toUTCString(),
+        'Message-ID: <' + crypto.randomBytes(12).toString('hex') + '@' + hostname + '>',
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body.replace(/.{1,76}/g, '$&\r\n')
+    ].join('\r\n');
+}
+
+// Sends one message per connection to a plain SMTP server without
+// authentication or TLS, such as a local relay or a test server like MailHog
+function createSmtpTransport(options) {
+    var host = options.host || 'localhost';
+    var port = options.port || 25;
+    var from = options.from || 'reminders@localhost';
+    var hostname = options.hostname || os.hostname();
+
+    function send(message) {
+        return new Promise(function (resolve, reject) {
+            assertAddress(from);
+            assertAddress(message.to);
+            var steps = [
+                { expect: 220, command: 'EHLO ' + hostname },
+                { expect: 250, command: 'MAIL FROM:<' + from + '>' },
+                { expect: 250, command: 'RCPT TO:<' + message.to + '>' },
+                { expect: 250, command: 'DATA' },
+                { expect: 354, command: formatMessage(from, message, hostname) + '.' },
+                { expect: 250, command: 'QUIT' }
+            ];
+            var buffer = '';
+            var finished = false;
+            var socket = net.connect(port, host);
+
+            function finish(error) {
+                if (finished) {
+                    return;
+                }
+                finished = true;
+                if (error) {
+                    socket.destroy();
+                    return reject(error);
+                }
+                socket.end();
+                return resolve();
+            }
+
+            socket.setTimeout(SMTP_TIMEOUT_MS, function () {
+                finish(new Error('SMTP server did not respond within ' + SMTP_TIMEOUT_MS + 'ms'));
+            });
+            socket.on('error', finish);
+            socket.on('close', function () {
+                finish(new Error('SMTP server closed the connection'));
+            });
+            socket.on('data', function (chunk) {
+                buffer += chunk.toString('utf8');
+                var index;
+                while (!finished && (index = buffer.indexOf('\n')) !== -1) {
+                    var line = buffer.slice(0, index).replace(/\r$/, '');
+                    buffer = buffer.slice(index + 1);
+                    // Continuation lines of a multi-line reply
+                    if (/^\d{3}-/.test(line)) {
+                        continue;
+                    }
+                    var step = steps.shift();
+                    if (parseInt(line.slice(0, 3), 10) !== step.expect) {
+                        return finish(new Error('SMTP server replied "' + line + '"'));
+                    }
+                    socket.write(step.command + '\r\n');
+                    // The message has been accepted once DATA is answered
+                    if (step.command === 'QUIT') {
+                        return finish();
+                    }
+                }
+            });
+        });
+    }
+
+    return {
+        name: 'smtp',
+        send: send
+    };
+}
+
+module.exports = {
+    createLogTransport: createLogTransport,
+    createSmtpTransport: createSmtpTransport
+};
@@ -0,0 +1,174 @@
+// Evaluates a "where" filter against a plain object in memory, following
+// MongoDB's semantics for the operators the query validator allows. Filters
+// must be validated with queryValidator.validateWhere first.
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function isOperatorObject(value) {
+    return isPlainObject(value) && Object.keys(value).some(function (key) {
+        return key.charAt(0) === '$';
+    });
+}
+
+// Dates are compared by their ISO string, which is also how they appear in JSON
+function normalize(value) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (value && typeof value.toHexString === 'function') {
+        return value.toHexString();
+    }
+    return value;
+}
+
+function deepEqual(a, b) {
+    a = normalize(a);
+    b = normalize(b);
+    if (a === b) {
+        return true;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every(function (item, index) {
+            return deepEqual(item, b[index]);
+        });
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        var keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(function (key) {
+            return deepEqual(a[key], b[key]);
+        });
+    }
+    return false;
+}
+
+// Collects the values at a dotted path. Arrays along the way are traversed,
+// and an array value contributes both itself and its elements, so that
+// {"tags": "x"} matches a document whose tags array contains "x".
+function valuesAt(document, segments) {
+    if (!segments.length) {
+        return Array.isArray(document) ? [document].concat(document) : [document];
+    }
+    if (Array.isArray(document)) {
+        var index = Number(segments[0]);
+        if (Number.isInteger(index) && String(index) === segments[0]) {
+            return valuesAt(document[index], segments.slice(1));
+        }
+        return document.reduce(function (values, item) {
+            return values.concat(valuesAt(item, segments));
+        }, []);
+    }
+    if (!isPlainObject(document)) {
+        return [undefined];
+    }
+    return valuesAt(document[segments[0]], segments.slice(1));
+}
+
+function compare(a, b) {
+    a = normalize(a);
+    b = normalize(b);
+    if (typeof a !== typeof b || (typeof a !== 'number' && typeof a !== 'string' && typeof a !== 'boolean')) {
+        return null;
+    }
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function someValue(values, predicate) {
+    return values.some(function (value) {
+        return value !== undefined && predicate(value);
+    });
+}
+
+function matchesOperators(values, conditions) {
+    return Object.keys(conditions).every(function (operator) {
+        var operand = conditions[operator];
+        switch (operator) {
+        case '$eq':
+            return values.some(function (value) {
+                return deepEqual(value, operand) || (value === undefined && operand === null);
+            });
+        case '$ne':
+            return !matchesOperators(values, { $eq: operand });
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte':
+            return someValue(values, function (value) {
+                var order = compare(value, operand);
+                if (order === null) {
+                    return false;
+                }
+                return operator === '$gt' ? order > 0
+                    : operator === '$gte' ? order >= 0
+                        : operator === '$lt' ? order < 0
+                            : order <= 0;
+            });
+        case '$in':
+            return operand.some(function (candidate) {
+                return matchesOperators(values, { $eq: candidate });
+            });
+        case '$nin':
+            return !matchesOperators(values, { $in: operand });
+        case '$all':
+            return operand.every(function (candidate) {
+                return matchesOperators(values, { $eq: candidate });
+            });
+        case '$exists':
+            return values.some(function (value) {
+                return value !== undefined;
+            }) === Boolean(operand);
+        case '$size':
+            return someValue(values, function (value) {
+                return Array.isArray(value) && value.length === operand;
+            });
+        case '$regex':
+            var pattern = new RegExp(operand, (conditions.$options || '').replace(/x/g, ''));
+            return someValue(values, function (value) {
+                return typeof value === 'string' && pattern.test(value);
+            });
+        case '$options':
+            return true;
+        case '$not':
+            return !matchesOperators(values, operand);
+        case '$elemMatch':
+            return someValue(values, function (value) {
+                return Array.isArray(value) && value.some(function (item) {
+                    return matchesOperators([item], operand);
+                });
+            });
+        default:
+            return false;
+        }
+    });
+}
+
+function matches(document, filter) {
+    return Object.keys(filter || {}).every(function (key) {
+        var condition = filter[key];
+        if (key === '$and') {
+            return condition.every(function (clause) {
+                return matches(document, clause);
+            });
+        }
+        if (key === '$or') {
+            return condition.some(function (clause) {
+                return matches(document, clause);
+            });
+        }
+        if (key === '$nor') {
+            return !condition.some(function (clause) {
+                return matches(document, clause);
+            });
+        }
+        var values = valuesAt(document, key.split('.'));
+        if (isOperatorObject(condition)) {
+            return matchesOperators(values, condition);
+        }
+        return matchesOperators(values, { $eq: condition });
+    });
+}
+
+module.exports = {
+    matches: matches
+};
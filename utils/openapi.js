@@ -0,0 +1,838 @@
+// The OpenAPI 3.1 description of the API, served at /api/openapi.json and used
+// by the request validation middleware.
+//
+// Paths come from the routes registered on the router and the data schemas
+// from the Mongoose models, so neither can drift from the code. What only the
+// handlers know (summaries, query parameters and request bodies) is listed in
+// OPERATIONS below; routes missing from it are reported when the document is
+// built.
+
+var User = require('../models/user');
+var Task = require('../models/task');
+var Project = require('../models/project');
+var AuditEntry = require('../models/auditEntry');
+var Webhook = require('../models/webhook');
+var Notification = require('../models/notification');
+var ApiKey = require('../models/apiKey');
+var WebhookDelivery = require('../models/webhookDelivery');
+var events = require('./events');
+var expand = require('./expand');
+
+var READ_ONLY_PATHS = ['_id', 'version', 'dateCreated'];
+
+function propertyFor(schemaType) {
+    var options = schemaType.options || {};
+    var property;
+    switch (schemaType.instance) {
+        case 'String':
+            property = { type: 'string' };
+            if (schemaType.enumValues && schemaType.enumValues.length) {
+                property.enum = schemaType.enumValues.slice();
+            }
+            break;
+        case 'Number':
+            property = { type: 'number' };
+            break;
+        case 'Boolean':
+            property = { type: 'boolean' };
+            break;
+        case 'Date':
+            property = { type: 'string', format: 'date-time' };
+            break;
+        case 'ObjectID':
+            property = { type: 'string', format: 'objectid' };
+            break;
+        case 'Array':
+            property = {
+                type: 'array',
+                items: schemaType.schema ? modelSchema(schemaType.schema) : propertyFor(schemaType.caster)
+            };
+            break;
+        default:
+            property = {};
+    }
+    if (options.default !== undefined && options.default !== null && typeof options.default !== 'function') {
+        property.default = options.default;
+    }
+    if (options.default === null) {
+        property.type = [property.type, 'null'];
+    }
+    return property;
+}
+
+// Converts a Mongoose schema to a JSON Schema object. Nested paths such as
+// "recurrence.rule" become nested objects; paths hidden with `select: false`
+// are left out.
+function modelSchema(schema) {
+    var result = { type: 'object', properties: {}, required: [] };
+    schema.eachPath(function (path, schemaType) {
+        if (schemaType.options && schemaType.options.select === false) {
+            return;
+        }
+        var parts = path.split('.');
+        var target = result;
+        parts.slice(0, -1).forEach(function (part) {
+            target.properties[part] = target.properties[part] || { type: 'object', properties: {} };
+            target = target.properties[part];
+        });
+        var property = propertyFor(schemaType);
+        if (READ_ONLY_PATHS.indexOf(path) !== -1) {
+            property.readOnly = true;
+        }
+        target.properties[parts[parts.length - 1]] = property;
+        if (schemaType.options && schemaType.options.required) {
+            // Mongoose rejects empty strings for required paths
+            if (property.type === 'string') {
+                property.minLength = 1;
+            }
+            target.required = (target.required || []).concat([parts[parts.length - 1]]);
+        }
+    });
+    if (!result.required.length) {
+        delete result.required;
+    }
+    return result;
+}
+
+// The writable fields of a model as accepted in request bodies; overrides
+// replace the model's property where the API is more lenient than the schema
+// (e.g. dates may be timestamps) or stricter (e.g. ids).
+function inputSchema(Model, fields, overrides, required) {
+    var source = modelSchema(Model.schema);
+    var result = { type: 'object', properties: {} };
+    fields.forEach(function (field) {
+        var property = overrides[field] || Object.assign({}, source.properties[field]);
+        delete property.default;
+        result.properties[field] = property;
+    });
+    if (required && required.length) {
+        result.required = required;
+    }
+    return result;
+}
+
+function ref(name) {
+    return { $ref: '#/components/schemas/' + name };
+}
+
+var OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+var OPTIONAL_ID = {
+    type: ['string', 'null'],
+    pattern: '^([0-9a-fA-F]{24})?$',
+    description: 'an id, or an empty string or null for none'
+};
+// Timestamps may also come as numeric strings, e.g. from HTML forms or
+// "1.730501234567e+12", as parseDateValue accepts them
+var DATE = {
+    anyOf: [
+        { type: 'string', format: 'date-time' },
+        { type: 'string', pattern: '^[+-]?(\\d+\\.?\\d*|\\.\\d+)([eE][+-]?\\d+)?$' },
+        { type: 'number' }
+    ],
+    description: 'an ISO 8601 date or a timestamp in milliseconds'
+};
+var ID_LIST = { type: 'array', items: OBJECT_ID };
+
+var USER_INPUT = inputSchema(User, ['name', 'email', 'password', 'role', 'pendingTasks', 'notifications'], {
+    email: { type: 'string', format: 'email' },
+    password: { type: 'string', minLength: 8, writeOnly: true },
+    pendingTasks: ID_LIST,
+    notifications: {
+        type: 'object',
+        description: 'deadline reminder preferences; fields that are left out keep their values',
+        properties: {
+            dueSoon: { type: 'boolean' },
+            overdue: { type: 'boolean' },
+            leadHours: { type: 'number', minimum: 1, maximum: User.MAX_LEAD_HOURS }
+        }
+    }
+}, ['name', 'email']);
+
+var TASK_INPUT = inputSchema(Task, [
+    'name', 'description', 'deadline', 'completed', 'assignedUser', 'assignedUserName',
+    'status', 'assignees', 'completionRule', 'priority', 'tags', 'project', 'recurrence'
+], {
+    deadline: DATE,
+    assignedUser: OPTIONAL_ID,
+    assignees: {
+        type: 'array',
+        maxItems: Task.MAX_ASSIGNEES,
+        items: {
+            anyOf: [OBJECT_ID, {
+                type: 'object',
+                required: ['user'],
+                properties: {
+                    user: OBJECT_ID,
+                    completed: { type: 'boolean' }
+                }
+            }],
+            description: 'a user id, or an object with the "user" id and whether their share is "completed"'
+        }
+    },
+    project: OPTIONAL_ID,
+    tags: {
+        anyOf: [{ type: 'array', items: { type: 'string' } }, { type: 'string' }],
+        description: 'a list of tags or a comma-separated string'
+    },
+    recurrence: {
+        anyOf: [
+            { type: 'string' },
+            {
+                type: 'object',
+                properties: {
+                    rule: { type: 'string' },
+                    exceptions: { type: 'array', items: DATE }
+                }
+            },
+            { type: 'null' }
+        ],
+        description: 'an RRULE string repeating at most daily, an object with "rule" and "exceptions", or null'
+    }
+}, ['name', 'deadline']);
+
+var PROJECT_INPUT = inputSchema(Project, ['name', 'description', 'members'], {
+    members: ID_LIST
+}, ['name']);
+
+var WEBHOOK_EVENT = { type: 'string', enum: ['*'].concat(events.EVENT_TYPES) };
+
+var WEBHOOK_INPUT = inputSchema(Webhook, ['url', 'events', 'active'], {
+    url: { type: 'string', format: 'uri' },
+    events: {
+        anyOf: [{ type: 'array', items: WEBHOOK_EVENT, minItems: 1 }, WEBHOOK_EVENT],
+        description: 'a list of event types, or "*" for all of them'
+    }
+}, ['url']);
+
+var API_KEY_LIMITS = {
+    requestsPerMinute: { type: 'integer', minimum: 1 },
+    burst: { type: 'integer', minimum: 1 },
+    dailyQuota: { type: 'integer', minimum: 0, description: 'requests per UTC day, 0 for no limit' }
+};
+
+var API_KEY_INPUT = inputSchema(ApiKey, ['name', 'user', 'requestsPerMinute', 'burst', 'dailyQuota'], Object.assign({
+    user: Object.assign({}, OBJECT_ID, { description: 'the user the key acts as (default: you)' })
+}, API_KEY_LIMITS), ['name']);
+
+var API_KEY_PATCH = inputSchema(ApiKey, ['name', 'requestsPerMinute', 'burst', 'dailyQuota'], API_KEY_LIMITS);
+
+var PATCH_BODY = {
+    anyOf: [
+        { type: 'object', description: 'JSON Merge Patch (RFC 7396)' },
+        {
+            type: 'array',
+            description: 'JSON Patch (RFC 6902)',
+            items: {
+                type: 'object',
+                required: ['op', 'path'],
+                properties: {
+                    op: { type: 'string', enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+                    path: { type: 'string' },
+                    from: { type: 'string' },
+                    value: {}
+                }
+            }
+        }
+    ],
+    description: 'a JSON Merge Patch object or a JSON Patch array'
+};
+
+var BATCH_BODY = {
+    type: 'object',
+    properties: {
+        mode: {
+            type: 'string',
+            enum: ['atomic', 'continue'],
+            description: '"atomic" (default) rolls everything back when one operation fails; "continue" keeps going'
+        },
+        operations: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 1000,
+            items: {
+                type: 'object',
+                required: ['method', 'path'],
+                properties: {
+                    method: { type: 'string', enum: ['POST', 'PUT', 'PATCH', 'DELETE'] },
+                    path: { type: 'string', description: '"users", "tasks", "users/{id}" or "tasks/{id}"' },
+                    body: { type: ['object', 'array'], description: 'The body of the matching single request' },
+                    ref: {
+                        type: 'string',
+                        pattern: '^[A-Za-z0-9_-]{1,64}$',
+                        description: 'Name under which later operations refer to this document\'s id as "$ref:<name>"'
+                    },
+                    ifMatch: { type: 'string', description: 'If-Match header of the operation' }
+                }
+            }
+        }
+    },
+    required: ['operations']
+};
+
+var BATCH_RESULT = {
+    type: 'object',
+    properties: {
+        index: { type: 'integer' },
+        ref: { type: 'string' },
+        status: { type: 'integer' },
+        message: { type: 'string' },
+        data: {}
+    },
+    required: ['index', 'status', 'message', 'data']
+};
+
+var TRANSITION_BODY = {
+    type: 'object',
+    properties: { status: { type: 'string', minLength: 1, description: 'the status to move the task to' } },
+    required: ['status']
+};
+
+var TASK_ID_BODY = {
+    type: 'object',
+    properties: { taskId: OBJECT_ID },
+    required: ['taskId']
+};
+
+function jsonParam(description) {
+    return { json: true, schema: { type: 'object' }, description: description };
+}
+
+function integerParam(description, minimum, maximum) {
+    var schema = { type: 'integer', minimum: minimum };
+    if (maximum !== undefined) {
+        schema.maximum = maximum;
+    }
+    return { schema: schema, description: description };
+}
+
+function booleanParam(description) {
+    return { schema: { type: 'boolean' }, description: description };
+}
+
+function dateParam(description) {
+    return { schema: DATE, description: description };
+}
+
+function enumParam(values, description) {
+    return { schema: { type: 'string', enum: values }, description: description };
+}
+
+var SELECT_PARAMS = {
+    select: jsonParam('Fields to include (1) or exclude (0), e.g. {"name": 1}'),
+    filter: jsonParam('Alias of select')
+};
+
+var LIST_PARAMS = Object.assign({
+    where: jsonParam('MongoDB-style filter on the listed documents'),
+    sort: jsonParam('Sort order, e.g. {"deadline": 1}'),
+    skip: integerParam('Number of documents to skip', 0),
+    limit: integerParam('Maximum number of documents to return', 0),
+    count: booleanParam('Respond with the number of matching documents instead'),
+    total: booleanParam('Add the number of matching documents to "pagination"'),
+    cursor: { schema: { type: 'string' }, description: 'Opaque cursor from "pagination.next" or "pagination.prev"; an empty value starts at the first page' }
+}, SELECT_PARAMS);
+
+function expandParam(modelName) {
+    return {
+        expand: {
+            json: true,
+            schema: { type: ['array', 'object'] },
+            description: 'Referenced documents to inline instead of their ids: a list of "' +
+                Object.keys(expand.RELATIONS[modelName]).join('", "') + '" or an object giving each its own "select" and nested ' +
+                '"expand" (at most ' + expand.MAX_DEPTH + ' levels), e.g. {"' + Object.keys(expand.RELATIONS[modelName])[0] + '": {"select": {"name": 1}}}'
+        }
+    };
+}
+
+var SEARCH_PARAMS = Object.assign({
+    q: {
+        required: true,
+        schema: { type: 'string', minLength: 1, maxLength: 200 },
+        description: 'Words, "quoted phrases", prefix* matches and -excluded words'
+    }
+}, LIST_PARAMS);
+delete SEARCH_PARAMS.cursor;
+
+var ACCESS_TOKEN_PARAM = {
+    access_token: { schema: { type: 'string' }, description: 'Bearer token, for clients that cannot send headers' }
+};
+
+function list(name) {
+    return { type: 'array', items: ref(name) };
+}
+
+// summary plus options: tag, auth ('public', 'user' (default) or 'admin'),
+// query (parameter definitions), body (schema), bodyTypes (extra media types),
+// status and response (schema of "data"), versioned (ETag and If-Match).
+function op(summary, options) {
+    return Object.assign({ summary: summary, auth: 'user', status: 200, response: {} }, options);
+}
+
+var OPERATIONS = {
+    'GET /': op('Welcome message', { tag: 'General', auth: 'public' }),
+    'GET /openapi.json': op('This OpenAPI document', { tag: 'General', auth: 'public', raw: true }),
+    'GET /workflow': op('The task statuses and the moves allowed between them', {
+        tag: 'Tasks',
+        response: {
+            type: 'object',
+            properties: {
+                initial: { type: 'string' },
+                completed: { type: 'string' },
+                terminal: { type: 'array', items: { type: 'string' } },
+                transitions: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } }
+            }
+        }
+    }),
+
+    'POST /auth/signup': op('Register an account and get a token', {
+        tag: 'Auth',
+        auth: 'public',
+        status: 201,
+        body: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                email: { type: 'string', format: 'email' },
+                password: { type: 'string', minLength: 8 }
+            },
+            required: ['name', 'email', 'password']
+        },
+        response: { type: 'object', properties: { token: { type: 'string' }, user: ref('User') } }
+    }),
+    'POST /auth/login': op('Exchange email and password for a token', {
+        tag: 'Auth',
+        auth: 'public',
+        body: {
+            type: 'object',
+            properties: { email: { type: 'string', minLength: 1 }, password: { type: 'string' } },
+            required: ['email', 'password']
+        },
+        response: { type: 'object', properties: { token: { type: 'string' }, user: ref('User') } }
+    }),
+    'GET /auth/me': op('The authenticated user', { tag: 'Auth', response: ref('User') }),
+
+    'GET /users': op('List users', { tag: 'Users', query: Object.assign({}, LIST_PARAMS, expandParam('User')), response: list('User') }),
+    'POST /users': op('Create a user', { tag: 'Users', auth: 'admin', status: 201, body: USER_INPUT, response: ref('User'), versioned: true }),
+    'GET /users/{id}': op('Get a user', { tag: 'Users', query: Object.assign({}, SELECT_PARAMS, expandParam('User')), response: ref('User'), versioned: true }),
+    'PUT /users/{id}': op('Replace a user (self or admin)', { tag: 'Users', body: USER_INPUT, response: ref('User'), versioned: true }),
+    'PATCH /users/{id}': op('Update part of a user (self or admin)', {
+        tag: 'Users',
+        body: PATCH_BODY,
+        bodyTypes: ['application/merge-patch+json', 'application/json-patch+json'],
+        response: ref('User'),
+        versioned: true
+    }),
+    'DELETE /users/{id}': op('Move a user to the trash (self or admin)', { tag: 'Users', status: 204, versioned: true }),
+    'POST /users/{id}/restore': op('Restore a user from the trash', { tag: 'Trash', auth: 'admin', response: ref('User') }),
+    'GET /users/{id}/history': op('Audit log of a user', { tag: 'Users', query: LIST_PARAMS, response: list('AuditEntry') }),
+    'GET /users/{id}/stats': op('Task statistics of a user', { tag: 'Statistics' }),
+    'GET /users/{id}/notifications': op('Deadline reminders of a user (self or admin)', {
+        tag: 'Users',
+        query: LIST_PARAMS,
+        response: list('Notification')
+    }),
+
+    'POST /admin/reconcile': op('Report (and with fix=true repair) assignment mismatches', {
+        tag: 'Admin',
+        auth: 'admin',
+        query: { fix: booleanParam('Repair the reported issues') }
+    }),
+
+    'GET /tasks': op('List tasks', { tag: 'Tasks', query: Object.assign({}, LIST_PARAMS, expandParam('Task')), response: list('Task') }),
+    'POST /tasks': op('Create a task', { tag: 'Tasks', status: 201, body: TASK_INPUT, response: ref('Task'), versioned: true }),
+    'GET /tasks/export': op('Download tasks as JSON, CSV or iCalendar', {
+        tag: 'Tasks',
+        raw: true,
+        query: Object.assign({
+            format: enumParam(['json', 'csv', 'ics'], 'File format (default json)'),
+            where: LIST_PARAMS.where,
+            sort: LIST_PARAMS.sort
+        }, ACCESS_TOKEN_PARAM)
+    }),
+    'POST /tasks/import': op('Create tasks from CSV or JSON', {
+        tag: 'Tasks',
+        status: 201,
+        query: { dryRun: booleanParam('Only check the rows') },
+        body: {
+            anyOf: [
+                { type: 'array', items: { type: 'object' } },
+                { type: 'object', properties: { data: { type: 'array', items: { type: 'object' } } }, required: ['data'] }
+            ],
+            description: 'an array of tasks or an object with a "data" array'
+        },
+        bodyTypes: ['text/csv']
+    }),
+    'GET /tasks/facets': op('Task counts per tag, priority, status, completion state and assignee', {
+        tag: 'Tasks',
+        query: {
+            where: LIST_PARAMS.where,
+            limit: integerParam('Maximum number of buckets per facet (default 50)', 1, 500)
+        }
+    }),
+    'GET /tasks/search': op('Full-text task search', { tag: 'Tasks', query: SEARCH_PARAMS, response: list('Task') }),
+    'GET /tasks/{id}': op('Get a task', { tag: 'Tasks', query: Object.assign({}, SELECT_PARAMS, expandParam('Task')), response: ref('Task'), versioned: true }),
+    'PUT /tasks/{id}': op('Replace a task (owner or admin)', { tag: 'Tasks', body: TASK_INPUT, response: ref('Task'), versioned: true }),
+    'PATCH /tasks/{id}': op('Update part of a task (owner or admin)', {
+        tag: 'Tasks',
+        body: PATCH_BODY,
+        bodyTypes: ['application/merge-patch+json', 'application/json-patch+json'],
+        response: ref('Task'),
+        versioned: true
+    }),
+    'DELETE /tasks/{id}': op('Move a task to the trash (owner or admin)', { tag: 'Tasks', status: 204, versioned: true }),
+    'POST /tasks/{id}/transition': op('Move the task to another status of the workflow (owner or admin)', {
+        tag: 'Tasks',
+        body: TRANSITION_BODY,
+        response: ref('Task'),
+        versioned: true
+    }),
+    'POST /tasks/{id}/restore': op('Restore a task from the trash (owner or admin)', { tag: 'Trash', response: ref('Task') }),
+    'GET /tasks/{id}/history': op('Audit log of a task', { tag: 'Tasks', query: LIST_PARAMS, response: list('AuditEntry') }),
+    'GET /tasks/{id}/graph': op('Tree of the task\'s blockers and subtasks', {
+        tag: 'Tasks',
+        query: { depth: integerParam('Levels to include (default 10, at most 25)', 0) }
+    }),
+    'GET /tasks/{id}/occurrences': op('Upcoming occurrences of a recurring task', {
+        tag: 'Tasks',
+        query: {
+            limit: integerParam('Number of occurrences (default 10, at most 100)', 0),
+            after: dateParam('List occurrences after this date (default now, at most 10 years ahead)')
+        }
+    }),
+    'POST /tasks/{id}/dependencies': op('Mark the task as blocked by another task', { tag: 'Tasks', status: 201, body: TASK_ID_BODY, response: ref('Task') }),
+    'DELETE /tasks/{id}/dependencies/{blockerId}': op('Remove a blocking task', { tag: 'Tasks', status: 204 }),
+    'POST /tasks/{id}/subtasks': op('Make another task a subtask of this task', { tag: 'Tasks', status: 201, body: TASK_ID_BODY, response: ref('Task') }),
+    'DELETE /tasks/{id}/subtasks/{childId}': op('Detach a subtask', { tag: 'Tasks', status: 204 }),
+
+    'GET /trash': op('Users and tasks in the trash', {
+        tag: 'Trash',
+        query: {
+            type: enumParam(['users', 'tasks'], 'Only list users or tasks'),
+            limit: integerParam('Maximum number of each (default 100, at most 1000)', 0)
+        }
+    }),
+    'DELETE /trash': op('Permanently delete trashed users and tasks', {
+        tag: 'Trash',
+        auth: 'admin',
+        query: { before: dateParam('Only delete what was trashed before this date (default now)') }
+    }),
+
+    'GET /projects': op('List projects', { tag: 'Projects', query: LIST_PARAMS, response: list('Project') }),
+    'POST /projects': op('Create a project', { tag: 'Projects', status: 201, body: PROJECT_INPUT, response: ref('Project') }),
+    'GET /projects/{id}': op('Get a project', { tag: 'Projects', query: SELECT_PARAMS, response: ref('Project') }),
+    'PUT /projects/{id}': op('Replace a project (owner or admin)', { tag: 'Projects', body: PROJECT_INPUT, response: ref('Project') }),
+    'PATCH /projects/{id}': op('Update part of a project (owner or admin)', {
+        tag: 'Projects',
+        body: PATCH_BODY,
+        bodyTypes: ['application/merge-patch+json', 'application/json-patch+json'],
+        response: ref('Project')
+    }),
+    'DELETE /projects/{id}': op('Delete a project (owner or admin)', { tag: 'Projects', status: 204 }),
+    'GET /projects/{id}/tasks': op('List the tasks of a project', { tag: 'Projects', query: LIST_PARAMS, response: list('Task') }),
+    'GET /projects/{id}/history': op('Audit log of a project', { tag: 'Projects', query: LIST_PARAMS, response: list('AuditEntry') }),
+
+    'POST /batch': op('Run several user and task writes in order', {
+        tag: 'Batch',
+        body: BATCH_BODY,
+        bodyTypes: [],
+        response: { type: 'array', items: BATCH_RESULT }
+    }),
+
+    'GET /stats/tasks': op('Tasks created and completed per interval', {
+        tag: 'Statistics',
+        query: {
+            where: LIST_PARAMS.where,
+            interval: enumParam(['day', 'week', 'month'], 'Bucket size (default day)'),
+            from: dateParam('Start of the range (default 30 days before "to")'),
+            to: dateParam('End of the range (default now)'),
+            groupBy: enumParam(['assignee'], 'One series per assignee')
+        }
+    }),
+
+    'GET /events': op('Server-Sent Events stream of changes', {
+        tag: 'Events',
+        raw: true,
+        query: Object.assign({
+            where: jsonParam('Filter on the events, e.g. {"type": "task.created"}'),
+            lastEventId: { schema: { type: 'string' }, description: 'Resume after this event id' }
+        }, ACCESS_TOKEN_PARAM)
+    }),
+
+    'GET /webhooks': op('List webhooks', { tag: 'Webhooks', auth: 'admin', query: LIST_PARAMS, response: list('Webhook') }),
+    'POST /webhooks': op('Register a webhook', { tag: 'Webhooks', auth: 'admin', status: 201, body: WEBHOOK_INPUT, response: ref('Webhook') }),
+    'GET /webhooks/{id}': op('Get a webhook', { tag: 'Webhooks', auth: 'admin', response: ref('Webhook') }),
+    'PUT /webhooks/{id}': op('Replace a webhook', { tag: 'Webhooks', auth: 'admin', body: WEBHOOK_INPUT, response: ref('Webhook') }),
+    'PATCH /webhooks/{id}': op('Update part of a webhook', {
+        tag: 'Webhooks',
+        auth: 'admin',
+        body: {
+            type: 'object',
+            properties: WEBHOOK_INPUT.properties
+        },
+        response: ref('Webhook')
+    }),
+    'DELETE /webhooks/{id}': op('Delete a webhook', { tag: 'Webhooks', auth: 'admin', response: ref('Webhook') }),
+    'GET /webhooks/{id}/deliveries': op('Delivery log of a webhook', {
+        tag: 'Webhooks',
+        auth: 'admin',
+        query: LIST_PARAMS,
+        response: list('WebhookDelivery')
+    }),
+    'GET /webhooks/{id}/deliveries/{deliveryId}': op('Get a delivery', { tag: 'Webhooks', auth: 'admin', response: ref('WebhookDelivery') }),
+    'POST /webhooks/{id}/deliveries/{deliveryId}/replay': op('Send a delivery again', {
+        tag: 'Webhooks',
+        auth: 'admin',
+        status: 202,
+        response: ref('WebhookDelivery')
+    }),
+
+    'GET /api-keys': op('List API keys', { tag: 'API keys', auth: 'admin', query: LIST_PARAMS, response: list('ApiKey') }),
+    'POST /api-keys': op('Issue an API key; the key is only returned here', {
+        tag: 'API keys',
+        auth: 'admin',
+        status: 201,
+        body: API_KEY_INPUT,
+        response: { allOf: [ref('ApiKey'), { type: 'object', properties: { key: { type: 'string' } } }] }
+    }),
+    'GET /api-keys/{id}': op('Get an API key', { tag: 'API keys', auth: 'admin', response: ref('ApiKey') }),
+    'PATCH /api-keys/{id}': op('Rename an API key or change its limits', { tag: 'API keys', auth: 'admin', body: API_KEY_PATCH, response: ref('ApiKey') }),
+    'DELETE /api-keys/{id}': op('Revoke an API key', { tag: 'API keys', auth: 'admin', response: ref('ApiKey') })
+};
+
+var STATUS_DESCRIPTIONS = {
+    200: 'OK',
+    201: 'Created',
+    202: 'Accepted',
+    204: 'No content',
+    304: 'Not modified',
+    400: 'Invalid request',
+    401: 'Authentication required',
+    403: 'Forbidden',
+    404: 'Not found',
+    412: 'The resource has been modified since the If-Match ETag',
+    429: 'Rate limit or daily quota of the API key exceeded; see Retry-After'
+};
+
+function envelope(data) {
+    return {
+        type: 'object',
+        properties: { message: { type: 'string' }, data: data },
+        required: ['message', 'data']
+    };
+}
+
+function errorResponse(status) {
+    return { $ref: '#/components/responses/' + status };
+}
+
+function parameterObject(name, definition, location) {
+    var parameter = {
+        name: name,
+        in: location,
+        required: Boolean(definition.required),
+        description: definition.description
+    };
+    if (definition.json) {
+        parameter.content = { 'application/json': { schema: definition.schema } };
+    } else {
+        parameter.schema = definition.schema;
+    }
+    return parameter;
+}
+
+function operationObject(method, path, operation) {
+    var result = {
+        summary: operation.summary,
+        tags: [operation.tag],
+        parameters: [],
+        responses: {}
+    };
+    (path.match(/\{[^}]+\}/g) || []).forEach(function (token) {
+        result.parameters.push(parameterObject(token.slice(1, -1), { required: true, schema: { type: 'string' } }, 'path'));
+    });
+    Object.keys(operation.query || {}).forEach(function (name) {
+        result.parameters.push(parameterObject(name, operation.query[name], 'query'));
+    });
+    if (operation.versioned && method === 'get') {
+        result.parameters.push(parameterObject('If-None-Match', { schema: { type: 'string' } }, 'header'));
+    }
+    if (operation.versioned && method !== 'get' && method !== 'post') {
+        result.parameters.push(parameterObject('If-Match', { schema: { type: 'string' } }, 'header'));
+    }
+    if (operation.body) {
+        var content = { 'application/json': { schema: operation.body } };
+        if (!operation.bodyTypes) {
+            content['application/x-www-form-urlencoded'] = { schema: operation.body };
+        }
+        (operation.bodyTypes || []).forEach(function (type) {
+            content[type] = { schema: type === 'text/csv' ? { type: 'string' } : operation.body };
+        });
+        result.requestBody = { required: true, content: content };
+    }
+    var success = { description: STATUS_DESCRIPTIONS[operation.status] };
+    if (operation.status !== 204 && !operation.raw) {
+        success.content = { 'application/json': { schema: envelope(operation.response) } };
+    }
+    if (operation.versioned && operation.status !== 204) {
+        success.headers = { ETag: { schema: { type: 'string' } } };
+    }
+    result.responses[operation.status] = success;
+    if (operation.versioned && method === 'get') {
+        result.responses[304] = { description: STATUS_DESCRIPTIONS[304] };
+    }
+    if (operation.query || operation.body) {
+        result.responses[400] = errorResponse(400);
+    }
+    if (operation.auth !== 'public') {
+        result.security = [{ bearerAuth: [] }, { apiKey: [] }];
+        result.responses[401] = errorResponse(401);
+        result.responses[403] = errorResponse(403);
+        result.responses[429] = errorResponse(429);
+    } else {
+        result.security = [];
+    }
+    if (operation.auth === 'admin') {
+        result.description = 'Admins only.';
+    }
+    if (/\{/.test(path)) {
+        result.responses[404] = errorResponse(404);
+    }
+    if (operation.versioned && method !== 'get' && method !== 'post') {
+        result.responses[412] = errorResponse(412);
+    }
+    return result;
+}
+
+function components() {
+    var errorSchema = envelope({ type: 'object' });
+    var responses = {};
+    [401, 403, 404, 412, 429].forEach(function (status) {
+        responses[status] = {
+            description: STATUS_DESCRIPTIONS[status],
+            content: { 'application/json': { schema: errorSchema } }
+        };
+    });
+    responses[400] = {
+        description: STATUS_DESCRIPTIONS[400],
+        content: { 'application/json': { schema: ref('ValidationError') } }
+    };
+    return {
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+            apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        },
+        responses: responses,
+        schemas: {
+            User: modelSchema(User.schema),
+            Task: modelSchema(Task.schema),
+            Project: modelSchema(Project.schema),
+            AuditEntry: modelSchema(AuditEntry.schema),
+            Webhook: modelSchema(Webhook.schema),
+            WebhookDelivery: modelSchema(WebhookDelivery.schema),
+            ApiKey: modelSchema(ApiKey.schema),
+            Notification: modelSchema(Notification.schema),
+            ValidationError: envelope({
+                type: 'object',
+                properties: {
+                    errors: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                in: { type: 'string', enum: ['query', 'body'] },
+                                field: { type: 'string' },
+                                message: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            })
+        }
+    };
+}
+
+// "/tasks/:id" -> "/tasks/{id}"
+function openapiPath(expressPath) {
+    return expressPath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+// Lists the [method, path] pairs of the routes registered on router
+function routesOf(router) {
+    var routes = [];
+    router.stack.forEach(function (layer) {
+        if (!layer.route || typeof layer.route.path !== 'string') {
+            return;
+        }
+        Object.keys(layer.route.methods).forEach(function (method) {
+            if (method !== '_all') {
+                routes.push([method, openapiPath(layer.route.path)]);
+            }
+        });
+    });
+    return routes;
+}
+
+// Builds the document for the routes of router (mounted at basePath)
+function buildDocument(router, basePath) {
+    var paths = {};
+    var undocumented = [];
+    routesOf(router).forEach(function (route) {
+        var method = route[0];
+        var path = route[1];
+        var operation = OPERATIONS[method.toUpperCase() + ' ' + path];
+        if (!operation) {
+            undocumented.push(method.toUpperCase() + ' ' + path);
+            operation = op('Undocumented', { tag: 'General' });
+        }
+        paths[path] = paths[path] || {};
+        paths[path][method] = operationObject(method, path, operation);
+    });
+    if (undocumented.length) {
+        console.warn('Warning: routes missing from the OpenAPI operations: ' + undocumented.join(', '));
+    }
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Llama.io API',
+            version: require('../package.json').version
+        },
+        servers: [{ url: basePath }],
+        paths: paths,
+        components: components()
+    };
+}
+
+var matchers = Object.keys(OPERATIONS).map(function (key) {
+    var method = key.split(' ')[0];
+    var path = key.split(' ')[1];
+    var pattern = path.split('/').map(function (segment) {
+        return /^\{.+\}$/.test(segment) ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+    return {
+        method: method,
+        params: (path.match(/\{/g) || []).length,
+        regex: new RegExp('^' + pattern + '/?$', 'i'),
+        operation: OPERATIONS[key]
+    };
+}).sort(function (a, b) {
+    // Literal segments win, so /tasks/search is not taken for /tasks/{id}
+    return a.params - b.params;
+});
+
+// The operation definition matching a request method and router-relative path
+function findOperation(method, path) {
+    method = method === 'HEAD' ? 'GET' : method;
+    for (var i = 0; i < matchers.length; i += 1) {
+        if (matchers[i].method === method && matchers[i].regex.test(path)) {
+            return matchers[i].operation;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    OPERATIONS: OPERATIONS,
+    modelSchema: modelSchema,
+    buildDocument: buildDocument,
+    findOperation: findOperation
+};
@@ -0,0 +1,261 @@
+// Opaque cursor (keyset) pagination for list endpoints.
+//
+// A cursor records the sort specification, a fingerprint of the filter and the
+// sort-key values of the boundary document. Pages are fetched with a range
+// query on those values instead of skip, so they stay fast and stable while
+// documents are inserted or removed.
+
+var crypto = require('crypto');
+var httpUtils = require('./http');
+
+var createError = httpUtils.createError;
+
+var SORT_DIRECTIONS = {
+    '1': 1,
+    'asc': 1,
+    'ascending': 1,
+    '-1': -1,
+    'desc': -1,
+    'descending': -1
+};
+
+// Turns a sort parameter into an ordered list of [path, 1|-1] pairs that
+// always ends with _id so every document has a unique position.
+function normalizeSort(sort) {
+    if (sort !== undefined && sort !== null && (typeof sort !== 'object' || Array.isArray(sort))) {
+        throw createError(400, 'Parameter "sort" must be a JSON object when paginating with a cursor');
+    }
+    var keys = [];
+    var hasId = false;
+    Object.keys(sort || {}).forEach(function (path) {
+        var direction = SORT_DIRECTIONS[String(sort[path]).toLowerCase()];
+        if (!direction) {
+            throw createError(400, 'Invalid sort direction for "' + path + '"');
+        }
+        if (path === '_id') {
+            hasId = true;
+        }
+        keys.push([path, direction]);
+    });
+    if (!hasId) {
+        keys.push(['_id', 1]);
+    }
+    return keys;
+}
+
+function sortObject(keys, reverse) {
+    var result = {};
+    keys.forEach(function (key) {
+        result[key[0]] = reverse ? -key[1] : key[1];
+    });
+    return result;
+}
+
+function fingerprint(filter, keys) {
+    return crypto.createHash('sha1').update(JSON.stringify([filter, keys])).digest('base64').substring(0, 12);
+}
+
+function encodeCursor(payload) {
+    return Buffer.from(JSON.stringify(payload)).toString('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+    try {
+        var json = Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+        var payload = JSON.parse(json);
+        if (!payload || !Array.isArray(payload.v) || (payload.d !== 'next' && payload.d !== 'prev')) {
+            throw new Error('Malformed cursor');
+        }
+        return payload;
+    } catch (err) {
+        throw createError(400, 'Invalid value for "cursor" parameter');
+    }
+}
+
+function plainValue(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+    return JSON.parse(JSON.stringify(value));
+}
+
+function cursorFor(doc, keys, fp, direction) {
+    return encodeCursor({
+        f: fp,
+        d: direction,
+        v: keys.map(function (key) {
+            return plainValue(doc.get(key[0]));
+        })
+    });
+}
+
+// Missing and null values sort before everything else in MongoDB, so they need
+// explicit handling when building range conditions.
+function compareCondition(path, value, greater) {
+    var condition = {};
+    if (greater) {
+        condition[path] = value === null ? { $ne: null } : { $gt: value };
+        return condition;
+    }
+    if (value === null) {
+        return null;
+    }
+    var lower = {};
+    lower[path] = { $lt: value };
+    var missing = {};
+    missing[path] = null;
+    return { $or: [lower, missing] };
+}
+
+// Builds the filter matching documents strictly after (forward) or before the
+// boundary values in the given sort order.
+function keysetFilter(keys, values, forward) {
+    var clauses = [];
+    for (var i = 0; i < keys.length; i += 1) {
+        var conditions = [];
+        for (var j = 0; j < i; j += 1) {
+            var equal = {};
+            equal[keys[j][0]] = values[j];
+            conditions.push(equal);
+        }
+        var comparison = compareCondition(keys[i][0], values[i], (keys[i][1] === 1) === forward);
+        if (!comparison) {
+            continue;
+        }
+        conditions.push(comparison);
+        clauses.push(conditions.length === 1 ? conditions[0] : { $and: conditions });
+    }
+    return clauses.length ? { $or: clauses } : { _id: { $exists: false } };
+}
+
+// Adds the sort paths to a projection so cursors can be computed even when the
+// client did not select them. Returns the paths that must be stripped again.
+function extendProjection(select, keys) {
+    if (!select || typeof select !== 'object') {
+        return { projection: select, hidden: [] };
+    }
+    var projection = Object.assign({}, select);
+    var values = Object.keys(projection).map(function (path) {
+        return projection[path];
+    });
+    var inclusive = values.some(function (value) {
+        return value === 1 || value === true || value === '1';
+    });
+    var hidden = [];
+    keys.forEach(function (key) {
+        var path = key[0];
+        var current = projection[path];
+        if (current !== undefined && Number(current) === 0) {
+            delete projection[path];
+            hidden.push(path);
+        } else if (inclusive && current === undefined && path !== '_id') {
+            projection[path] = 1;
+            hidden.push(path);
+        }
+    });
+    return { projection: projection, hidden: hidden };
+}
+
+function stripPath(object, path) {
+    var parts = path.split('.');
+    var target = object;
+    for (var i = 0; i < parts.length - 1; i += 1) {
+        if (!target || typeof target !== 'object') {
+            return;
+        }
+        target = target[parts[i]];
+    }
+    if (target && typeof target === 'object') {
+        delete target[parts[parts.length - 1]];
+    }
+}
+
+// Fetches one page of repository matching queryOptions.filter, starting at
+// queryOptions.cursor ('' for the first page). Resolves to
+// { items, next, prev } where next/prev are cursors or null.
+async function findCursorPage(repository, queryOptions) {
+    var keys = normalizeSort(queryOptions.sort);
+    var fp = fingerprint(queryOptions.filter, keys);
+    var limit = queryOptions.limit;
+    var cursor = queryOptions.cursor ? decodeCursor(queryOptions.cursor) : null;
+
+    if (cursor && (cursor.f !== fp || cursor.v.length !== keys.length)) {
+        throw createError(400, 'Cursor does not match the "where" and "sort" parameters of this request');
+    }
+
+    var forward = !cursor || cursor.d === 'next';
+    var filter = queryOptions.filter;
+    if (cursor) {
+        filter = { $and: [filter, keysetFilter(keys, cursor.v, forward)] };
+    }
+
+    var extended = extendProjection(queryOptions.select, keys);
+    var docs = await repository.find(filter, {
+        sort: sortObject(keys, !forward),
+        select: extended.projection,
+        limit: limit === undefined ? undefined : limit + 1
+    });
+
+    var hasMore = limit !== undefined && docs.length > limit;
+    if (hasMore) {
+        docs = docs.slice(0, limit);
+    }
+    if (!forward) {
+        docs.reverse();
+    }
+
+    var first = docs[0];
+    var last = docs[docs.length - 1];
+    var next = null;
+    var prev = null;
+    if (forward) {
+        next = hasMore && last ? cursorFor(last, keys, fp, 'next') : null;
+        prev = cursor && first ? cursorFor(first, keys, fp, 'prev') : null;
+    } else {
+        next = last ? cursorFor(last, keys, fp, 'next') : null;
+        prev = hasMore && first ? cursorFor(first, keys, fp, 'prev') : null;
+    }
+
+    var items = docs;
+    if (extended.hidden.length) {
+        items = docs.map(function (doc) {
+            var json = doc.toJSON();
+            extended.hidden.forEach(function (path) {
+                stripPath(json, path);
+            });
+            return json;
+        });
+    }
+
+    return { items: items, next: next, prev: prev };
+}
+
+function pageUrl(req, cursor) {
+    var queryIndex = req.originalUrl.indexOf('?');
+    var path = queryIndex === -1 ? req.originalUrl : req.originalUrl.substring(0, queryIndex);
+    var params = new URLSearchParams(queryIndex === -1 ? '' : req.originalUrl.substring(queryIndex + 1));
+    params.set('cursor', cursor);
+    return req.protocol + '://' + req.get('host') + path + '?' + params.toString();
+}
+
+// Sets an RFC 5988 Link header with first/next/prev page URLs.
+function setLinkHeader(req, res, page) {
+    var links = { first: pageUrl(req, '') };
+    if (page.next) {
+        links.next = pageUrl(req, page.next);
+    }
+    if (page.prev) {
+        links.prev = pageUrl(req, page.prev);
+    }
+    res.links(links);
+}
+
+module.exports = {
+    normalizeSort: normalizeSort,
+    sortObject: sortObject,
+    extendProjection: extendProjection,
+    stripPath: stripPath,
+    findCursorPage: findCursorPage,
+    setLinkHeader: setLinkHeader
+};
@@ -0,0 +1,488 @@
+// Runs aggregation pipelines over plain objects in memory, following MongoDB's
+// semantics for the stages, expressions and accumulators the API's own
+// pipelines use (facets, statistics and search). Anything else throws, so a
+// new pipeline fails loudly instead of giving wrong results.
+//
+// Also holds MongoDB's ordering of values, which the in-memory backend uses
+// for sort as well.
+
+var mongoose = require('mongoose');
+
+// Set on documents by a $match with a text search; read by {$meta: "textScore"}
+var TEXT_SCORE = Symbol('textScore');
+
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+}
+
+// MongoDB orders values of different types as null, numbers, strings,
+// objects, arrays, ObjectIds, booleans and then dates
+function typeRank(value) {
+    if (value === null || value === undefined) {
+        return 0;
+    }
+    if (typeof value === 'number') {
+        return 1;
+    }
+    if (typeof value === 'string') {
+        return 2;
+    }
+    if (value instanceof mongoose.Types.ObjectId) {
+        return 5;
+    }
+    if (typeof value === 'boolean') {
+        return 6;
+    }
+    if (value instanceof Date) {
+        return 7;
+    }
+    return Array.isArray(value) ? 4 : 3;
+}
+
+function compareValues(a, b) {
+    var rankA = typeRank(a);
+    var rankB = typeRank(b);
+    if (rankA !== rankB) {
+        return rankA - rankB;
+    }
+    if (rankA === 0) {
+        return 0;
+    }
+    if (rankA === 5 || rankA === 7) {
+        a = rankA === 5 ? a.toHexString() : a.getTime();
+        b = rankB === 5 ? b.toHexString() : b.getTime();
+    } else if (rankA === 3 || rankA === 4) {
+        a = JSON.stringify(a);
+        b = JSON.stringify(b);
+    }
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+function getPath(object, path) {
+    return path.split('.').reduce(function (value, key) {
+        return value !== null && value !== undefined ? value[key] : undefined;
+    }, object);
+}
+
+// Arrays sort by their smallest element ascending and their largest descending
+function sortValue(value, direction) {
+    if (!Array.isArray(value) || !value.length) {
+        return Array.isArray(value) ? undefined : value;
+    }
+    return value.slice().sort(compareValues)[direction > 0 ? 0 : value.length - 1];
+}
+
+function sortDirection(value) {
+    return [-1, '-1', 'desc', 'descending'].indexOf(value) !== -1 ? -1 : 1;
+}
+
+function sortObjects(objects, sort) {
+    var keys = Object.keys(sort || {}).map(function (path) {
+        return [path, sortDirection(sort[path])];
+    });
+    if (!keys.length) {
+        return objects;
+    }
+    return objects.slice().sort(function (a, b) {
+        for (var i = 0; i < keys.length; i += 1) {
+            var direction = keys[i][1];
+            var order = compareValues(sortValue(getPath(a, keys[i][0]), direction), sortValue(getPath(b, keys[i][0]), direction));
+            if (order) {
+                return order * direction;
+            }
+        }
+        return 0;
+    });
+}
+
+// Copies object for a stage that changes it, keeping its text score
+function copyOf(object) {
+    return Object.assign({}, object);
+}
+
+function setField(object, path, value) {
+    var parts = path.split('.');
+    var target = object;
+    parts.slice(0, -1).forEach(function (part) {
+        target[part] = isPlainObject(target[part]) ? copyOf(target[part]) : {};
+        target = target[part];
+    });
+    if (value === undefined) {
+        delete target[parts[parts.length - 1]];
+    } else {
+        target[parts[parts.length - 1]] = value;
+    }
+}
+
+// The value of a field path; arrays along the way give the list of the
+// values inside them, as in MongoDB
+function fieldValue(value, parts) {
+    if (!parts.length || value === null || value === undefined) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(function (item) {
+            return fieldValue(item, parts);
+        }).filter(function (item) {
+            return item !== undefined;
+        });
+    }
+    return typeof value === 'object' ? fieldValue(value[parts[0]], parts.slice(1)) : undefined;
+}
+
+function isTrue(value) {
+    return value !== false && value !== null && value !== undefined && value !== 0;
+}
+
+function unsupported(kind, name) {
+    return new Error('The ' + kind + ' ' + name + ' is not supported by the in-memory backend');
+}
+
+function isoWeekYearOf(date) {
+    var thursday = new Date(date.getTime() + (3 - (date.getUTCDay() + 6) % 7) * DAY_MS);
+    return thursday.getUTCFullYear();
+}
+
+// Monday of ISO week 1, the week with the year's first Thursday
+function isoYearStart(year) {
+    var january4 = new Date(Date.UTC(year, 0, 4));
+    return new Date(january4.getTime() - ((january4.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+function isoWeekOf(date) {
+    var day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    return Math.floor((day.getTime() - isoYearStart(isoWeekYearOf(date)).getTime()) / (7 * DAY_MS)) + 1;
+}
+
+function dateFromParts(parts) {
+    if (parts.isoWeekYear !== undefined) {
+        return new Date(isoYearStart(parts.isoWeekYear).getTime() +
+            ((parts.isoWeek || 1) - 1) * 7 * DAY_MS + ((parts.isoDayOfWeek || 1) - 1) * DAY_MS);
+    }
+    return new Date(Date.UTC(parts.year, (parts.month || 1) - 1, parts.day || 1));
+}
+
+function dateOperator(operator, date) {
+    if (!(date instanceof Date)) {
+        return null;
+    }
+    switch (operator) {
+    case '$year':
+        return date.getUTCFullYear();
+    case '$month':
+        return date.getUTCMonth() + 1;
+    case '$dayOfMonth':
+        return date.getUTCDate();
+    case '$isoWeekYear':
+        return isoWeekYearOf(date);
+    default:
+        return isoWeekOf(date);
+    }
+}
+
+function evaluateOperator(operator, operand, object, variables) {
+    function value(expression) {
+        return evaluate(expression, object, variables);
+    }
+    function values() {
+        return (Array.isArray(operand) ? operand : [operand]).map(value);
+    }
+    var args;
+    switch (operator) {
+    case '$cond':
+        args = Array.isArray(operand) ? operand : [operand.if, operand.then, operand.else];
+        return isTrue(value(args[0])) ? value(args[1]) : value(args[2]);
+    case '$ifNull':
+        args = values();
+        for (var i = 0; i < args.length - 1; i += 1) {
+            if (args[i] !== null && args[i] !== undefined) {
+                return args[i];
+            }
+        }
+        return args[args.length - 1];
+    case '$eq':
+    case '$ne':
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte':
+        args = values();
+        var order = compareValues(args[0], args[1]);
+        return operator === '$eq' ? order === 0
+            : operator === '$ne' ? order !== 0
+                : operator === '$gt' ? order > 0
+                    : operator === '$gte' ? order >= 0
+                        : operator === '$lt' ? order < 0
+                            : order <= 0;
+    case '$and':
+        return values().every(isTrue);
+    case '$or':
+        return values().some(isTrue);
+    case '$not':
+        return !isTrue(values()[0]);
+    case '$size':
+        return values()[0].length;
+    case '$arrayElemAt':
+        args = values();
+        if (!Array.isArray(args[0])) {
+            return null;
+        }
+        return args[0][args[1] < 0 ? args[0].length + args[1] : args[1]];
+    case '$filter':
+        var input = value(operand.input);
+        if (!Array.isArray(input)) {
+            return null;
+        }
+        var name = operand.as || 'this';
+        return input.filter(function (item) {
+            var scope = Object.assign({}, variables);
+            scope[name] = item;
+            return isTrue(evaluate(operand.cond, object, scope));
+        });
+    case '$add':
+        args = values();
+        if (args.some(function (arg) { return arg === null || arg === undefined; })) {
+            return null;
+        }
+        var date = args.find(function (arg) {
+            return arg instanceof Date;
+        });
+        var sum = args.reduce(function (total, arg) {
+            return total + (arg instanceof Date ? arg.getTime() : arg);
+        }, 0);
+        return date ? new Date(sum) : sum;
+    case '$subtract':
+        args = values();
+        if (args[0] === null || args[0] === undefined || args[1] === null || args[1] === undefined) {
+            return null;
+        }
+        var difference = Number(args[0]) - Number(args[1]);
+        return args[0] instanceof Date && !(args[1] instanceof Date) ? new Date(difference) : difference;
+    case '$meta':
+        if (operand !== 'textScore') {
+            throw unsupported('expression', '$meta "' + operand + '"');
+        }
+        return object[TEXT_SCORE] || 0;
+    case '$regexMatch':
+        var text = value(operand.input);
+        return typeof text === 'string' && new RegExp(value(operand.regex), value(operand.options) || '').test(text);
+    case '$dateFromParts':
+        var parts = {};
+        Object.keys(operand).forEach(function (key) {
+            parts[key] = value(operand[key]);
+        });
+        return dateFromParts(parts);
+    case '$year':
+    case '$month':
+    case '$dayOfMonth':
+    case '$isoWeekYear':
+    case '$isoWeek':
+        return dateOperator(operator, values()[0]);
+    default:
+        throw unsupported('expression', operator);
+    }
+}
+
+function evaluate(expression, object, variables) {
+    if (typeof expression === 'string' && expression.charAt(0) === '$') {
+        var parts = expression.split('.');
+        if (parts[0].charAt(1) === '$') {
+            var name = parts[0].substring(2);
+            return fieldValue(name === 'ROOT' || name === 'CURRENT' ? object : (variables || {})[name], parts.slice(1));
+        }
+        return fieldValue(object, expression.substring(1).split('.'));
+    }
+    if (Array.isArray(expression)) {
+        return expression.map(function (item) {
+            return evaluate(item, object, variables);
+        });
+    }
+    if (isPlainObject(expression)) {
+        var keys = Object.keys(expression);
+        if (keys.length === 1 && keys[0].charAt(0) === '$') {
+            return evaluateOperator(keys[0], expression[keys[0]], object, variables);
+        }
+        var result = {};
+        keys.forEach(function (key) {
+            var value = evaluate(expression[key], object, variables);
+            if (value !== undefined) {
+                result[key] = value;
+            }
+        });
+        return result;
+    }
+    return expression;
+}
+
+function groupKey(value) {
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function group(objects, spec) {
+    var groups = new Map();
+    objects.forEach(function (object) {
+        var id = evaluate(spec._id, object);
+        var key = groupKey(id);
+        if (!groups.has(key)) {
+            groups.set(key, { id: id === undefined ? null : id, objects: [] });
+        }
+        groups.get(key).objects.push(object);
+    });
+    return Array.from(groups.values()).map(function (entry) {
+        var result = { _id: entry.id };
+        Object.keys(spec).filter(function (field) {
+            return field !== '_id';
+        }).forEach(function (field) {
+            var operator = Object.keys(spec[field])[0];
+            var values = entry.objects.map(function (object) {
+                return evaluate(spec[field][operator], object);
+            });
+            var numbers = values.filter(function (value) {
+                return typeof value === 'number';
+            });
+            switch (operator) {
+            case '$sum':
+                result[field] = numbers.reduce(function (total, value) {
+                    return total + value;
+                }, 0);
+                break;
+            case '$avg':
+                result[field] = numbers.length ? numbers.reduce(function (total, value) {
+                    return total + value;
+                }, 0) / numbers.length : null;
+                break;
+            case '$first':
+                result[field] = values[0] === undefined ? null : values[0];
+                break;
+            default:
+                throw unsupported('accumulator', operator);
+            }
+        });
+        return result;
+    });
+}
+
+function unwind(objects, spec) {
+    var options = typeof spec === 'string' ? { path: spec } : spec;
+    var path = options.path.substring(1);
+    var results = [];
+    objects.forEach(function (object) {
+        var value = getPath(object, path);
+        if (Array.isArray(value) && value.length) {
+            value.forEach(function (item) {
+                var copy = copyOf(object);
+                setField(copy, path, item);
+                results.push(copy);
+            });
+        } else if (value !== null && value !== undefined && !Array.isArray(value)) {
+            results.push(object);
+        } else if (options.preserveNullAndEmptyArrays) {
+            var kept = copyOf(object);
+            if (Array.isArray(value)) {
+                setField(kept, path, undefined);
+            }
+            results.push(kept);
+        }
+    });
+    return results;
+}
+
+function projectObject(object, spec) {
+    var paths = Object.keys(spec);
+    var inclusive = paths.some(function (path) {
+        return path !== '_id' && !(spec[path] === 0 || spec[path] === false);
+    });
+    var result;
+    if (inclusive) {
+        result = {};
+        result[TEXT_SCORE] = object[TEXT_SCORE];
+        if (spec._id === undefined || isTrue(spec._id)) {
+            result._id = object._id;
+        }
+        paths.filter(function (path) {
+            return path !== '_id';
+        }).forEach(function (path) {
+            var value = spec[path] === 1 || spec[path] === true ? getPath(object, path) : evaluate(spec[path], object);
+            if (value !== undefined) {
+                setField(result, path, value);
+            }
+        });
+        return result;
+    }
+    result = copyOf(object);
+    paths.forEach(function (path) {
+        setField(result, path, undefined);
+    });
+    return result;
+}
+
+// Runs pipeline over objects, which are not changed. options.match(object,
+// filter) decides $match stages; it returns false, true or, for a filter with
+// a text search, the object's text score.
+function run(objects, pipeline, options) {
+    return pipeline.reduce(function (current, stage) {
+        var name = Object.keys(stage)[0];
+        var spec = stage[name];
+        switch (name) {
+        case '$match':
+            var matched = [];
+            current.forEach(function (object) {
+                var result = options.match(object, spec);
+                if (typeof result === 'number') {
+                    object = copyOf(object);
+                    object[TEXT_SCORE] = result;
+                }
+                if (result) {
+                    matched.push(object);
+                }
+            });
+            return matched;
+        case '$addFields':
+            return current.map(function (object) {
+                var copy = copyOf(object);
+                Object.keys(spec).forEach(function (path) {
+                    setField(copy, path, evaluate(spec[path], object));
+                });
+                return copy;
+            });
+        case '$project':
+            return current.map(function (object) {
+                return projectObject(object, spec);
+            });
+        case '$unwind':
+            return unwind(current, spec);
+        case '$group':
+            return group(current, spec);
+        case '$sort':
+            return sortObjects(current, spec);
+        case '$skip':
+            return current.slice(spec);
+        case '$limit':
+            return current.slice(0, spec);
+        case '$count':
+            if (!current.length) {
+                return [];
+            }
+            var counted = {};
+            counted[spec] = current.length;
+            return [counted];
+        case '$facet':
+            var facets = {};
+            Object.keys(spec).forEach(function (facet) {
+                facets[facet] = run(current, spec[facet], options);
+            });
+            return [facets];
+        default:
+            throw unsupported('stage', name);
+        }
+    }, objects);
+}
+
+module.exports = {
+    compareValues: compareValues,
+    sortObjects: sortObjects,
+    run: run
+};
@@ -0,0 +1,281 @@
+// Validates the client-supplied "where", "sort" and "select" parameters before
+// they reach Mongoose. Only whitelisted fields and operators are accepted, and
+// nesting depth, array sizes and regular expressions are kept small enough that
+// a single request cannot run arbitrary code or tie up the database.
+
+var httpUtils = require('./http');
+
+var createError = httpUtils.createError;
+
+var DEFAULT_LIMITS = {
+    maxDepth: 4,
+    maxConditions: 50,
+    maxArrayLength: 100,
+    maxRegexLength: 100,
+    maxSortFields: 5
+};
+
+var LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+
+var FIELD_OPERATORS = [
+    '$eq', '$ne', '$gt', '$gte', '$lt', '$lte',
+    '$in', '$nin', '$all', '$exists', '$size',
+    '$regex', '$options', '$not', '$elemMatch'
+];
+
+var ARRAY_OPERATORS = ['$in', '$nin', '$all'];
+
+var SORT_VALUES = [1, -1, '1', '-1', 'asc', 'desc', 'ascending', 'descending'];
+
+var SELECT_VALUES = [0, 1, '0', '1', true, false];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function schemaFields(schema, prefix) {
+    var fields = [];
+    schema.eachPath(function (path, schemaType) {
+        if (schemaType.options && schemaType.options.select === false) {
+            return;
+        }
+        fields.push(prefix + path);
+        // Include the paths of embedded document arrays, e.g. "changes.field"
+        if (schemaType.schema) {
+            fields = fields.concat(schemaFields(schemaType.schema, prefix + path + '.'));
+        }
+    });
+    return fields;
+}
+
+// Builds the query policy for a model. By default every schema path that is not
+// hidden with `select: false` may be queried; overrides can narrow the fields
+// and operators or change the limits, and modelName how errors refer to it.
+function createQueryPolicy(Model, overrides) {
+    overrides = overrides || {};
+    var fields = overrides.fields || schemaFields(Model.schema, '');
+    var excluded = overrides.excludeFields || [];
+    return {
+        modelName: overrides.modelName || Model.modelName,
+        fields: new Set(fields.filter(function (field) {
+            return excluded.indexOf(field) === -1;
+        })),
+        logicalOperators: new Set(overrides.logicalOperators || LOGICAL_OPERATORS),
+        fieldOperators: new Set(overrides.fieldOperators || FIELD_OPERATORS),
+        limits: Object.assign({}, DEFAULT_LIMITS, overrides.limits)
+    };
+}
+
+function invalid(param, path, message) {
+    var location = path ? ' at "' + path + '"' : '';
+    return createError(400, 'Invalid "' + param + '" parameter' + location + ': ' + message, {
+        parameter: param,
+        path: path
+    });
+}
+
+function joinPath(base, key) {
+    return base ? base + '.' + key : key;
+}
+
+function assertField(policy, param, field, path) {
+    if (!policy.fields.has(field)) {
+        throw invalid(param, path, 'unknown field "' + field + '" for ' + policy.modelName);
+    }
+}
+
+// Rejects patterns that are long or prone to catastrophic backtracking, such as
+// nested quantifiers ("(a+)+") and back-references.
+function assertSafeRegex(policy, pattern, path) {
+    if (typeof pattern !== 'string') {
+        throw invalid('where', path, '$regex must be a string');
+    }
+    if (pattern.length > policy.limits.maxRegexLength) {
+        throw invalid('where', path, 'regular expression is longer than ' + policy.limits.maxRegexLength + ' characters');
+    }
+    if (/\\[1-9]|\\k</.test(pattern)) {
+        throw invalid('where', path, 'back-references are not allowed in regular expressions');
+    }
+    if (/\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)\s*[+*{]/.test(pattern)) {
+        throw invalid('where', path, 'nested quantifiers are not allowed in regular expressions');
+    }
+    try {
+        new RegExp(pattern);
+    } catch (err) {
+        throw invalid('where', path, 'invalid regular expression');
+    }
+}
+
+function assertLiteral(value, path) {
+    if (Array.isArray(value)) {
+        value.forEach(function (item, index) {
+            assertLiteral(item, path + '.' + index);
+        });
+    } else if (isPlainObject(value)) {
+        Object.keys(value).forEach(function (key) {
+            if (key.charAt(0) === '$') {
+                throw invalid('where', path, 'operator "' + key + '" is not allowed here');
+            }
+            assertLiteral(value[key], joinPath(path, key));
+        });
+    }
+}
+
+function validateOperators(policy, state, conditions, path, depth) {
+    if (depth > policy.limits.maxDepth) {
+        throw invalid('where', path, 'query is nested deeper than ' + policy.limits.maxDepth + ' levels');
+    }
+    var keys = Object.keys(conditions);
+    if (!keys.length) {
+        throw invalid('where', path, 'operator object must not be empty');
+    }
+    keys.forEach(function (operator) {
+        var value = conditions[operator];
+        var operatorPath = joinPath(path, operator);
+        state.conditions += 1;
+        if (state.conditions > policy.limits.maxConditions) {
+            throw invalid('where', '', 'query has more than ' + policy.limits.maxConditions + ' conditions');
+        }
+        if (operator.charAt(0) !== '$') {
+            throw invalid('where', operatorPath, 'cannot mix operators and field names');
+        }
+        if (!policy.fieldOperators.has(operator)) {
+            throw invalid('where', operatorPath, 'operator "' + operator + '" is not allowed');
+        }
+        if (ARRAY_OPERATORS.indexOf(operator) !== -1) {
+            if (!Array.isArray(value)) {
+                throw invalid('where', operatorPath, operator + ' requires an array');
+            }
+            if (value.length > policy.limits.maxArrayLength) {
+                throw invalid('where', operatorPath, operator + ' accepts at most ' + policy.limits.maxArrayLength + ' values');
+            }
+            assertLiteral(value, operatorPath);
+        } else if (operator === '$regex') {
+            assertSafeRegex(policy, value, operatorPath);
+        } else if (operator === '$options') {
+            if (conditions.$regex === undefined) {
+                throw invalid('where', operatorPath, '$options requires $regex');
+            }
+            if (typeof value !== 'string' || !/^[imsx]*$/.test(value)) {
+                throw invalid('where', operatorPath, '$options may only contain the flags i, m, s and x');
+            }
+        } else if (operator === '$exists') {
+            if (typeof value !== 'boolean' && value !== 0 && value !== 1) {
+                throw invalid('where', operatorPath, '$exists requires a boolean');
+            }
+        } else if (operator === '$size') {
+            if (!Number.isInteger(value) || value < 0) {
+                throw invalid('where', operatorPath, '$size requires a non-negative integer');
+            }
+        } else if (operator === '$not' || operator === '$elemMatch') {
+            if (!isPlainObject(value)) {
+                throw invalid('where', operatorPath, operator + ' requires an operator object');
+            }
+            validateOperators(policy, state, value, operatorPath, depth + 1);
+        } else {
+            assertLiteral(value, operatorPath);
+        }
+    });
+}
+
+function validateFilter(policy, state, filter, path, depth) {
+    if (!isPlainObject(filter)) {
+        throw invalid('where', path, 'expected a JSON object');
+    }
+    if (depth > policy.limits.maxDepth) {
+        throw invalid('where', path, 'query is nested deeper than ' + policy.limits.maxDepth + ' levels');
+    }
+    Object.keys(filter).forEach(function (key) {
+        var value = filter[key];
+        var keyPath = joinPath(path, key);
+        state.conditions += 1;
+        if (state.conditions > policy.limits.maxConditions) {
+            throw invalid('where', '', 'query has more than ' + policy.limits.maxConditions + ' conditions');
+        }
+        if (key.charAt(0) === '$') {
+            if (!policy.logicalOperators.has(key)) {
+                throw invalid('where', keyPath, 'operator "' + key + '" is not allowed');
+            }
+            if (!Array.isArray(value) || !value.length) {
+                throw invalid('where', keyPath, key + ' requires a non-empty array of conditions');
+            }
+            if (value.length > policy.limits.maxArrayLength) {
+                throw invalid('where', keyPath, key + ' accepts at most ' + policy.limits.maxArrayLength + ' conditions');
+            }
+            value.forEach(function (clause, index) {
+                validateFilter(policy, state, clause, keyPath + '.' + index, depth + 1);
+            });
+            return;
+        }
+        assertField(policy, 'where', key, keyPath);
+        var isOperatorObject = isPlainObject(value) && Object.keys(value).some(function (name) {
+            return name.charAt(0) === '$';
+        });
+        if (isOperatorObject) {
+            validateOperators(policy, state, value, keyPath, depth + 1);
+        } else {
+            assertLiteral(value, keyPath);
+        }
+    });
+}
+
+function validateWhere(policy, where) {
+    if (where === undefined) {
+        return;
+    }
+    validateFilter(policy, { conditions: 0 }, where, '', 0);
+}
+
+function validateSort(policy, sort) {
+    if (sort === undefined) {
+        return;
+    }
+    if (!isPlainObject(sort)) {
+        throw invalid('sort', '', 'expected a JSON object such as {"name": 1}');
+    }
+    var keys = Object.keys(sort);
+    if (keys.length > policy.limits.maxSortFields) {
+        throw invalid('sort', '', 'at most ' + policy.limits.maxSortFields + ' sort fields are allowed');
+    }
+    keys.forEach(function (field) {
+        assertField(policy, 'sort', field, field);
+        var direction = typeof sort[field] === 'string' ? sort[field].toLowerCase() : sort[field];
+        if (SORT_VALUES.indexOf(direction) === -1) {
+            throw invalid('sort', field, 'direction must be 1 or -1');
+        }
+    });
+}
+
+function validateSelect(policy, select, paramName) {
+    paramName = paramName || 'select';
+    if (select === undefined) {
+        return;
+    }
+    if (!isPlainObject(select)) {
+        throw invalid(paramName, '', 'expected a JSON object such as {"name": 1}');
+    }
+    var inclusive = null;
+    Object.keys(select).forEach(function (field) {
+        assertField(policy, paramName, field, field);
+        var value = select[field];
+        if (SELECT_VALUES.indexOf(value) === -1) {
+            throw invalid(paramName, field, 'value must be 1 or 0');
+        }
+        if (field === '_id') {
+            return;
+        }
+        var include = value === 1 || value === '1' || value === true;
+        if (inclusive !== null && inclusive !== include) {
+            throw invalid(paramName, field, 'cannot mix included and excluded fields');
+        }
+        inclusive = include;
+    });
+}
+
+module.exports = {
+    schemaFields: schemaFields,
+    createQueryPolicy: createQueryPolicy,
+    validateWhere: validateWhere,
+    validateSort: validateSort,
+    validateSelect: validateSelect
+};
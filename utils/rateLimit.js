@@ -0,0 +1,128 @@
+// Token bucket rate limits and daily quotas for API keys.
+//
+// Every key has a bucket of `burst` tokens that refills at requestsPerMinute;
+// each request takes one token and counts against the key's dailyQuota for the
+// current UTC day. The state lives in a store: an object with a single method
+// consume(id, limits, now) that atomically refills the bucket, takes one
+// request if both the bucket and the quota allow it, and resolves to
+// { allowed, tokens, dayCount }. The in-memory store is only correct for a
+// single server process; RATE_LIMIT_STORE=mongo shares the state between
+// instances through MongoDB, and setStore() installs any other implementation.
+
+var RateLimitBucket = require('../models/rateLimitBucket');
+
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayOf(now) {
+    return now.toISOString().slice(0, 10);
+}
+
+function createMemoryStore() {
+    var buckets = new Map();
+    return {
+        consume: async function (id, limits, now) {
+            var day = dayOf(now);
+            var bucket = buckets.get(id) || { tokens: limits.burst, updatedAt: now.getTime(), day: day, dayCount: 0 };
+            var elapsed = Math.max(0, now.getTime() - bucket.updatedAt) / 1000;
+            bucket.tokens = Math.min(limits.burst, bucket.tokens + elapsed * limits.ratePerSecond);
+            bucket.updatedAt = now.getTime();
+            if (bucket.day !== day) {
+                bucket.day = day;
+                bucket.dayCount = 0;
+            }
+            var allowed = bucket.tokens >= 1 && (!limits.dailyQuota || bucket.dayCount < limits.dailyQuota);
+            if (allowed) {
+                bucket.tokens -= 1;
+                bucket.dayCount += 1;
+            }
+            buckets.set(id, bucket);
+            return { allowed: allowed, tokens: bucket.tokens, dayCount: bucket.dayCount };
+        }
+    };
+}
+
+// Does the same as the memory store in one atomic pipeline update, so
+// concurrent requests on different servers cannot both take the last token.
+function createMongoStore() {
+    return {
+        consume: async function (id, limits, now) {
+            var day = dayOf(now);
+            var elapsedSeconds = {
+                $divide: [{ $max: [0, { $subtract: [now, { $ifNull: ['$updatedAt', now] }] }] }, 1000]
+            };
+            var bucket = await RateLimitBucket.findOneAndUpdate({ _id: id }, [
+                {
+                    $set: {
+                        tokens: {
+                            $min: [limits.burst, {
+                                $add: [{ $ifNull: ['$tokens', limits.burst] }, { $multiply: [elapsedSeconds, limits.ratePerSecond] }]
+                            }]
+                        },
+                        dayCount: { $cond: [{ $eq: ['$day', day] }, { $ifNull: ['$dayCount', 0] }, 0] },
+                        day: { $literal: day },
+                        updatedAt: now
+                    }
+                },
+                {
+                    $set: {
+                        allowed: {
+                            $and: [
+                                { $gte: ['$tokens', 1] },
+                                { $or: [{ $eq: [limits.dailyQuota, 0] }, { $lt: ['$dayCount', limits.dailyQuota] }] }
+                            ]
+                        }
+                    }
+                },
+                {
+                    $set: {
+                        tokens: { $cond: ['$allowed', { $subtract: ['$tokens', 1] }, '$tokens'] },
+                        dayCount: { $cond: ['$allowed', { $add: ['$dayCount', 1] }, '$dayCount'] }
+                    }
+                }
+            ], { upsert: true, new: true }).lean();
+            return { allowed: bucket.allowed, tokens: bucket.tokens, dayCount: bucket.dayCount };
+        }
+    };
+}
+
+var store = process.env.RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+
+function setStore(newStore) {
+    store = newStore;
+}
+
+// Takes one request from apiKey's bucket and quota. Resolves to whether the
+// request is allowed and the values of the X-RateLimit-* headers; retryAfter
+// is the number of seconds to wait when it is not.
+async function consume(apiKey, now) {
+    var limits = {
+        burst: apiKey.burst,
+        ratePerSecond: apiKey.requestsPerMinute / 60,
+        dailyQuota: apiKey.dailyQuota
+    };
+    var state = await store.consume(apiKey._id.toString(), limits, now);
+    var nextDay = new Date(dayOf(now) + 'T00:00:00.000Z').getTime() + DAY_MS;
+    var result = {
+        allowed: state.allowed,
+        limit: limits.burst,
+        remaining: Math.max(0, Math.floor(state.tokens)),
+        reset: Math.ceil(Math.max(0, limits.burst - state.tokens) / limits.ratePerSecond),
+        dailyLimit: limits.dailyQuota,
+        dailyRemaining: limits.dailyQuota ? Math.max(0, limits.dailyQuota - state.dayCount) : null,
+        dailyReset: Math.ceil((nextDay - now.getTime()) / 1000)
+    };
+    if (!state.allowed) {
+        result.quotaExceeded = Boolean(limits.dailyQuota) && state.dayCount >= limits.dailyQuota;
+        result.retryAfter = result.quotaExceeded
+            ? result.dailyReset
+            : Math.max(1, Math.ceil((1 - state.tokens) / limits.ratePerSecond));
+    }
+    return result;
+}
+
+module.exports = {
+    createMemoryStore: createMemoryStore,
+    createMongoStore: createMongoStore,
+    setStore: setStore,
+    consume: consume
+};
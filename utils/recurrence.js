@@ -0,0 +1,146 @@
+// iCalendar RRULE recurrence for tasks. A series starts at the deadline of
+// the task the rule was set on; later instances are created one at a time
+// when the current one is completed.
+//
+// rrule walks every series from its start, so rules repeat at most daily and
+// occurrences are only looked for within MAX_SPAN_YEARS of the start.
+
+var rrule = require('rrule');
+var httpUtils = require('./http');
+
+var createError = httpUtils.createError;
+
+var MAX_SPAN_YEARS = 100;
+var YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+var TIME_OF_DAY_PARTS = ['byhour', 'byminute', 'bysecond'];
+// Parts that can leave a rule without any occurrence, which makes rrule walk
+// every period up to the year 9999; that is too slow for daily or weekly ones.
+var DATE_PARTS = ['bymonth', 'bymonthday', 'byyearday', 'byweekno', 'bysetpos'];
+
+function parseDate(value) {
+    var date = new Date(value);
+    if (value === null || value === undefined || value === '' || Number.isNaN(date.getTime())) {
+        throw createError(400, 'Invalid date in recurrence exceptions');
+    }
+    return date;
+}
+
+function normalizeRule(rule) {
+    if (typeof rule !== 'string') {
+        throw createError(400, 'Recurrence rule must be an RRULE string');
+    }
+    var trimmed = rule.trim().replace(/^RRULE:/i, '');
+    if (/[\r\n]/.test(trimmed) || /(^|;)DTSTART/i.test(trimmed)) {
+        throw createError(400, 'Recurrence rule must be a single RRULE without DTSTART; the task deadline is used as the start');
+    }
+    return trimmed;
+}
+
+function parseRule(rule, start) {
+    if (!/(^|;)FREQ=/i.test(rule)) {
+        throw new Error('FREQ is required');
+    }
+    var parsed = rrule.rrulestr(rule, { dtstart: start });
+    var options = parsed.options;
+    if (options.freq > rrule.RRule.DAILY) {
+        throw new Error('FREQ must be DAILY, WEEKLY, MONTHLY or YEARLY');
+    }
+    TIME_OF_DAY_PARTS.forEach(function (part) {
+        var value = parsed.origOptions[part];
+        if (Array.isArray(value) && value.length > 1) {
+            throw new Error(part.toUpperCase() + ' may have only one value');
+        }
+    });
+    if (options.freq >= rrule.RRule.WEEKLY && DATE_PARTS.some(function (part) {
+        return parsed.origOptions[part] !== undefined && parsed.origOptions[part] !== null;
+    })) {
+        throw new Error('DAILY and WEEKLY rules may only use BYDAY, BYHOUR, BYMINUTE and BYSECOND');
+    }
+    if (!Number.isInteger(options.interval) || options.interval < 1) {
+        throw new Error('INTERVAL must be a positive integer');
+    }
+    if (options.count !== null && (!Number.isInteger(options.count) || options.count < 1)) {
+        throw new Error('COUNT must be a positive integer');
+    }
+    return parsed;
+}
+
+function buildRuleSet(rule, start, exceptions) {
+    var set = new rrule.RRuleSet();
+    set.rrule(parseRule(rule, start));
+    (exceptions || []).forEach(function (date) {
+        set.exdate(new Date(date));
+    });
+    return set;
+}
+
+// Parses the "recurrence" field of a request body. Accepts an RRULE string or
+// { rule, exceptions }; null or '' removes the recurrence. current is the
+// task's existing recurrence, whose start is kept while the rule is unchanged.
+function parseRecurrence(value, deadline, current) {
+    if (value === null || value === '' || (value && value.rule === '')) {
+        return { rule: '', start: undefined, exceptions: [] };
+    }
+    var input = typeof value === 'string' ? { rule: value } : value;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw createError(400, 'Recurrence must be an RRULE string or an object with a "rule"');
+    }
+    var rule = normalizeRule(input.rule);
+    var exceptions = input.exceptions === undefined ? [] : input.exceptions;
+    if (!Array.isArray(exceptions)) {
+        throw createError(400, 'Recurrence exceptions must be an array of dates');
+    }
+    exceptions = exceptions.map(parseDate);
+
+    var start = current && current.rule === rule && current.start ? current.start : deadline;
+    if (!start) {
+        throw createError(400, 'A recurring task needs a deadline');
+    }
+    if (new Date(start).getTime() < Date.now() - MAX_SPAN_YEARS * YEAR_MS) {
+        throw createError(400, 'A recurring task cannot start more than ' + MAX_SPAN_YEARS + ' years ago');
+    }
+    try {
+        if (!buildRuleSet(rule, start, exceptions).after(new Date(start), true)) {
+            throw new Error('the rule has no occurrences');
+        }
+    } catch (err) {
+        throw createError(400, 'Invalid recurrence rule: ' + err.message);
+    }
+    return { rule: rule, start: start, exceptions: exceptions };
+}
+
+function isRecurring(task) {
+    return Boolean(task.recurrence && task.recurrence.rule);
+}
+
+// Occurrences strictly after the given date, skipping exceptions, at most
+// limit of them and none later than MAX_SPAN_YEARS after the series start.
+function occurrencesAfter(recurrence, after, limit) {
+    var start = new Date(recurrence.start).getTime();
+    var end = new Date(start + MAX_SPAN_YEARS * YEAR_MS);
+    after = new Date(after);
+    if (after >= end) {
+        throw createError(400, 'Occurrences are only computed up to ' + MAX_SPAN_YEARS + ' years after the series start');
+    }
+    var set = buildRuleSet(recurrence.rule, recurrence.start, recurrence.exceptions);
+    return set.between(after, end, false, function (date, index) {
+        return index < limit;
+    });
+}
+
+// Next occurrence strictly after the given date, or null once the COUNT/UNTIL
+// limit of the rule has been reached.
+function nextOccurrence(recurrence, after) {
+    return occurrencesAfter(recurrence, after, 1)[0] || null;
+}
+
+function upcomingOccurrences(recurrence, after, limit) {
+    return occurrencesAfter(recurrence, after, limit);
+}
+
+module.exports = {
+    parseRecurrence: parseRecurrence,
+    isRecurring: isRecurring,
+    nextOccurrence: nextOccurrence,
+    upcomingOccurrences: upcomingOccurrences
+};
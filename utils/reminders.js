@@ -0,0 +1,258 @@
+// Deadline reminders.
+//
+// Once a minute the scheduler looks for incomplete tasks that are due within
+// an assignee's lead time (due_soon) or became overdue in the last seven days
+// (overdue) and stores a Notification for each assignee whose share of the
+// task is still open in the outbox. The dedupKey of a notification is made of
+// its type, user, task and deadline, so the same reminder is never created
+// twice while moving the deadline leads to a new one. Pending notifications
+// are then sent through the transport and retried with exponential backoff,
+// like webhook deliveries.
+//
+// NOTIFICATION_TRANSPORT=smtp sends them by email to SMTP_HOST:SMTP_PORT from
+// SMTP_FROM; by default they are only written to the log. setTransport()
+// installs any other transport (see utils/mailer.js).
+
+var mongoose = require('mongoose');
+var User = require('../models/user');
+var Notification = require('../models/notification');
+var repositories = require('../repositories');
+var mailer = require('./mailer');
+var assignees = require('./assignees');
+var workflow = require('./workflow');
+
+var HOUR_MS = 60 * 60 * 1000;
+var OVERDUE_WINDOW_MS = 7 * 24 * HOUR_MS;
+var DEFAULT_LEAD_HOURS = 24;
+var MAX_ATTEMPTS = 5;
+var BASE_DELAY_MS = 60000;
+var MAX_DELAY_MS = 6 * HOUR_MS;
+var LOCK_MS = 60000;
+var INTERVAL_MS = 60000;
+var BATCH_SIZE = 100;
+
+function createTransportFromEnv() {
+    if (process.env.NOTIFICATION_TRANSPORT === 'smtp') {
+        return mailer.createSmtpTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || undefined,
+            from: process.env.SMTP_FROM
+        });
+    }
+    return mailer.createLogTransport();
+}
+
+var transport = createTransportFromEnv();
+
+function setTransport(newTransport) {
+    transport = newTransport;
+}
+
+function preferencesOf(user) {
+    var preferences = (user && user.notifications) || {};
+    return {
+        dueSoon: preferences.dueSoon !== false,
+        overdue: preferences.overdue !== false,
+        leadHours: preferences.leadHours || DEFAULT_LEAD_HOURS
+    };
+}
+
+// The reminder the assignee should get about the task at now, if any
+function reminderType(task, preferences, now) {
+    var remaining = new Date(task.deadline).getTime() - now.getTime();
+    if (remaining < 0) {
+        return preferences.overdue && -remaining <= OVERDUE_WINDOW_MS ? 'overdue' : null;
+    }
+    return preferences.dueSoon && remaining <= preferences.leadHours * HOUR_MS ? 'due_soon' : null;
+}
+
+function composeMessage(type, user, task) {
+    var deadline = new Date(task.deadline).toISOString();
+    var overdue = type === 'overdue';
+    return {
+        subject: (overdue ? 'Overdue: ' : 'Due soon: ') + task.name,
+        text: 'Hi ' + user.name + ',\n\n' +
+            (overdue
+                ? 'the task "' + task.name + '" assigned to you was due at ' + deadline + ' and is not completed yet.\n'
+                : 'the task "' + task.name + '" assigned to you is due at ' + deadline + '.\n')
+    };
+}
+
+// Resolves to true if the reminder was added to the outbox, false if it had
+// been created before
+async function queueReminder(type, user, task) {
+    var userId = user._id.toString();
+    var taskId = task._id.toString();
+    var deadline = new Date(task.deadline);
+    var message = composeMessage(type, user, task);
+    try {
+        await repositories.forModel(Notification).create({
+            user: userId,
+            task: taskId,
+            type: type,
+            dedupKey: [type, userId, taskId, deadline.toISOString()].join(':'),
+            deadline: deadline,
+            to: user.email,
+            subject: message.subject,
+            text: message.text
+        });
+        return true;
+    } catch (error) {
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+// Queues the reminders that are due at now; resolves to how many were new
+async function scanDeadlines(now) {
+    var tasks = await repositories.tasks.find({
+        completed: false,
+        status: { $nin: workflow.getWorkflow().terminal },
+        assignedUser: { $ne: '' },
+        deadline: {
+            $gte: new Date(now.getTime() - OVERDUE_WINDOW_MS),
+            $lte: new Date(now.getTime() + User.MAX_LEAD_HOURS * HOUR_MS)
+        }
+    }, { select: 'name deadline status completed completedAt assignedUser assignedUserName assignees', lean: true });
+    var userIds = [];
+    tasks.forEach(function (task) {
+        assignees.openAssigneeIds(task).forEach(function (userId) {
+            if (mongoose.Types.ObjectId.isValid(userId) && userIds.indexOf(userId) === -1) {
+                userIds.push(userId);
+            }
+        });
+    });
+    var users = await repositories.users.find({ _id: { $in: userIds } }, { select: 'name email notifications', lean: true });
+    var usersById = new Map(users.map(function (user) {
+        return [user._id.toString(), user];
+    }));
+
+    var queued = 0;
+    for (var i = 0; i < tasks.length; i += 1) {
+        var openUserIds = assignees.openAssigneeIds(tasks[i]);
+        for (var j = 0; j < openUserIds.length; j += 1) {
+            var user = usersById.get(openUserIds[j]);
+            var type = user && reminderType(tasks[i], preferencesOf(user), now);
+            if (type && await queueReminder(type, user, tasks[i])) {
+                queued += 1;
+            }
+        }
+    }
+    return queued;
+}
+
+function backoffDelay(attempts) {
+    return Math.min(BASE_DELAY_MS * Math.pow(2, attempts - 1), MAX_DELAY_MS);
+}
+
+async function finishAttempt(notification, errorMessage) {
+    var attempts = notification.attempts + 1;
+    var update = { attempts: attempts, lockedUntil: null, lastError: errorMessage || '' };
+    if (!errorMessage) {
+        update.status = 'sent';
+        update.sentAt = new Date();
+    } else if (attempts >= MAX_ATTEMPTS) {
+        update.status = 'failed';
+    } else {
+        update.status = 'pending';
+        update.nextAttemptAt = new Date(Date.now() + backoffDelay(attempts));
+    }
+    await repositories.forModel(Notification).updateOne({ _id: notification._id }, { $set: update });
+}
+
+// Reminders that no longer apply by the time they are sent are cancelled
+async function cancellationReason(notification) {
+    var task = await repositories.tasks.findById(notification.task, {
+        select: 'status completed completedAt deadline assignedUser assignedUserName assignees',
+        lean: true
+    });
+    if (!task || assignees.openAssigneeIds(task).indexOf(notification.user) === -1 ||
+        new Date(task.deadline).getTime() !== notification.deadline.getTime()) {
+        return 'The task was completed, closed, deleted, reassigned or rescheduled';
+    }
+    var user = await repositories.users.findById(notification.user, { select: 'notifications', lean: true });
+    var preferences = preferencesOf(user);
+    if (!user || !(notification.type === 'overdue' ? preferences.overdue : preferences.dueSoon)) {
+        return 'The user was deleted or turned this reminder off';
+    }
+    return '';
+}
+
+// Sends one notification if it is due and no other worker has claimed it
+async function attemptNotification(notificationId) {
+    var now = new Date();
+    var notification = await repositories.forModel(Notification).findOneAndUpdate({
+        _id: notificationId,
+        status: 'pending',
+        nextAttemptAt: { $lte: now }
+    }, {
+        $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS) }
+    }, { new: true });
+    if (!notification) {
+        return;
+    }
+
+    var reason = await cancellationReason(notification);
+    if (reason) {
+        await repositories.forModel(Notification).updateOne({ _id: notification._id }, {
+            $set: { status: 'cancelled', lockedUntil: null, lastError: reason }
+        });
+        return;
+    }
+
+    try {
+        await transport.send({ to: notification.to, subject: notification.subject, text: notification.text });
+        await finishAttempt(notification, '');
+    } catch (error) {
+        await finishAttempt(notification, error.message || 'Sending failed');
+    }
+}
+
+async function processDueNotifications() {
+    var now = new Date();
+    // Notifications whose worker died mid-send become pending again
+    await repositories.forModel(Notification).updateMany({ status: 'sending', lockedUntil: { $lt: now } }, {
+        $set: { status: 'pending', lockedUntil: null }
+    });
+    var due = await repositories.forModel(Notification).find({ status: 'pending', nextAttemptAt: { $lte: now } }, {
+        select: { _id: 1 },
+        sort: { nextAttemptAt: 1 },
+        limit: BATCH_SIZE
+    });
+    for (var i = 0; i < due.length; i += 1) {
+        await attemptNotification(due[i]._id.toString());
+    }
+}
+
+// Scans deadlines and sends due notifications now and then once a minute
+function start() {
+    var running = false;
+    async function tick() {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await scanDeadlines(new Date());
+            await processDueNotifications();
+        } catch (error) {
+            console.error('Failed to process deadline reminders:', error.message);
+        } finally {
+            running = false;
+        }
+    }
+    tick();
+    var timer = setInterval(tick, INTERVAL_MS);
+    timer.unref();
+}
+
+module.exports = {
+    preferencesOf: preferencesOf,
+    reminderType: reminderType,
+    scanDeadlines: scanDeadlines,
+    processDueNotifications: processDueNotifications,
+    setTransport: setTransport,
+    start: start
+};
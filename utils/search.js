@@ -0,0 +1,326 @@
+// Full-text search over the text index of a model.
+//
+// The "q" parameter accepts words, "quoted phrases", prefixes ending in "*"
+// and exclusions starting with "-". Words and phrases go through MongoDB's
+// $text search, which stems words and scores matches with the index weights;
+// a document matches when it contains every phrase and at least one word.
+// Prefixes (which $text cannot express) and exclusions are matched with
+// regular expressions on the indexed fields, every prefix being required.
+//
+// The in-memory backend evaluates $text with textSearchScore(), which stems
+// with a few English suffix rules and scores like MongoDB does in spirit
+// (more and denser matches in heavier fields score higher), not to the digit.
+
+var httpUtils = require('./http');
+var pagination = require('./pagination');
+
+var createError = httpUtils.createError;
+
+var MAX_QUERY_LENGTH = 200;
+var MAX_QUERY_TERMS = 10;
+var MIN_PREFIX_LENGTH = 2;
+var SNIPPET_LENGTH = 160;
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Splits q into { words, phrases, prefixes, excluded }
+function parseSearchQuery(q) {
+    if (typeof q !== 'string' || !q.trim()) {
+        throw createError(400, 'Parameter "q" is required');
+    }
+    if (q.length > MAX_QUERY_LENGTH) {
+        throw createError(400, 'Parameter "q" must be at most ' + MAX_QUERY_LENGTH + ' characters');
+    }
+    var parsed = { words: [], phrases: [], prefixes: [], excluded: [] };
+    var tokenPattern = /(-?)"([^"]*)"|(\S+)/g;
+    var match;
+    var count = 0;
+    while ((match = tokenPattern.exec(q)) !== null) {
+        count += 1;
+        if (count > MAX_QUERY_TERMS) {
+            throw createError(400, 'Parameter "q" may contain at most ' + MAX_QUERY_TERMS + ' terms');
+        }
+        if (match[2] !== undefined) {
+            if (match[1]) {
+                throw createError(400, 'Phrases cannot be excluded in "q"');
+            }
+            var phrase = match[2].trim().replace(/\s+/g, ' ');
+            if (phrase) {
+                parsed.phrases.push(phrase);
+            }
+            continue;
+        }
+        var token = match[3];
+        var negated = token.charAt(0) === '-';
+        if (negated) {
+            token = token.substring(1);
+        }
+        var isPrefix = token.charAt(token.length - 1) === '*';
+        token = token.replace(/\*+$/, '').replace(/["]/g, '');
+        if (!token) {
+            continue;
+        }
+        if (isPrefix && token.length < MIN_PREFIX_LENGTH) {
+            throw createError(400, 'Prefixes in "q" need at least ' + MIN_PREFIX_LENGTH + ' characters');
+        }
+        if (negated) {
+            parsed.excluded.push({ value: token, prefix: isPrefix });
+        } else if (isPrefix) {
+            parsed.prefixes.push(token);
+        } else {
+            parsed.words.push(token);
+        }
+    }
+    if (!parsed.words.length && !parsed.phrases.length && !parsed.prefixes.length) {
+        throw createError(400, 'Parameter "q" must contain at least one word, phrase or prefix');
+    }
+    return parsed;
+}
+
+function usesTextIndex(parsed) {
+    return parsed.words.length > 0 || parsed.phrases.length > 0;
+}
+
+function anyField(fields, pattern) {
+    return {
+        $or: fields.map(function (field) {
+            var condition = {};
+            condition[field] = { $regex: pattern, $options: 'i' };
+            return condition;
+        })
+    };
+}
+
+// Returns the conditions for the search terms. They are meant to be listed
+// directly in a top-level $and, because MongoDB does not allow $text deeper.
+function searchConditions(parsed, fields) {
+    var conditions = [];
+    if (usesTextIndex(parsed)) {
+        var search = parsed.words.concat(parsed.phrases.map(function (phrase) {
+            return '"' + phrase + '"';
+        })).join(' ');
+        conditions.push({ $text: { $search: search } });
+    }
+    parsed.prefixes.forEach(function (prefix) {
+        conditions.push(anyField(fields, '\\b' + escapeRegex(prefix)));
+    });
+    parsed.excluded.forEach(function (term) {
+        conditions.push({ $nor: [anyField(fields, '\\b' + escapeRegex(term.value) + (term.prefix ? '' : '\\b'))] });
+    });
+    return conditions;
+}
+
+// Aggregation expression for the relevance score: the $text score plus a bonus
+// for each prefix found in a field, scaled by the field's index weight.
+function scoreExpression(parsed, weights) {
+    var parts = usesTextIndex(parsed) ? [{ $meta: 'textScore' }] : [];
+    parsed.prefixes.forEach(function (prefix) {
+        Object.keys(weights).forEach(function (field) {
+            parts.push({
+                $cond: [{
+                    $regexMatch: { input: '$' + field, regex: '\\b' + escapeRegex(prefix), options: 'i' }
+                }, weights[field], 0]
+            });
+        });
+    });
+    return parts.length ? { $add: parts } : 0;
+}
+
+function highlightPattern(parsed) {
+    var sources = parsed.phrases.map(function (phrase) {
+        return phrase.split(' ').map(escapeRegex).join('\\s+');
+    }).concat(parsed.words.concat(parsed.prefixes).map(function (term) {
+        // Also covers stemmed matches such as "deploy" in "deployment"
+        return '\\b' + escapeRegex(term) + '\\w*';
+    }));
+    return new RegExp(sources.join('|'), 'gi');
+}
+
+function markMatches(text, pattern) {
+    var result = '';
+    var lastIndex = 0;
+    pattern.lastIndex = 0;
+    var match;
+    while ((match = pattern.exec(text)) !== null) {
+        if (!match[0]) {
+            pattern.lastIndex += 1;
+            continue;
+        }
+        result += escapeHtml(text.substring(lastIndex, match.index)) + '<mark>' + escapeHtml(match[0]) + '</mark>';
+        lastIndex = match.index + match[0].length;
+    }
+    return result + escapeHtml(text.substring(lastIndex));
+}
+
+// Returns an HTML-escaped excerpt of text around the first match, with every
+// match wrapped in <mark>. Text up to SNIPPET_LENGTH characters is kept whole.
+function snippet(text, pattern) {
+    if (typeof text !== 'string' || !text) {
+        return '';
+    }
+    var start = 0;
+    var end = text.length;
+    if (text.length > SNIPPET_LENGTH) {
+        pattern.lastIndex = 0;
+        var first = pattern.exec(text);
+        var center = first ? first.index + Math.floor(first[0].length / 2) : 0;
+        start = Math.max(0, Math.min(center - SNIPPET_LENGTH / 2, text.length - SNIPPET_LENGTH));
+        end = start + SNIPPET_LENGTH;
+        // Avoid cutting words in half
+        if (start > 0) {
+            var space = text.indexOf(' ', start);
+            start = space !== -1 && space < start + 20 ? space + 1 : start;
+        }
+        if (end < text.length) {
+            var lastSpace = text.lastIndexOf(' ', end);
+            end = lastSpace > end - 20 ? lastSpace : end;
+        }
+    }
+    return (start > 0 ? '…' : '') + markMatches(text.substring(start, end), pattern) + (end < text.length ? '…' : '');
+}
+
+function highlight(document, parsed, fields) {
+    var pattern = highlightPattern(parsed);
+    var highlights = {};
+    fields.forEach(function (field) {
+        highlights[field] = snippet(document[field], pattern);
+    });
+    return highlights;
+}
+
+function stem(word) {
+    if (word.length <= 3) {
+        return word;
+    }
+    word = word.replace(/ies$/, 'y').replace(/(ss|x|z|ch|sh)es$/, '$1').replace(/([^s])s$/, '$1');
+    var stemmed = word.replace(/(ment|ing|ed|ly)$/, '');
+    return stemmed.length >= 3 ? stemmed : word;
+}
+
+function stems(text) {
+    return (typeof text === 'string' ? text.toLowerCase().match(/[a-z0-9]+/g) || [] : []).map(stem);
+}
+
+// Scores document against the string of a $text search: 0 when it lacks one
+// of the quoted phrases or has none of the words (phrase words included)
+function textSearchScore(document, search, weights) {
+    var phrases = [];
+    var words = search.replace(/"([^"]*)"/g, function (match, phrase) {
+        phrases.push(phrase.toLowerCase());
+        return ' ' + phrase + ' ';
+    });
+    var terms = stems(words);
+    var fields = Object.keys(weights);
+    var hasPhrases = phrases.every(function (phrase) {
+        return fields.some(function (field) {
+            return typeof document[field] === 'string' && document[field].toLowerCase().indexOf(phrase) !== -1;
+        });
+    });
+    if (!hasPhrases) {
+        return 0;
+    }
+    return fields.reduce(function (score, field) {
+        var tokens = stems(document[field]);
+        return terms.filter(function (term, index) {
+            return terms.indexOf(term) === index;
+        }).reduce(function (fieldScore, term) {
+            var count = tokens.filter(function (token) {
+                return token === term;
+            }).length;
+            return count ? fieldScore + weights[field] * (0.5 + 0.5 * count / tokens.length) : fieldScore;
+        }, score);
+    }, 0);
+}
+
+// Reads the fields and weights of the model's text index
+function textIndexWeights(Model) {
+    var weights = {};
+    Model.schema.indexes().forEach(function (index) {
+        Object.keys(index[0]).forEach(function (field) {
+            if (index[0][field] === 'text') {
+                weights[field] = ((index[1] || {}).weights || {})[field] || 1;
+            }
+        });
+    });
+    return weights;
+}
+
+function projectionStage(projection, inclusive) {
+    var stage = {};
+    Object.keys(projection).forEach(function (path) {
+        stage[path] = Number(projection[path]);
+    });
+    if (inclusive) {
+        stage.score = 1;
+    }
+    return stage;
+}
+
+// Runs the search described by parsed within queryOptions.filter. Results are
+// plain objects ordered by relevance (or queryOptions.sort) and carry their
+// "score" and "highlights" for each indexed field.
+async function findSearchPage(repository, parsed, queryOptions) {
+    var Model = repository.model;
+    var weights = textIndexWeights(Model);
+    var fields = Object.keys(weights);
+    var filter = {
+        $and: [Model.find().cast(Model, queryOptions.filter)].concat(searchConditions(parsed, fields))
+    };
+
+    var total;
+    if (queryOptions.total || queryOptions.count) {
+        total = await repository.count(filter);
+    }
+    if (queryOptions.count || queryOptions.limit === 0) {
+        return { items: [], total: total };
+    }
+
+    var sort = queryOptions.sort
+        ? pagination.sortObject(pagination.normalizeSort(queryOptions.sort))
+        : { score: -1, _id: 1 };
+    var pipeline = [
+        { $match: filter },
+        { $addFields: { score: scoreExpression(parsed, weights) } },
+        { $sort: sort }
+    ];
+    if (queryOptions.skip) {
+        pipeline.push({ $skip: queryOptions.skip });
+    }
+    if (queryOptions.limit !== undefined) {
+        pipeline.push({ $limit: queryOptions.limit });
+    }
+    var extended = pagination.extendProjection(queryOptions.select, fields.map(function (field) {
+        return [field, 1];
+    }));
+    if (extended.projection && Object.keys(extended.projection).length) {
+        var inclusive = Object.keys(extended.projection).some(function (path) {
+            return path !== '_id' && Number(extended.projection[path]) === 1;
+        });
+        pipeline.push({ $project: projectionStage(extended.projection, inclusive) });
+    }
+
+    var docs = await repository.aggregate(pipeline);
+    var items = docs.map(function (doc) {
+        var highlights = highlight(doc, parsed, fields);
+        extended.hidden.forEach(function (path) {
+            pagination.stripPath(doc, path);
+        });
+        doc.score = Math.round(doc.score * 1000) / 1000;
+        doc.highlights = highlights;
+        return doc;
+    });
+    return { items: items, total: total };
+}
+
+module.exports = {
+    parseSearchQuery: parseSearchQuery,
+    findSearchPage: findSearchPage,
+    textIndexWeights: textIndexWeights,
+    textSearchScore: textSearchScore
+};
@@ -0,0 +1,75 @@
+// Mongoose plugin for soft deletion. Deleted documents keep their data with
+// `deletedAt` set and are left out of every find, count, update and aggregate
+// on the model unless the query opts in with `.withDeleted()`.
+//
+// `trashLinks` holds whatever the deleting code needs to undo the side effects
+// of the deletion on restore. All three fields are hidden unless selected.
+
+var mongoose = require('mongoose');
+
+var QUERY_HOOKS = [
+    'count', 'countDocuments', 'distinct', 'find', 'findOne',
+    'findOneAndUpdate', 'update', 'updateOne', 'updateMany'
+];
+
+function excludeDeletedFromQuery() {
+    if (!this._withDeleted) {
+        this.where({ deletedAt: null });
+    }
+}
+
+// $text must stay in the first stage, so the condition joins an initial $match
+function excludeDeletedFromAggregate() {
+    if (this._withDeleted) {
+        return;
+    }
+    var pipeline = this.pipeline();
+    if (pipeline.length && pipeline[0].$match) {
+        pipeline[0].$match = { $and: [pipeline[0].$match, { deletedAt: null }] };
+    } else {
+        pipeline.unshift({ $match: { deletedAt: null } });
+    }
+}
+
+function softDelete(schema) {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            select: false
+        },
+        deletedBy: {
+            type: String,
+            select: false
+        },
+        trashLinks: {
+            type: mongoose.Schema.Types.Mixed,
+            select: false
+        }
+    });
+    schema.index({ deletedAt: 1 }, { sparse: true });
+
+    schema.query.withDeleted = function () {
+        this._withDeleted = true;
+        return this;
+    };
+
+    QUERY_HOOKS.forEach(function (hook) {
+        schema.pre(hook, excludeDeletedFromQuery);
+    });
+    schema.pre('aggregate', excludeDeletedFromAggregate);
+
+    // Moves the document to the trash; call save() afterwards
+    schema.methods.markDeleted = function (actor, trashLinks) {
+        this.deletedAt = new Date();
+        this.deletedBy = actor ? actor._id.toString() : '';
+        this.trashLinks = trashLinks || {};
+    };
+
+    schema.methods.markRestored = function () {
+        this.deletedAt = undefined;
+        this.deletedBy = undefined;
+        this.trashLinks = undefined;
+    };
+}
+
+module.exports = softDelete;
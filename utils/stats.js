@@ -0,0 +1,210 @@
+// Aggregations behind the analytics endpoints. Time buckets are computed in
+// UTC; weeks are ISO weeks starting on Monday.
+
+var Task = require('../models/task');
+var repositories = require('../repositories');
+var assignees = require('./assignees');
+var workflow = require('./workflow');
+var httpUtils = require('./http');
+
+var createError = httpUtils.createError;
+
+var INTERVALS = ['day', 'week', 'month'];
+var MAX_BUCKETS = 400;
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+// Counts of one user's assigned tasks and the average time from creation to
+// completion over the completed tasks that have a completion timestamp. A task
+// counts as completed for the user once their share is, or the task as a whole.
+// Tasks closed in another terminal status, e.g. cancelled, are left out.
+async function userTaskStats(userId, now) {
+    var closed = workflow.getWorkflow().terminal.filter(function (status) {
+        return !workflow.isCompleted(status);
+    });
+    var result = await repositories.tasks.aggregate([
+        { $match: { $and: [assignees.assignedToFilter(userId), { status: { $nin: closed } }] } },
+        {
+            $addFields: {
+                share: {
+                    $arrayElemAt: [{
+                        $filter: { input: assignees.ASSIGNEES_EXPRESSION, cond: { $eq: ['$$this.user', userId] } }
+                    }, 0]
+                }
+            }
+        },
+        {
+            $addFields: {
+                done: { $or: ['$completed', { $ifNull: ['$share.completed', false] }] },
+                doneAt: { $ifNull: ['$share.completedAt', '$completedAt'] }
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                open: { $sum: { $cond: ['$done', 0, 1] } },
+                overdue: {
+                    $sum: { $cond: [{ $and: [{ $not: ['$done'] }, { $lt: ['$deadline', now] }] }, 1, 0] }
+                },
+                completed: { $sum: { $cond: ['$done', 1, 0] } },
+                averageTimeToCompleteMs: {
+                    $avg: {
+                        $cond: [
+                            { $and: ['$done', { $gt: ['$doneAt', null] }] },
+                            { $subtract: ['$doneAt', '$dateCreated'] },
+                            null
+                        ]
+                    }
+                }
+            }
+        }
+    ]);
+    var stats = result[0] || {};
+    return {
+        open: stats.open || 0,
+        overdue: stats.overdue || 0,
+        completed: stats.completed || 0,
+        averageTimeToCompleteMs: typeof stats.averageTimeToCompleteMs === 'number'
+            ? Math.round(stats.averageTimeToCompleteMs)
+            : null
+    };
+}
+
+function bucketStart(date, interval) {
+    var year = date.getUTCFullYear();
+    var month = date.getUTCMonth();
+    if (interval === 'month') {
+        return new Date(Date.UTC(year, month, 1));
+    }
+    var day = new Date(Date.UTC(year, month, date.getUTCDate()));
+    if (interval === 'week') {
+        return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+    }
+    return day;
+}
+
+function nextBucket(start, interval) {
+    if (interval === 'month') {
+        return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+    }
+    return new Date(start.getTime() + (interval === 'week' ? 7 : 1) * DAY_MS);
+}
+
+// Aggregation expression equivalent to bucketStart
+function bucketExpression(field, interval) {
+    if (interval === 'week') {
+        return { $dateFromParts: { isoWeekYear: { $isoWeekYear: field }, isoWeek: { $isoWeek: field }, isoDayOfWeek: 1 } };
+    }
+    var parts = { year: { $year: field }, month: { $month: field } };
+    if (interval === 'day') {
+        parts.day = { $dayOfMonth: field };
+    }
+    return { $dateFromParts: parts };
+}
+
+function bucketStarts(from, to, interval) {
+    var starts = [];
+    for (var start = bucketStart(from, interval); start < to; start = nextBucket(start, interval)) {
+        starts.push(start);
+        if (starts.length > MAX_BUCKETS) {
+            throw createError(400, 'The date range spans more than ' + MAX_BUCKETS + ' ' + interval + 's; use a longer interval or a shorter range');
+        }
+    }
+    return starts;
+}
+
+// With byAssignee a task with several assignees counts once for each
+function countStage(dateField, from, to, interval, byAssignee) {
+    var key = { start: bucketExpression('$' + dateField, interval) };
+    var range = {};
+    range[dateField] = { $gte: from, $lt: to };
+    var stages = [{ $match: range }];
+    if (byAssignee) {
+        key.assignedUser = { $ifNull: ['$assignee.user', ''] };
+        stages.push(
+            { $addFields: { assignee: assignees.ASSIGNEES_EXPRESSION } },
+            { $unwind: { path: '$assignee', preserveNullAndEmptyArrays: true } }
+        );
+    }
+    return stages.concat([
+        { $group: { _id: key, count: { $sum: 1 }, name: { $first: '$assignee.name' } } }
+    ]);
+}
+
+function emptySeries(starts) {
+    return starts.map(function (start) {
+        return { start: start, created: 0, completed: 0 };
+    });
+}
+
+function activity(group) {
+    return group.buckets.reduce(function (sum, bucket) {
+        return sum + bucket.created + bucket.completed;
+    }, 0);
+}
+
+// Counts tasks created and completed per interval between from (inclusive) and
+// to (exclusive), among the tasks matching filter. With byAssignee the series
+// are split by the current assignees of each task.
+async function taskTrends(filter, options) {
+    if (INTERVALS.indexOf(options.interval) === -1) {
+        throw createError(400, 'Parameter "interval" must be one of "' + INTERVALS.join('", "') + '"');
+    }
+    if (options.from >= options.to) {
+        throw createError(400, 'Parameter "from" must be before "to"');
+    }
+    var starts = bucketStarts(options.from, options.to, options.interval);
+    var result = await repositories.tasks.aggregate([
+        { $match: Task.find().cast(Task, filter) },
+        {
+            $facet: {
+                created: countStage('dateCreated', options.from, options.to, options.interval, options.byAssignee),
+                completed: countStage('completedAt', options.from, options.to, options.interval, options.byAssignee)
+            }
+        }
+    ]);
+
+    var indexByStart = {};
+    starts.forEach(function (start, index) {
+        indexByStart[start.getTime()] = index;
+    });
+    var groups = {};
+    var groupOrder = [];
+    ['created', 'completed'].forEach(function (kind) {
+        result[0][kind].forEach(function (bucket) {
+            var groupKey = options.byAssignee ? bucket._id.assignedUser || '' : '';
+            if (!groups[groupKey]) {
+                groups[groupKey] = {
+                    assignedUser: groupKey,
+                    assignedUserName: groupKey ? bucket.name : 'unassigned',
+                    buckets: emptySeries(starts)
+                };
+                groupOrder.push(groupKey);
+            }
+            var index = indexByStart[new Date(bucket._id.start).getTime()];
+            groups[groupKey].buckets[index][kind] = bucket.count;
+        });
+    });
+
+    var response = {
+        interval: options.interval,
+        from: options.from,
+        to: options.to
+    };
+    if (!options.byAssignee) {
+        response.buckets = groups[''] ? groups[''].buckets : emptySeries(starts);
+        return response;
+    }
+    // Busiest assignees first
+    response.groups = groupOrder.map(function (groupKey) {
+        return groups[groupKey];
+    }).sort(function (a, b) {
+        return activity(b) - activity(a) || a.assignedUser.localeCompare(b.assignedUser);
+    });
+    return response;
+}
+
+module.exports = {
+    INTERVALS: INTERVALS,
+    userTaskStats: userTaskStats,
+    taskTrends: taskTrends
+};
@@ -0,0 +1,286 @@
+// Parent/child subtasks and "blocked by" dependencies between tasks.
+//
+// Both relations are "must finish first" edges: a task waits for its blockers
+// and for its subtasks. Links are rejected when they would close a cycle in
+// that combined graph, since no task on the cycle could ever be completed.
+
+var repositories = require('../repositories');
+var httpUtils = require('./http');
+var audit = require('./audit');
+var workflow = require('./workflow');
+
+var createError = httpUtils.createError;
+
+var GRAPH_FIELDS = { name: 1, completed: 1, deadline: 1, assignedUser: 1, assignedUserName: 1, parentTask: 1, blockedBy: 1 };
+
+// Returns true when target can be reached from start by following blockedBy
+// and subtask edges. Loads the graph one level at a time.
+async function canReach(startId, targetId, session) {
+    var visited = new Set([startId]);
+    var frontier = [startId];
+    while (frontier.length) {
+        if (frontier.indexOf(targetId) !== -1) {
+            return true;
+        }
+        var tasks = await repositories.tasks.find({
+            $or: [{ _id: { $in: frontier } }, { parentTask: { $in: frontier } }]
+        }, { select: { blockedBy: 1, parentTask: 1 }, lean: true, session: session });
+        var frontierSet = new Set(frontier);
+        var next = [];
+        tasks.forEach(function (task) {
+            var id = task._id.toString();
+            var neighbours = frontierSet.has(id) ? (task.blockedBy || []) : [];
+            if (frontierSet.has(task.parentTask)) {
+                neighbours = neighbours.concat([id]);
+            }
+            neighbours.forEach(function (neighbour) {
+                if (!visited.has(neighbour)) {
+                    visited.add(neighbour);
+                    next.push(neighbour);
+                }
+            });
+        });
+        frontier = next;
+    }
+    return false;
+}
+
+async function addBlocker(task, blocker, ctx) {
+    var taskId = task._id.toString();
+    var blockerId = blocker._id.toString();
+    if (taskId === blockerId) {
+        throw createError(400, 'A task cannot block itself');
+    }
+    if ((task.blockedBy || []).indexOf(blockerId) !== -1) {
+        return;
+    }
+    if (await canReach(blockerId, taskId, ctx.session)) {
+        throw createError(400, 'Dependency would create a cycle');
+    }
+    var before = audit.snapshot(task);
+    task.blockedBy = (task.blockedBy || []).concat([blockerId]);
+    await repositories.tasks.save(task, { session: ctx.session });
+    await audit.record(ctx, 'Task', taskId, before, audit.snapshot(task));
+}
+
+async function removeBlocker(task, blockerId, ctx) {
+    if ((task.blockedBy || []).indexOf(blockerId) === -1) {
+        throw createError(404, 'Dependency not found');
+    }
+    var before = audit.snapshot(task);
+    task.blockedBy = task.blockedBy.filter(function (id) { return id !== blockerId; });
+    await repositories.tasks.save(task, { session: ctx.session });
+    await audit.record(ctx, 'Task', task._id, before, audit.snapshot(task));
+}
+
+async function addSubtask(parent, child, ctx) {
+    var parentId = parent._id.toString();
+    var childId = child._id.toString();
+    if (parentId === childId) {
+        throw createError(400, 'A task cannot be its own subtask');
+    }
+    if (child.parentTask === parentId) {
+        return;
+    }
+    if (child.parentTask) {
+        throw createError(400, 'Task is already a subtask of another task');
+    }
+    if (await canReach(childId, parentId, ctx.session)) {
+        throw createError(400, 'Subtask would create a cycle');
+    }
+    var before = audit.snapshot(child);
+    child.parentTask = parentId;
+    await repositories.tasks.save(child, { session: ctx.session });
+    await audit.record(ctx, 'Task', childId, before, audit.snapshot(child));
+}
+
+async function removeSubtask(parent, child, ctx) {
+    if (child.parentTask !== parent._id.toString()) {
+        throw createError(404, 'Subtask not found');
+    }
+    var before = audit.snapshot(child);
+    child.parentTask = '';
+    await repositories.tasks.save(child, { session: ctx.session });
+    await audit.record(ctx, 'Task', child._id, before, audit.snapshot(child));
+}
+
+// Rejects completing a task while any of its blockers or subtasks is open.
+// Tasks in a terminal status, such as cancelled ones, no longer count.
+async function assertCanComplete(task, session) {
+    var terminal = workflow.getWorkflow().terminal;
+    var openBlockers = (task.blockedBy || []).length ? await repositories.tasks.count({
+        _id: { $in: task.blockedBy },
+        completed: false,
+        status: { $nin: terminal }
+    }, { session: session }) : 0;
+    if (openBlockers) {
+        throw createError(409, 'Task cannot be completed while it has open blockers');
+    }
+    var openSubtasks = await repositories.tasks.count({
+        parentTask: task._id.toString(),
+        completed: false,
+        status: { $nin: terminal }
+    }, { session: session });
+    if (openSubtasks) {
+        throw createError(409, 'Task cannot be completed while it has open subtasks');
+    }
+}
+
+// Removes every link to a deleted task: it is dropped from other tasks'
+// blockedBy and its subtasks become top-level tasks. Returns the ids of the
+// tasks it blocked and of its subtasks so a restore can link them again.
+async function clearTaskLinks(taskId, ctx) {
+    var linked = await repositories.tasks.find({
+        $or: [{ blockedBy: taskId }, { parentTask: taskId }]
+    }, { session: ctx.session });
+    var links = { blocks: [], subtasks: [] };
+    for (var i = 0; i < linked.length; i += 1) {
+        var task = linked[i];
+        var before = audit.snapshot(task);
+        if ((task.blockedBy || []).indexOf(taskId) !== -1) {
+            links.blocks.push(task._id.toString());
+            task.blockedBy = task.blockedBy.filter(function (id) { return id !== taskId; });
+        }
+        if (task.parentTask === taskId) {
+            links.subtasks.push(task._id.toString());
+            task.parentTask = '';
+        }
+        await repositories.tasks.save(task, { session: ctx.session });
+        await audit.record(ctx, 'Task', task._id, before, audit.snapshot(task));
+    }
+    return links;
+}
+
+// Re-creates the links of a task coming back from the trash. Its own blockers
+// and parent are kept while they still exist; the links other tasks had to it
+// (as returned by clearTaskLinks) are added back through the usual checks.
+// Returns the links that could not be restored, with the reason.
+async function restoreTaskLinks(task, links, ctx) {
+    var taskId = task._id.toString();
+    var skipped = [];
+    var ownIds = (task.blockedBy || []).concat(task.parentTask ? [task.parentTask] : []);
+    var live = await repositories.tasks.find({ _id: { $in: ownIds } }, { select: { _id: 1 }, lean: true, session: ctx.session });
+    var liveIds = new Set(live.map(function (linkedTask) { return linkedTask._id.toString(); }));
+    task.blockedBy = (task.blockedBy || []).filter(function (blockerId) {
+        if (!liveIds.has(blockerId)) {
+            skipped.push({ relation: 'blockedBy', taskId: blockerId, reason: 'Task no longer exists' });
+        }
+        return liveIds.has(blockerId);
+    });
+    if (task.parentTask && !liveIds.has(task.parentTask)) {
+        skipped.push({ relation: 'parentTask', taskId: task.parentTask, reason: 'Task no longer exists' });
+        task.parentTask = '';
+    }
+    await repositories.tasks.save(task, { session: ctx.session });
+
+    var incoming = [];
+    (links.blocks || []).forEach(function (id) {
+        incoming.push({ relation: 'blocks', taskId: id });
+    });
+    (links.subtasks || []).forEach(function (id) {
+        incoming.push({ relation: 'subtasks', taskId: id });
+    });
+    for (var i = 0; i < incoming.length; i += 1) {
+        var link = incoming[i];
+        var other = await repositories.tasks.findById(link.taskId, { session: ctx.session });
+        if (!other) {
+            skipped.push(Object.assign(link, { reason: 'Task no longer exists' }));
+            continue;
+        }
+        try {
+            if (link.relation === 'blocks') {
+                await addBlocker(other, task, ctx);
+            } else {
+                await addSubtask(task, other, ctx);
+            }
+        } catch (error) {
+            if (!error.status) {
+                throw error;
+            }
+            skipped.push(Object.assign(link, { reason: error.message }));
+        }
+    }
+    return skipped;
+}
+
+function graphNode(task) {
+    return {
+        _id: task._id.toString(),
+        name: task.name,
+        completed: task.completed,
+        deadline: task.deadline,
+        assignedUser: task.assignedUser,
+        assignedUserName: task.assignedUserName,
+        blockedBy: [],
+        subtasks: []
+    };
+}
+
+// Builds the tree of blockers and subtasks below rootTask, up to maxDepth
+// levels and maxNodes tasks. Each task is listed in full once; where it is
+// reached again through another path it appears as { _id, repeated: true }.
+// truncated tells whether tasks were left out because of maxNodes.
+async function buildGraph(rootTask, maxDepth, maxNodes) {
+    var root = graphNode(rootTask);
+    var seen = new Set([root._id]);
+    var truncated = false;
+    var level = [{ node: root, task: rootTask }];
+
+    function link(list, task, nextLevel) {
+        var id = task._id.toString();
+        if (seen.has(id)) {
+            list.push({ _id: id, repeated: true });
+            return;
+        }
+        if (seen.size >= maxNodes) {
+            truncated = true;
+            return;
+        }
+        seen.add(id);
+        var node = graphNode(task);
+        list.push(node);
+        nextLevel.push({ node: node, task: task });
+    }
+
+    for (var depth = 0; depth < maxDepth && level.length; depth += 1) {
+        var ids = level.map(function (entry) { return entry.node._id; });
+        var blockerIds = [];
+        level.forEach(function (entry) {
+            blockerIds = blockerIds.concat(entry.task.blockedBy || []);
+        });
+        var related = await repositories.tasks.find({
+            $or: [{ _id: { $in: blockerIds } }, { parentTask: { $in: ids } }]
+        }, { select: GRAPH_FIELDS, lean: true });
+        var byId = new Map();
+        related.forEach(function (task) {
+            byId.set(task._id.toString(), task);
+        });
+        var nextLevel = [];
+        level.forEach(function (entry) {
+            (entry.task.blockedBy || []).forEach(function (blockerId) {
+                var blocker = byId.get(blockerId);
+                if (blocker) {
+                    link(entry.node.blockedBy, blocker, nextLevel);
+                }
+            });
+            related.forEach(function (task) {
+                if (task.parentTask === entry.node._id) {
+                    link(entry.node.subtasks, task, nextLevel);
+                }
+            });
+        });
+        level = nextLevel;
+    }
+    return { root: root, truncated: truncated };
+}
+
+module.exports = {
+    addBlocker: addBlocker,
+    removeBlocker: removeBlocker,
+    addSubtask: addSubtask,
+    removeSubtask: removeSubtask,
+    assertCanComplete: assertCanComplete,
+    clearTaskLinks: clearTaskLinks,
+    restoreTaskLinks: restoreTaskLinks,
+    buildGraph: buildGraph
+};
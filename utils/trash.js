@@ -0,0 +1,48 @@
+// Permanently removes users and tasks that have been in the trash for longer
+// than TRASH_RETENTION_DAYS (default 30; 0 keeps them forever).
+
+var repositories = require('../repositories');
+
+var DEFAULT_RETENTION_DAYS = 30;
+var PURGE_INTERVAL_MS = 60 * 60 * 1000;
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+function retentionDays() {
+    var days = Number(process.env.TRASH_RETENTION_DAYS);
+    if (process.env.TRASH_RETENTION_DAYS === undefined || process.env.TRASH_RETENTION_DAYS === '' || !isFinite(days) || days < 0) {
+        return DEFAULT_RETENTION_DAYS;
+    }
+    return days;
+}
+
+// Deletes everything moved to the trash at or before the given date
+async function purgeTrash(before) {
+    var filter = { deletedAt: { $ne: null, $lte: before } };
+    var users = await repositories.users.deleteMany(filter);
+    var tasks = await repositories.tasks.deleteMany(filter);
+    return {
+        users: users.deletedCount || 0,
+        tasks: tasks.deletedCount || 0
+    };
+}
+
+// Purges expired trash now and then once an hour
+function start() {
+    if (!retentionDays()) {
+        return;
+    }
+    function purgeExpired() {
+        purgeTrash(new Date(Date.now() - retentionDays() * DAY_MS)).catch(function (error) {
+            console.error('Failed to purge the trash:', error.message);
+        });
+    }
+    purgeExpired();
+    var timer = setInterval(purgeExpired, PURGE_INTERVAL_MS);
+    timer.unref();
+}
+
+module.exports = {
+    retentionDays: retentionDays,
+    purgeTrash: purgeTrash,
+    start: start
+};
@@ -0,0 +1,197 @@
+// Delivers change events to registered webhooks.
+//
+// Every matching event is stored as a WebhookDelivery first and then sent in
+// the background, so API responses never wait for a receiver. Failed attempts
+// are retried with exponential backoff; a poller picks up deliveries that are
+// due, including those left over from a previous server process.
+
+var crypto = require('crypto');
+var http = require('http');
+var https = require('https');
+var Webhook = require('../models/webhook');
+var WebhookDelivery = require('../models/webhookDelivery');
+var repositories = require('../repositories');
+var events = require('./events');
+
+var MAX_ATTEMPTS = 6;
+var BASE_DELAY_MS = 5000;
+var MAX_DELAY_MS = 60 * 60 * 1000;
+var REQUEST_TIMEOUT_MS = 10000;
+var LOCK_MS = 60000;
+var POLL_INTERVAL_MS = 15000;
+var POLL_BATCH_SIZE = 50;
+
+function generateSecret() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// Receivers verify deliveries by computing the same HMAC over
+// "<X-Webhook-Timestamp>.<raw body>" with their secret.
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(timestamp + '.' + body).digest('hex');
+}
+
+function backoffDelay(attempts) {
+    var delay = Math.min(BASE_DELAY_MS * Math.pow(2, attempts - 1), MAX_DELAY_MS);
+    return delay + Math.floor(Math.random() * delay * 0.1);
+}
+
+function postJson(url, headers, body) {
+    return new Promise(function (resolve, reject) {
+        var target = new URL(url);
+        var transport = target.protocol === 'https:' ? https : http;
+        var request = transport.request(target, {
+            method: 'POST',
+            headers: Object.assign({
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+            }, headers),
+            timeout: REQUEST_TIMEOUT_MS
+        }, function (response) {
+            response.resume();
+            response.on('end', function () {
+                resolve(response.statusCode);
+            });
+        });
+        request.on('timeout', function () {
+            request.destroy(new Error('Request timed out after ' + REQUEST_TIMEOUT_MS + 'ms'));
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+function scheduleAttempt(deliveryId, delay) {
+    var timer = setTimeout(function () {
+        attemptDelivery(deliveryId).catch(function (error) {
+            console.error('Webhook delivery ' + deliveryId + ' failed:', error.message);
+        });
+    }, delay);
+    timer.unref();
+}
+
+async function finishAttempt(delivery, statusCode, errorMessage) {
+    var attempts = delivery.attempts + 1;
+    var update = {
+        attempts: attempts,
+        lockedUntil: null,
+        responseStatus: statusCode,
+        lastError: errorMessage || ''
+    };
+    if (statusCode >= 200 && statusCode < 300) {
+        update.status = 'succeeded';
+        update.deliveredAt = new Date();
+    } else if (attempts >= MAX_ATTEMPTS) {
+        update.status = 'failed';
+    } else {
+        var delay = backoffDelay(attempts);
+        update.status = 'pending';
+        update.nextAttemptAt = new Date(Date.now() + delay);
+        scheduleAttempt(delivery._id.toString(), delay);
+    }
+    await repositories.forModel(WebhookDelivery).updateOne({ _id: delivery._id }, { $set: update });
+}
+
+// Sends one delivery if it is due and no other worker has claimed it
+async function attemptDelivery(deliveryId) {
+    var now = new Date();
+    var delivery = await repositories.forModel(WebhookDelivery).findOneAndUpdate({
+        _id: deliveryId,
+        status: 'pending',
+        nextAttemptAt: { $lte: now }
+    }, {
+        $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS) }
+    }, { new: true });
+    if (!delivery) {
+        return;
+    }
+
+    var webhook = await repositories.forModel(Webhook).findById(delivery.webhook, { select: '+secret' });
+    if (!webhook || !webhook.active) {
+        await repositories.forModel(WebhookDelivery).updateOne({ _id: delivery._id }, {
+            $set: { status: 'failed', lockedUntil: null, lastError: 'Webhook was removed or deactivated' }
+        });
+        return;
+    }
+
+    var body = JSON.stringify(delivery.payload);
+    var timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+        var statusCode = await postJson(webhook.url, {
+            'User-Agent': 'APIed-Piper-Webhooks',
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': delivery._id.toString(),
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+        }, body);
+        await finishAttempt(delivery, statusCode, statusCode >= 300 ? 'Receiver responded with ' + statusCode : '');
+    } catch (error) {
+        await finishAttempt(delivery, undefined, error.message);
+    }
+}
+
+async function createDelivery(webhookId, eventType, payload, replayOf) {
+    var delivery = await repositories.forModel(WebhookDelivery).create({
+        webhook: webhookId,
+        event: eventType,
+        payload: payload,
+        replayOf: replayOf || ''
+    });
+    scheduleAttempt(delivery._id.toString(), 0);
+    return delivery;
+}
+
+async function enqueue(event) {
+    var webhooks = await repositories.forModel(Webhook).find({ active: true, events: { $in: [event.type, '*'] } }, { select: { _id: 1 } });
+    for (var i = 0; i < webhooks.length; i += 1) {
+        await createDelivery(webhooks[i]._id.toString(), event.type, {
+            id: event.id,
+            event: event.type,
+            timestamp: event.timestamp,
+            data: event
+        });
+    }
+}
+
+// Sends a stored delivery again as a new delivery with the same payload
+function replay(delivery) {
+    return createDelivery(delivery.webhook, delivery.event, delivery.payload, delivery._id.toString());
+}
+
+async function processDueDeliveries() {
+    var now = new Date();
+    // Deliveries whose worker died mid-send become pending again
+    await repositories.forModel(WebhookDelivery).updateMany({ status: 'sending', lockedUntil: { $lt: now } }, {
+        $set: { status: 'pending', lockedUntil: null }
+    });
+    var due = await repositories.forModel(WebhookDelivery).find({ status: 'pending', nextAttemptAt: { $lte: now } }, {
+        select: { _id: 1 },
+        sort: { nextAttemptAt: 1 },
+        limit: POLL_BATCH_SIZE
+    });
+    for (var i = 0; i < due.length; i += 1) {
+        await attemptDelivery(due[i]._id.toString());
+    }
+}
+
+// Subscribes to change events and starts the retry poller
+function start() {
+    events.subscribe(function (event) {
+        enqueue(event).catch(function (error) {
+            console.error('Failed to queue webhook deliveries for ' + event.type + ':', error.message);
+        });
+    });
+    var timer = setInterval(function () {
+        processDueDeliveries().catch(function (error) {
+            console.error('Failed to process webhook deliveries:', error.message);
+        });
+    }, POLL_INTERVAL_MS);
+    timer.unref();
+}
+
+module.exports = {
+    generateSecret: generateSecret,
+    sign: sign,
+    replay: replay,
+    start: start
+};
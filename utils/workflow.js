@@ -0,0 +1,159 @@
+// The task status workflow: the statuses a task can be in and the moves
+// allowed between them. `completed` is derived from the status, and a task
+// in a terminal status is no longer listed in its assignees' pendingTasks.
+//
+// TASK_WORKFLOW_FILE names a JSON file that replaces the default workflow,
+// with the same shape as DEFAULT_WORKFLOW:
+//
+//   initial      the status of new and reopened tasks
+//   completed    the status that counts as completed; "completed": true moves
+//                a task here
+//   terminal     the statuses in which a task needs no more work, including
+//                the completed one
+//   transitions  for every status, the statuses it may move to
+//
+// setWorkflow() installs another workflow at runtime, e.g. in tests.
+
+var fs = require('fs');
+var httpUtils = require('./http');
+
+var createError = httpUtils.createError;
+
+var DEFAULT_WORKFLOW = {
+    initial: 'todo',
+    completed: 'done',
+    terminal: ['done', 'cancelled'],
+    transitions: {
+        todo: ['in_progress', 'blocked', 'done', 'cancelled'],
+        in_progress: ['todo', 'in_review', 'blocked', 'done', 'cancelled'],
+        in_review: ['in_progress', 'done', 'cancelled'],
+        blocked: ['todo', 'in_progress', 'cancelled'],
+        done: ['todo'],
+        cancelled: ['todo']
+    }
+};
+
+var workflow = null;
+
+// Throws when config is not a usable workflow; returns a copy of it
+function validateWorkflow(config) {
+    function fail(message) {
+        throw new Error('Invalid task workflow: ' + message);
+    }
+    if (!config || typeof config !== 'object' || !config.transitions || typeof config.transitions !== 'object') {
+        fail('"transitions" must map every status to the statuses it may move to');
+    }
+    var statuses = Object.keys(config.transitions);
+    statuses.forEach(function (status) {
+        if (!/^[a-z][a-z0-9_]*$/.test(status)) {
+            fail('status "' + status + '" must be lowercase letters, digits and "_"');
+        }
+        if (!Array.isArray(config.transitions[status])) {
+            fail('the transitions of "' + status + '" must be a list');
+        }
+        config.transitions[status].forEach(function (target) {
+            if (statuses.indexOf(target) === -1) {
+                fail('"' + status + '" moves to the unknown status "' + target + '"');
+            }
+        });
+    });
+    ['initial', 'completed'].forEach(function (name) {
+        if (statuses.indexOf(config[name]) === -1) {
+            fail('"' + name + '" must be one of the statuses');
+        }
+    });
+    if (!Array.isArray(config.terminal) || config.terminal.some(function (status) {
+        return statuses.indexOf(status) === -1;
+    })) {
+        fail('"terminal" must be a list of statuses');
+    }
+    if (config.terminal.indexOf(config.completed) === -1) {
+        fail('the completed status must be terminal');
+    }
+    if (config.terminal.indexOf(config.initial) !== -1) {
+        fail('the initial status must not be terminal');
+    }
+    return JSON.parse(JSON.stringify({
+        initial: config.initial,
+        completed: config.completed,
+        terminal: config.terminal,
+        transitions: config.transitions
+    }));
+}
+
+function setWorkflow(config) {
+    workflow = validateWorkflow(config || DEFAULT_WORKFLOW);
+}
+
+function getWorkflow() {
+    return workflow;
+}
+
+function statuses() {
+    return Object.keys(workflow.transitions);
+}
+
+function isTerminal(status) {
+    return workflow.terminal.indexOf(status) !== -1;
+}
+
+function isCompleted(status) {
+    return status === workflow.completed;
+}
+
+// The status a task that is (not) completed is in when nothing else says so,
+// e.g. for tasks saved before statuses existed
+function statusForCompleted(completed) {
+    return completed ? workflow.completed : workflow.initial;
+}
+
+// Works on lean documents too, which lack the schema default
+function statusOf(task) {
+    return task.status || statusForCompleted(task.completed);
+}
+
+function assertKnownStatus(status) {
+    if (typeof status !== 'string' || statuses().indexOf(status) === -1) {
+        throw createError(400, 'Unknown status "' + status + '"; statuses are "' + statuses().join('", "') + '"', {
+            statuses: statuses()
+        });
+    }
+}
+
+// 409 when the workflow does not allow moving from one status to the other.
+// A task in a status the workflow no longer has may move to any status.
+function assertTransition(from, to) {
+    assertKnownStatus(to);
+    if (from === to) {
+        throw createError(409, 'Task is already "' + to + '"');
+    }
+    var allowed = workflow.transitions[from] || statuses();
+    if (allowed.indexOf(to) === -1) {
+        throw createError(409, 'A task cannot move from "' + from + '" to "' + to + '"', { status: from, allowed: allowed });
+    }
+}
+
+// Aggregation expression equivalent to statusOf
+function statusExpression() {
+    return { $ifNull: ['$status', { $cond: ['$completed', workflow.completed, workflow.initial] }] };
+}
+
+if (process.env.TASK_WORKFLOW_FILE) {
+    setWorkflow(JSON.parse(fs.readFileSync(process.env.TASK_WORKFLOW_FILE, 'utf8')));
+} else {
+    setWorkflow(DEFAULT_WORKFLOW);
+}
+
+module.exports = {
+    DEFAULT_WORKFLOW: DEFAULT_WORKFLOW,
+    setWorkflow: setWorkflow,
+    getWorkflow: getWorkflow,
+    statuses: statuses,
+    isTerminal: isTerminal,
+    isCompleted: isCompleted,
+    statusForCompleted: statusForCompleted,
+    statusOf: statusOf,
+    assertKnownStatus: assertKnownStatus,
+    assertTransition: assertTransition,
+    statusExpression: statusExpression
+};